@@ -0,0 +1,44 @@
+/**
+ * Запуск сервера CRM из командной строки: `npm start`. Параметры задаются переменными
+ * окружения: PORT (по умолчанию 3000), STORAGE (`sqlite` или `memory`), DB_PATH (по умолчанию
+ * database.db в текущем каталоге), ADMIN_LOGIN и ADMIN_PASSWORD. По сигналам SIGTERM и SIGINT
+ * сервер дожидается завершения начатых запросов и закрывает базу данных.
+ * @module cli
+ */
+const path = require('path');
+const { createApp } = require('./index');
+
+const app = createApp({
+  storage: process.env.STORAGE || 'sqlite',
+  dbPath: path.resolve(process.cwd(), process.env.DB_PATH || './database.db'),
+  port: Number(process.env.PORT) || 3000,
+  adminLogin: process.env.ADMIN_LOGIN || 'admin',
+  adminPassword: process.env.ADMIN_PASSWORD,
+});
+
+// Сгенерированный пароль администратора выводится только сюда, в журнал сервера он не попадает
+app.on('adminCreated', ({ login, password }) => {
+  console.log(`Создан администратор ${login} с паролем ${password}`);
+});
+
+app.start()
+  .then(() => {
+    console.log(`Сервер CRM запущен. Вы можете использовать его по адресу http://localhost:${app.address().port}`);
+  })
+  .catch((err) => {
+    console.error('Не удалось запустить сервер:', err);
+    process.exitCode = 1;
+    app.stop();
+  });
+
+for (const signal of ['SIGTERM', 'SIGINT']) {
+  process.once(signal, () => {
+    console.log('Сервер CRM останавливается...');
+    app.stop()
+      .then(() => console.log('Сервер CRM остановлен'))
+      .catch((err) => {
+        console.error('Ошибка при остановке сервера:', err);
+        process.exitCode = 1;
+      });
+  });
+}
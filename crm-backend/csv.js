@@ -0,0 +1,99 @@
+/**
+ * Разбор CSV-файлов, в том числе сохранённых из Excel.
+ * @module csv
+ */
+
+/**
+ * Разделители полей, которые распознаются автоматически.
+ * @constant {Array<string>}
+ */
+const DELIMITERS = [';', ','];
+
+/**
+ * Определяет разделитель полей по первой строке файла: выбирается тот,
+ * который чаще встречается вне кавычек. Excel в русской локали использует «;».
+ * @function detectDelimiter
+ * @param {string} text - Содержимое файла.
+ * @returns {string} Разделитель полей.
+ */
+function detectDelimiter(text) {
+  const sep = /^\uFEFF?sep=(.)\r?\n/i.exec(text);
+  if (sep) return sep[1];
+
+  const counts = Object.fromEntries(DELIMITERS.map(delimiter => [delimiter, 0]));
+  let quoted = false;
+  for (const char of text) {
+    if (char === '"') quoted = !quoted;
+    else if (!quoted && (char === '\n' || char === '\r')) break;
+    else if (!quoted && char in counts) counts[char]++;
+  }
+  return DELIMITERS.reduce((best, delimiter) => (counts[delimiter] > counts[best] ? delimiter : best));
+}
+
+/**
+ * Разбирает CSV по RFC 4180: поля в двойных кавычках могут содержать разделители
+ * и переводы строк, кавычка внутри поля удваивается. Понимает переводы строк
+ * CRLF, LF и CR, а также строку `sep=;`, которую Excel ставит в начало файла.
+ * @function parseCsv
+ * @param {string} text - Содержимое файла.
+ * @param {string} [delimiter] - Разделитель полей. По умолчанию определяется автоматически.
+ * @returns {Array<Array<string>>} Строки файла, каждая — массив значений полей.
+ */
+function parseCsv(text, delimiter = detectDelimiter(text)) {
+  const source = text.replace(/^\uFEFF/, '').replace(/^sep=.\r?\n/i, '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+/**
+ * Формирует строку CSV по RFC 4180: поля с разделителем, кавычками или переводами
+ * строк берутся в кавычки. Строка завершается CRLF.
+ * @function formatCsvRow
+ * @param {Array<*>} fields - Значения полей.
+ * @param {string} [delimiter] - Разделитель полей.
+ * @returns {string} Строка CSV.
+ */
+function formatCsvRow(fields, delimiter = ';') {
+  return `${fields.map((field) => {
+    const value = field === null || field === undefined ? '' : String(field);
+    return /["\r\n]/.test(value) || value.includes(delimiter) ? `"${value.replace(/"/g, '""')}"` : value;
+  }).join(delimiter)}\r\n`;
+}
+
+module.exports = { detectDelimiter, parseCsv, formatCsvRow };
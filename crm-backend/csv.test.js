@@ -0,0 +1,25 @@
+/**
+ * @jest-environment node
+ */
+const { detectDelimiter, parseCsv } = require('./csv');
+
+describe('csv', () => {
+  test('should detect the delimiter by the first line', () => {
+    expect(detectDelimiter('Фамилия;Имя;"Адрес, город"\nИванов;Иван;"Москва, Тверская"')).toBe(';');
+    expect(detectDelimiter('surname,name\nIvanov,Ivan')).toBe(',');
+    expect(detectDelimiter('sep=,\nФамилия;Имя,Телефон')).toBe(',');
+  });
+
+  test('should read quoted fields with delimiters, quotes and line breaks', () => {
+    const text = '\uFEFFФамилия;Комментарий\r\nИванов;"Звонить после 18:00;\r\nспросить ""Ивана"""\r\n';
+
+    expect(parseCsv(text)).toEqual([
+      ['Фамилия', 'Комментарий'],
+      ['Иванов', 'Звонить после 18:00;\r\nспросить "Ивана"'],
+    ]);
+  });
+
+  test('should skip the sep= line and keep empty fields', () => {
+    expect(parseCsv('sep=;\nа;;в\n;;\nг')).toEqual([['а', '', 'в'], ['', '', ''], ['г']]);
+  });
+});
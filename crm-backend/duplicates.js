@@ -0,0 +1,149 @@
+/**
+ * Оценка похожести клиентов для поиска дубликатов.
+ * @module duplicates
+ */
+
+/**
+ * Латинская запись русских букв. Буквы, которые по-разному транслитерируют
+ * (й, ы, и, х, щ), сводятся к одному варианту в {@link normalizeLatin}.
+ * @constant {Object<string, string>}
+ */
+const TRANSLIT = {
+  а: 'a', б: 'b', в: 'v', г: 'g', д: 'd', е: 'e', ё: 'e', ж: 'zh', з: 'z', и: 'i',
+  й: 'i', к: 'k', л: 'l', м: 'm', н: 'n', о: 'o', п: 'p', р: 'r', с: 's', т: 't',
+  у: 'u', ф: 'f', х: 'h', ц: 'ts', ч: 'ch', ш: 'sh', щ: 'sch', ъ: '', ы: 'i', ь: '',
+  э: 'e', ю: 'yu', я: 'ya',
+};
+
+/**
+ * Сводит варианты латинской записи одного имени к одному: Yuriy, Iurii и Jurij
+ * становятся одинаковыми, как и Khabarov и Habarov.
+ * @function normalizeLatin
+ * @param {string} text - Имя латиницей в нижнем регистре.
+ * @returns {string} Нормализованное имя.
+ */
+function normalizeLatin(text) {
+  return text
+    .replace(/kh/g, 'h')
+    .replace(/shch/g, 'sch')
+    .replace(/ks/g, 'x')
+    .replace(/ph/g, 'f')
+    .replace(/w/g, 'v')
+    .replace(/c(?!h)/g, 'k')
+    .replace(/[jy]/g, 'i')
+    .replace(/(.)\1+/g, '$1');
+}
+
+/**
+ * Приводит часть ФИО к виду для сравнения: нижний регистр, «ё» как «е», кириллица
+ * в латинице, без знаков препинания. Так «Семёнов», «Семенов» и «Semenov» совпадают.
+ * @function normalizeName
+ * @param {string} name - Фамилия, имя или отчество.
+ * @returns {string} Нормализованная запись.
+ */
+function normalizeName(name) {
+  const latin = [...String(name || '').toLowerCase()]
+    .map(char => (Object.prototype.hasOwnProperty.call(TRANSLIT, char) ? TRANSLIT[char] : char))
+    .join('')
+    .replace(/[^a-z]/g, '');
+  return normalizeLatin(latin);
+}
+
+/**
+ * Считает редакционное расстояние между строками: сколько букв нужно вставить, удалить,
+ * заменить или переставить с соседней, чтобы получить одну строку из другой.
+ * Перестановка считается одной правкой, потому что это самая частая опечатка.
+ * @function editDistance
+ * @param {string} a - Первая строка.
+ * @param {string} b - Вторая строка.
+ * @returns {number} Расстояние.
+ */
+function editDistance(a, b) {
+  const rows = [Array.from({ length: b.length + 1 }, (_, index) => index)];
+  for (let i = 1; i <= a.length; i++) {
+    rows[i] = [i];
+    for (let j = 1; j <= b.length; j++) {
+      rows[i][j] = Math.min(
+        rows[i - 1][j] + 1,
+        rows[i][j - 1] + 1,
+        rows[i - 1][j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1),
+      );
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return rows[a.length][b.length];
+}
+
+/**
+ * Оценивает похожесть двух строк от 0 до 1 по редакционному расстоянию.
+ * @function similarity
+ * @param {string} a - Первая строка.
+ * @param {string} b - Вторая строка.
+ * @returns {number} Похожесть: 1 — строки совпадают.
+ */
+function similarity(a, b) {
+  if (!a && !b) return 1;
+  return 1 - editDistance(a, b) / Math.max(a.length, b.length);
+}
+
+/**
+ * Оценивает похожесть ФИО двух клиентов от 0 до 1. Фамилия и имя сравниваются
+ * с учётом транслитерации и опечаток, в том числе если они переставлены местами.
+ * Отчество учитывается, только если оно указано у обоих.
+ * @function nameSimilarity
+ * @param {{surname: string, name: string, lastName: string}} a - Первый клиент.
+ * @param {{surname: string, name: string, lastName: string}} b - Второй клиент.
+ * @returns {number} Похожесть ФИО.
+ */
+function nameSimilarity(a, b) {
+  const [surnameA, nameA, lastNameA] = [a.surname, a.name, a.lastName].map(normalizeName);
+  const [surnameB, nameB, lastNameB] = [b.surname, b.name, b.lastName].map(normalizeName);
+  const score = Math.max(
+    (similarity(surnameA, surnameB) + similarity(nameA, nameB)) / 2,
+    (similarity(surnameA, nameB) + similarity(nameA, surnameB)) / 2,
+  );
+  if (!lastNameA || !lastNameB) return score;
+  return (score * 2 + similarity(lastNameA, lastNameB)) / 3;
+}
+
+/**
+ * Сводит фамилию или имя к ключу для отбора кандидатов в дубликаты: первая буква
+ * нормализованной записи и согласные после неё. Так «Иванов», «Иванова» и «Иваонв»
+ * получают один ключ, а сравнивать каждого клиента с каждым не нужно.
+ * @function makeNameKey
+ * @param {string} name - Фамилия или имя.
+ * @returns {string} Ключ; пустая строка, если в записи нет букв.
+ */
+function makeNameKey(name) {
+  const normalized = normalizeName(name);
+  return normalized.slice(0, 1) + normalized.slice(1).replace(/[aeiou]/g, '');
+}
+
+/**
+ * Составляет ключи клиента для отбора кандидатов в дубликаты: сравниваются только клиенты
+ * с общим ключом. Ключи — фамилия из {@link makeNameKey}, фамилия с именем без учёта порядка
+ * (на случай, если их перепутали местами), последние 10 цифр телефонов и e-mail в нижнем регистре.
+ * @function makeMatchKeys
+ * @param {{surname: string, name: string, contacts: Array<{type: string, value: string}>}} client - Клиент.
+ * @param {{phoneTypes: Array<string>, emailTypes: Array<string>}} types - Типы контактов, которые являются
+ *   телефонами и адресами e-mail; остальные контакты не учитываются.
+ * @returns {Array<string>} Ключи без повторов.
+ */
+function makeMatchKeys({ surname, name, contacts = [] }, { phoneTypes, emailTypes }) {
+  const keys = [];
+  const surnameKey = makeNameKey(surname);
+  const nameKey = makeNameKey(name);
+  if (surnameKey) keys.push(`s:${surnameKey}`);
+  if (surnameKey && nameKey) keys.push(`p:${[surnameKey, nameKey].sort().join(' ')}`);
+  for (const { type, value } of contacts) {
+    let key = '';
+    if (phoneTypes.includes(type)) key = String(value).replace(/\D/g, '').slice(-10);
+    else if (emailTypes.includes(type)) key = String(value).trim().toLowerCase();
+    if (key) keys.push(`c:${key}`);
+  }
+  return [...new Set(keys)];
+}
+
+module.exports = { normalizeName, editDistance, similarity, nameSimilarity, makeNameKey, makeMatchKeys };
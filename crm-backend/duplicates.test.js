@@ -0,0 +1,42 @@
+/**
+ * @jest-environment node
+ */
+const { normalizeName, editDistance, nameSimilarity, makeMatchKeys } = require('./duplicates');
+
+describe('duplicates', () => {
+  test('should write names in Cyrillic and Latin the same way', () => {
+    expect(normalizeName('Семёнов')).toBe(normalizeName('Семенов'));
+    expect(normalizeName('Семёнов')).toBe(normalizeName('Semenov'));
+    expect(normalizeName('Юрий')).toBe(normalizeName('Yuriy'));
+    expect(normalizeName('Хабаров')).toBe(normalizeName('Khabarov'));
+  });
+
+  test('should count a swap of neighbouring letters as one typo', () => {
+    expect(editDistance('иванов', 'иваонв')).toBe(1);
+    expect(editDistance('kitten', 'sitting')).toBe(3);
+  });
+
+  test('should score similar ФИО higher than different ones', () => {
+    const ivanov = { surname: 'Иванов', name: 'Иван', lastName: 'Иванович' };
+
+    expect(nameSimilarity(ivanov, { surname: 'Ivanov', name: 'Ivan', lastName: '' })).toBe(1);
+    expect(nameSimilarity(ivanov, { surname: 'Иван', name: 'Иванов', lastName: '' })).toBe(1);
+    expect(nameSimilarity(ivanov, { surname: 'Иваонв', name: 'Иван', lastName: 'Иванович' })).toBeGreaterThan(0.9);
+    expect(nameSimilarity(ivanov, { surname: 'Петров', name: 'Пётр', lastName: 'Петрович' })).toBeLessThan(0.5);
+  });
+
+  test('should give likely duplicates a shared match key', () => {
+    const types = { phoneTypes: ['Телефон'], emailTypes: ['Email'] };
+    const keys = client => makeMatchKeys(client, types);
+    const shared = (a, b) => keys(a).some(key => keys(b).includes(key));
+
+    expect(shared({ surname: 'Иванов', name: 'Иван' }, { surname: 'Иваонв', name: 'Пётр' })).toBe(true);
+    expect(shared({ surname: 'Петров', name: 'Иван' }, { surname: 'Иван', name: 'Петров' })).toBe(true);
+    expect(shared(
+      { surname: 'Петров', name: 'Пётр', contacts: [{ type: 'Телефон', value: '+7 900 123-45-67' }] },
+      { surname: 'Сидорова', name: 'Анна', contacts: [{ type: 'Телефон', value: '89001234567' }] },
+    )).toBe(true);
+    expect(shared({ surname: 'Петров', name: 'Иван' }, { surname: 'Сидоров', name: 'Иван' })).toBe(false);
+    expect(keys({ surname: 'Петров', name: 'Иван', contacts: [{ type: 'Другое', value: 'Звонить вечером' }] })).toHaveLength(2);
+  });
+});
@@ -1,303 +1,4277 @@
 const { createServer } = require('http');
-const sqlite3 = require('sqlite3').verbose();
-const path = require('path');
+const crypto = require('crypto');
+const csv = require('./csv');
+const vcard = require('./vcard');
+const duplicates = require('./duplicates');
+const { normalizeSearchText } = require('./search');
+const { createStore } = require('./storage');
+const { createRouter } = require('./router');
 
 /**
- * Путь к базе данных SQLite.
+ * Максимальный размер импортируемого CSV-файла в байтах. Задаётся переменной окружения MAX_IMPORT_SIZE.
+ * @constant {number}
+ */
+const MAX_IMPORT_SIZE = Number(process.env.MAX_IMPORT_SIZE) || 10 * 1024 * 1024;
+
+/**
+ * Сколько дней удалённые клиенты хранятся в корзине, прежде чем будут удалены окончательно.
+ * Задаётся переменной окружения TRASH_RETENTION_DAYS.
+ * @constant {number}
+ */
+const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS) || 30;
+
+/**
+ * Как часто сервер проверяет сроки задач, в секундах. Задаётся переменной окружения TASK_CHECK_INTERVAL_SECONDS.
+ * @constant {number}
+ */
+const TASK_CHECK_INTERVAL_SECONDS = Number(process.env.TASK_CHECK_INTERVAL_SECONDS) || 60;
+
+/**
+ * За сколько минут до срока задачи отправляется напоминание. Задаётся переменной окружения TASK_REMINDER_MINUTES.
+ * @constant {number}
+ */
+const TASK_REMINDER_MINUTES = Number(process.env.TASK_REMINDER_MINUTES) || 30;
+
+/**
+ * Источники (Origin), которым разрешены кросс-доменные запросы к API.
+ * Задаются через запятую в переменной окружения CORS_ORIGINS.
+ * @constant {Array<string>}
+ */
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || 'http://localhost:5500,http://127.0.0.1:5500')
+  .split(',')
+  .map(origin => origin.trim())
+  .filter(Boolean);
+
+/**
+ * Время жизни сессии пользователя в часах. Задаётся переменной окружения SESSION_TTL_HOURS.
+ * @constant {number}
+ */
+const SESSION_TTL_HOURS = Number(process.env.SESSION_TTL_HOURS) || 12;
+
+/**
+ * Максимальный размер тела запроса в байтах. Задаётся переменной окружения MAX_BODY_SIZE.
+ * @constant {number}
+ */
+const MAX_BODY_SIZE = Number(process.env.MAX_BODY_SIZE) || 1024 * 1024;
+
+/**
+ * Префикс URI для всех методов API.
+ * @constant {string}
+ */
+const URI_PREFIX = '/api/clients';
+
+/**
+ * Размер страницы списка клиентов по умолчанию.
+ * @constant {number}
+ */
+const DEFAULT_PAGE_SIZE = 50;
+
+/**
+ * Максимально допустимый размер страницы списка клиентов.
+ * @constant {number}
+ */
+const MAX_PAGE_SIZE = 500;
+
+/**
+ * Поля, по которым разрешена сортировка списка клиентов.
+ * @constant {Array<string>}
+ */
+const SORT_FIELDS = ['id', 'name', 'surname', 'lastName', 'createdAt', 'updatedAt', 'deletedAt', 'lastContactedAt'];
+
+/**
+ * Типы взаимодействий с клиентом. Время последнего контакта с клиентом (`lastContactedAt`)
+ * считается по всем взаимодействиям, кроме заметок.
+ * @constant {Array<string>}
+ */
+const INTERACTION_TYPES = ['call', 'meeting', 'email', 'note'];
+
+/**
+ * URI списка меток клиентов.
+ * @constant {string}
+ */
+const TAGS_URI = '/api/tags';
+
+/**
+ * Цвет метки, если он не указан при создании.
+ * @constant {string}
+ */
+const DEFAULT_TAG_COLOR = '#9873ff';
+
+/**
+ * Наибольшая длина названия метки.
+ * @constant {number}
+ */
+const MAX_TAG_NAME_LENGTH = 50;
+
+/**
+ * Правила отбора клиентов по нескольким меткам: `any` — есть хотя бы одна из меток, `all` — все метки.
+ * @constant {Array<string>}
+ */
+const TAG_MATCH_MODES = ['any', 'all'];
+
+/**
+ * URI списка организаций.
+ * @constant {string}
+ */
+const ORGANIZATIONS_URI = '/api/organizations';
+
+/**
+ * Наибольшая длина названия организации.
+ * @constant {number}
+ */
+const MAX_ORGANIZATION_NAME_LENGTH = 200;
+
+/**
+ * Наибольшая длина должности клиента.
+ * @constant {number}
+ */
+const MAX_JOB_TITLE_LENGTH = 100;
+
+/**
+ * URI списка стадий воронки сделок.
+ * @constant {string}
+ */
+const DEAL_STAGES_URI = '/api/deal-stages';
+
+/**
+ * URI списка сделок.
+ * @constant {string}
+ */
+const DEALS_URI = '/api/deals';
+
+/**
+ * Виды стадий: `open` — сделка в работе, `won` — выиграна, `lost` — проиграна.
+ * @constant {Array<string>}
+ */
+const STAGE_KINDS = ['open', 'won', 'lost'];
+
+/**
+ * Стадии, которые создаются, если в хранилище ещё нет ни одной стадии.
+ * @constant {Array<{name: string, probability: number, kind: string}>}
+ */
+const DEFAULT_DEAL_STAGES = [
+  { name: 'Новая', probability: 10, kind: 'open' },
+  { name: 'Квалификация', probability: 25, kind: 'open' },
+  { name: 'Предложение', probability: 50, kind: 'open' },
+  { name: 'Переговоры', probability: 75, kind: 'open' },
+  { name: 'Выиграна', probability: 100, kind: 'won' },
+  { name: 'Проиграна', probability: 0, kind: 'lost' },
+];
+
+/**
+ * Наибольшая длина названия стадии и названия сделки.
+ * @constant {number}
+ */
+const MAX_DEAL_NAME_LENGTH = 200;
+
+/**
+ * Валюты сделок; первая используется, если валюта не указана.
+ * @constant {Array<string>}
+ */
+const CURRENCIES = ['RUB', 'USD', 'EUR'];
+
+/**
+ * URI списка задач.
+ * @constant {string}
+ */
+const TASKS_URI = '/api/tasks';
+
+/**
+ * Статусы задач: `open` — в работе, `overdue` — срок прошёл, `done` — выполнена.
+ * Просроченной задачу делает сервер, пользователь выбирает между `open` и `done`.
+ * @constant {Array<string>}
+ */
+const TASK_STATUSES = ['open', 'overdue', 'done'];
+
+/**
+ * Отборы задач по сроку: `today` — срок сегодня, `overdue` — срок прошёл.
+ * @constant {Array<string>}
+ */
+const TASK_DUE_FILTERS = ['today', 'overdue'];
+
+/**
+ * Наибольшая длина названия задачи.
+ * @constant {number}
+ */
+const MAX_TASK_TITLE_LENGTH = 200;
+
+/**
+ * URI списка дополнительных полей клиентов.
+ * @constant {string}
+ */
+const CUSTOM_FIELDS_URI = '/api/custom-fields';
+
+/**
+ * Наибольшая длина значения текстового дополнительного поля.
+ * @constant {number}
+ */
+const MAX_CUSTOM_FIELD_TEXT_LENGTH = 500;
+
+/**
+ * Наибольшая длина названия дополнительного поля.
+ * @constant {number}
+ */
+const MAX_CUSTOM_FIELD_LABEL_LENGTH = 100;
+
+/**
+ * Правила проверки значений дополнительных полей по их типу. Проверка получает значение и описание поля.
+ * @constant {Object<string, {test: Function, message: string}>}
+ */
+const CUSTOM_FIELD_VALIDATORS = {
+  text: {
+    test: value => typeof value === 'string' && value.length <= MAX_CUSTOM_FIELD_TEXT_LENGTH,
+    message: `Ожидается строка не длиннее ${MAX_CUSTOM_FIELD_TEXT_LENGTH} символов`,
+  },
+  number: {
+    test: value => typeof value === 'number' && Number.isFinite(value),
+    message: 'Ожидается число',
+  },
+  date: {
+    test: value => typeof value === 'string' && isCalendarDate(value),
+    message: 'Ожидается дата в формате YYYY-MM-DD',
+  },
+  select: {
+    test: (value, field) => field.options.includes(value),
+    message: 'Ожидается один из вариантов поля',
+  },
+  boolean: {
+    test: value => typeof value === 'boolean',
+    message: 'Ожидается true или false',
+  },
+};
+
+/**
+ * Префикс дополнительного поля в параметрах списка клиентов: `cf.city=Москва` отбирает клиентов
+ * по значению поля, `sort=-cf.birthday` сортирует по нему.
+ * @constant {string}
+ */
+const CUSTOM_FIELD_PARAM_PREFIX = 'cf.';
+
+/**
+ * URI методов входа и выхода пользователей.
  * @constant {string}
  */
-const dbPath = path.resolve(process.cwd(), './database.db');
-const db = new sqlite3.Database(dbPath);
+const AUTH_URI_PREFIX = '/api/auth';
+
+/**
+ * URI списка пользователей.
+ * @constant {string}
+ */
+const USERS_URI = '/api/users';
+
+/**
+ * Типы содержимого, в которых принимается CSV-файл для импорта.
+ * Браузеры в Windows отправляют CSV-файлы как application/vnd.ms-excel.
+ * @constant {Array<string>}
+ */
+const CSV_MEDIA_TYPES = ['text/csv', 'text/plain', 'application/vnd.ms-excel'];
+
+/**
+ * Типы содержимого, в которых принимается файл vCard для импорта.
+ * @constant {Array<string>}
+ */
+const VCARD_MEDIA_TYPES = ['text/vcard', 'text/x-vcard', 'text/directory', 'text/plain'];
+
+/**
+ * Действия с карточкой при импорте vCard: создать клиента, дополнить существующего или пропустить.
+ * @constant {Array<string>}
+ */
+const VCARD_IMPORT_ACTIONS = ['create', 'merge', 'skip'];
+
+/**
+ * Действия пакетной обработки клиентов и HTTP-методы из {@link ROLE_PERMISSIONS},
+ * которые должны быть разрешены роли для каждого действия.
+ * @constant {Object<string, string>}
+ */
+const BULK_ACTIONS = {
+  create: 'POST',
+  update: 'PATCH',
+  delete: 'DELETE',
+};
+
+/**
+ * Наибольшее число операций в одном пакетном запросе.
+ * @constant {number}
+ */
+const BULK_MAX_OPERATIONS = 500;
+
+/**
+ * Оценка похожести, начиная с которой два клиента считаются вероятными дубликатами.
+ * @constant {number}
+ */
+const DUPLICATE_THRESHOLD = 0.85;
+
+/**
+ * Сколько строк с данными возвращает предпросмотр импорта.
+ * @constant {number}
+ */
+const IMPORT_PREVIEW_ROWS = 5;
+
+/**
+ * Роли пользователей и HTTP-методы API клиентов, доступные каждой роли.
+ * @constant {Object<string, Array<string>>}
+ */
+const ROLE_PERMISSIONS = {
+  admin: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'],
+  manager: ['GET', 'POST', 'PUT', 'PATCH'],
+  readonly: ['GET'],
+};
+
+/**
+ * Поддерживаемые типы контактов. Фронтенд получает этот список через {@link CONTACT_TYPES_URI}.
+ * Поле `kind` определяет правило проверки значения контакта.
+ * @constant {Array<{type: string, kind: string}>}
+ */
+const CONTACT_TYPES = [
+  { type: 'Телефон', kind: 'phone' },
+  { type: 'Доп. телефон', kind: 'phone' },
+  { type: 'Email', kind: 'email' },
+  { type: 'Vk', kind: 'url' },
+  { type: 'Facebook', kind: 'url' },
+  { type: 'Другое', kind: 'text' },
+];
+
+/**
+ * Правила проверки значений контактов по их виду.
+ * @constant {Object<string, {test: Function, message: string}>}
+ */
+const CONTACT_VALIDATORS = {
+  phone: {
+    test: value => /^\+?\d{7,15}$/.test(value.replace(/[\s()-]/g, '')),
+    message: 'Телефон должен содержать от 7 до 15 цифр и может начинаться с «+»',
+  },
+  email: {
+    test: value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+    message: 'Некорректный адрес электронной почты',
+  },
+  url: {
+    test: (value) => {
+      try {
+        return ['http:', 'https:'].includes(new URL(value).protocol);
+      } catch (err) {
+        return false;
+      }
+    },
+    message: 'Ссылка должна быть полным адресом, начинающимся с http:// или https://',
+  },
+  text: {
+    test: () => true,
+    message: '',
+  },
+};
+
+/**
+ * URI списка поддерживаемых типов контактов.
+ * @constant {string}
+ */
+const CONTACT_TYPES_URI = '/api/contact-types';
+
+/**
+ * URI JSON Schema объекта клиента, который возвращает API.
+ * @constant {string}
+ */
+const CLIENT_SCHEMA_URI = '/api/schema/client';
+
+/**
+ * JSON Schema объекта клиента в ответах API. Все маршруты отдают клиента
+ * через {@link serializeClient}, поэтому ответы всегда соответствуют этой схеме.
+ * @constant {Object}
+ */
+const CLIENT_SCHEMA = {
+  $schema: 'https://json-schema.org/draft/2020-12/schema',
+  $id: CLIENT_SCHEMA_URI,
+  title: 'Client',
+  type: 'object',
+  required: [
+    'id', 'name', 'surname', 'lastName', 'contacts', 'tags', 'organization', 'jobTitle', 'customFields',
+    'createdAt', 'updatedAt', 'deletedAt', 'lastContactedAt', 'openTasks', 'version',
+  ],
+  additionalProperties: false,
+  properties: {
+    id: { type: 'integer', minimum: 1 },
+    name: { type: 'string', minLength: 1 },
+    surname: { type: 'string', minLength: 1 },
+    lastName: { type: 'string' },
+    contacts: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['id', 'type', 'value'],
+        additionalProperties: false,
+        properties: {
+          id: { type: 'integer', minimum: 1 },
+          type: { enum: CONTACT_TYPES.map(({ type }) => type) },
+          value: { type: 'string', minLength: 1 },
+        },
+      },
+    },
+    tags: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['id', 'name', 'color'],
+        additionalProperties: false,
+        properties: {
+          id: { type: 'integer', minimum: 1 },
+          name: { type: 'string', minLength: 1 },
+          color: { type: 'string', pattern: '^#[0-9a-f]{6}$' },
+        },
+      },
+    },
+    organization: {
+      type: ['object', 'null'],
+      required: ['id', 'name'],
+      additionalProperties: false,
+      properties: {
+        id: { type: 'integer', minimum: 1 },
+        name: { type: 'string', minLength: 1 },
+      },
+    },
+    jobTitle: { type: 'string' },
+    customFields: {
+      type: 'object',
+      additionalProperties: { type: ['string', 'number', 'boolean'] },
+    },
+    createdAt: { type: 'string', format: 'date-time' },
+    updatedAt: { type: 'string', format: 'date-time' },
+    deletedAt: { type: ['string', 'null'], format: 'date-time' },
+    lastContactedAt: { type: ['string', 'null'], format: 'date-time' },
+    openTasks: { type: 'integer', minimum: 0 },
+    version: { type: 'integer', minimum: 1 },
+  },
+};
+
+/**
+ * Класс ошибки API, используемый для отправки ответа с кодом ошибки и описанием.
+ * @class
+ * @extends Error
+ * @param {number} statusCode - Код статуса ошибки.
+ * @param {Object} data - Данные об ошибке.
+ */
+class ApiError extends Error {
+  constructor(statusCode, data) {
+    super();
+    this.statusCode = statusCode;
+    this.data = data;
+  }
+}
+
+/**
+ * Разбирает заголовок Content-Type на тип содержимого и кодировку.
+ * @function parseContentType
+ * @param {Object} req - Объект HTTP запроса.
+ * @returns {{mediaType: string, charset: (string|null)}} Тип содержимого в нижнем регистре и кодировка, если указана.
+ */
+function parseContentType(req) {
+  const [mediaType, ...params] = (req.headers['content-type'] || '').split(';').map(part => part.trim());
+  const charsetParam = params.find(param => /^charset=/i.test(param));
+  return {
+    mediaType: mediaType.toLowerCase(),
+    charset: charsetParam ? charsetParam.split('=')[1].replace(/"/g, '') : null,
+  };
+}
+
+/**
+ * Асинхронно считывает тело запроса целиком, не превышая допустимый размер.
+ * @async
+ * @function drainBuffer
+ * @param {Object} req - Объект HTTP запроса.
+ * @param {number} limit - Максимальный размер тела в байтах.
+ * @returns {Promise<Buffer>} Тело запроса.
+ * @throws {ApiError} Тело запроса больше допустимого размера (код 413).
+ */
+function drainBuffer(req, limit) {
+  return new Promise((resolve, reject) => {
+    const tooLarge = () => {
+      req.removeAllListeners('data');
+      req.resume();
+      reject(new ApiError(413, { message: `Payload Too Large: body must not exceed ${limit} bytes` }));
+    };
+
+    if (Number(req.headers['content-length']) > limit) return tooLarge();
+
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > limit) return tooLarge();
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Отклоняет запрос с неподдерживаемым типом содержимого, не дочитывая тело.
+ * @function rejectMediaType
+ * @param {Object} req - Объект HTTP запроса.
+ * @param {string} message - Описание ошибки.
+ * @returns {Promise<never>}
+ */
+function rejectMediaType(req, message) {
+  req.resume();
+  return Promise.reject(new ApiError(415, { message }));
+}
+
+/**
+ * Асинхронно считывает тело запроса и разбирает его как JSON.
+ * Тело декодируется в кодировке из параметра `charset` заголовка Content-Type (по умолчанию UTF-8).
+ * @async
+ * @function drainJson
+ * @param {Object} req - Объект HTTP запроса.
+ * @param {number} [limit] - Максимальный размер тела в байтах.
+ * @returns {Promise<Object>} Объект, созданный из тела запроса.
+ * @throws {ApiError} Тело запроса не является корректным JSON (код 400).
+ * @throws {ApiError} Тело запроса больше допустимого размера (код 413).
+ * @throws {ApiError} Тип содержимого или кодировка не поддерживаются (код 415).
+ */
+async function drainJson(req, limit = MAX_BODY_SIZE) {
+  const { mediaType, charset: charsetParam } = parseContentType(req);
+  const charset = charsetParam || 'utf-8';
+  if (!/^application\/([\w.-]+\+)?json$/.test(mediaType)) {
+    return rejectMediaType(req, 'Unsupported Media Type: expected application/json');
+  }
+
+  let decoder;
+  try {
+    decoder = new TextDecoder(charset, { fatal: true });
+  } catch (err) {
+    return rejectMediaType(req, `Unsupported charset: ${charset}`);
+  }
+
+  const buffer = await drainBuffer(req, limit);
+  let text;
+  try {
+    text = decoder.decode(buffer);
+  } catch (err) {
+    throw new ApiError(400, { message: `Invalid JSON: body is not valid ${decoder.encoding}` });
+  }
+
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    throw new ApiError(400, { message: `Invalid JSON: ${err.message}` });
+  }
+  if (data === null || typeof data !== 'object') {
+    throw new ApiError(400, { message: 'Invalid JSON: body must be an object or an array' });
+  }
+  return data;
+}
+
+/**
+ * Асинхронно считывает тело запроса как текст импортируемого файла. Если кодировка не указана
+ * в заголовке Content-Type, файл читается как UTF-8, а при неудаче — как Windows-1251,
+ * в которой сохраняют файлы русский Excel и старые телефоны.
+ * @async
+ * @function drainText
+ * @param {Object} req - Объект HTTP запроса.
+ * @param {Array<string>} mediaTypes - Допустимые типы содержимого; первый из них называется в ошибке.
+ * @returns {Promise<{text: string, encoding: string}>} Текст файла и кодировка, в которой он прочитан.
+ * @throws {ApiError} Тело запроса больше допустимого размера (код 413).
+ * @throws {ApiError} Тип содержимого или кодировка не поддерживаются (код 415).
+ */
+async function drainText(req, mediaTypes) {
+  const { mediaType, charset } = parseContentType(req);
+  if (!mediaTypes.includes(mediaType)) {
+    return rejectMediaType(req, `Unsupported Media Type: expected ${mediaTypes[0]}`);
+  }
+
+  const encodings = charset ? [charset] : ['utf-8', 'windows-1251'];
+  for (const encoding of encodings) {
+    try {
+      new TextDecoder(encoding);
+    } catch (err) {
+      return rejectMediaType(req, `Unsupported charset: ${encoding}`);
+    }
+  }
+
+  const buffer = await drainBuffer(req, MAX_IMPORT_SIZE);
+  for (const encoding of encodings) {
+    try {
+      const decoder = new TextDecoder(encoding, { fatal: true });
+      return { text: decoder.decode(buffer), encoding: decoder.encoding };
+    } catch (err) {
+      // Пробуем следующую кодировку
+    }
+  }
+  throw new ApiError(400, { message: `Invalid ${mediaTypes[0]}: file is not valid ${encodings.join(' / ')}` });
+}
+
+/**
+ * Проверяет и преобразует данные в объект клиента. Идентификатор контакта сохраняется,
+ * если он передан: так контакт, оставшийся при изменении клиента, сохраняет свой идентификатор.
+ * Метки (`tags` — идентификаторы меток) попадают в объект, только если они переданы:
+ * без них метки клиента не меняются. Так же и место работы: `organizationId` — идентификатор
+ * организации или null, `jobTitle` — должность; без организации должность не сохраняется.
+ * Значения дополнительных полей (`customFields` — объект по ключам полей) проверяются по описаниям полей
+ * и, если переданы, заменяют все прежние значения; null и пустая строка убирают значение поля.
+ * @function makeClientFromData
+ * @param {Object} data - Входные данные клиента.
+ * @param {Array<module:storage.CustomField>} [fields] - Дополнительные поля клиентов.
+ * @returns {Object} Объект клиента.
+ * @throws {ApiError} Некорректные данные (код 422).
+ */
+function makeClientFromData(data, fields = []) {
+  const errors = [];
+
+  function asString(v) {
+    return v && String(v).trim() || '';
+  }
+
+  const client = {
+    name: asString(data.name),
+    surname: asString(data.surname),
+    lastName: asString(data.lastName),
+    contacts: Array.isArray(data.contacts) ? data.contacts.map(contact => ({
+      ...(Number.isSafeInteger(contact.id) ? { id: contact.id } : {}),
+      type: asString(contact.type),
+      value: asString(contact.value),
+    })) : [],
+  };
+
+  if (!client.name) errors.push({ field: 'name', message: 'Не указано имя' });
+  if (!client.surname) errors.push({ field: 'surname', message: 'Не указана фамилия' });
+  client.contacts.forEach((contact, index) => {
+    const error = validateContact(contact);
+    if (error) errors.push({ field: `contacts[${index}].${error.field}`, message: error.message });
+  });
+
+  if (data.tags !== undefined) {
+    client.tags = [];
+    if (data.tags !== null && !Array.isArray(data.tags)) {
+      errors.push({ field: 'tags', message: 'Ожидается массив идентификаторов меток' });
+    } else {
+      (data.tags || []).forEach((id, index) => {
+        if (!Number.isSafeInteger(id) || id < 1) errors.push({ field: `tags[${index}]`, message: 'Ожидается целое положительное число' });
+        else if (!client.tags.includes(id)) client.tags.push(id);
+      });
+    }
+  }
+
+  if (data.organizationId !== undefined) {
+    const jobTitle = asString(data.jobTitle);
+    client.organization = null;
+    if (data.organizationId !== null && (!Number.isSafeInteger(data.organizationId) || data.organizationId < 1)) {
+      errors.push({ field: 'organizationId', message: 'Ожидается целое положительное число' });
+    } else if (jobTitle.length > MAX_JOB_TITLE_LENGTH) {
+      errors.push({ field: 'jobTitle', message: `Должность не может быть длиннее ${MAX_JOB_TITLE_LENGTH} символов` });
+    } else if (data.organizationId !== null) {
+      client.organization = { id: data.organizationId, jobTitle };
+    }
+  }
+
+  if (data.customFields !== undefined) {
+    client.customFields = [];
+    if (data.customFields !== null && (typeof data.customFields !== 'object' || Array.isArray(data.customFields))) {
+      errors.push({ field: 'customFields', message: 'Ожидается объект со значениями дополнительных полей' });
+    } else {
+      for (const [key, raw] of Object.entries(data.customFields || {})) {
+        const field = fields.find(item => item.key === key);
+        const value = typeof raw === 'string' ? raw.trim() : raw;
+        if (!field) {
+          errors.push({ field: `customFields.${key}`, message: `Неизвестное поле «${key}»` });
+          continue;
+        }
+        if (value === null || value === '') continue;
+        const validator = CUSTOM_FIELD_VALIDATORS[field.type];
+        if (validator.test(value, field)) client.customFields.push({ fieldId: Number(field.id), value });
+        else errors.push({ field: `customFields.${key}`, message: validator.message });
+      }
+    }
+  }
+
+  if (errors.length) throw new ApiError(422, { errors });
+
+  return client;
+}
+
+/**
+ * Проверяет контакт по правилам его типа.
+ * @function validateContact
+ * @param {{type: string, value: string}} contact - Контакт.
+ * @returns {{field: string, message: string}|null} Описание ошибки или null, если контакт корректен.
+ */
+function validateContact(contact) {
+  if (!contact.type) return { field: 'type', message: 'Не указан тип контакта' };
+  const contactType = CONTACT_TYPES.find(item => item.type === contact.type);
+  if (!contactType) return { field: 'type', message: `Неизвестный тип контакта «${contact.type}»` };
+  if (!contact.value) return { field: 'value', message: 'Не указано значение контакта' };
+  const validator = CONTACT_VALIDATORS[contactType.kind];
+  if (!validator.test(contact.value)) return { field: 'value', message: validator.message };
+  return null;
+}
+
+/**
+ * Переводит дату из формата SQLite (`YYYY-MM-DD HH:MM:SS` в UTC) в ISO 8601.
+ * @function toIsoDate
+ * @param {string} value - Дата из базы данных.
+ * @returns {string|null} Дата в формате ISO 8601.
+ */
+function toIsoDate(value) {
+  if (!value) return null;
+  const date = new Date(/[zZ]|[+-]\d\d:\d\d$/.test(value) ? value : `${value.replace(' ', 'T')}Z`);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Приводит клиента из хранилища к виду, описанному в {@link CLIENT_SCHEMA}.
+ * Все маршруты API возвращают клиентов только через эту функцию.
+ * @function serializeClient
+ * @param {module:storage.ClientRecord} record - Клиент из хранилища.
+ * @returns {Object} Объект клиента.
+ */
+function serializeClient(record) {
+  return {
+    id: Number(record.id),
+    name: record.name,
+    surname: record.surname,
+    lastName: record.lastName || '',
+    contacts: record.contacts.map(({ id, type, value }) => ({ id: Number(id), type, value })),
+    tags: record.tags.map(serializeTag),
+    organization: record.organization && { id: Number(record.organization.id), name: record.organization.name },
+    jobTitle: record.organization ? record.organization.jobTitle : '',
+    customFields: { ...record.customFields },
+    createdAt: toIsoDate(record.createdAt),
+    updatedAt: toIsoDate(record.updatedAt),
+    deletedAt: toIsoDate(record.deletedAt),
+    lastContactedAt: toIsoDate(record.lastContactedAt),
+    openTasks: Number(record.openTasks),
+    version: Number(record.version),
+  };
+}
+
+/**
+ * Приводит метку из хранилища к виду, в котором её возвращает API.
+ * @function serializeTag
+ * @param {{id: number, name: string, color: string}} tag - Метка из хранилища.
+ * @returns {{id: number, name: string, color: string}} Метка.
+ */
+function serializeTag({ id, name, color }) {
+  return { id: Number(id), name, color };
+}
+
+/**
+ * Возвращает ETag клиента. Он построен из номера версии, поэтому меняется при каждом изменении клиента.
+ * @function makeEtag
+ * @param {Object} client - Объект клиента из {@link serializeClient}.
+ * @returns {string} Сильный ETag.
+ */
+function makeEtag(client) {
+  return `"${client.version}"`;
+}
+
+/**
+ * Проверяет, подходит ли ETag под заголовок If-Match или If-None-Match. If-Match сравнивает ETag
+ * строго, If-None-Match — слабо, то есть не различает ETag с префиксом `W/` и без него.
+ * @function matchesEtag
+ * @param {string} header - Значение заголовка: `*` или список ETag через запятую.
+ * @param {string} etag - ETag клиента.
+ * @param {Object} [options] - Параметры.
+ * @param {boolean} [options.weak=false] - Слабое сравнение.
+ * @returns {boolean} ETag подходит.
+ */
+function matchesEtag(header, etag, { weak = false } = {}) {
+  return header.split(',').map(tag => tag.trim()).some(tag => (
+    tag === '*' || tag === etag || (weak && tag === `W/${etag}`)
+  ));
+}
+
+/**
+ * Разбирает параметры постраничного вывода, сортировки и отбора по меткам, организации и дополнительным полям
+ * списка клиентов. Дополнительные поля указываются с префиксом {@link CUSTOM_FIELD_PARAM_PREFIX}.
+ * @function parseListParams
+ * @param {Object} params - Параметры строки запроса.
+ * @param {Array<module:storage.CustomField>} [fields] - Дополнительные поля клиентов.
+ * @returns {{page: number, limit: number, sort: Array<{field: string, desc: boolean, fieldId: (number|undefined)}>,
+ *   tags: Array<number>, tagsMatch: string, organizationId: (number|undefined),
+ *   customFields: Array<{fieldId: number, value: (string|number|boolean)}>}} Разобранные параметры.
+ * @throws {ApiError} Некорректные параметры (код 400).
+ */
+function parseListParams(params, fields = []) {
+  const errors = [];
+
+  function asPositiveInt(value, field, fallback) {
+    if (value === undefined || value === '') return fallback;
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 1) {
+      errors.push({ field, message: 'Ожидается целое положительное число' });
+      return fallback;
+    }
+    return number;
+  }
+
+  const page = asPositiveInt(params.page, 'page', 1);
+  const limit = asPositiveInt(params.limit, 'limit', DEFAULT_PAGE_SIZE);
+  if (limit > MAX_PAGE_SIZE)
+    errors.push({ field: 'limit', message: `Размер страницы не может превышать ${MAX_PAGE_SIZE}` });
+
+  const sort = [];
+  for (const piece of (params.sort || '').split(',')) {
+    const key = piece.trim();
+    if (!key) continue;
+    const desc = key.startsWith('-');
+    const field = desc ? key.substr(1) : key;
+    const customField = field.startsWith(CUSTOM_FIELD_PARAM_PREFIX)
+      && fields.find(item => item.key === field.slice(CUSTOM_FIELD_PARAM_PREFIX.length));
+    if (!SORT_FIELDS.includes(field) && !customField) {
+      errors.push({ field: 'sort', message: `Сортировка по полю «${field}» не поддерживается` });
+      continue;
+    }
+    if (!sort.some(item => item.field === field)) sort.push({ field, desc, ...(customField ? { fieldId: Number(customField.id) } : {}) });
+  }
+
+  const tags = [];
+  for (const piece of (params.tags || '').split(',')) {
+    const value = piece.trim();
+    if (!value) continue;
+    if (!/^[1-9]\d*$/.test(value) || !Number.isSafeInteger(Number(value))) {
+      errors.push({ field: 'tags', message: 'Ожидается список идентификаторов меток через запятую' });
+      break;
+    }
+    if (!tags.includes(Number(value))) tags.push(Number(value));
+  }
+  const tagsMatch = params.tagsMatch || 'any';
+  if (!TAG_MATCH_MODES.includes(tagsMatch)) {
+    errors.push({ field: 'tagsMatch', message: `Ожидается одно из значений: ${TAG_MATCH_MODES.join(', ')}` });
+  }
+  const organizationId = asPositiveInt(params.organization, 'organization', undefined);
+
+  const customFields = [];
+  for (const [param, text] of Object.entries(params)) {
+    if (!param.startsWith(CUSTOM_FIELD_PARAM_PREFIX) || text === '') continue;
+    const field = fields.find(item => item.key === param.slice(CUSTOM_FIELD_PARAM_PREFIX.length));
+    if (!field) {
+      errors.push({ field: param, message: 'Неизвестное дополнительное поле' });
+      continue;
+    }
+    const value = parseCustomFieldParam(field, text);
+    const validator = CUSTOM_FIELD_VALIDATORS[field.type];
+    if (validator.test(value, field)) customFields.push({ fieldId: Number(field.id), value });
+    else errors.push({ field: param, message: validator.message });
+  }
+
+  if (errors.length) throw new ApiError(400, { errors });
+
+  return { page, limit, sort, tags, tagsMatch, organizationId, customFields };
+}
+
+/**
+ * Переводит значение дополнительного поля из строки запроса в значение его типа:
+ * число для number, true или false для boolean, строку для остальных типов.
+ * @function parseCustomFieldParam
+ * @param {module:storage.CustomField} field - Дополнительное поле.
+ * @param {string} text - Значение из строки запроса.
+ * @returns {*} Значение; проверяется по {@link CUSTOM_FIELD_VALIDATORS}.
+ */
+function parseCustomFieldParam(field, text) {
+  if (field.type === 'number') return text.trim() === '' ? NaN : Number(text);
+  if (field.type === 'boolean' && ['true', 'false'].includes(text)) return text === 'true';
+  return text;
+}
+
+/**
+ * Формирует ссылку на страницу списка клиентов с сохранением остальных параметров запроса.
+ * @function makePageLink
+ * @param {string} uri - Путь списка.
+ * @param {URLSearchParams} searchParams - Параметры строки запроса.
+ * @param {number} page - Номер страницы.
+ * @returns {string} Относительный URL страницы.
+ */
+function makePageLink(uri, searchParams, page) {
+  const query = new URLSearchParams([...searchParams].filter(([key, value]) => key !== 'page' && value !== ''));
+  query.append('page', page);
+  return `${uri}?${query}`;
+}
+
+/**
+ * Получает страницу списка клиентов. Параметр `cf.<ключ>` отбирает клиентов по значению дополнительного поля,
+ * а `cf.<ключ>` в `sort` сортирует по нему.
+ * @async
+ * @function getClientList
+ * @param {module:storage.Store} store - Хранилище.
+ * @param {Object} [params] - Параметры запроса.
+ * @param {string} [params.search] - Строка поиска по ФИО и контактам. Без явной сортировки
+ *   найденные клиенты упорядочены по релевантности.
+ * @param {string} [params.page] - Номер страницы, начиная с 1.
+ * @param {string} [params.limit] - Количество клиентов на странице.
+ * @param {string} [params.sort] - Список полей сортировки через запятую, `-` перед полем — по убыванию.
+ * @param {string} [params.tags] - Идентификаторы меток через запятую: выбираются клиенты с этими метками.
+ * @param {string} [params.tagsMatch=any] - `any` — у клиента есть хотя бы одна из меток, `all` — все метки.
+ * @param {string} [params.organization] - Идентификатор организации: выбираются её сотрудники.
+ * @param {Object} [options] - Параметры выборки.
+ * @param {boolean} [options.trash=false] - Выбрать клиентов из корзины вместо действующих.
+ *   Без явной сортировки корзина упорядочена от недавно удалённых к давно удалённым.
+ * @returns {Promise<{clients: Array<Object>, total: number, page: number, limit: number}>} Страница клиентов и общее их количество.
+ * @throws {ApiError} Некорректные параметры (код 400).
+ */
+async function getClientList(store, params = {}, { trash = false } = {}) {
+  const fields = await store.customFields.list();
+  const parsed = parseListParams(params, fields);
+  const { page, limit } = parsed;
+  const query = makeListQuery(params, parsed, { trash });
+
+  const total = await store.clients.count(query);
+  const records = await store.clients.list({ ...query, offset: (page - 1) * limit, limit });
+  return { clients: records.map(serializeClient), total, page, limit };
+}
+
+/**
+ * Составляет параметры выборки клиентов из хранилища по параметрам поиска, отбора и сортировки.
+ * Общая для {@link getClientList} и {@link exportClients}, чтобы экспорт выбирал тех же клиентов, что и список.
+ * @function makeListQuery
+ * @param {Object} params - Параметры строки запроса.
+ * @param {Object} parsed - Параметры отбора и сортировки, разобранные {@link parseListParams}.
+ * @param {Object} [options] - Параметры выборки.
+ * @param {boolean} [options.trash=false] - Выбрать клиентов из корзины вместо действующих.
+ * @returns {module:storage.ClientQuery} Параметры выборки без постраничного вывода.
+ */
+function makeListQuery(params, { sort, tags, tagsMatch, organizationId, customFields }, { trash = false } = {}) {
+  return { search: params.search || '', trash, sort, tags, tagsMatch, organizationId, customFields };
+}
+
+/**
+ * Записывает в ответ заголовки с метаданными постраничного вывода:
+ * `X-Total-Count` с общим количеством клиентов и `Link` со ссылками на соседние страницы.
+ * @function setPaginationHeaders
+ * @param {Object} res - Объект HTTP ответа.
+ * @param {string} uri - Путь списка.
+ * @param {URLSearchParams} searchParams - Параметры строки запроса.
+ * @param {Object} list - Результат {@link getClientList}.
+ */
+function setPaginationHeaders(res, uri, searchParams, { total, page, limit }) {
+  const lastPage = Math.max(1, Math.ceil(total / limit));
+  const links = [
+    `<${makePageLink(uri, searchParams, 1)}>; rel="first"`,
+    `<${makePageLink(uri, searchParams, lastPage)}>; rel="last"`,
+  ];
+  if (page > 1) links.push(`<${makePageLink(uri, searchParams, Math.min(page - 1, lastPage))}>; rel="prev"`);
+  if (page < lastPage) links.push(`<${makePageLink(uri, searchParams, page + 1)}>; rel="next"`);
+
+  res.setHeader('Access-Control-Expose-Headers', 'X-Total-Count, Link');
+  res.setHeader('X-Total-Count', String(total));
+  res.setHeader('Link', links.join(', '));
+}
+
+/**
+ * Форматы экспорта клиентов: тип содержимого и расширение файла.
+ * @constant {Object<string, {contentType: string, extension: string}>}
+ */
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+  vcf: { contentType: 'text/vcard; charset=utf-8', extension: 'vcf' },
+};
+
+/**
+ * Сколько клиентов выбирается из хранилища за один запрос при экспорте.
+ * @constant {number}
+ */
+const EXPORT_BATCH_SIZE = 500;
+
+/**
+ * Разбирает параметры экспорта: формат, версию vCard и разделитель CSV.
+ * @function parseExportParams
+ * @param {Object} params - Параметры строки запроса.
+ * @returns {{format: string, version: string, delimiter: string}} Разобранные параметры.
+ * @throws {ApiError} Некорректные параметры (код 400).
+ */
+function parseExportParams(params) {
+  const errors = [];
+  const format = params.format || 'csv';
+  const version = params.version || '3.0';
+  const delimiter = params.delimiter || ';';
+
+  if (!Object.prototype.hasOwnProperty.call(EXPORT_FORMATS, format)) {
+    errors.push({ field: 'format', message: `Формат «${format}» не поддерживается, ожидается ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+  }
+  if (!vcard.VCARD_VERSIONS.includes(version)) {
+    errors.push({ field: 'version', message: `Версия vCard «${version}» не поддерживается, ожидается ${vcard.VCARD_VERSIONS.join(', ')}` });
+  }
+  if (delimiter.length !== 1 || delimiter === '"') {
+    errors.push({ field: 'delimiter', message: 'Разделитель должен быть одним символом, кроме кавычки' });
+  }
+  if (errors.length) throw new ApiError(400, { errors });
+
+  return { format, version, delimiter };
+}
+
+/**
+ * Возвращает колонки контактов для экспорта в CSV: по колонке на каждый тип контакта
+ * и столько колонок, сколько контактов этого типа есть у одного клиента.
+ * Вторая и следующие колонки типа нумеруются: «Телефон», «Телефон 2».
+ * @async
+ * @function getExportContactColumns
+ * @param {module:storage.Store} store - Хранилище.
+ * @param {module:storage.ClientQuery} query - Параметры выборки из {@link makeListQuery}.
+ * @returns {Promise<Array<{type: string, index: number, title: string}>>} Колонки контактов.
+ */
+async function getExportContactColumns(store, query) {
+  const counts = await store.clients.countContactTypes(query);
+  const types = [...CONTACT_TYPES.map(item => item.type), ...Object.keys(counts)]
+    .filter((type, index, list) => counts[type] && list.indexOf(type) === index);
+
+  return types.flatMap(type => Array.from({ length: counts[type] }, (_, index) => ({
+    type,
+    index,
+    title: index ? `${type} ${index + 1}` : type,
+  })));
+}
+
+/**
+ * Записывает фрагмент в поток ответа и ждёт, пока клиент его заберёт, если буфер переполнен.
+ * @function writeChunk
+ * @param {Object} res - Объект HTTP ответа.
+ * @param {string} chunk - Фрагмент ответа.
+ * @returns {Promise<void>}
+ */
+function writeChunk(res, chunk) {
+  if (res.write(chunk)) return Promise.resolve();
+  return new Promise((resolve) => {
+    res.once('drain', resolve);
+    res.once('close', resolve);
+  });
+}
+
+/**
+ * Выгружает клиентов в CSV, JSON или vCard. Клиенты выбираются по тем же параметрам
+ * поиска и сортировки, что и в списке, но без разбиения на страницы. Ответ передаётся
+ * потоком: идентификаторы клиентов выбираются в начале выгрузки, а сами клиенты читаются
+ * пачками по {@link EXPORT_BATCH_SIZE}, поэтому клиенты, созданные или удалённые во время выгрузки,
+ * не сдвигают пачки и не приводят к повторам и пропускам.
+ * В CSV каждый контакт записывается в колонку своего типа, а каждое дополнительное поле — в свою колонку;
+ * в vCard контакты записываются в TEL, EMAIL, URL или NOTE.
+ * @async
+ * @function exportClients
+ * @param {module:storage.Store} store - Хранилище.
+ * @param {Object} res - Объект HTTP ответа.
+ * @param {Object} params - Параметры строки запроса: `format`, `version`, `delimiter`, `search`, `sort`.
+ * @returns {Promise<void>}
+ * @throws {ApiError} Некорректные параметры (код 400).
+ */
+async function exportClients(store, res, params) {
+  const { format, version, delimiter } = parseExportParams(params);
+  const fields = await store.customFields.list();
+  const query = makeListQuery(params, parseListParams(params, fields));
+  const columns = format === 'csv' ? await getExportContactColumns(store, query) : [];
+
+  const date = new Date().toISOString().slice(0, 10);
+  res.setHeader('Content-Type', EXPORT_FORMATS[format].contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="clients-${date}.${EXPORT_FORMATS[format].extension}"`);
+  res.setHeader('Access-Control-Expose-Headers', 'Content-Disposition');
+
+  if (format === 'csv') {
+    // BOM нужен Excel, чтобы открыть файл в UTF-8
+    const titles = [
+      'ID', 'Фамилия', 'Имя', 'Отчество', ...columns.map(column => column.title), ...fields.map(field => field.label), 'Создан', 'Изменён',
+    ];
+    await writeChunk(res, `\uFEFF${csv.formatCsvRow(titles, delimiter)}`);
+  } else if (format === 'json') {
+    await writeChunk(res, '[');
+  }
+
+  const ids = await store.clients.listIds(query);
+  for (let offset = 0, first = true; offset < ids.length && !res.destroyed; offset += EXPORT_BATCH_SIZE) {
+    const batch = ids.slice(offset, offset + EXPORT_BATCH_SIZE);
+    const found = new Map((await store.clients.getMany(batch)).map(record => [record.id, record]));
+    // Клиента, удалённого окончательно во время выгрузки, уже нет
+    const records = batch.map(id => found.get(id)).filter(Boolean);
+
+    const chunk = records.map(serializeClient).map((client) => {
+      if (format === 'vcf') return vcard.formatVCard(client, version);
+      if (format === 'json') {
+        const item = `${first ? '' : ','}\n${JSON.stringify(client)}`;
+        first = false;
+        return item;
+      }
+      const contacts = columns.map(({ type, index }) => {
+        const contact = client.contacts.filter(item => item.type === type)[index];
+        return contact ? contact.value : '';
+      });
+      const values = fields.map(field => (field.key in client.customFields ? String(client.customFields[field.key]) : ''));
+      return csv.formatCsvRow([
+        client.id, client.surname, client.name, client.lastName, ...contacts, ...values, client.createdAt, client.updatedAt,
+      ], delimiter);
+    }).join('');
+    await writeChunk(res, chunk);
+  }
+
+  res.end(format === 'json' ? '\n]\n' : '');
+}
+
+/**
+ * Поля клиента, изменения которых записываются в историю.
+ * @constant {Array<string>}
+ */
+const HISTORY_FIELDS = ['surname', 'name', 'lastName', 'contacts', 'tags', 'organization', 'jobTitle', 'customFields'];
+
+/**
+ * Возвращает снимок данных клиента для истории изменений: ФИО, контакты, метки `[{id, name}]`,
+ * организацию `{id, name}` с должностью и значения дополнительных полей по ключу.
+ * @async
+ * @function snapshotClient
+ * @param {module:storage.Store} store - Хранилище.
+ * @param {number|string} clientId - Идентификатор клиента.
+ * @returns {Promise<Object|null>} Снимок или null, если клиента нет.
+ */
+async function snapshotClient(store, clientId) {
+  const record = await store.clients.get(clientId);
+  return record && snapshotRecord(record);
+}
+
+/**
+ * Составляет снимок клиента для истории, см. {@link snapshotClient}, из уже загруженной записи.
+ * @function snapshotRecord
+ * @param {module:storage.ClientRecord} record - Клиент из хранилища.
+ * @returns {Object} Снимок.
+ */
+function snapshotRecord(record) {
+  return {
+    name: record.name,
+    surname: record.surname,
+    lastName: record.lastName || '',
+    contacts: record.contacts,
+    tags: record.tags.map(tag => ({ id: Number(tag.id), name: tag.name })),
+    organization: record.organization && { id: Number(record.organization.id), name: record.organization.name },
+    jobTitle: record.organization ? record.organization.jobTitle : '',
+    customFields: record.customFields,
+  };
+}
+
+/**
+ * Убирает из снимка идентификаторы контактов: история хранит и сравнивает только сами данные.
+ * @function withoutContactIds
+ * @param {Object|null} snapshot - Снимок клиента.
+ * @returns {Object|null} Снимок без идентификаторов контактов.
+ */
+function withoutContactIds(snapshot) {
+  return snapshot && { ...snapshot, contacts: snapshot.contacts.map(({ type, value }) => ({ type, value })) };
+}
+
+/**
+ * Записывает событие в историю изменений клиента.
+ * @async
+ * @function recordHistory
+ * @param {module:storage.Store} store - Хранилище.
+ * @param {number|string} clientId - Идентификатор клиента.
+ * @param {string} action - Событие: create, update, delete, restore, revert или merge.
+ * @param {Object|null} before - Снимок данных до события.
+ * @param {Object|null} after - Снимок данных после события.
+ * @param {string|null} actor - Кто выполнил действие.
+ * @returns {Promise<void>}
+ */
+async function recordHistory(store, clientId, action, before, after, actor) {
+  await store.history.add(clientId, { action, actor, before: withoutContactIds(before), after: withoutContactIds(after) });
+}
+
+/**
+ * Вносит изменение справочника, которое меняет данные клиентов (например, удаляет метку), и отмечает его
+ * у каждого затронутого клиента, в том числе из корзины: увеличивает версию клиента, чтобы If-Match,
+ * полученный до изменения, перестал проходить проверку, и записывает изменение в историю.
+ * Вызывается внутри транзакции.
+ * @async
+ * @function changeAffectedClients
+ * @param {module:storage.Store} store - Хранилище.
+ * @param {Array<module:storage.ClientQuery>} queries - Отборы затронутых клиентов: затронут клиент,
+ *   подходящий под любой из них.
+ * @param {Function} change - Асинхронная функция, которая вносит изменение; если она вернула false,
+ *   считается, что ничего не изменилось.
+ * @param {string|null} actor - Кто вносит изменение.
+ * @returns {Promise<*>} Результат функции `change`.
+ */
+async function changeAffectedClients(store, queries, change, actor) {
+  const ids = new Set();
+  for (const query of queries) {
+    for (const id of await store.clients.listIds(query)) ids.add(id);
+    for (const id of await store.clients.listIds({ ...query, trash: true })) ids.add(id);
+  }
+  if (!ids.size) return change();
+
+  const before = await store.clients.getMany([...ids]);
+  const result = await change();
+  if (result === false) return result;
+
+  await store.clients.bumpVersion([...ids]);
+  const after = new Map((await store.clients.getMany([...ids])).map(record => [record.id, record]));
+  for (const record of before) {
+    await recordHistory(store, record.id, 'update', snapshotRecord(record), snapshotRecord(after.get(record.id)), actor);
+  }
+  return result;
+}
+
+/**
+ * Сравнивает два снимка клиента и возвращает изменённые поля. Поля, которых нет в снимке
+ * (снимки старых событий содержат только ФИО и контакты), считаются пустыми.
+ * @function diffSnapshots
+ * @param {Object|null} before - Снимок до изменения.
+ * @param {Object|null} after - Снимок после изменения.
+ * @returns {Array<{field: string, before: *, after: *}>} Изменения по полям.
+ */
+function diffSnapshots(before, after) {
+  return HISTORY_FIELDS
+    .map(field => ({
+      field,
+      before: before && field in before ? before[field] : null,
+      after: after && field in after ? after[field] : null,
+    }))
+    .filter(change => JSON.stringify(change.before) !== JSON.stringify(change.after));
+}
+
+/**
+ * Проверяет, что метки с указанными идентификаторами существуют.
+ * @async
+ * @function checkTags
+ * @param {module:storage.Store} store - Хранилище.
+ * @param {Array<number>} tagIds - Идентификаторы меток.
+ * @returns {Promise<void>}
+ * @throws {ApiError} Метка не найдена (код 422).
+ */
+async function checkTags(store, tagIds) {
+  const known = new Set((await store.tags.list()).map(tag => Number(tag.id)));
+  const errors = tagIds
+    .filter(id => !known.has(id))
+    .map(id => ({ field: 'tags', message: `Метка ${id} не найдена` }));
+  if (errors.length) throw new ApiError(422, { errors });
+}
+
+/**
+ * Проверяет, что организация места работы клиента существует.
+ * @async
+ * @function checkOrganization
+ * @param {module:storage.Store} store - Хранилище.
+ * @param {{id: number, jobTitle: string}|null} organization - Место работы клиента.
+ * @returns {Promise<void>}
+ * @throws {ApiError} Организация не найдена (код 422).
+ */
+async function checkOrganization(store, organization) {
+  if (organization && !(await store.organizations.get(organization.id))) {
+    throw new ApiError(422, { errors: [{ field: 'organizationId', message: `Организация ${organization.id} не найдена` }] });
+  }
+}
+
+/**
+ * Записывает ФИО, контакты и, если они переданы, метки, место работы и дополнительные поля клиента
+ * в хранилище. Вызывается внутри транзакции.
+ * @async
+ * @function writeClient
+ * @param {module:storage.Store} store - Хранилище.
+ * @param {number|string} itemId - Идентификатор клиента.
+ * @param {Object} client - Проверенные данные клиента.
+ * @returns {Promise<void>}
+ * @throws {ApiError} Клиент не найден (код 404).
+ * @throws {ApiError} Метка или организация не найдена (код 422).
+ */
+async function writeClient(store, itemId, { name, surname, lastName, contacts, tags, organization, customFields }) {
+  if (tags) await checkTags(store, tags);
+  await checkOrganization(store, organization);
+  const updated = await store.clients.update(itemId, { name, surname, lastName, contacts });
+  if (!updated) throw new ApiError(404, { message: 'Client Not Found' });
+  if (tags) await store.clients.setTags(itemId, tags);
+  if (organization !== undefined) await store.clients.setOrganization(itemId, organization);
+  if (customFields) await store.clients.setCustomFields(itemId, customFields);
+}
+
+/**
+ * Создаёт нового клиента и сохраняет его в хранилище.
+ * @async
+ * @function createClient
+ * @param {module:storage.Store} store - Хранилище.
+ * @param {Object} data - Данные клиента из тела запроса.
+ * @param {string|null} [actor] - Кто создаёт клиента.
+ * @returns {Promise<Object>} Объект клиента.
+ * @throws {ApiError} Некорректные данные (код 422).
+ */
+async function createClient(store, data, actor = null) {
+  const id = await store.transaction(async () => (
+    insertClient(store, makeClientFromData(data, await store.customFields.list()), actor)
+  ));
+  return getClient(store, id);
+}
+
+/**
+ * Добавляет проверенного клиента в хранилище вместе с записью истории.
+ * Вызывается внутри транзакции.
+ * @async
+ * @function insertClient
+ * @param {module:storage.Store} store - Хранилище.
+ * @param {Object} client - Клиент, полученный из {@link makeClientFromData}.
+ * @param {string|null} actor - Кто создаёт клиента.
+ * @returns {Promise<number>} Идентификатор нового клиента.
+ * @throws {ApiError} Метка или организация не найдена (код 422).
+ */
+async function insertClient(store, { name, surname, lastName, contacts, tags, organization, customFields }, actor) {
+  if (tags) await checkTags(store, tags);
+  await checkOrganization(store, organization);
+  const id = await store.clients.insert({ name, surname, lastName, contacts });
+  if (tags) await store.clients.setTags(id, tags);
+  if (organization) await store.clients.setOrganization(id, organization);
+  if (customFields) await store.clients.setCustomFields(id, customFields);
+  await recordHistory(store, id, 'create', null, await snapshotClient(store, id), actor);
+  return id;
+}
+
+/**
+ * Получает клиента по ID из хранилища.
+ * @async
+ * @function getClient
+ * @param {module:storage.Store} store - Хранилище.
+ * @param {string} itemId - Идентификатор клиента.
+ * @returns {Promise<Object>} Объект клиента.
+ * @throws {ApiError} Клиент не найден (код 404).
+ */
+async function getClient(store, itemId) {
+  const record = await store.clients.get(itemId);
+  if (!record || record.deletedAt) throw new ApiError(404, { message: 'Client Not Found' });
+  return serializeClient(record);
+}
+
+/**
+ * Получает клиента и проверяет, что его не изменили после того, как его получил автор запроса:
+ * ETag клиента должен подходить под заголовок If-Match. Без заголовка проверка не выполняется.
+ * Вызывается внутри транзакции, чтобы между проверкой и изменением клиента никто не вмешался.
+ * @async
+ * @function checkClientVersion
+ * @param {module:storage.Store} store - Хранилище.
+ * @param {number} itemId - Идентификатор клиента.
+ * @param {string|null} ifMatch - Значение заголовка If-Match.
+ * @returns {Promise<Object>} Текущий объект клиента.
+ * @throws {ApiError} Клиент не найден (код 404).
+ * @throws {ApiError} Клиент изменён: в ответе его текущая версия (код 412).
+ */
+async function checkClientVersion(store, itemId, ifMatch) {
+  const client = await getClient(store, itemId);
+  if (ifMatch && !matchesEtag(ifMatch, makeEtag(client))) {
+    throw new ApiError(412, { message: 'Precondition Failed', client });
+  }
+  return client;
+}
+
+/**
+ * Заменяет данные клиента по его ID целиком: поля, которых нет в данных, становятся пустыми,
+ * без меток с клиента снимаются все метки, без организации он остаётся без места работы,
+ * а без дополнительных полей их значения удаляются.
+ * @async
+ * @function updateClient
+ * @param {module:storage.Store} store - Хранилище.
+ * @param {number} itemId - Идентификатор клиента.
+ * @param {Object} data - Новые данные клиента.
+ * @param {string|null} [actor] - Кто изменяет клиента.
+ * @param {string|null} [ifMatch] - Значение заголовка If-Match, см. {@link checkClientVersion}.
+ * @returns {Promise<Object>} Обновлённый объект клиента.
+ * @throws {ApiError} Клиент не найден (код 404).
+ * @throws {ApiError} Клиент изменён после получения (код 412).
+ * @throws {ApiError} Некорректные данные (код 422).
+ */
+async function updateClient(store, itemId, data, actor = null, ifMatch = null) {
+  await store.transaction(async () => {
+    const client = makeClientFromData({ tags: [], organizationId: null, customFields: {}, ...data }, await store.customFields.list());
+    await checkClientVersion(store, itemId, ifMatch);
+    await saveClientChanges(store, itemId, client, actor);
+  });
+  return getClient(store, itemId);
+}
+
+/**
+ * Записывает изменённые данные клиента вместе с событием update в истории.
+ * Вызывается внутри транзакции.
+ * @async
+ * @function saveClientChanges
+ * @param {module:storage.Store} store - Хранилище.
+ * @param {number} itemId - Идентификатор клиента.
+ * @param {Object} client - Проверенные данные клиента.
+ * @param {string|null} actor - Кто изменяет клиента.
+ * @returns {Promise<void>}
+ * @throws {ApiError} Клиент не найден (код 404).
+ */
+async function saveClientChanges(store, itemId, client, actor) {
+  const before = await snapshotClient(store, itemId);
+  await writeClient(store, itemId, client);
+  await recordHistory(store, itemId, 'update', before, await snapshotClient(store, itemId), actor);
+}
+
+/**
+ * Применяет JSON Merge Patch (RFC 7396): поля патча заменяют поля документа, null удаляет поле,
+ * вложенные объекты объединяются так же, а массивы и прочие значения заменяются целиком.
+ * @function applyMergePatch
+ * @param {*} target - Исходный документ.
+ * @param {*} patch - Патч.
+ * @returns {*} Новый документ; исходный не изменяется.
+ */
+function applyMergePatch(target, patch) {
+  if (patch === null || typeof patch !== 'object' || Array.isArray(patch)) return patch;
+  const result = target !== null && typeof target === 'object' && !Array.isArray(target) ? { ...target } : {};
+  for (const [key, value] of Object.entries(patch)) {
+    if (value === null) delete result[key];
+    else result[key] = applyMergePatch(result[key], value);
+  }
+  return result;
+}
+
+/**
+ * Частично изменяет клиента по JSON Merge Patch: меняются только переданные поля,
+ * null очищает поле, а переданный массив контактов заменяет прежний целиком.
+ * Получившийся клиент проверяется так же, как при создании, поэтому патч, который не является
+ * объектом и по RFC 7396 заменяет документ целиком, отклоняется как клиент без имени и фамилии.
+ * Контакты и значения дополнительных полей, которых патч не касается, заново не проверяются.
+ * @async
+ * @function patchClient
+ * @param {module:storage.Store} store - Хранилище.
+ * @param {number} itemId - Идентификатор клиента.
+ * @param {Object} patch - Патч из тела запроса.
+ * @param {string|null} [actor] - Кто изменяет клиента.
+ * @param {string|null} [ifMatch] - Значение заголовка If-Match, см. {@link checkClientVersion}.
+ * @returns {Promise<Object>} Обновлённый объект клиента.
+ * @throws {ApiError} Клиент не найден (код 404).
+ * @throws {ApiError} Клиент изменён после получения (код 412).
+ * @throws {ApiError} Клиент после изменения некорректен (код 422).
+ */
+async function patchClient(store, itemId, patch, actor = null, ifMatch = null) {
+  await store.transaction(() => applyClientPatch(store, itemId, patch, actor, ifMatch));
+  return getClient(store, itemId);
+}
+
+/**
+ * Применяет к клиенту JSON Merge Patch, см. {@link patchClient}. Вызывается внутри транзакции.
+ * @async
+ * @function applyClientPatch
+ * @param {module:storage.Store} store - Хранилище.
+ * @param {number} itemId - Идентификатор клиента.
+ * @param {Object} patch - Патч.
+ * @param {string|null} actor - Кто изменяет клиента.
+ * @param {string|null} ifMatch - Значение заголовка If-Match.
+ * @returns {Promise<void>}
+ * @throws {ApiError} Клиент не найден (код 404).
+ * @throws {ApiError} Клиент изменён после получения (код 412).
+ * @throws {ApiError} Клиент после изменения некорректен (код 422).
+ */
+async function applyClientPatch(store, itemId, patch, actor, ifMatch) {
+  const { name, surname, lastName, contacts, tags, organization, jobTitle, customFields } = await checkClientVersion(store, itemId, ifMatch);
+  const current = {
+    name, surname, lastName, contacts, tags: tags.map(tag => tag.id), organizationId: organization && organization.id, jobTitle, customFields,
+  };
+  const fields = await store.customFields.list();
+  // Метки, организация и дополнительные поля, удалённые патчем через null, снимаются с клиента
+  const data = { tags: [], organizationId: null, customFields: {}, ...applyMergePatch(current, patch) };
+  // Контакты и значения дополнительных полей, которых патч не касается, сохраняются без повторной проверки:
+  // контакты, перенесённые из прежней базы, могут не соответствовать нынешним правилам своего типа
+  const keepContacts = data.contacts === contacts;
+  const kept = Object.keys(customFields).filter(key => data.customFields && data.customFields[key] === customFields[key]);
+  const client = makeClientFromData({
+    ...data,
+    contacts: keepContacts ? [] : data.contacts,
+    customFields: kept.length
+      ? Object.fromEntries(Object.entries(data.customFields).filter(([key]) => !kept.includes(key)))
+      : data.customFields,
+  }, fields);
+  if (keepContacts) client.contacts = contacts;
+  for (const key of kept) {
+    client.customFields.push({ fieldId: Number(fields.find(field => field.key === key).id), value: customFields[key] });
+  }
+  await saveClientChanges(store, itemId, client, actor);
+}
+
+/**
+ * Добавляет клиенту контакт.
+ * @async
+ * @function addClientContact
+ * @param {module:storage.Store} store - Хранилище.
+ * @param {number} itemId - Идентификатор клиента.
+ * @param {{type: string, value: string}} data - Контакт из тела запроса.
+ * @param {string|null} [actor] - Кто изменяет клиента.
+ * @param {string|null} [ifMatch] - Значение заголовка If-Match, см. {@link checkClientVersion}.
+ * @returns {Promise<{id: number, type: string, value: string}>} Добавленный контакт.
+ * @throws {ApiError} Клиент не найден (код 404).
+ * @throws {ApiError} Клиент изменён после получения (код 412).
+ * @throws {ApiError} Некорректный контакт (код 422).
+ */
+async function addClientContact(store, itemId, data, actor = null, ifMatch = null) {
+  const contact = { type: data.type && String(data.type).trim() || '', value: data.value && String(data.value).trim() || '' };
+  const error = validateContact(contact);
+  if (error) throw new ApiError(422, { errors: [error] });
+
+  const client = await store.transaction(async () => {
+    const { name, surname, lastName, contacts } = await checkClientVersion(store, itemId, ifMatch);
+    await saveClientChanges(store, itemId, { name, surname, lastName, contacts: [...contacts, contact] }, actor);
+    return getClient(store, itemId);
+  });
+  // Новый контакт получает наибольший идентификатор, поэтому он последний в списке
+  return client.contacts[client.contacts.length - 1];
+}
+
+/**
+ * Удаляет контакт клиента.
+ * @async
+ * @function removeClientContact
+ * @param {module:storage.Store} store - Хранилище.
+ * @param {number} itemId - Идентификатор клиента.
+ * @param {number} contactId - Идентификатор контакта.
+ * @param {string|null} [actor] - Кто изменяет клиента.
+ * @param {string|null} [ifMatch] - Значение заголовка If-Match, см. {@link checkClientVersion}.
+ * @returns {Promise<Object>} Пустой объект.
+ * @throws {ApiError} Клиент или контакт не найдены (код 404).
+ * @throws {ApiError} Клиент изменён после получения (код 412).
+ */
+async function removeClientContact(store, itemId, contactId, actor = null, ifMatch = null) {
+  await store.transaction(async () => {
+    const { name, surname, lastName, contacts } = await checkClientVersion(store, itemId, ifMatch);
+    const kept = contacts.filter(contact => contact.id !== contactId);
+    if (kept.length === contacts.length) throw new ApiError(404, { message: 'Contact Not Found' });
+    await saveClientChanges(store, itemId, { name, surname, lastName, contacts: kept }, actor);
+  });
+  return {};
+}
+
+/**
+ * Перемещает клиента в корзину: клиент помечается временем удаления и пропадает из списка,
+ * но его можно восстановить в течение {@link TRASH_RETENTION_DAYS} дней.
+ * @async
+ * @function deleteClient
+ * @param {module:storage.Store} store - Хранилище.
+ * @param {string} itemId - Идентификатор клиента.
+ * @param {string|null} [actor] - Кто удаляет клиента.
+ * @param {string|null} [ifMatch] - Значение заголовка If-Match, см. {@link checkClientVersion}.
+ * @returns {Promise<Object>} Пустой объект.
+ * @throws {ApiError} Клиент не найден (код 404).
+ * @throws {ApiError} Клиент изменён после получения (код 412).
+ */
+async function deleteClient(store, itemId, actor = null, ifMatch = null) {
+  await store.transaction(() => trashClient(store, itemId, actor, ifMatch));
+  return {};
+}
+
+/**
+ * Перемещает клиента в корзину, см. {@link deleteClient}. Вызывается внутри транзакции.
+ * @async
+ * @function trashClient
+ * @param {module:storage.Store} store - Хранилище.
+ * @param {number} itemId - Идентификатор клиента.
+ * @param {string|null} actor - Кто удаляет клиента.
+ * @param {string|null} ifMatch - Значение заголовка If-Match.
+ * @returns {Promise<void>}
+ * @throws {ApiError} Клиент не найден (код 404).
+ * @throws {ApiError} Клиент изменён после получения (код 412).
+ */
+async function trashClient(store, itemId, actor, ifMatch) {
+  if (ifMatch) await checkClientVersion(store, itemId, ifMatch);
+  if (!(await store.clients.markDeleted(itemId))) throw new ApiError(404, { message: 'Client Not Found' });
+  const snapshot = await snapshotClient(store, itemId);
+  await recordHistory(store, itemId, 'delete', snapshot, snapshot, actor);
+}
+
+/**
+ * Восстанавливает клиента из корзины.
+ * @async
+ * @function restoreClient
+ * @param {module:storage.Store} store - Хранилище.
+ * @param {string} itemId - Идентификатор клиента.
+ * @param {string|null} [actor] - Кто восстанавливает клиента.
+ * @returns {Promise<Object>} Восстановленный объект клиента.
+ * @throws {ApiError} Клиент не найден в корзине (код 404).
+ */
+async function restoreClient(store, itemId, actor = null) {
+  await store.transaction(async () => {
+    if (!(await store.clients.restore(itemId))) throw new ApiError(404, { message: 'Client Not Found In Trash' });
+    const snapshot = await snapshotClient(store, itemId);
+    await recordHistory(store, itemId, 'restore', snapshot, snapshot, actor);
+  });
+  return getClient(store, itemId);
+}
+
+/**
+ * Получает историю изменений клиента, начиная с последнего события.
+ * История доступна и для клиентов в корзине.
+ * @async
+ * @function getClientHistory
+ * @param {module:storage.Store} store - Хранилище.
+ * @param {string} itemId - Идентификатор клиента.
+ * @returns {Promise<Array<Object>>} События с изменёнными полями и версией данных после события.
+ * @throws {ApiError} Клиент не найден (код 404).
+ */
+async function getClientHistory(store, itemId) {
+  const client = await store.clients.get(itemId);
+  if (!client) throw new ApiError(404, { message: 'Client Not Found' });
+  const entries = await store.history.list(itemId);
+  return entries.map(entry => ({
+    id: entry.id,
+    action: entry.action,
+    actor: entry.actor,
+    createdAt: toIsoDate(entry.createdAt),
+    changes: diffSnapshots(entry.before, entry.after),
+    data: entry.after,
+  }));
+}
+
+/**
+ * Переводит снимок клиента из истории в проверенные данные клиента. Метки, организация
+ * и дополнительные поля, удалённые после события, пропускаются; чего нет в снимке старого
+ * события, остаётся у клиента прежним.
+ * @async
+ * @function makeClientFromSnapshot
+ * @param {module:storage.Store} store - Хранилище.
+ * @param {Object} snapshot - Снимок из {@link snapshotClient}.
+ * @returns {Promise<Object>} Данные клиента, как из {@link makeClientFromData}.
+ * @throws {ApiError} Значение поля больше не проходит проверку (код 422).
+ */
+async function makeClientFromSnapshot(store, snapshot) {
+  const { tags, organization, customFields, ...data } = snapshot;
+  const fields = await store.customFields.list();
+  if (tags) {
+    const known = new Set((await store.tags.list()).map(tag => Number(tag.id)));
+    data.tags = tags.map(tag => tag.id).filter(id => known.has(id));
+  }
+  if (organization !== undefined) {
+    data.organizationId = organization && (await store.organizations.get(organization.id)) ? organization.id : null;
+  }
+  if (customFields) {
+    data.customFields = Object.fromEntries(Object.entries(customFields).filter(([key]) => fields.some(field => field.key === key)));
+  }
+  return makeClientFromData(data, fields);
+}
+
+/**
+ * Возвращает клиента к версии данных, получившейся после указанного события истории.
+ * Откат сам записывается в историю как событие revert.
+ * @async
+ * @function revertClient
+ * @param {module:storage.Store} store - Хранилище.
+ * @param {string} itemId - Идентификатор клиента.
+ * @param {string} entryId - Идентификатор события истории.
+ * @param {string|null} [actor] - Кто выполняет откат.
+ * @param {string|null} [ifMatch] - Значение заголовка If-Match, см. {@link checkClientVersion}.
+ * @returns {Promise<Object>} Обновлённый объект клиента.
+ * @throws {ApiError} Клиент или событие не найдены (код 404).
+ * @throws {ApiError} Клиент изменён после версии из If-Match (код 412).
+ */
+async function revertClient(store, itemId, entryId, actor = null, ifMatch = null) {
+  await store.transaction(async () => {
+    await checkClientVersion(store, itemId, ifMatch);
+    const entry = await store.history.get(itemId, entryId);
+    if (!entry || !entry.after) throw new ApiError(404, { message: 'History Entry Not Found' });
+    const client = await makeClientFromSnapshot(store, entry.after);
+    const before = await snapshotClient(store, itemId);
+    await writeClient(store, itemId, client);
+    await recordHistory(store, itemId, 'revert', before, await snapshotClient(store, itemId), actor);
+  });
+  return getClient(store, itemId);
+}
+
+/**
+ * Приводит взаимодействие из хранилища к виду, в котором его возвращает API.
+ * @function serializeInteraction
+ * @param {module:storage.Interaction} record - Взаимодействие из хранилища.
+ * @returns {Object} Объект взаимодействия.
+ */
+function serializeInteraction(record) {
+  return {
+    id: Number(record.id),
+    type: record.type,
+    date: toIsoDate(record.date),
+    text: record.text,
+    author: record.author,
+    createdAt: toIsoDate(record.createdAt),
+  };
+}
+
+/**
+ * Проверяет данные взаимодействия. Без даты взаимодействие считается состоявшимся сейчас.
+ * @function makeInteractionFromData
+ * @param {Object} data - Данные взаимодействия: `type`, `date` в формате ISO 8601 и `text`.
+ * @returns {{type: string, date: Date, text: string}} Проверенное взаимодействие.
+ * @throws {ApiError} Некорректные данные (код 422).
+ */
+function makeInteractionFromData(data) {
+  const errors = [];
+  const type = String(data.type || '');
+  const text = data.text && String(data.text).trim() || '';
+  const date = data.date === undefined || data.date === null ? new Date() : new Date(String(data.date));
+  if (!INTERACTION_TYPES.includes(type)) {
+    errors.push({ field: 'type', message: `Тип должен быть одним из: ${INTERACTION_TYPES.join(', ')}` });
+  }
+  if (Number.isNaN(date.getTime())) errors.push({ field: 'date', message: 'Ожидается дата в формате ISO 8601' });
+  if (!text) errors.push({ field: 'text', message: 'Не указан текст' });
+  if (errors.length) throw new ApiError(422, { errors });
+  return { type, date, text };
+}
+
+/**
+ * Получает взаимодействия с клиентом, начиная с последнего. Взаимодействия доступны
+ * и для клиентов в корзине.
+ * @async
+ * @function getClientInteractions
+ * @param {module:storage.Store} store - Хранилище.
+ * @param {number} itemId - Идентификатор клиента.
+ * @returns {Promise<Array<Object>>} Взаимодействия.
+ * @throws {ApiError} Клиент не найден (код 404).
+ */
+async function getClientInteractions(store, itemId) {
+  const client = await store.clients.get(itemId);
+  if (!client) throw new ApiError(404, { message: 'Client Not Found' });
+  const interactions = await store.interactions.list(itemId);
+  return interactions.map(serializeInteraction);
+}
+
+/**
+ * Получает взаимодействие с клиентом.
+ * @async
+ * @function getInteraction
+ * @param {module:storage.Store} store - Хранилище.
+ * @param {number} itemId - Идентификатор клиента.
+ * @param {number} interactionId - Идентификатор взаимодействия.
+ * @returns {Promise<Object>} Взаимодействие.
+ * @throws {ApiError} Взаимодействие не найдено (код 404).
+ */
+async function getInteraction(store, itemId, interactionId) {
+  const record = await store.interactions.get(itemId, interactionId);
+  if (!record) throw new ApiError(404, { message: 'Interaction Not Found' });
+  return serializeInteraction(record);
+}
+
+/**
+ * Записывает взаимодействие с клиентом. Автор взаимодействия — пользователь, который его записал.
+ * @async
+ * @function addClientInteraction
+ * @param {module:storage.Store} store - Хранилище.
+ * @param {number} itemId - Идентификатор клиента.
+ * @param {Object} data - Взаимодействие из тела запроса.
+ * @param {string|null} [actor] - Кто записывает взаимодействие.
+ * @returns {Promise<Object>} Новое взаимодействие.
+ * @throws {ApiError} Клиент не найден (код 404).
+ * @throws {ApiError} Некорректные данные (код 422).
+ */
+async function addClientInteraction(store, itemId, data, actor = null) {
+  const interaction = makeInteractionFromData(data);
+  const id = await store.transaction(async () => {
+    await getClient(store, itemId);
+    return store.interactions.insert(itemId, { ...interaction, author: actor });
+  });
+  return getInteraction(store, itemId, id);
+}
+
+/**
+ * Изменяет тип, дату или текст взаимодействия: поля, которых нет в данных, остаются прежними.
+ * @async
+ * @function updateClientInteraction
+ * @param {module:storage.Store} store - Хранилище.
+ * @param {number} itemId - Идентификатор клиента.
+ * @param {number} interactionId - Идентификатор взаимодействия.
+ * @param {Object} data - Изменяемые поля из тела запроса.
+ * @returns {Promise<Object>} Изменённое взаимодействие.
+ * @throws {ApiError} Клиент или взаимодействие не найдены (код 404).
+ * @throws {ApiError} Некорректные данные (код 422).
+ */
+async function updateClientInteraction(store, itemId, interactionId, data) {
+  await store.transaction(async () => {
+    await getClient(store, itemId);
+    const current = await getInteraction(store, itemId, interactionId);
+    const { type, date, text } = { ...current, ...data };
+    await store.interactions.update(itemId, interactionId, makeInteractionFromData({ type, date, text }));
+  });
+  return getInteraction(store, itemId, interactionId);
+}
+
+/**
+ * Удаляет взаимодействие с клиентом.
+ * @async
+ * @function deleteClientInteraction
+ * @param {module:storage.Store} store - Хранилище.
+ * @param {number} itemId - Идентификатор клиента.
+ * @param {number} interactionId - Идентификатор взаимодействия.
+ * @returns {Promise<Object>} Пустой объект.
+ * @throws {ApiError} Клиент или взаимодействие не найдены (код 404).
+ */
+async function deleteClientInteraction(store, itemId, interactionId) {
+  await store.transaction(async () => {
+    await getClient(store, itemId);
+    if (!(await store.interactions.remove(itemId, interactionId))) throw new ApiError(404, { message: 'Interaction Not Found' });
+  });
+  return {};
+}
+
+/**
+ * Названия колонок CSV-файла, по которым при импорте угадывается поле клиента.
+ * Названия сравниваются без учёта регистра, «ё» и «е» не различаются.
+ * @constant {Object<string, Array<string>>}
+ */
+const IMPORT_FIELD_ALIASES = {
+  surname: ['фамилия', 'surname', 'family name'],
+  name: ['имя', 'name', 'first name', 'firstname'],
+  lastName: ['отчество', 'lastname', 'patronymic', 'middle name'],
+};
+
+/**
+ * Названия колонок CSV-файла, по которым при импорте угадывается тип контакта,
+ * помимо названий самих типов из {@link CONTACT_TYPES}.
+ * @constant {Object<string, Array<string>>}
+ */
+const IMPORT_CONTACT_ALIASES = {
+  'Телефон': ['phone', 'тел', 'тел.', 'мобильный', 'мобильный телефон'],
+  'Доп. телефон': ['доп телефон', 'дополнительный телефон', 'рабочий телефон'],
+  'Email': ['e-mail', 'почта', 'электронная почта'],
+  'Vk': ['вк', 'вконтакте'],
+};
+
+/**
+ * Разбирает CSV-файл для импорта: отделяет строку заголовков от строк с данными.
+ * @function readImportFile
+ * @param {string} text - Содержимое файла.
+ * @param {string} [delimiter] - Разделитель полей. По умолчанию определяется автоматически.
+ * @returns {{delimiter: string, columns: Array<string>, rows: Array<Array<string>>}} Заголовки и строки файла.
+ * @throws {ApiError} Некорректные параметры или пустой файл (код 400).
+ */
+function readImportFile(text, delimiter = csv.detectDelimiter(text)) {
+  if (delimiter.length !== 1 || delimiter === '"') {
+    throw new ApiError(400, { errors: [{ field: 'delimiter', message: 'Разделитель должен быть одним символом, кроме кавычки' }] });
+  }
+  const [columns, ...rows] = csv.parseCsv(text, delimiter);
+  if (!columns) throw new ApiError(400, { message: 'Invalid CSV: file is empty' });
+  return { delimiter, columns: columns.map(column => column.trim()), rows };
+}
+
+/**
+ * Предлагает сопоставление колонок файла полям клиента по их названиям.
+ * @function suggestImportMapping
+ * @param {Array<string>} columns - Заголовки колонок.
+ * @returns {{surname?: string, name?: string, lastName?: string, contacts: Array<{type: string, column: string}>}} Сопоставление колонок.
+ */
+function suggestImportMapping(columns) {
+  const mapping = { contacts: [] };
+  const used = new Set();
+  const find = names => columns.find(column => !used.has(column) && names.includes(normalizeSearchText(column)));
+  // Экспорт нумерует повторяющиеся колонки контактов: «Телефон», «Телефон 2»
+  const findContact = names => columns.find(column => (
+    !used.has(column) && names.includes(normalizeSearchText(column).replace(/\s+\d+$/, ''))
+  ));
+
+  for (const [field, names] of Object.entries(IMPORT_FIELD_ALIASES)) {
+    const column = find(names);
+    if (column) {
+      mapping[field] = column;
+      used.add(column);
+    }
+  }
+  for (const { type } of CONTACT_TYPES) {
+    const names = [normalizeSearchText(type), ...(IMPORT_CONTACT_ALIASES[type] || [])];
+    let column;
+    while ((column = findContact(names))) {
+      mapping.contacts.push({ type, column });
+      used.add(column);
+    }
+  }
+  return mapping;
+}
+
+/**
+ * Проверяет сопоставление колонок и заменяет ссылки на колонки их номерами.
+ * Колонка задаётся названием из строки заголовков или номером, начиная с 0.
+ * @function resolveImportMapping
+ * @param {Object} mapping - Сопоставление колонок.
+ * @param {Array<string>} columns - Заголовки колонок.
+ * @returns {{surname: number, name: number, lastName: (number|undefined), contacts: Array<{type: string, column: number}>}} Сопоставление с номерами колонок.
+ * @throws {ApiError} Некорректное сопоставление (код 400).
+ */
+function resolveImportMapping(mapping, columns) {
+  const errors = [];
+
+  function resolveColumn(ref, field) {
+    if (ref === undefined || ref === null || ref === '') return undefined;
+    const index = columns.indexOf(String(ref).trim());
+    if (index !== -1) return index;
+    if (Number.isInteger(Number(ref)) && Number(ref) >= 0 && Number(ref) < columns.length) return Number(ref);
+    errors.push({ field, message: `Колонка «${ref}» не найдена в файле` });
+    return undefined;
+  }
+
+  const resolved = {
+    surname: resolveColumn(mapping.surname, 'mapping.surname'),
+    name: resolveColumn(mapping.name, 'mapping.name'),
+    lastName: resolveColumn(mapping.lastName, 'mapping.lastName'),
+    contacts: [],
+  };
+  if (mapping.surname === undefined) errors.push({ field: 'mapping.surname', message: 'Не выбрана колонка с фамилией' });
+  if (mapping.name === undefined) errors.push({ field: 'mapping.name', message: 'Не выбрана колонка с именем' });
+
+  (Array.isArray(mapping.contacts) ? mapping.contacts : []).forEach((contact, index) => {
+    const field = `mapping.contacts[${index}]`;
+    if (!CONTACT_TYPES.some(item => item.type === contact.type)) {
+      errors.push({ field: `${field}.type`, message: `Неизвестный тип контакта «${contact.type}»` });
+    }
+    const column = resolveColumn(contact.column, `${field}.column`);
+    if (column !== undefined) resolved.contacts.push({ type: contact.type, column });
+  });
+
+  if (errors.length) throw new ApiError(400, { errors });
+  return resolved;
+}
+
+/**
+ * Разбирает параметр `mapping` строки запроса импорта.
+ * @function parseImportMapping
+ * @param {Object} params - Параметры строки запроса.
+ * @param {Array<string>} columns - Заголовки колонок.
+ * @returns {Object} Сопоставление колонок из запроса или предложенное по заголовкам.
+ * @throws {ApiError} Параметр не является JSON-объектом (код 400).
+ */
+function parseImportMapping(params, columns) {
+  if (!params.mapping) return suggestImportMapping(columns);
+  let mapping;
+  try {
+    mapping = JSON.parse(params.mapping);
+  } catch (err) {
+    mapping = null;
+  }
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+    throw new ApiError(400, { errors: [{ field: 'mapping', message: 'Ожидается JSON-объект' }] });
+  }
+  return mapping;
+}
+
+/**
+ * Формирует ключ для поиска дубликатов: ФИО без учёта регистра и различия «ё» и «е».
+ * @function makeFioKey
+ * @param {{surname: string, name: string, lastName: string}} client - Клиент.
+ * @returns {string} Ключ.
+ */
+function makeFioKey({ surname, name, lastName }) {
+  return normalizeSearchText([surname, name, lastName].join(' ').replace(/\s+/g, ' ').trim());
+}
+
+/**
+ * Нормализует значение контакта для сравнения: у телефонов остаются последние 10 цифр,
+ * остальные значения сравниваются без учёта регистра.
+ * @function makeContactKey
+ * @param {{type: string, value: string}} contact - Контакт.
+ * @returns {string} Ключ.
+ */
+function makeContactKey({ type, value }) {
+  const contactType = CONTACT_TYPES.find(item => item.type === type);
+  if (contactType && contactType.kind === 'phone') return value.replace(/\D/g, '').slice(-10);
+  return value.toLowerCase();
+}
+
+/**
+ * Ищет среди известных клиентов дубликат импортируемого: клиента с тем же ФИО,
+ * у которого есть общий контакт, либо у обоих нет контактов.
+ * @function findImportDuplicate
+ * @param {Map<string, Array<{id: (number|null), row: (number|undefined), contacts: Set<string>}>>} known - Известные клиенты по ключу ФИО; у клиентов из файла указан номер строки.
+ * @param {Object} client - Импортируемый клиент.
+ * @returns {{id: (number|null), row: (number|undefined)}|undefined} Найденный дубликат.
+ */
+function findImportDuplicate(known, client) {
+  const contacts = client.contacts.map(makeContactKey);
+  return (known.get(makeFioKey(client)) || []).find(item => (
+    contacts.length || item.contacts.size
+      ? contacts.some(contact => item.contacts.has(contact))
+      : true
+  ));
+}
+
+/**
+ * Добавляет клиента к известным клиентам с тем же ФИО.
+ * @function addKnownClient
+ * @param {Map<string, Array<{id: (number|null), row: (number|undefined), contacts: Set<string>}>>} known - Известные клиенты по ключу ФИО.
+ * @param {Object} client - Клиент с ФИО и контактами.
+ * @param {{id: (number|null), row: (number|undefined)}} item - Идентификатор клиента и номер строки файла.
+ */
+function addKnownClient(known, client, item) {
+  const key = makeFioKey(client);
+  const entry = { ...item, contacts: new Set(client.contacts.map(makeContactKey)) };
+  const list = known.get(key);
+  if (list) list.push(entry);
+  else known.set(key, [entry]);
+}
+
+/**
+ * Загружает ФИО и контакты клиентов, кроме удалённых, которые могут оказаться дубликатами
+ * импортируемых: хранилище отбирает их по ключам {@link module:duplicates.makeMatchKeys},
+ * поэтому вся база не загружается.
+ * @async
+ * @function loadImportDuplicates
+ * @param {module:storage.Store} store - Хранилище.
+ * @param {Array<{surname: string, name: string, contacts: Array<{type: string, value: string}>}>} clients - Импортируемые клиенты.
+ * @returns {Promise<Map<string, Array<{id: number, contacts: Set<string>}>>>} Клиенты по ключу ФИО.
+ */
+async function loadImportDuplicates(store, clients) {
+  const known = new Map();
+  for (const record of await store.clients.getMany(await store.clients.findMatches(clients))) {
+    addKnownClient(known, record, { id: record.id });
+  }
+  return known;
+}
+
+/**
+ * Возвращает сведения о CSV-файле, нужные для сопоставления колонок: кодировку,
+ * разделитель, заголовки, предложенное сопоставление и первые строки с данными.
+ * @function previewImport
+ * @param {{text: string, encoding: string}} file - Содержимое файла.
+ * @param {Object} params - Параметры строки запроса.
+ * @returns {Object} Сведения о файле.
+ * @throws {ApiError} Некорректные параметры или пустой файл (код 400).
+ */
+function previewImport({ text, encoding }, params) {
+  const { delimiter, columns, rows } = readImportFile(text, params.delimiter || undefined);
+  return {
+    encoding,
+    delimiter,
+    columns,
+    mapping: suggestImportMapping(columns),
+    rows: rows.slice(0, IMPORT_PREVIEW_ROWS),
+    total: rows.length,
+  };
+}
+
+/**
+ * Импортирует клиентов из CSV-файла. Каждая строка проверяется {@link makeClientFromData};
+ * пустые строки и дубликаты (в базе или выше в файле) пропускаются, строки с ошибками
+ * не мешают импорту остальных. Все клиенты создаются в одной транзакции.
+ * В режиме проверки (`dryRun=true`) отчёт формируется без записи в базу.
+ * @async
+ * @function importClients
+ * @param {module:storage.Store} store - Хранилище.
+ * @param {{text: string, encoding: string}} file - Содержимое файла.
+ * @param {Object} params - Параметры строки запроса: `mapping`, `delimiter`, `dryRun`.
+ * @param {string|null} [actor] - Кто выполняет импорт.
+ * @returns {Promise<Object>} Отчёт об импорте со сводкой и результатом каждой строки.
+ * @throws {ApiError} Некорректные параметры или пустой файл (код 400).
+ */
+async function importClients(store, { text, encoding }, params, actor = null) {
+  const { delimiter, columns, rows } = readImportFile(text, params.delimiter || undefined);
+  const mapping = resolveImportMapping(parseImportMapping(params, columns), columns);
+  const dryRun = params.dryRun === 'true' || params.dryRun === '1';
+  const readRow = (cells) => {
+    const cell = column => (column === undefined ? '' : cells[column] || '');
+    return {
+      surname: cell(mapping.surname),
+      name: cell(mapping.name),
+      lastName: cell(mapping.lastName),
+      contacts: mapping.contacts
+        .map(({ type, column }) => ({ type, value: cell(column) }))
+        .filter(contact => contact.value.trim()),
+    };
+  };
+
+  const importRows = async () => {
+    const known = await loadImportDuplicates(store, rows.map(readRow));
+    const report = [];
+
+    for (const [index, cells] of rows.entries()) {
+      const row = index + 2;
+      if (cells.every(cell => !cell.trim())) {
+        report.push({ row, status: 'skipped', reason: 'Пустая строка' });
+        continue;
+      }
+
+      let client;
+      try {
+        client = makeClientFromData(readRow(cells));
+      } catch (err) {
+        if (!(err instanceof ApiError)) throw err;
+        report.push({
+          row,
+          status: 'failed',
+          reason: err.data.errors.map(error => error.message).join('; '),
+          errors: err.data.errors,
+        });
+        continue;
+      }
+
+      const duplicate = findImportDuplicate(known, client);
+      if (duplicate) {
+        report.push({
+          row,
+          status: 'skipped',
+          reason: duplicate.row ? `Повторяет строку ${duplicate.row}` : 'Клиент уже есть в базе',
+          duplicateOf: duplicate.id,
+        });
+        continue;
+      }
+
+      const id = dryRun ? null : await insertClient(store, client, actor);
+      addKnownClient(known, client, { id, row });
+      report.push(dryRun ? { row, status: 'created' } : { row, status: 'created', id });
+    }
+    return report;
+  };
+
+  const report = dryRun ? await importRows() : await store.transaction(importRows);
+  const summary = { total: report.length, created: 0, skipped: 0, failed: 0 };
+  for (const { status } of report) summary[status]++;
+
+  return { dryRun, encoding, delimiter, summary, rows: report };
+}
+
+/**
+ * Ищет среди клиентов возможные совпадения с карточкой vCard: клиентов с тем же ФИО
+ * и клиентов с общим телефоном или e-mail. Клиенты с тем же ФИО идут первыми.
+ * @function findVCardMatches
+ * @param {Map<string, Array<{id: number, contacts: Set<string>}>>} known - Клиенты по ключу ФИО из {@link loadImportDuplicates}.
+ * @param {Map<string, Set<number>>} byContact - Идентификаторы клиентов по ключу контакта.
+ * @param {Object} client - Данные клиента из карточки.
+ * @returns {Array<number>} Идентификаторы совпавших клиентов.
+ */
+function findVCardMatches(known, byContact, client) {
+  const ids = new Set((known.get(makeFioKey(client)) || []).map(item => item.id));
+  for (const contact of client.contacts) {
+    if (isMatchingContact(contact)) {
+      for (const id of byContact.get(makeContactKey(contact)) || []) ids.add(id);
+    }
+  }
+  return [...ids];
+}
+
+/**
+ * Проверяет, подходит ли контакт для поиска совпадений: совпадают только телефоны и e-mail.
+ * @function isMatchingContact
+ * @param {{type: string}} contact - Контакт.
+ * @returns {boolean} Подходит ли контакт.
+ */
+function isMatchingContact({ type }) {
+  const contactType = CONTACT_TYPES.find(item => item.type === type);
+  return Boolean(contactType) && ['phone', 'email'].includes(contactType.kind);
+}
+
+/**
+ * Дополняет контакты клиента контактами из карточки, которых у него ещё нет.
+ * @function mergeContacts
+ * @param {Array<{type: string, value: string}>} contacts - Контакты клиента.
+ * @param {Array<{type: string, value: string}>} added - Контакты из карточки.
+ * @returns {Array<{type: string, value: string}>} Объединённые контакты.
+ */
+function mergeContacts(contacts, added) {
+  const keys = new Set(contacts.map(makeContactKey));
+  return [...contacts, ...added.filter(contact => !keys.has(makeContactKey(contact)))];
+}
+
+/**
+ * Разбирает файл vCard 2.1, 3.0 или 4.0 и сопоставляет каждую карточку с существующими клиентами.
+ * Для каждой карточки предлагается действие: `create`, если совпадений нет, `skip`, если
+ * клиент с тем же ФИО уже содержит все её контакты, и `merge` с первым совпавшим клиентом в остальных случаях.
+ * Карточки с некорректными данными предлагается пропустить. В базу ничего не записывается.
+ * @async
+ * @function previewVCardImport
+ * @param {module:storage.Store} store - Хранилище.
+ * @param {{text: string, encoding: string}} file - Содержимое файла.
+ * @returns {Promise<{encoding: string, cards: Array<Object>}>} Карточки с совпадениями и предложенным действием.
+ * @throws {ApiError} В файле нет карточек (код 400).
+ */
+async function previewVCardImport(store, { text, encoding }) {
+  const cards = vcard.parseVCards(text);
+  if (!cards.length) throw new ApiError(400, { message: 'Invalid vCard: file has no BEGIN:VCARD' });
+
+  const known = await loadImportDuplicates(store, cards);
+  const byContact = new Map();
+  for (const items of known.values()) {
+    for (const { id, contacts } of items) {
+      for (const key of contacts) byContact.set(key, new Set([...(byContact.get(key) || []), id]));
+    }
+  }
+
+  const result = [];
+  for (const [index, data] of cards.entries()) {
+    let client;
+    try {
+      client = makeClientFromData(data);
+    } catch (err) {
+      if (!(err instanceof ApiError)) throw err;
+      result.push({ index, client: data, errors: err.data.errors, matches: [], action: 'skip', targetId: null });
+      continue;
+    }
+
+    const matches = [];
+    for (const id of findVCardMatches(known, byContact, client).slice(0, 5)) {
+      matches.push(await getClient(store, id));
+    }
+    const [target] = matches;
+    const duplicate = target && makeFioKey(target) === makeFioKey(client) &&
+      mergeContacts(target.contacts, client.contacts).length === target.contacts.length;
+    result.push({
+      index,
+      client,
+      matches,
+      action: target ? (duplicate ? 'skip' : 'merge') : 'create',
+      targetId: target ? target.id : null,
+    });
+  }
+  return { encoding, cards: result };
+}
+
+/**
+ * Импортирует карточки vCard с выбранными для каждой действиями: `create` создаёт
+ * клиента, `merge` добавляет контакты карточки клиенту `targetId` (и отчество, если
+ * его не было), `skip` пропускает карточку. Объединить карточку можно только с клиентом не из корзины.
+ * Ошибка в одной карточке не мешает остальным, все изменения выполняются в одной транзакции.
+ * @async
+ * @function importVCards
+ * @param {module:storage.Store} store - Хранилище.
+ * @param {{cards: Array<{action: string, client: Object, targetId: (number|undefined)}>}} data - Карточки из {@link previewVCardImport} с выбранными действиями.
+ * @param {string|null} [actor] - Кто выполняет импорт.
+ * @returns {Promise<Object>} Отчёт об импорте со сводкой и результатом каждой карточки.
+ * @throws {ApiError} Некорректные данные (код 422).
+ */
+async function importVCards(store, data, actor = null) {
+  const cards = data.cards;
+  if (!Array.isArray(cards)) {
+    throw new ApiError(422, { errors: [{ field: 'cards', message: 'Ожидается массив карточек' }] });
+  }
+  const errors = [];
+  cards.forEach((card, index) => {
+    if (!card || !VCARD_IMPORT_ACTIONS.includes(card.action)) {
+      errors.push({ field: `cards[${index}].action`, message: `Ожидается одно из действий: ${VCARD_IMPORT_ACTIONS.join(', ')}` });
+    } else if (card.action === 'merge' && !(Number.isSafeInteger(card.targetId) && card.targetId > 0)) {
+      errors.push({ field: `cards[${index}].targetId`, message: 'Не указан клиент, с которым объединяется карточка' });
+    }
+  });
+  if (errors.length) throw new ApiError(422, { errors });
+
+  const report = await store.transaction(async () => {
+    const rows = [];
+    for (const [index, { action, client: cardClient, targetId }] of cards.entries()) {
+      if (action === 'skip') {
+        rows.push({ index, status: 'skipped' });
+        continue;
+      }
+      try {
+        const client = makeClientFromData(cardClient || {});
+        if (action === 'create') {
+          rows.push({ index, status: 'created', id: await insertClient(store, client, actor) });
+          continue;
+        }
+
+        const target = await store.clients.get(targetId);
+        if (!target || target.deletedAt) throw new ApiError(404, { message: 'Client Not Found' });
+        const before = await snapshotClient(store, targetId);
+        await writeClient(store, targetId, {
+          name: before.name,
+          surname: before.surname,
+          lastName: before.lastName || client.lastName,
+          contacts: mergeContacts(before.contacts, client.contacts),
+        });
+        await recordHistory(store, targetId, 'update', before, await snapshotClient(store, targetId), actor);
+        rows.push({ index, status: 'merged', id: targetId });
+      } catch (err) {
+        if (!(err instanceof ApiError)) throw err;
+        const reason = err.data.message || err.data.errors.map(error => error.message).join('; ');
+        rows.push({ index, status: 'failed', reason, errors: err.data.errors });
+      }
+    }
+    return rows;
+  });
+
+  const summary = { total: report.length, created: 0, merged: 0, skipped: 0, failed: 0 };
+  for (const { status } of report) summary[status]++;
+  return { summary, cards: report };
+}
+
+/**
+ * Загружает ФИО клиентов с ключами их телефонов и e-mail для поиска дубликатов.
+ * @async
+ * @function loadDuplicateCandidates
+ * @param {module:storage.Store} store - Хранилище.
+ * @param {Array<number>} ids - Идентификаторы клиентов.
+ * @returns {Promise<Array<{id: number, surname: string, name: string, lastName: string, contacts: Map<string, string>}>>} Клиенты; контакты — значения по ключам.
+ */
+async function loadDuplicateCandidates(store, ids) {
+  const records = await store.clients.getMany(ids);
+  return records.map(({ id, name, surname, lastName, contacts }) => ({
+    id,
+    name,
+    surname,
+    lastName: lastName || '',
+    contacts: new Map(contacts.filter(isMatchingContact).map(contact => [makeContactKey(contact), contact.value])),
+  }));
+}
+
+/**
+ * Оценивает, насколько вероятно, что два клиента — один человек. Основа оценки —
+ * похожесть ФИО из {@link module:duplicates.nameSimilarity}; общий телефон или e-mail
+ * поднимает её: `0.5 + 0.5 × похожесть ФИО`.
+ * @function scoreDuplicate
+ * @param {{surname: string, name: string, lastName: string, contacts: Map<string, string>}} a - Первый клиент.
+ * @param {{surname: string, name: string, lastName: string, contacts: Map<string, string>}} b - Второй клиент.
+ * @returns {{score: number, reasons: Array<string>}} Оценка от 0 до 1 и её объяснение.
+ */
+function scoreDuplicate(a, b) {
+  const nameScore = duplicates.nameSimilarity(a, b);
+  const shared = [...a.contacts.keys()].filter(key => b.contacts.has(key));
+  const reasons = [];
+  if (nameScore === 1) reasons.push('Совпадает ФИО');
+  else if (nameScore >= 0.5) reasons.push(`Похожее ФИО (${Math.round(nameScore * 100)}%)`);
+  for (const key of shared) reasons.push(`Общий контакт ${a.contacts.get(key)}`);
+
+  const score = shared.length ? 0.5 + 0.5 * nameScore : nameScore;
+  return { score: Math.round(score * 100) / 100, reasons };
+}
+
+/**
+ * Разбирает порог оценки из параметра `threshold` строки запроса.
+ * @function parseThreshold
+ * @param {Object} params - Параметры строки запроса.
+ * @returns {number} Порог от 0 до 1.
+ * @throws {ApiError} Некорректный порог (код 400).
+ */
+function parseThreshold(params) {
+  if (params.threshold === undefined || params.threshold === '') return DUPLICATE_THRESHOLD;
+  const threshold = Number(params.threshold);
+  if (!(threshold >= 0 && threshold <= 1)) {
+    throw new ApiError(400, { errors: [{ field: 'threshold', message: 'Ожидается число от 0 до 1' }] });
+  }
+  return threshold;
+}
+
+/**
+ * Находит пары вероятных дубликатов среди всех клиентов. Чтобы не сравнивать каждого
+ * с каждым, хранилище отбирает группы клиентов с общим ключом {@link module:duplicates.makeMatchKeys}:
+ * похожей фамилией, теми же фамилией и именем в любом порядке, общим телефоном или e-mail.
+ * Сравниваются только клиенты одной группы. Пары упорядочены по убыванию оценки.
+ * @async
+ * @function findDuplicates
+ * @param {module:storage.Store} store - Хранилище.
+ * @param {Object} params - Параметры строки запроса: `threshold`, `page`, `limit`.
+ * @returns {Promise<{pairs: Array<{score: number, reasons: Array<string>, clients: Array<Object>}>, total: number, page: number, limit: number}>} Страница пар и общее их количество.
+ * @throws {ApiError} Некорректные параметры (код 400).
+ */
+async function findDuplicates(store, params) {
+  const { page, limit } = parseListParams(params);
+  const threshold = parseThreshold(params);
+  const groups = await store.clients.listMatchGroups();
+  const candidates = new Map((await loadDuplicateCandidates(store, [...new Set(groups.flat())]))
+    .map(candidate => [candidate.id, candidate]));
+
+  const compared = new Set();
+  const pairs = [];
+  for (const ids of groups) {
+    for (let i = 0; i < ids.length; i++) {
+      for (let j = i + 1; j < ids.length; j++) {
+        const key = `${ids[i]}:${ids[j]}`;
+        if (compared.has(key)) continue;
+        compared.add(key);
+        const [a, b] = [candidates.get(ids[i]), candidates.get(ids[j])];
+        const { score, reasons } = scoreDuplicate(a, b);
+        if (score >= threshold) pairs.push({ score, reasons, ids: [a.id, b.id] });
+      }
+    }
+  }
+  pairs.sort((a, b) => b.score - a.score || a.ids[0] - b.ids[0] || a.ids[1] - b.ids[1]);
+
+  const pagePairs = pairs.slice((page - 1) * limit, page * limit);
+  const ids = [...new Set(pagePairs.flatMap(pair => pair.ids))];
+  const records = await store.clients.getMany(ids);
+  const clients = new Map(records.map(record => [record.id, serializeClient(record)]));
+
+  return {
+    pairs: pagePairs.map(({ score, reasons, ids: pairIds }) => ({ score, reasons, clients: pairIds.map(id => clients.get(id)) })),
+    total: pairs.length,
+    page,
+    limit,
+  };
+}
+
+/**
+ * Ищет существующих клиентов, похожих на ещё не сохранённого. Используется формой
+ * «Новый клиент», чтобы предупредить о дубликате до создания.
+ * @async
+ * @function checkDuplicates
+ * @param {module:storage.Store} store - Хранилище.
+ * @param {Object} data - Данные нового клиента: ФИО и контакты.
+ * @param {Object} params - Параметры строки запроса: `threshold`.
+ * @returns {Promise<Array<{score: number, reasons: Array<string>, client: Object}>>} До пяти похожих клиентов по убыванию оценки.
+ * @throws {ApiError} Некорректные параметры (код 400).
+ */
+async function checkDuplicates(store, data, params) {
+  const threshold = parseThreshold(params);
+  const asString = value => (value ? String(value).trim() : '');
+  const contacts = (Array.isArray(data.contacts) ? data.contacts : [])
+    .map(contact => ({ type: asString(contact.type), value: asString(contact.value) }))
+    .filter(contact => contact.value && isMatchingContact(contact));
+  const client = {
+    surname: asString(data.surname),
+    name: asString(data.name),
+    lastName: asString(data.lastName),
+    contacts: new Map(contacts.map(contact => [makeContactKey(contact), contact.value])),
+  };
+  if (!client.surname && !client.name && !client.contacts.size) return [];
+
+  const similar = await store.clients.findMatches([{ ...client, contacts }]);
+  const matches = (await loadDuplicateCandidates(store, similar))
+    .map(candidate => ({ id: candidate.id, ...scoreDuplicate(client, candidate) }))
+    .filter(match => match.score >= threshold)
+    .sort((a, b) => b.score - a.score || a.id - b.id)
+    .slice(0, 5);
+
+  const result = [];
+  for (const { id, score, reasons } of matches) result.push({ score, reasons, client: await getClient(store, id) });
+  return result;
+}
+
+/**
+ * Объединяет дубликаты в одного клиента. Остаётся клиент `targetId`: его ФИО сохраняется
+ * (пустое отчество берётся у дубликатов), к его контактам добавляются контакты дубликатов,
+ * которых у него не было, к меткам — метки дубликатов, а история и взаимодействия дубликатов переносятся к нему.
+ * Место работы и незаполненные дополнительные поля так же берутся у первого дубликата, у которого они есть.
+ * Сами дубликаты удаляются окончательно, минуя корзину.
+ * @async
+ * @function mergeClients
+ * @param {module:storage.Store} store - Хранилище.
+ * @param {{targetId: number, sourceIds: Array<number>}} data - Оставляемый клиент и дубликаты.
+ * @param {string|null} [actor] - Кто объединяет клиентов.
+ * @returns {Promise<Object>} Объединённый клиент.
+ * @throws {ApiError} Некорректные данные (код 422).
+ * @throws {ApiError} Клиент не найден (код 404).
+ */
+async function mergeClients(store, data, actor = null) {
+  const targetId = Number(data.targetId);
+  const sourceIds = Array.isArray(data.sourceIds) ? [...new Set(data.sourceIds.map(Number))] : [];
+  const errors = [];
+  if (!Number.isInteger(targetId)) errors.push({ field: 'targetId', message: 'Не указан клиент, который останется' });
+  if (!sourceIds.length || !sourceIds.every(Number.isInteger)) {
+    errors.push({ field: 'sourceIds', message: 'Не указаны клиенты, которые нужно объединить' });
+  } else if (sourceIds.includes(targetId)) {
+    errors.push({ field: 'sourceIds', message: 'Клиент не может быть объединён сам с собой' });
+  }
+  if (errors.length) throw new ApiError(422, { errors });
+
+  await store.transaction(async () => {
+    const ids = [targetId, ...sourceIds];
+    const found = (await store.clients.getMany(ids)).filter(record => !record.deletedAt);
+    if (found.length !== ids.length) throw new ApiError(404, { message: 'Client Not Found' });
+
+    const before = await snapshotClient(store, targetId);
+    const records = new Map(found.map(record => [Number(record.id), record]));
+    const target = records.get(targetId);
+    const merged = {
+      name: before.name,
+      surname: before.surname,
+      lastName: before.lastName,
+      contacts: before.contacts,
+      tags: [...new Set(found.flatMap(record => record.tags.map(tag => Number(tag.id))))],
+    };
+    const values = { ...target.customFields };
+    for (const sourceId of sourceIds) {
+      const source = await snapshotClient(store, sourceId);
+      const { organization, customFields } = records.get(sourceId);
+      merged.lastName = merged.lastName || source.lastName;
+      merged.contacts = mergeContacts(merged.contacts, source.contacts);
+      if (!target.organization && !merged.organization && organization) {
+        merged.organization = { id: Number(organization.id), jobTitle: organization.jobTitle };
+      }
+      for (const [key, value] of Object.entries(customFields)) {
+        if (!(key in values)) values[key] = value;
+      }
+    }
+    const fields = await store.customFields.list();
+    merged.customFields = fields
+      .filter(field => field.key in values)
+      .map(field => ({ fieldId: Number(field.id), value: values[field.key] }));
+
+    await writeClient(store, targetId, merged);
+    await store.history.reassign(sourceIds, targetId);
+    await store.interactions.reassign(sourceIds, targetId);
+    await store.deals.reassign(sourceIds, targetId);
+    await store.tasks.reassign(sourceIds, targetId);
+    await store.clients.remove(sourceIds);
+    await recordHistory(store, targetId, 'merge', before, await snapshotClient(store, targetId), actor);
+  });
+  return getClient(store, targetId);
+}
+
+/**
+ * Проверяет операции пакетного запроса и права пользователя на каждое действие.
+ * @function parseBulkOperations
+ * @param {Object} data - Тело запроса.
+ * @param {Object} user - Пользователь.
+ * @returns {{operations: Array<Object>, atomic: boolean}} Операции и режим выполнения.
+ * @throws {ApiError} Роли не разрешено одно из действий (код 403).
+ * @throws {ApiError} Некорректные операции (код 422).
+ */
+function parseBulkOperations(data, user) {
+  const { operations, atomic = true } = data;
+  const errors = [];
+  if (typeof atomic !== 'boolean') errors.push({ field: 'atomic', message: 'Ожидается true или false' });
+  if (!Array.isArray(operations) || !operations.length) {
+    errors.push({ field: 'operations', message: 'Ожидается непустой массив операций' });
+  } else if (operations.length > BULK_MAX_OPERATIONS) {
+    errors.push({ field: 'operations', message: `Не больше ${BULK_MAX_OPERATIONS} операций в одном запросе` });
+  } else {
+    operations.forEach((operation, index) => {
+      const { action, id, version } = operation || {};
+      if (!Object.prototype.hasOwnProperty.call(BULK_ACTIONS, action)) {
+        errors.push({ field: `operations[${index}].action`, message: `Ожидается одно из действий: ${Object.keys(BULK_ACTIONS).join(', ')}` });
+        return;
+      }
+      if (action !== 'create' && !(Number.isSafeInteger(id) && id > 0)) {
+        errors.push({ field: `operations[${index}].id`, message: 'Ожидается целое положительное число' });
+      }
+      if (version !== undefined && !(Number.isSafeInteger(version) && version > 0)) {
+        errors.push({ field: `operations[${index}].version`, message: 'Ожидается целое положительное число' });
+      }
+    });
+  }
+  if (errors.length) throw new ApiError(422, { errors });
+
+  for (const action of new Set(operations.map(operation => operation.action))) authorize(user, BULK_ACTIONS[action]);
+  return { operations, atomic };
+}
+
+/**
+ * Выполняет пакет операций над клиентами в одной транзакции: `create` создаёт клиента из `data`,
+ * `update` применяет к клиенту `id` JSON Merge Patch из `data`, `delete` перемещает клиента `id`
+ * в корзину. Если в операции указана `version`, клиент изменяется, только если его версия совпадает.
+ *
+ * В режиме «всё или ничего» (`atomic`, по умолчанию) первая же ошибка отменяет весь пакет,
+ * и сервер отвечает 422 с ошибками этой операции. Без него операции с ошибками пропускаются,
+ * а остальные выполняются; результат каждой операции есть в отчёте.
+ * @async
+ * @function bulkClients
+ * @param {module:storage.Store} store - Хранилище.
+ * @param {{operations: Array<Object>, atomic: boolean}} data - Тело запроса.
+ * @param {Object} user - Пользователь; ему должно быть разрешено каждое действие пакета.
+ * @returns {Promise<Object>} Отчёт со сводкой и результатом каждой операции.
+ * @throws {ApiError} Роли не разрешено одно из действий (код 403).
+ * @throws {ApiError} Некорректные операции или ошибка в операции в режиме «всё или ничего» (код 422).
+ */
+async function bulkClients(store, data, user) {
+  const { operations, atomic } = parseBulkOperations(data, user);
+  const actor = user.login;
+
+  const results = await store.transaction(async () => {
+    const fields = await store.customFields.list();
+    const rows = [];
+    for (const [index, { action, id, version, data: clientData }] of operations.entries()) {
+      const ifMatch = version === undefined ? null : `"${version}"`;
+      try {
+        if (action === 'create') {
+          rows.push({ index, status: 'created', id: await insertClient(store, makeClientFromData(clientData || {}, fields), actor) });
+        } else if (action === 'update') {
+          await applyClientPatch(store, id, clientData || {}, actor, ifMatch);
+          rows.push({ index, status: 'updated', id });
+        } else {
+          await trashClient(store, id, actor, ifMatch);
+          rows.push({ index, status: 'deleted', id });
+        }
+      } catch (err) {
+        if (!(err instanceof ApiError)) throw err;
+        const errors = err.data.errors
+          ? err.data.errors.map(error => ({ field: `operations[${index}].data.${error.field}`, message: error.message }))
+          : [{ field: `operations[${index}]`, message: err.data.message }];
+        // Ошибка выходит из транзакции, и все выполненные операции пакета отменяются
+        if (atomic) throw new ApiError(422, { errors });
+        rows.push({ index, status: 'failed', ...(id ? { id } : {}), errors });
+      }
+    }
+    return rows;
+  });
+
+  const summary = { total: results.length, created: 0, updated: 0, deleted: 0, failed: 0 };
+  for (const { status } of results) summary[status]++;
+  return { summary, results };
+}
+
+/**
+ * Получает список меток с числом действующих клиентов у каждой.
+ * @async
+ * @function getTagList
+ * @param {module:storage.Store} store - Хранилище.
+ * @returns {Promise<Array<{id: number, name: string, color: string, clients: number}>>} Метки по названию.
+ */
+async function getTagList(store) {
+  const tags = await store.tags.list();
+  return tags.map(tag => ({ ...serializeTag(tag), clients: Number(tag.clients) }));
+}
+
+/**
+ * Получает метку по ID.
+ * @async
+ * @function getTag
+ * @param {module:storage.Store} store - Хранилище.
+ * @param {number} tagId - Идентификатор метки.
+ * @returns {Promise<{id: number, name: string, color: string}>} Метка.
+ * @throws {ApiError} Метка не найдена (код 404).
+ */
+async function getTag(store, tagId) {
+  const tag = await store.tags.get(tagId);
+  if (!tag) throw new ApiError(404, { message: 'Tag Not Found' });
+  return serializeTag(tag);
+}
+
+/**
+ * Проверяет данные метки. Названия меток сравниваются без учёта регистра, поэтому
+ * двух меток «VIP» и «vip» быть не может.
+ * @async
+ * @function makeTagFromData
+ * @param {module:storage.Store} store - Хранилище.
+ * @param {Object} data - Данные метки: `name` и цвет `color` в виде `#rrggbb`.
+ * @param {number|null} [tagId] - Идентификатор изменяемой метки.
+ * @returns {Promise<{name: string, color: string}>} Проверенная метка.
+ * @throws {ApiError} Некорректные данные (код 422).
+ */
+async function makeTagFromData(store, data, tagId = null) {
+  const errors = [];
+  const name = String(data.name || '').trim();
+  const color = String(data.color || DEFAULT_TAG_COLOR).trim().toLowerCase();
+  if (!name) errors.push({ field: 'name', message: 'Не указано название метки' });
+  else if (name.length > MAX_TAG_NAME_LENGTH) errors.push({ field: 'name', message: `Название метки не может быть длиннее ${MAX_TAG_NAME_LENGTH} символов` });
+  if (!/^#[0-9a-f]{6}$/.test(color)) errors.push({ field: 'color', message: 'Цвет должен быть указан в виде #rrggbb' });
+  if (!errors.length) {
+    const tags = await store.tags.list();
+    if (tags.some(tag => Number(tag.id) !== tagId && tag.name.toLowerCase() === name.toLowerCase())) {
+      errors.push({ field: 'name', message: 'Метка с таким названием уже существует' });
+    }
+  }
+  if (errors.length) throw new ApiError(422, { errors });
+  return { name, color };
+}
+
+/**
+ * Создаёт метку.
+ * @async
+ * @function createTag
+ * @param {module:storage.Store} store - Хранилище.
+ * @param {Object} data - Данные метки из тела запроса.
+ * @returns {Promise<{id: number, name: string, color: string}>} Новая метка.
+ * @throws {ApiError} Некорректные данные (код 422).
+ */
+async function createTag(store, data) {
+  const id = await store.transaction(async () => store.tags.insert(await makeTagFromData(store, data)));
+  return getTag(store, id);
+}
+
+/**
+ * Изменяет название или цвет метки: поля, которых нет в данных, остаются прежними.
+ * @async
+ * @function updateTag
+ * @param {module:storage.Store} store - Хранилище.
+ * @param {number} tagId - Идентификатор метки.
+ * @param {Object} data - Изменяемые поля из тела запроса.
+ * @returns {Promise<{id: number, name: string, color: string}>} Изменённая метка.
+ * @throws {ApiError} Метка не найдена (код 404).
+ * @throws {ApiError} Некорректные данные (код 422).
+ */
+async function updateTag(store, tagId, data) {
+  await store.transaction(async () => {
+    const current = await getTag(store, tagId);
+    const tag = await makeTagFromData(store, { ...current, ...data }, tagId);
+    await store.tags.update(tagId, tag);
+  });
+  return getTag(store, tagId);
+}
+
+/**
+ * Удаляет метку и снимает её со всех клиентов; у каждого из них изменение записывается в историю.
+ * @async
+ * @function deleteTag
+ * @param {module:storage.Store} store - Хранилище.
+ * @param {number} tagId - Идентификатор метки.
+ * @param {string|null} [actor] - Кто удаляет метку.
+ * @returns {Promise<Object>} Пустой объект.
+ * @throws {ApiError} Метка не найдена (код 404).
+ */
+async function deleteTag(store, tagId, actor = null) {
+  const removed = await store.transaction(() => (
+    changeAffectedClients(store, [{ tags: [tagId] }], () => store.tags.remove(tagId), actor)
+  ));
+  if (!removed) throw new ApiError(404, { message: 'Tag Not Found' });
+  return {};
+}
+
+/**
+ * Приводит организацию из хранилища к виду, в котором её возвращает API.
+ * @function serializeOrganization
+ * @param {module:storage.Organization} record - Организация из хранилища.
+ * @returns {Object} Объект организации с числом сотрудников.
+ */
+function serializeOrganization(record) {
+  return {
+    id: Number(record.id),
+    name: record.name,
+    inn: record.inn,
+    kpp: record.kpp,
+    address: record.address,
+    website: record.website,
+    employeeCount: Number(record.employees),
+    createdAt: toIsoDate(record.createdAt),
+    updatedAt: toIsoDate(record.updatedAt),
+  };
+}
+
+/**
+ * Проверяет контрольные цифры ИНН: 10 цифр у организации, 12 — у индивидуального предпринимателя.
+ * @function isValidInn
+ * @param {string} inn - ИНН.
+ * @returns {boolean} ИНН корректен.
+ */
+function isValidInn(inn) {
+  if (!/^\d{10}(\d{2})?$/.test(inn)) return false;
+  const digits = [...inn].map(Number);
+  const checksum = weights => weights.reduce((sum, weight, index) => sum + weight * digits[index], 0) % 11 % 10;
+  if (digits.length === 10) return checksum([2, 4, 10, 3, 5, 9, 4, 6, 8]) === digits[9];
+  return checksum([7, 2, 4, 10, 3, 5, 9, 4, 6, 8]) === digits[10]
+    && checksum([3, 7, 2, 4, 10, 3, 5, 9, 4, 6, 8]) === digits[11];
+}
+
+/**
+ * Получает список организаций с числом действующих клиентов, которые в них работают.
+ * @async
+ * @function getOrganizationList
+ * @param {module:storage.Store} store - Хранилище.
+ * @returns {Promise<Array<Object>>} Организации по названию.
+ */
+async function getOrganizationList(store) {
+  const organizations = await store.organizations.list();
+  return organizations.map(serializeOrganization);
+}
+
+/**
+ * Получает организацию по ID вместе с её сотрудниками — действующими клиентами, по фамилии и имени.
+ * @async
+ * @function getOrganization
+ * @param {module:storage.Store} store - Хранилище.
+ * @param {number} organizationId - Идентификатор организации.
+ * @returns {Promise<Object>} Организация с сотрудниками в поле `employees`.
+ * @throws {ApiError} Организация не найдена (код 404).
+ */
+async function getOrganization(store, organizationId) {
+  const organization = await store.organizations.get(organizationId);
+  if (!organization) throw new ApiError(404, { message: 'Organization Not Found' });
+  const employees = await store.clients.list({ organizationId, sort: [{ field: 'surname', desc: false }, { field: 'name', desc: false }] });
+  return {
+    ...serializeOrganization(organization),
+    employees: employees.map(({ id, surname, name, lastName, organization: { jobTitle } }) => ({
+      id: Number(id), surname, name, lastName: lastName || '', jobTitle,
+    })),
+  };
+}
+
+/**
+ * Проверяет данные организации. Пустые ИНН, КПП, адрес и сайт допустимы;
+ * сайт без схемы дополняется `https://`.
+ * @function makeOrganizationFromData
+ * @param {Object} data - Данные организации: `name`, `inn`, `kpp`, `address`, `website`.
+ * @returns {{name: string, inn: string, kpp: string, address: string, website: string}} Проверенная организация.
+ * @throws {ApiError} Некорректные данные (код 422).
+ */
+function makeOrganizationFromData(data) {
+  const errors = [];
+  const [name, inn, kpp, address, site] = ['name', 'inn', 'kpp', 'address', 'website']
+    .map(field => String(data[field] || '').trim());
+  const website = site && !/^[a-z][a-z\d+.-]*:/i.test(site) ? `https://${site}` : site;
+  if (!name) errors.push({ field: 'name', message: 'Не указано название организации' });
+  else if (name.length > MAX_ORGANIZATION_NAME_LENGTH) {
+    errors.push({ field: 'name', message: `Название организации не может быть длиннее ${MAX_ORGANIZATION_NAME_LENGTH} символов` });
+  }
+  if (inn && !isValidInn(inn)) errors.push({ field: 'inn', message: 'ИНН должен состоять из 10 или 12 цифр с верными контрольными цифрами' });
+  if (kpp && !/^\d{4}[\dA-Z]{2}\d{3}$/.test(kpp)) errors.push({ field: 'kpp', message: 'КПП должен состоять из 9 символов' });
+  if (website && !CONTACT_VALIDATORS.url.test(website)) errors.push({ field: 'website', message: CONTACT_VALIDATORS.url.message });
+  if (errors.length) throw new ApiError(422, { errors });
+  return { name, inn, kpp, address, website };
+}
+
+/**
+ * Создаёт организацию.
+ * @async
+ * @function createOrganization
+ * @param {module:storage.Store} store - Хранилище.
+ * @param {Object} data - Данные организации из тела запроса.
+ * @returns {Promise<Object>} Новая организация.
+ * @throws {ApiError} Некорректные данные (код 422).
+ */
+async function createOrganization(store, data) {
+  const organization = makeOrganizationFromData(data);
+  const id = await store.transaction(() => store.organizations.insert(organization));
+  return getOrganization(store, id);
+}
+
+/**
+ * Изменяет организацию: поля, которых нет в данных, остаются прежними.
+ * @async
+ * @function updateOrganization
+ * @param {module:storage.Store} store - Хранилище.
+ * @param {number} organizationId - Идентификатор организации.
+ * @param {Object} data - Изменяемые поля из тела запроса.
+ * @returns {Promise<Object>} Изменённая организация.
+ * @throws {ApiError} Организация не найдена (код 404).
+ * @throws {ApiError} Некорректные данные (код 422).
+ */
+async function updateOrganization(store, organizationId, data) {
+  await store.transaction(async () => {
+    const current = await store.organizations.get(organizationId);
+    if (!current) throw new ApiError(404, { message: 'Organization Not Found' });
+    await store.organizations.update(organizationId, makeOrganizationFromData({ ...current, ...data }));
+  });
+  return getOrganization(store, organizationId);
+}
+
+/**
+ * Удаляет организацию; её сотрудники остаются без места работы, и это изменение записывается в их историю.
+ * @async
+ * @function deleteOrganization
+ * @param {module:storage.Store} store - Хранилище.
+ * @param {number} organizationId - Идентификатор организации.
+ * @param {string|null} [actor] - Кто удаляет организацию.
+ * @returns {Promise<Object>} Пустой объект.
+ * @throws {ApiError} Организация не найдена (код 404).
+ */
+async function deleteOrganization(store, organizationId, actor = null) {
+  const removed = await store.transaction(() => (
+    changeAffectedClients(store, [{ organizationId }], () => store.organizations.remove(organizationId), actor)
+  ));
+  if (!removed) throw new ApiError(404, { message: 'Organization Not Found' });
+  return {};
+}
+
+/**
+ * Приводит дополнительное поле из хранилища к виду, в котором его возвращает API.
+ * @function serializeCustomField
+ * @param {module:storage.CustomField} record - Поле из хранилища.
+ * @returns {Object} Объект поля.
+ */
+function serializeCustomField(record) {
+  return {
+    id: Number(record.id),
+    key: record.key,
+    label: record.label,
+    type: record.type,
+    options: record.options,
+    position: Number(record.position),
+  };
+}
+
+/**
+ * Получает дополнительные поля клиентов по порядку.
+ * @async
+ * @function getCustomFieldList
+ * @param {module:storage.Store} store - Хранилище.
+ * @returns {Promise<Array<Object>>} Поля.
+ */
+async function getCustomFieldList(store) {
+  const fields = await store.customFields.list();
+  return fields.map(serializeCustomField);
+}
+
+/**
+ * Получает дополнительное поле по ID.
+ * @async
+ * @function getCustomField
+ * @param {module:storage.Store} store - Хранилище.
+ * @param {number} fieldId - Идентификатор поля.
+ * @returns {Promise<Object>} Поле.
+ * @throws {ApiError} Поле не найдено (код 404).
+ */
+async function getCustomField(store, fieldId) {
+  const field = await store.customFields.get(fieldId);
+  if (!field) throw new ApiError(404, { message: 'Custom Field Not Found' });
+  return serializeCustomField(field);
+}
+
+/**
+ * Проверяет описание дополнительного поля. Ключ поля — латинские буквы в нижнем регистре, цифры
+ * и `_`; он уникален и используется в данных клиента и параметрах списка. Варианты значения
+ * указываются только у поля типа select. Тип поля после создания не меняется: иначе значения
+ * клиентов перестали бы ему соответствовать. Новое поле без указанного порядка становится последним.
+ * @async
+ * @function makeCustomFieldFromData
+ * @param {module:storage.Store} store - Хранилище.
+ * @param {Object} data - Данные поля: `key`, `label`, `type` из {@link CUSTOM_FIELD_VALIDATORS}, `options`, `position`.
+ * @param {module:storage.CustomField|null} [current] - Изменяемое поле.
+ * @returns {Promise<{key: string, label: string, type: string, options: Array<string>, position: number}>} Проверенное поле.
+ * @throws {ApiError} Некорректные данные (код 422).
+ */
+async function makeCustomFieldFromData(store, data, current = null) {
+  const errors = [];
+  const fields = await store.customFields.list();
+  const key = String(data.key || '').trim();
+  const label = String(data.label || '').trim();
+  const { type } = data;
+  const options = data.options === undefined || data.options === null ? [] : data.options;
+  const position = data.position === undefined || data.position === null
+    ? Math.max(0, ...fields.map(field => Number(field.position))) + 1
+    : data.position;
+
+  if (!/^[a-z][a-z0-9_]{0,49}$/.test(key)) {
+    errors.push({ field: 'key', message: 'Ключ должен начинаться с латинской буквы и состоять из латинских букв, цифр и _, не длиннее 50 символов' });
+  } else if (fields.some(field => field.key === key && (!current || Number(field.id) !== Number(current.id)))) {
+    errors.push({ field: 'key', message: 'Поле с таким ключом уже существует' });
+  }
+  if (!label) errors.push({ field: 'label', message: 'Не указано название поля' });
+  else if (label.length > MAX_CUSTOM_FIELD_LABEL_LENGTH) {
+    errors.push({ field: 'label', message: `Название поля не может быть длиннее ${MAX_CUSTOM_FIELD_LABEL_LENGTH} символов` });
+  }
+  if (!Object.prototype.hasOwnProperty.call(CUSTOM_FIELD_VALIDATORS, type)) {
+    errors.push({ field: 'type', message: `Тип поля должен быть одним из: ${Object.keys(CUSTOM_FIELD_VALIDATORS).join(', ')}` });
+  } else if (current && type !== current.type) {
+    errors.push({ field: 'type', message: 'Тип поля нельзя изменить' });
+  }
+  if (type === 'select') {
+    if (!Array.isArray(options) || !options.length || options.some(option => typeof option !== 'string' || !option.trim())) {
+      errors.push({ field: 'options', message: 'Ожидается непустой массив вариантов значения' });
+    } else if (new Set(options.map(option => option.trim())).size !== options.length) {
+      errors.push({ field: 'options', message: 'Варианты значения не должны повторяться' });
+    }
+  } else if (!Array.isArray(options) || options.length) {
+    errors.push({ field: 'options', message: 'Варианты значения указываются только у поля типа select' });
+  }
+  if (!Number.isSafeInteger(position)) errors.push({ field: 'position', message: 'Ожидается целое число' });
+  if (errors.length) throw new ApiError(422, { errors });
+  return { key, label, type, options: options.map(option => option.trim()), position };
+}
+
+/**
+ * Создаёт дополнительное поле клиентов.
+ * @async
+ * @function createCustomField
+ * @param {module:storage.Store} store - Хранилище.
+ * @param {Object} data - Данные поля из тела запроса.
+ * @returns {Promise<Object>} Новое поле.
+ * @throws {ApiError} Некорректные данные (код 422).
+ */
+async function createCustomField(store, data) {
+  const id = await store.transaction(async () => store.customFields.insert(await makeCustomFieldFromData(store, data)));
+  return getCustomField(store, id);
+}
+
+/**
+ * Изменяет дополнительное поле: поля, которых нет в данных, остаются прежними. У клиентов, выбравших
+ * удалённый вариант поля типа select, значение поля удаляется, иначе их данные перестали бы проходить проверку;
+ * это изменение записывается в их историю.
+ * @async
+ * @function updateCustomField
+ * @param {module:storage.Store} store - Хранилище.
+ * @param {number} fieldId - Идентификатор поля.
+ * @param {Object} data - Изменяемые поля из тела запроса.
+ * @param {string|null} [actor] - Кто изменяет поле.
+ * @returns {Promise<Object>} Изменённое поле.
+ * @throws {ApiError} Поле не найдено (код 404).
+ * @throws {ApiError} Некорректные данные (код 422).
+ */
+async function updateCustomField(store, fieldId, data, actor = null) {
+  await store.transaction(async () => {
+    const current = await getCustomField(store, fieldId);
+    const field = await makeCustomFieldFromData(store, { ...current, ...data }, current);
+    const removedOptions = current.options.filter(option => !field.options.includes(option));
+    await changeAffectedClients(
+      store,
+      removedOptions.map(value => ({ customFields: [{ fieldId: current.id, value }] })),
+      () => store.customFields.update(fieldId, field),
+      actor,
+    );
+  });
+  return getCustomField(store, fieldId);
+}
+
+/**
+ * Удаляет дополнительное поле вместе с его значениями у всех клиентов; у каждого клиента,
+ * у которого поле было заполнено, изменение записывается в историю.
+ * @async
+ * @function deleteCustomField
+ * @param {module:storage.Store} store - Хранилище.
+ * @param {number} fieldId - Идентификатор поля.
+ * @param {string|null} [actor] - Кто удаляет поле.
+ * @returns {Promise<Object>} Пустой объект.
+ * @throws {ApiError} Поле не найдено (код 404).
+ */
+async function deleteCustomField(store, fieldId, actor = null) {
+  const removed = await store.transaction(() => (
+    changeAffectedClients(store, [{ customFields: [{ fieldId }] }], () => store.customFields.remove(fieldId), actor)
+  ));
+  if (!removed) throw new ApiError(404, { message: 'Custom Field Not Found' });
+  return {};
+}
+
+/**
+ * Приводит стадию из хранилища к виду, в котором её возвращает API.
+ * @function serializeStage
+ * @param {module:storage.DealStage} record - Стадия из хранилища.
+ * @returns {Object} Объект стадии.
+ */
+function serializeStage(record) {
+  return {
+    id: Number(record.id),
+    name: record.name,
+    position: Number(record.position),
+    probability: Number(record.probability),
+    kind: record.kind,
+    deals: Number(record.deals),
+  };
+}
+
+/**
+ * Создаёт стадии по умолчанию ({@link DEFAULT_DEAL_STAGES}), если в хранилище нет ни одной стадии.
+ * @async
+ * @function ensureDealStages
+ * @param {module:storage.Store} store - Хранилище.
+ * @returns {Promise<void>}
+ */
+async function ensureDealStages(store) {
+  await store.transaction(async () => {
+    if ((await store.stages.list()).length) return;
+    for (const [index, stage] of DEFAULT_DEAL_STAGES.entries()) {
+      await store.stages.insert({ ...stage, position: index + 1 });
+    }
+  });
+}
+
+/**
+ * Получает стадии воронки по порядку с числом сделок на каждой.
+ * @async
+ * @function getStageList
+ * @param {module:storage.Store} store - Хранилище.
+ * @returns {Promise<Array<Object>>} Стадии.
+ */
+async function getStageList(store) {
+  const stages = await store.stages.list();
+  return stages.map(serializeStage);
+}
+
+/**
+ * Получает стадию по ID.
+ * @async
+ * @function getStage
+ * @param {module:storage.Store} store - Хранилище.
+ * @param {number} stageId - Идентификатор стадии.
+ * @returns {Promise<Object>} Стадия.
+ * @throws {ApiError} Стадия не найдена (код 404).
+ */
+async function getStage(store, stageId) {
+  const stage = await store.stages.get(stageId);
+  if (!stage) throw new ApiError(404, { message: 'Stage Not Found' });
+  return serializeStage(stage);
+}
+
+/**
+ * Проверяет данные стадии. Названия стадий сравниваются без учёта регистра. Новая стадия
+ * без указанного порядка становится последней.
+ * @async
+ * @function makeStageFromData
+ * @param {module:storage.Store} store - Хранилище.
+ * @param {Object} data - Данные стадии: `name`, `position`, `probability` от 0 до 100 и вид `kind` из {@link STAGE_KINDS}.
+ * @param {number|null} [stageId] - Идентификатор изменяемой стадии.
+ * @returns {Promise<{name: string, position: number, probability: number, kind: string}>} Проверенная стадия.
+ * @throws {ApiError} Некорректные данные (код 422).
+ */
+async function makeStageFromData(store, data, stageId = null) {
+  const errors = [];
+  const stages = await store.stages.list();
+  const name = String(data.name || '').trim();
+  const position = data.position === undefined || data.position === null
+    ? Math.max(0, ...stages.map(stage => Number(stage.position))) + 1
+    : data.position;
+  const { probability = 0, kind = 'open' } = data;
+  if (!name) errors.push({ field: 'name', message: 'Не указано название стадии' });
+  else if (name.length > MAX_DEAL_NAME_LENGTH) errors.push({ field: 'name', message: `Название стадии не может быть длиннее ${MAX_DEAL_NAME_LENGTH} символов` });
+  else if (stages.some(stage => Number(stage.id) !== stageId && stage.name.toLowerCase() === name.toLowerCase())) {
+    errors.push({ field: 'name', message: 'Стадия с таким названием уже существует' });
+  }
+  if (!Number.isSafeInteger(position)) errors.push({ field: 'position', message: 'Ожидается целое число' });
+  if (!Number.isInteger(probability) || probability < 0 || probability > 100) {
+    errors.push({ field: 'probability', message: 'Ожидается целое число от 0 до 100' });
+  }
+  if (!STAGE_KINDS.includes(kind)) errors.push({ field: 'kind', message: `Вид стадии должен быть одним из: ${STAGE_KINDS.join(', ')}` });
+  if (errors.length) throw new ApiError(422, { errors });
+  return { name, position, probability, kind };
+}
+
+/**
+ * Создаёт стадию воронки.
+ * @async
+ * @function createStage
+ * @param {module:storage.Store} store - Хранилище.
+ * @param {Object} data - Данные стадии из тела запроса.
+ * @returns {Promise<Object>} Новая стадия.
+ * @throws {ApiError} Некорректные данные (код 422).
+ */
+async function createStage(store, data) {
+  const id = await store.transaction(async () => store.stages.insert(await makeStageFromData(store, data)));
+  return getStage(store, id);
+}
+
+/**
+ * Изменяет стадию: поля, которых нет в данных, остаются прежними. Вероятность сделок,
+ * которые уже на стадии, не меняется.
+ * @async
+ * @function updateStage
+ * @param {module:storage.Store} store - Хранилище.
+ * @param {number} stageId - Идентификатор стадии.
+ * @param {Object} data - Изменяемые поля из тела запроса.
+ * @returns {Promise<Object>} Изменённая стадия.
+ * @throws {ApiError} Стадия не найдена (код 404).
+ * @throws {ApiError} Некорректные данные (код 422).
+ */
+async function updateStage(store, stageId, data) {
+  await store.transaction(async () => {
+    const current = await getStage(store, stageId);
+    await store.stages.update(stageId, await makeStageFromData(store, { ...current, ...data }, stageId));
+  });
+  return getStage(store, stageId);
+}
+
+/**
+ * Удаляет стадию. Стадию, на которой есть сделки, удалить нельзя: сначала сделки
+ * нужно перевести на другие стадии.
+ * @async
+ * @function deleteStage
+ * @param {module:storage.Store} store - Хранилище.
+ * @param {number} stageId - Идентификатор стадии.
+ * @returns {Promise<Object>} Пустой объект.
+ * @throws {ApiError} Стадия не найдена (код 404).
+ * @throws {ApiError} На стадии есть сделки (код 409).
+ */
+async function deleteStage(store, stageId) {
+  await store.transaction(async () => {
+    const stage = await getStage(store, stageId);
+    if (stage.deals) throw new ApiError(409, { message: 'Stage Has Deals' });
+    await store.stages.remove(stageId);
+  });
+  return {};
+}
+
+/**
+ * Приводит сделку из хранилища к виду, в котором её возвращает API. Сумма возвращается
+ * в основных единицах валюты: рублях, долларах, евро.
+ * @function serializeDeal
+ * @param {module:storage.DealRecord} record - Сделка из хранилища.
+ * @returns {Object} Объект сделки.
+ */
+function serializeDeal(record) {
+  return {
+    id: Number(record.id),
+    title: record.title,
+    clientId: Number(record.clientId),
+    client: {
+      id: Number(record.client.id),
+      surname: record.client.surname,
+      name: record.client.name,
+      lastName: record.client.lastName,
+    },
+    stageId: Number(record.stageId),
+    amount: Number(record.amount) / 100,
+    currency: record.currency,
+    expectedCloseDate: record.expectedCloseDate,
+    probability: Number(record.probability),
+    createdAt: toIsoDate(record.createdAt),
+    updatedAt: toIsoDate(record.updatedAt),
+  };
+}
+
+/**
+ * Проверяет, что строка — существующая дата в формате `YYYY-MM-DD`.
+ * @function isCalendarDate
+ * @param {string} value - Строка.
+ * @returns {boolean} Строка является датой.
+ */
+function isCalendarDate(value) {
+  if (!/^\d{4}-\d\d-\d\d$/.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value);
+}
+
+/**
+ * Проверяет данные сделки. Клиент проверяется, только если он новый для сделки: сделка
+ * клиента из корзины остаётся доступной для изменения. Без стадии новая сделка попадает
+ * на первую стадию вида `open`, без вероятности — получает вероятность своей стадии.
+ * @async
+ * @function makeDealFromData
+ * @param {module:storage.Store} store - Хранилище.
+ * @param {Object} data - Данные сделки: `title`, `clientId`, `stageId`, `amount` не больше чем с двумя
+ *   знаками после запятой, `currency` из {@link CURRENCIES}, `expectedCloseDate` в формате `YYYY-MM-DD`
+ *   и `probability` от 0 до 100.
+ * @param {Object|null} [current] - Изменяемая сделка.
+ * @returns {Promise<Object>} Проверенная сделка для хранилища с суммой в минимальных единицах валюты.
+ * @throws {ApiError} Некорректные данные (код 422).
+ */
+async function makeDealFromData(store, data, current = null) {
+  const errors = [];
+  const title = String(data.title || '').trim();
+  const { amount = 0, currency = CURRENCIES[0], expectedCloseDate = null } = data;
+  const clientId = Number(data.clientId);
+  const minorAmount = Math.round(amount * 100);
+  if (!title) errors.push({ field: 'title', message: 'Не указано название сделки' });
+  else if (title.length > MAX_DEAL_NAME_LENGTH) errors.push({ field: 'title', message: `Название сделки не может быть длиннее ${MAX_DEAL_NAME_LENGTH} символов` });
+  if (!Number.isInteger(clientId) || clientId <= 0) {
+    errors.push({ field: 'clientId', message: 'Не указан клиент' });
+  } else if (!current || clientId !== current.clientId) {
+    const client = await store.clients.get(clientId);
+    if (!client || client.deletedAt) errors.push({ field: 'clientId', message: `Клиент ${clientId} не найден` });
+  }
+  if (typeof amount !== 'number' || !Number.isFinite(amount) || amount < 0
+    || !Number.isSafeInteger(minorAmount) || Math.abs(minorAmount - amount * 100) > 1e-6) {
+    errors.push({ field: 'amount', message: 'Ожидается неотрицательная сумма не более чем с двумя знаками после запятой' });
+  }
+  if (!CURRENCIES.includes(currency)) errors.push({ field: 'currency', message: `Валюта должна быть одной из: ${CURRENCIES.join(', ')}` });
+  if (expectedCloseDate !== null && !isCalendarDate(String(expectedCloseDate))) {
+    errors.push({ field: 'expectedCloseDate', message: 'Ожидается дата в формате YYYY-MM-DD' });
+  }
+
+  let stage = null;
+  if (data.stageId === undefined || data.stageId === null) {
+    stage = (await store.stages.list()).find(item => item.kind === 'open');
+    if (!stage) errors.push({ field: 'stageId', message: 'Нет стадии, на которую можно поставить новую сделку' });
+  } else if (!Number.isInteger(data.stageId) || !(stage = await store.stages.get(data.stageId))) {
+    errors.push({ field: 'stageId', message: `Стадия ${data.stageId} не найдена` });
+  }
+  const probability = data.probability === undefined || data.probability === null
+    ? stage && Number(stage.probability)
+    : data.probability;
+  if (stage && (!Number.isInteger(probability) || probability < 0 || probability > 100)) {
+    errors.push({ field: 'probability', message: 'Ожидается целое число от 0 до 100' });
+  }
+  if (errors.length) throw new ApiError(422, { errors });
+  return {
+    title, clientId, stageId: Number(stage.id), amount: minorAmount, currency, expectedCloseDate, probability,
+  };
+}
+
+/**
+ * Разбирает параметры отбора сделок.
+ * @function parseDealListParams
+ * @param {Object} params - Параметры строки запроса: `clientId` и `stageId`.
+ * @returns {{clientId: (number|undefined), stageId: (number|undefined)}} Параметры отбора.
+ * @throws {ApiError} Некорректный идентификатор (код 400).
+ */
+function parseDealListParams(params) {
+  const query = {};
+  for (const name of ['clientId', 'stageId']) {
+    if (params[name] !== undefined) query[name] = parseId(params[name], name);
+  }
+  return query;
+}
+
+/**
+ * Получает сделки действующих клиентов по возрастанию идентификатора. Список не делится
+ * на страницы: доска сделок показывает все сделки сразу.
+ * @async
+ * @function getDealList
+ * @param {module:storage.Store} store - Хранилище.
+ * @param {Object} [params] - Параметры строки запроса.
+ * @returns {Promise<Array<Object>>} Сделки.
+ * @throws {ApiError} Некорректные параметры (код 400).
+ */
+async function getDealList(store, params = {}) {
+  const deals = await store.deals.list(parseDealListParams(params));
+  return deals.map(serializeDeal);
+}
+
+/**
+ * Получает сделку по ID.
+ * @async
+ * @function getDeal
+ * @param {module:storage.Store} store - Хранилище.
+ * @param {number} dealId - Идентификатор сделки.
+ * @returns {Promise<Object>} Сделка.
+ * @throws {ApiError} Сделка не найдена (код 404).
+ */
+async function getDeal(store, dealId) {
+  const deal = await store.deals.get(dealId);
+  if (!deal) throw new ApiError(404, { message: 'Deal Not Found' });
+  return serializeDeal(deal);
+}
 
 /**
- * Создаёт таблицу клиентов в базе данных, если она не существует.
- * @function
+ * Создаёт сделку и записывает в историю переходов её первую стадию.
+ * @async
+ * @function createDeal
+ * @param {module:storage.Store} store - Хранилище.
+ * @param {Object} data - Данные сделки из тела запроса.
+ * @param {string|null} [actor] - Кто создаёт сделку.
+ * @returns {Promise<Object>} Новая сделка.
+ * @throws {ApiError} Некорректные данные (код 422).
  */
-db.serialize(() => {
-  db.run(`
-    CREATE TABLE IF NOT EXISTS clients (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      name TEXT NOT NULL,
-      surname TEXT NOT NULL,
-      lastName TEXT,
-      contacts TEXT,
-      createdAt TEXT DEFAULT CURRENT_TIMESTAMP,
-      updatedAt TEXT DEFAULT CURRENT_TIMESTAMP
-    )
-  `, (err) => {
-    if (err) {
-      console.error("Ошибка при создании таблицы:", err);
-    }
+async function createDeal(store, data, actor = null) {
+  const id = await store.transaction(async () => {
+    const deal = await makeDealFromData(store, data);
+    const dealId = await store.deals.insert(deal);
+    const { name } = await store.stages.get(deal.stageId);
+    await store.deals.addTransition(dealId, { from: null, to: { id: deal.stageId, name }, actor });
+    return dealId;
   });
-});
+  return getDeal(store, id);
+}
 
 /**
- * Номер порта, на котором будет запущен сервер.
- * @constant {number}
+ * Изменяет сделку: поля, которых нет в данных, остаются прежними. Стадия меняется
+ * только переходом ({@link transitionDeal}), чтобы каждая смена стадии попадала в историю.
+ * @async
+ * @function updateDeal
+ * @param {module:storage.Store} store - Хранилище.
+ * @param {number} dealId - Идентификатор сделки.
+ * @param {Object} data - Изменяемые поля из тела запроса.
+ * @returns {Promise<Object>} Изменённая сделка.
+ * @throws {ApiError} Сделка не найдена (код 404).
+ * @throws {ApiError} Некорректные данные (код 422).
  */
-const PORT = process.env.PORT || 3000;
+async function updateDeal(store, dealId, data) {
+  await store.transaction(async () => {
+    const current = await getDeal(store, dealId);
+    if (data.stageId !== undefined && data.stageId !== current.stageId) {
+      throw new ApiError(422, { errors: [{ field: 'stageId', message: `Стадия меняется запросом POST ${DEALS_URI}/${dealId}/transitions` }] });
+    }
+    const {
+      title, clientId, amount, currency, expectedCloseDate, probability,
+    } = { ...current, ...data };
+    const deal = await makeDealFromData(store, {
+      title, clientId, stageId: current.stageId, amount, currency, expectedCloseDate, probability,
+    }, current);
+    await store.deals.update(dealId, deal);
+  });
+  return getDeal(store, dealId);
+}
 
 /**
- * Префикс URI для всех методов API.
- * @constant {string}
+ * Удаляет сделку вместе с историей её переходов.
+ * @async
+ * @function deleteDeal
+ * @param {module:storage.Store} store - Хранилище.
+ * @param {number} dealId - Идентификатор сделки.
+ * @returns {Promise<Object>} Пустой объект.
+ * @throws {ApiError} Сделка не найдена (код 404).
  */
-const URI_PREFIX = '/api/clients';
+async function deleteDeal(store, dealId) {
+  const removed = await store.transaction(() => store.deals.remove(dealId));
+  if (!removed) throw new ApiError(404, { message: 'Deal Not Found' });
+  return {};
+}
 
 /**
- * Класс ошибки API, используемый для отправки ответа с кодом ошибки и описанием.
- * @class
- * @extends Error
- * @param {number} statusCode - Код статуса ошибки.
- * @param {Object} data - Данные об ошибке.
+ * Получает историю переходов сделки между стадиями, начиная с последнего перехода.
+ * @async
+ * @function getDealTransitions
+ * @param {module:storage.Store} store - Хранилище.
+ * @param {number} dealId - Идентификатор сделки.
+ * @returns {Promise<Array<{id: number, from: Object|null, to: Object, actor: string|null, createdAt: string}>>} Переходы.
+ * @throws {ApiError} Сделка не найдена (код 404).
  */
-class ApiError extends Error {
-  constructor(statusCode, data) {
-    super();
-    this.statusCode = statusCode;
-    this.data = data;
-  }
+async function getDealTransitions(store, dealId) {
+  await getDeal(store, dealId);
+  const transitions = await store.deals.listTransitions(dealId);
+  return transitions.map(item => ({
+    id: Number(item.id),
+    from: item.fromStageId === null ? null : { id: Number(item.fromStageId), name: item.fromStageName },
+    to: { id: Number(item.toStageId), name: item.toStageName },
+    actor: item.actor,
+    createdAt: toIsoDate(item.createdAt),
+  }));
 }
 
 /**
- * Асинхронно считывает тело запроса и разбирает его как JSON.
+ * Переводит сделку на другую стадию и записывает переход в историю. Сделка получает
+ * вероятность новой стадии. Перевод на ту же стадию ничего не меняет.
  * @async
- * @function drainJson
- * @param {Object} req - Объект HTTP запроса.
- * @returns {Promise<Object>} Объект, созданный из тела запроса.
- * @throws {ApiError} Некорректные данные в аргументе.
+ * @function transitionDeal
+ * @param {module:storage.Store} store - Хранилище.
+ * @param {number} dealId - Идентификатор сделки.
+ * @param {{stageId: number}} data - Новая стадия.
+ * @param {string|null} [actor] - Кто переводит сделку.
+ * @returns {Promise<Object>} Сделка на новой стадии.
+ * @throws {ApiError} Сделка не найдена (код 404).
+ * @throws {ApiError} Стадия не найдена (код 422).
  */
-function drainJson(req) {
-  return new Promise((resolve) => {
-    let data = '';
-    req.on('data', (chunk) => {
-      data += chunk;
-    });
-    req.on('end', () => {
-      resolve(JSON.parse(data));
+async function transitionDeal(store, dealId, data, actor = null) {
+  await store.transaction(async () => {
+    const current = await store.deals.get(dealId);
+    if (!current) throw new ApiError(404, { message: 'Deal Not Found' });
+    const stage = Number.isInteger(data.stageId) ? await store.stages.get(data.stageId) : null;
+    if (!stage) throw new ApiError(422, { errors: [{ field: 'stageId', message: `Стадия ${data.stageId} не найдена` }] });
+    if (Number(stage.id) === Number(current.stageId)) return;
+
+    await store.deals.update(dealId, { ...current, stageId: Number(stage.id), probability: Number(stage.probability) });
+    const from = await store.stages.get(current.stageId);
+    await store.deals.addTransition(dealId, {
+      from: { id: Number(current.stageId), name: from.name },
+      to: { id: Number(stage.id), name: stage.name },
+      actor,
     });
   });
+  return getDeal(store, dealId);
 }
 
 /**
- * Проверяет и преобразует данные в объект клиента.
- * @function makeClientFromData
- * @param {Object} data - Входные данные клиента.
- * @returns {Object} Объект клиента.
- * @throws {ApiError} Некорректные данные (код 422).
+ * Приводит задачу из хранилища к виду, в котором её возвращает API.
+ * @function serializeTask
+ * @param {module:storage.TaskRecord} record - Задача из хранилища.
+ * @returns {Object} Объект задачи.
+ */
+function serializeTask(record) {
+  return {
+    id: Number(record.id),
+    title: record.title,
+    clientId: Number(record.clientId),
+    client: {
+      id: Number(record.client.id),
+      surname: record.client.surname,
+      name: record.client.name,
+      lastName: record.client.lastName,
+    },
+    dueAt: toIsoDate(record.dueAt),
+    assignee: record.assigneeId === null ? null : { id: Number(record.assigneeId), login: record.assigneeLogin },
+    status: record.status,
+    createdAt: toIsoDate(record.createdAt),
+    updatedAt: toIsoDate(record.updatedAt),
+  };
+}
+
+/**
+ * Разбирает параметры отбора задач. Отбор по сроку без явного статуса выбирает только
+ * невыполненные задачи; «сегодня» считается по часовому поясу сервера.
+ * @function parseTaskListParams
+ * @param {Object} params - Параметры строки запроса: `due` из {@link TASK_DUE_FILTERS}, `assignee`
+ *   (`me` или идентификатор пользователя), `clientId` и `status` — статусы через запятую.
+ * @param {Object} user - Пользователь, который запрашивает задачи.
+ * @param {Date} [now] - Текущее время.
+ * @returns {Object} Параметры выборки задач хранилища.
+ * @throws {ApiError} Некорректные параметры (код 400).
  */
-function makeClientFromData(data) {
+function parseTaskListParams(params, user, now = new Date()) {
   const errors = [];
+  const query = {};
 
-  function asString(v) {
-    return v && String(v).trim() || '';
+  if (params.clientId !== undefined) {
+    if (/^[1-9]\d*$/.test(params.clientId)) query.clientId = Number(params.clientId);
+    else errors.push({ field: 'clientId', message: 'Ожидается целое положительное число' });
   }
+  if (params.assignee === 'me') query.assigneeId = user.id;
+  else if (params.assignee !== undefined) {
+    if (/^[1-9]\d*$/.test(params.assignee)) query.assigneeId = Number(params.assignee);
+    else errors.push({ field: 'assignee', message: 'Ожидается me или идентификатор пользователя' });
+  }
+  if (params.status !== undefined) {
+    query.statuses = params.status.split(',').map(status => status.trim()).filter(Boolean);
+    if (!query.statuses.length || !query.statuses.every(status => TASK_STATUSES.includes(status))) {
+      errors.push({ field: 'status', message: `Ожидаются статусы через запятую: ${TASK_STATUSES.join(', ')}` });
+    }
+  }
+  if (params.due === 'today') {
+    query.dueFrom = new Date(now);
+    query.dueFrom.setHours(0, 0, 0, 0);
+    query.dueBefore = new Date(query.dueFrom);
+    query.dueBefore.setDate(query.dueBefore.getDate() + 1);
+  } else if (params.due === 'overdue') {
+    query.dueBefore = now;
+  } else if (params.due !== undefined) {
+    errors.push({ field: 'due', message: `Ожидается одно из значений: ${TASK_DUE_FILTERS.join(', ')}` });
+  }
+  if (params.due !== undefined && !query.statuses) query.statuses = ['open', 'overdue'];
 
-  const client = {
-    name: asString(data.name),
-    surname: asString(data.surname),
-    lastName: asString(data.lastName),
-    contacts: Array.isArray(data.contacts) ? data.contacts.map(contact => ({
-      type: asString(contact.type),
-      value: asString(contact.value),
-    })) : [],
-  };
+  if (errors.length) throw new ApiError(400, { errors });
+  return query;
+}
 
-  if (!client.name) errors.push({ field: 'name', message: 'Не указано имя' });
-  if (!client.surname) errors.push({ field: 'surname', message: 'Не указана фамилия' });
-  if (client.contacts.some(contact => !contact.type || !contact.value))
-    errors.push({ field: 'contacts', message: 'Не все добавленные контакты полностью заполнены' });
+/**
+ * Получает задачи клиентов, которые не в корзине, по возрастанию срока.
+ * @async
+ * @function getTaskList
+ * @param {module:storage.Store} store - Хранилище.
+ * @param {Object} params - Параметры строки запроса.
+ * @param {Object} user - Пользователь, который запрашивает задачи.
+ * @returns {Promise<Array<Object>>} Задачи.
+ * @throws {ApiError} Некорректные параметры (код 400).
+ */
+async function getTaskList(store, params, user) {
+  const tasks = await store.tasks.list(parseTaskListParams(params, user));
+  return tasks.map(serializeTask);
+}
+
+/**
+ * Получает задачу по ID.
+ * @async
+ * @function getTask
+ * @param {module:storage.Store} store - Хранилище.
+ * @param {number} taskId - Идентификатор задачи.
+ * @returns {Promise<Object>} Задача.
+ * @throws {ApiError} Задача не найдена (код 404).
+ */
+async function getTask(store, taskId) {
+  const task = await store.tasks.get(taskId);
+  if (!task) throw new ApiError(404, { message: 'Task Not Found' });
+  return serializeTask(task);
+}
 
+/**
+ * Проверяет данные задачи. Невыполненная задача со сроком в прошлом сразу становится
+ * просроченной, а задача, срок которой перенесли в будущее, — снова открытой.
+ * @async
+ * @function makeTaskFromData
+ * @param {module:storage.Store} store - Хранилище.
+ * @param {Object} data - Данные задачи: `title`, `clientId`, срок `dueAt` в формате ISO 8601,
+ *   `assigneeId` (null — без исполнителя) и `status` из {@link TASK_STATUSES}.
+ * @param {Object|null} [current] - Изменяемая задача.
+ * @param {Date} [now] - Текущее время.
+ * @returns {Promise<{title: string, clientId: number, dueAt: Date, assigneeId: (number|null), status: string}>}
+ *   Проверенная задача.
+ * @throws {ApiError} Некорректные данные (код 422).
+ */
+async function makeTaskFromData(store, data, current = null, now = new Date()) {
+  const errors = [];
+  const title = String(data.title || '').trim();
+  const clientId = Number(data.clientId);
+  const dueAt = data.dueAt === undefined || data.dueAt === null ? null : new Date(String(data.dueAt));
+  const { assigneeId = null, status = 'open' } = data;
+  if (!title) errors.push({ field: 'title', message: 'Не указано, что нужно сделать' });
+  else if (title.length > MAX_TASK_TITLE_LENGTH) errors.push({ field: 'title', message: `Название задачи не может быть длиннее ${MAX_TASK_TITLE_LENGTH} символов` });
+  if (!Number.isInteger(clientId) || clientId <= 0) {
+    errors.push({ field: 'clientId', message: 'Не указан клиент' });
+  } else if (!current || clientId !== current.clientId) {
+    const client = await store.clients.get(clientId);
+    if (!client || client.deletedAt) errors.push({ field: 'clientId', message: `Клиент ${clientId} не найден` });
+  }
+  if (!dueAt || Number.isNaN(dueAt.getTime())) errors.push({ field: 'dueAt', message: 'Ожидается срок в формате ISO 8601' });
+  if (assigneeId !== null && (!Number.isInteger(assigneeId) || !(await store.users.get(assigneeId)))) {
+    errors.push({ field: 'assigneeId', message: `Пользователь ${assigneeId} не найден` });
+  }
+  if (!TASK_STATUSES.includes(status)) errors.push({ field: 'status', message: `Статус должен быть одним из: ${TASK_STATUSES.join(', ')}` });
   if (errors.length) throw new ApiError(422, { errors });
 
-  return client;
+  const actualStatus = dueAt <= now ? 'overdue' : 'open';
+  return { title, clientId, dueAt, assigneeId, status: status === 'done' ? 'done' : actualStatus };
 }
 
 /**
- * Получает список клиентов из базы данных.
- * @function getClientList
- * @param {Object} [params] - Параметры запроса.
- * @returns {Promise<Array<Object>>} Массив объектов клиентов.
+ * Создаёт задачу. Без указанного исполнителя задача достаётся тому, кто её создал.
+ * @async
+ * @function createTask
+ * @param {module:storage.Store} store - Хранилище.
+ * @param {Object} data - Данные задачи из тела запроса.
+ * @param {Object} user - Пользователь, который создаёт задачу.
+ * @returns {Promise<Object>} Новая задача.
+ * @throws {ApiError} Некорректные данные (код 422).
  */
-function getClientList(params = {}) {
-  return new Promise((resolve, reject) => {
-    const query = params.search
-      ? 'SELECT * FROM clients WHERE name LIKE ? OR surname LIKE ? OR lastName LIKE ?'
-      : 'SELECT * FROM clients';
-    const values = params.search ? [`%${params.search}%`, `%${params.search}%`, `%${params.search}%`] : [];
-    db.all(query, values, (err, rows) => {
-      if (err) return reject(err);
-      resolve(rows);
-    });
-  });
+async function createTask(store, data, user) {
+  const id = await store.transaction(async () => (
+    store.tasks.insert(await makeTaskFromData(store, { assigneeId: user.id, ...data }))
+  ));
+  return getTask(store, id);
 }
 
 /**
- * Создаёт нового клиента и сохраняет его в базе данных.
- * @function createClient
- * @param {Object} data - Данные клиента из тела запроса.
- * @returns {Promise<Object>} Объект клиента.
+ * Изменяет задачу: поля, которых нет в данных, остаются прежними. После переноса срока
+ * напоминание о задаче приходит снова.
+ * @async
+ * @function updateTask
+ * @param {module:storage.Store} store - Хранилище.
+ * @param {number} taskId - Идентификатор задачи.
+ * @param {Object} data - Изменяемые поля из тела запроса.
+ * @returns {Promise<Object>} Изменённая задача.
+ * @throws {ApiError} Задача не найдена (код 404).
  * @throws {ApiError} Некорректные данные (код 422).
  */
-function createClient(data) {
-  return new Promise((resolve, reject) => {
-    const { name, surname, lastName, contacts } = makeClientFromData(data);
-    const query = `
-      INSERT INTO clients (name, surname, lastName, contacts, createdAt, updatedAt)
-      VALUES (?, ?, ?, ?, datetime('now'), datetime('now'))`;
-    const values = [name, surname, lastName, JSON.stringify(contacts)];
-    db.run(query, values, function (err) {
-      if (err) return reject(err);
-      resolve({
-        id: this.lastID,
-        name, surname, lastName, contacts,
-        createdAt: new Date().toISOString(),
-        updatedAt: new Date().toISOString(),
-      });
-    });
+async function updateTask(store, taskId, data) {
+  await store.transaction(async () => {
+    const current = await getTask(store, taskId);
+    const {
+      title, clientId, dueAt, assigneeId, status,
+    } = { ...current, assigneeId: current.assignee && current.assignee.id, ...data };
+    const task = await makeTaskFromData(store, {
+      title, clientId, dueAt, assigneeId, status,
+    }, current);
+    await store.tasks.update(taskId, task);
+    if (task.dueAt.getTime() !== new Date(current.dueAt).getTime()) await store.tasks.setReminded(taskId, null);
   });
+  return getTask(store, taskId);
 }
 
 /**
- * Получает клиента по ID из базы данных.
- * @function getClient
- * @param {string} itemId - Идентификатор клиента.
- * @returns {Promise<Object>} Объект клиента.
- * @throws {ApiError} Клиент не найден (код 404).
+ * Удаляет задачу.
+ * @async
+ * @function deleteTask
+ * @param {module:storage.Store} store - Хранилище.
+ * @param {number} taskId - Идентификатор задачи.
+ * @returns {Promise<Object>} Пустой объект.
+ * @throws {ApiError} Задача не найдена (код 404).
  */
-function getClient(itemId) {
-  return new Promise((resolve, reject) => {
-    const query = 'SELECT * FROM clients WHERE id = ?';
-    db.get(query, [itemId], (err, row) => {
-      if (err) return reject(err);
-      if (!row) return reject(new ApiError(404, { message: 'Client Not Found' }));
-      resolve(row);
+async function deleteTask(store, taskId) {
+  const removed = await store.transaction(() => store.tasks.remove(taskId));
+  if (!removed) throw new ApiError(404, { message: 'Task Not Found' });
+  return {};
+}
+
+/**
+ * Проверяет сроки открытых задач: о задачах, срок которых наступит в ближайшие
+ * `reminderMinutes` минут, один раз отправляет событие `taskReminder`, а задачи с прошедшим
+ * сроком делает просроченными и отправляет о каждой событие `taskOverdue`. Обработчики
+ * событий получают задачу в том виде, в каком её возвращает API.
+ * @async
+ * @function checkTasks
+ * @param {module:storage.Store} store - Хранилище.
+ * @param {EventEmitter} events - Куда отправлять события.
+ * @param {Date} [now] - Текущее время.
+ * @param {number} [reminderMinutes] - За сколько минут до срока напоминать о задаче.
+ * @returns {Promise<{reminded: number, overdue: number}>} Сколько отправлено напоминаний и сколько задач просрочено.
+ */
+async function checkTasks(store, events, now = new Date(), reminderMinutes = TASK_REMINDER_MINUTES) {
+  const { reminders, overdue } = await store.transaction(async () => {
+    const due = await store.tasks.list({
+      statuses: ['open'], dueFrom: now, dueBefore: new Date(now.getTime() + reminderMinutes * 60 * 1000), unreminded: true,
     });
+    for (const task of due) await store.tasks.setReminded(task.id, now);
+    const expired = await store.tasks.list({ statuses: ['open'], dueBefore: now });
+    for (const task of expired) await store.tasks.setStatus(task.id, 'overdue');
+    return { reminders: due, overdue: expired };
   });
+  for (const task of reminders) events.emit('taskReminder', serializeTask(task));
+  for (const task of overdue) events.emit('taskOverdue', serializeTask({ ...task, status: 'overdue' }));
+  return { reminded: reminders.length, overdue: overdue.length };
 }
 
 /**
- * Обновляет данные клиента по его ID и сохраняет изменения.
- * @function updateClient
- * @param {string} itemId - Идентификатор клиента.
- * @param {Object} data - Обновлённые данные клиента.
- * @returns {Promise<Object>} Обновлённый объект клиента.
- * @throws {ApiError} Клиент не найден (код 404).
- * @throws {ApiError} Некорректные данные (код 422).
+ * Окончательно удаляет клиентов, пролежавших в корзине дольше срока хранения,
+ * вместе с их контактами и историей.
+ * @async
+ * @function purgeTrash
+ * @param {module:storage.Store} store - Хранилище.
+ * @param {number} [retentionDays] - Срок хранения в днях.
+ * @returns {Promise<number>} Количество удалённых клиентов.
+ */
+async function purgeTrash(store, retentionDays = TRASH_RETENTION_DAYS) {
+  const before = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+  return store.transaction(() => store.clients.purgeDeleted(before));
+}
+
+/**
+ * Вычисляет хэш пароля алгоритмом scrypt со случайной солью.
+ * @async
+ * @function hashPassword
+ * @param {string} password - Пароль.
+ * @returns {Promise<string>} Строка вида `scrypt$<соль>$<хэш>`.
  */
-function updateClient(itemId, data) {
+function hashPassword(password) {
   return new Promise((resolve, reject) => {
-    const { name, surname, lastName, contacts } = makeClientFromData(data);
-    const query = `
-      UPDATE clients
-      SET name = ?, surname = ?, lastName = ?, contacts = ?, updatedAt = datetime('now')
-      WHERE id = ?`;
-    const values = [name, surname, lastName, JSON.stringify(contacts), itemId];
-    db.run(query, values, function (err) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    crypto.scrypt(password, salt, 64, (err, key) => {
       if (err) return reject(err);
-      if (this.changes === 0) return reject(new ApiError(404, { message: 'Client Not Found' }));
-      resolve({ id: itemId, name, surname, lastName, contacts, updatedAt: new Date().toISOString() });
+      resolve(`scrypt$${salt}$${key.toString('hex')}`);
     });
   });
 }
 
 /**
- * Удаляет клиента по его ID из базы данных.
- * @function deleteClient
- * @param {string} itemId - Идентификатор клиента.
- * @returns {Promise<Object>} Пустой объект.
- * @throws {ApiError} Клиент не найден (код 404).
+ * Проверяет пароль по хэшу, полученному из {@link hashPassword}.
+ * @async
+ * @function verifyPassword
+ * @param {string} password - Пароль.
+ * @param {string} passwordHash - Сохранённый хэш.
+ * @returns {Promise<boolean>} Совпадает ли пароль; для хэша в другом формате — false.
  */
-function deleteClient(itemId) {
+function verifyPassword(password, passwordHash) {
   return new Promise((resolve, reject) => {
-    const query = 'DELETE FROM clients WHERE id = ?';
-    db.run(query, [itemId], function (err) {
+    const [scheme, salt, hash, ...rest] = String(passwordHash || '').split('$');
+    // Хэш в другом формате не совпадает ни с одним паролем: timingSafeEqual не сравнивает буферы разной длины
+    if (scheme !== 'scrypt' || !salt || !/^(?:[\da-f]{2})+$/i.test(hash || '') || rest.length) {
+      resolve(false);
+      return;
+    }
+    const expected = Buffer.from(hash, 'hex');
+    crypto.scrypt(password, salt, expected.length, (err, key) => {
       if (err) return reject(err);
-      if (this.changes === 0) return reject(new ApiError(404, { message: 'Client Not Found' }));
-      resolve({});
+      resolve(crypto.timingSafeEqual(key, expected));
     });
   });
 }
 
 /**
- * HTTP сервер для обработки API-запросов к базе данных клиентов.
- * @event
+ * Вычисляет хэш токена сессии. В базе хранятся только хэши, чтобы утечка базы не давала доступ к сессиям.
+ * @function hashToken
+ * @param {string} token - Токен сессии.
+ * @returns {string} SHA-256 токена.
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Приводит строку таблицы пользователей к виду, который возвращает API.
+ * @function serializeUser
+ * @param {Object} row - Строка таблицы пользователей.
+ * @returns {{id: number, login: string, role: string, createdAt: string}} Пользователь.
+ */
+function serializeUser(row) {
+  return { id: row.id, login: row.login, role: row.role, createdAt: toIsoDate(row.createdAt) };
+}
+
+/**
+ * Создаёт администратора. Если пароль задан, он устанавливается администратору при каждом запуске.
+ * Если пароль не задан и пользователей ещё нет, администратору генерируется случайный пароль.
+ * Сгенерированный пароль не записывается в журнал: его получает только вызывающий код.
+ * @async
+ * @function ensureAdmin
+ * @param {module:storage.Store} store - Хранилище.
+ * @param {Object} options - Параметры.
+ * @param {string} options.login - Логин администратора.
+ * @param {string} [options.password] - Пароль администратора.
+ * @returns {Promise<string|null>} Сгенерированный пароль или null, если пароль задан или администратор уже есть.
+ */
+async function ensureAdmin(store, { login, password: adminPassword }) {
+  let password = adminPassword;
+  let generated = null;
+  if (!password) {
+    if (await store.users.count() > 0) return null;
+    password = crypto.randomBytes(9).toString('base64');
+    generated = password;
+  }
+  const passwordHash = await hashPassword(password);
+  const admin = await store.users.findByLogin(login);
+  if (admin) await store.users.update(admin.id, { passwordHash, role: 'admin' });
+  else await store.users.insert({ login, passwordHash, role: 'admin' });
+  return generated;
+}
+
+/**
+ * Проверяет логин и пароль и открывает новую сессию.
+ * @async
+ * @function login
+ * @param {module:storage.Store} store - Хранилище.
+ * @param {Object} data - Тело запроса с полями login и password.
+ * @returns {Promise<{token: string, expiresAt: string, user: Object}>} Токен сессии и пользователь.
+ * @throws {ApiError} Неверный логин или пароль (код 401).
+ */
+async function login(store, data) {
+  const user = await store.users.findByLogin(String(data.login || '').trim());
+  if (!user || !(await verifyPassword(String(data.password || ''), user.passwordHash))) {
+    throw new ApiError(401, { message: 'Неверный логин или пароль' });
+  }
+  const token = crypto.randomBytes(32).toString('hex');
+  // Время истечения без миллисекунд: с такой точностью его хранит SQLite
+  const expiresAt = new Date(Math.floor(Date.now() / 1000) * 1000 + SESSION_TTL_HOURS * 60 * 60 * 1000);
+  await store.transaction(() => store.sessions.create({ tokenHash: hashToken(token), userId: user.id, expiresAt }));
+  return { token, expiresAt: expiresAt.toISOString(), user: serializeUser(user) };
+}
+
+/**
+ * Извлекает токен сессии из заголовка `Authorization: Bearer <токен>`.
+ * @function getToken
+ * @param {Object} req - Объект HTTP запроса.
+ * @returns {string|null} Токен или null.
+ */
+function getToken(req) {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+  return match ? match[1] : null;
+}
+
+/**
+ * Закрывает сессию, токен которой передан в запросе.
+ * @async
+ * @function logout
+ * @param {module:storage.Store} store - Хранилище.
+ * @param {Object} req - Объект HTTP запроса.
+ * @returns {Promise<Object>} Пустой объект.
+ */
+async function logout(store, req) {
+  const token = getToken(req);
+  if (token) await store.sessions.remove(hashToken(token));
+  return {};
+}
+
+/**
+ * Определяет пользователя по токену сессии. Просроченная сессия не подходит; такие сессии
+ * удаляет периодическая очистка в {@link createApp}.
+ * @async
+ * @function authenticate
+ * @param {module:storage.Store} store - Хранилище.
+ * @param {Object} req - Объект HTTP запроса.
+ * @returns {Promise<Object|null>} Пользователь из хранилища или null.
+ */
+async function authenticate(store, req) {
+  const token = getToken(req);
+  if (!token) return null;
+  return store.sessions.findUser(hashToken(token), new Date());
+}
+
+/**
+ * Проверяет, что пользователь вошёл в систему и его роли разрешён HTTP-метод.
+ * @function authorize
+ * @param {Object|null} user - Пользователь.
+ * @param {string} method - HTTP-метод запроса.
+ * @throws {ApiError} Пользователь не вошёл в систему (код 401).
+ * @throws {ApiError} Роли пользователя метод не разрешён (код 403).
+ */
+function authorize(user, method) {
+  if (!user) throw new ApiError(401, { message: 'Unauthorized' });
+  if (!(ROLE_PERMISSIONS[user.role] || []).includes(method)) throw new ApiError(403, { message: 'Forbidden' });
+}
+
+/**
+ * Получает список пользователей.
+ * @async
+ * @function getUserList
+ * @param {module:storage.Store} store - Хранилище.
+ * @returns {Promise<Array<Object>>} Пользователи.
+ */
+async function getUserList(store) {
+  const users = await store.users.list();
+  return users.map(serializeUser);
+}
+
+/**
+ * Создаёт пользователя.
+ * @async
+ * @function createUser
+ * @param {module:storage.Store} store - Хранилище.
+ * @param {Object} data - Тело запроса с полями login, password и role.
+ * @returns {Promise<Object>} Пользователь.
+ * @throws {ApiError} Некорректные данные или логин занят (код 422).
+ */
+async function createUser(store, data) {
+  const errors = [];
+  const userLogin = String(data.login || '').trim();
+  const password = String(data.password || '');
+  if (!userLogin) errors.push({ field: 'login', message: 'Не указан логин' });
+  if (password.length < 8) errors.push({ field: 'password', message: 'Пароль должен быть не короче 8 символов' });
+  if (!Object.prototype.hasOwnProperty.call(ROLE_PERMISSIONS, data.role)) {
+    errors.push({ field: 'role', message: `Роль должна быть одной из: ${Object.keys(ROLE_PERMISSIONS).join(', ')}` });
+  }
+  if (!errors.length && await store.users.findByLogin(userLogin)) {
+    errors.push({ field: 'login', message: 'Пользователь с таким логином уже существует' });
+  }
+  if (errors.length) throw new ApiError(422, { errors });
+
+  const id = await store.users.insert({ login: userLogin, passwordHash: await hashPassword(password), role: data.role });
+  return serializeUser(await store.users.get(id));
+}
+
+/**
+ * Записывает CORS-заголовки. Разрешение получает только Origin из {@link CORS_ORIGINS}.
+ * @function setCorsHeaders
+ * @param {Object} req - Объект HTTP запроса.
+ * @param {Object} res - Объект HTTP ответа.
+ */
+function setCorsHeaders(req, res) {
+  const origin = req.headers.origin;
+  res.setHeader('Vary', 'Origin');
+  if (origin && (CORS_ORIGINS.includes(origin) || CORS_ORIGINS.includes('*'))) {
+    res.setHeader('Access-Control-Allow-Origin', origin);
+  }
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, If-Match, If-None-Match');
+}
+
+/**
+ * Разбирает идентификатор из параметра пути.
+ * @function parseId
+ * @param {string} value - Значение параметра.
+ * @param {string} name - Имя параметра.
+ * @returns {number} Идентификатор.
+ * @throws {ApiError} Идентификатор не является целым положительным числом (код 400).
+ */
+function parseId(value, name) {
+  if (!/^[1-9]\d*$/.test(value) || !Number.isSafeInteger(Number(value))) {
+    throw new ApiError(400, { errors: [{ field: name, message: 'Ожидается целое положительное число' }] });
+  }
+  return Number(value);
+}
+
+/**
+ * Записывает заголовки постраничного вывода и возвращает элементы страницы для ответа.
+ * @function sendPage
+ * @param {Object} ctx - Контекст запроса.
+ * @param {string} uri - Путь списка.
+ * @param {Object} list - Страница списка с полями `total`, `page`, `limit`.
+ * @param {Array<Object>} items - Элементы страницы.
+ * @returns {Array<Object>} Элементы страницы.
+ */
+function sendPage({ res, searchParams }, uri, list, items) {
+  setPaginationHeaders(res, uri, searchParams, list);
+  return items;
+}
+
+/**
+ * Записывает ETag клиента и возвращает клиента для ответа. Если клиент в ответ на GET
+ * не изменился с версии из заголовка If-None-Match, сервер отвечает 304 без тела.
+ * @function sendClient
+ * @param {Object} ctx - Контекст запроса.
+ * @param {Object} client - Объект клиента.
+ * @returns {Object} Объект клиента.
+ */
+function sendClient({ req, res }, client) {
+  const etag = makeEtag(client);
+  const ifNoneMatch = req.headers['if-none-match'];
+  res.setHeader('Access-Control-Expose-Headers', 'ETag');
+  res.setHeader('ETag', etag);
+  if (req.method === 'GET' && ifNoneMatch && matchesEtag(ifNoneMatch, etag, { weak: true })) {
+    res.statusCode = 304;
+    res.end();
+  }
+  return client;
+}
+
+/**
+ * Маршруты API. Обработчик получает контекст запроса: `req`, `res`, `store`, `user`, `actor`,
+ * параметры пути `params`, параметры строки запроса `query` (при повторе ключа — последнее
+ * значение) и `searchParams` со всеми значениями. Возвращённое значение отправляется в ответе как JSON.
+ *
+ * Параметры маршрута: `public` — доступен без входа; `permission` — HTTP-метод из
+ * {@link ROLE_PERMISSIONS}, который должен быть разрешён роли (по умолчанию метод запроса);
+ * `role` — роль, которой доступен маршрут.
+ * @constant {Object}
+ */
+const router = createRouter()
+  .param('id', parseId)
+  .param('entryId', parseId)
+  .param('contactId', parseId)
+  .param('tagId', parseId)
+  .param('organizationId', parseId)
+  .param('fieldId', parseId)
+  .param('interactionId', parseId)
+  .param('stageId', parseId)
+  .param('dealId', parseId)
+  .param('taskId', parseId)
+  .add('GET', CONTACT_TYPES_URI, () => CONTACT_TYPES, { public: true })
+  .add('GET', CLIENT_SCHEMA_URI, ({ res }) => {
+    res.setHeader('Content-Type', 'application/schema+json');
+    return CLIENT_SCHEMA;
+  }, { public: true })
+  .add('POST', `${AUTH_URI_PREFIX}/login`, async ({ req, store }) => login(store, await drainJson(req)), { public: true })
+  .add('POST', `${AUTH_URI_PREFIX}/logout`, ({ req, store }) => logout(store, req), { public: true })
+  .add('GET', `${AUTH_URI_PREFIX}/me`, ({ user }) => serializeUser(user))
+  .add('GET', USERS_URI, ({ store }) => getUserList(store), { role: 'admin' })
+  .add('POST', USERS_URI, async ({ req, res, store }) => {
+    const createdUser = await createUser(store, await drainJson(req));
+    res.statusCode = 201;
+    return createdUser;
+  }, { role: 'admin' })
+  .add('GET', TAGS_URI, ({ store }) => getTagList(store))
+  .add('POST', TAGS_URI, async ({ req, res, store }) => {
+    const createdTag = await createTag(store, await drainJson(req));
+    res.statusCode = 201;
+    res.setHeader('Access-Control-Expose-Headers', 'Location');
+    res.setHeader('Location', `${TAGS_URI}/${createdTag.id}`);
+    return createdTag;
+  })
+  .add('GET', `${TAGS_URI}/:tagId`, ({ store, params }) => getTag(store, params.tagId))
+  .add('PATCH', `${TAGS_URI}/:tagId`, async ({ req, store, params }) => updateTag(store, params.tagId, await drainJson(req)))
+  .add('DELETE', `${TAGS_URI}/:tagId`, ({ store, params, actor }) => deleteTag(store, params.tagId, actor))
+  .add('GET', ORGANIZATIONS_URI, ({ store }) => getOrganizationList(store))
+  .add('POST', ORGANIZATIONS_URI, async ({ req, res, store }) => {
+    const createdOrganization = await createOrganization(store, await drainJson(req));
+    res.statusCode = 201;
+    res.setHeader('Access-Control-Expose-Headers', 'Location');
+    res.setHeader('Location', `${ORGANIZATIONS_URI}/${createdOrganization.id}`);
+    return createdOrganization;
+  })
+  .add('GET', `${ORGANIZATIONS_URI}/:organizationId`, ({ store, params }) => getOrganization(store, params.organizationId))
+  .add('PATCH', `${ORGANIZATIONS_URI}/:organizationId`, async ({ req, store, params }) => (
+    updateOrganization(store, params.organizationId, await drainJson(req))
+  ))
+  .add('DELETE', `${ORGANIZATIONS_URI}/:organizationId`, ({ store, params, actor }) => (
+    deleteOrganization(store, params.organizationId, actor)
+  ))
+  .add('GET', CUSTOM_FIELDS_URI, ({ store }) => getCustomFieldList(store))
+  .add('POST', CUSTOM_FIELDS_URI, async ({ req, res, store }) => {
+    const createdField = await createCustomField(store, await drainJson(req));
+    res.statusCode = 201;
+    res.setHeader('Access-Control-Expose-Headers', 'Location');
+    res.setHeader('Location', `${CUSTOM_FIELDS_URI}/${createdField.id}`);
+    return createdField;
+  }, { role: 'admin' })
+  .add('GET', `${CUSTOM_FIELDS_URI}/:fieldId`, ({ store, params }) => getCustomField(store, params.fieldId))
+  .add('PATCH', `${CUSTOM_FIELDS_URI}/:fieldId`, async ({ req, store, params, actor }) => (
+    updateCustomField(store, params.fieldId, await drainJson(req), actor)
+  ), { role: 'admin' })
+  .add('DELETE', `${CUSTOM_FIELDS_URI}/:fieldId`, ({ store, params, actor }) => (
+    deleteCustomField(store, params.fieldId, actor)
+  ), { role: 'admin' })
+  .add('GET', DEAL_STAGES_URI, ({ store }) => getStageList(store))
+  .add('POST', DEAL_STAGES_URI, async ({ req, res, store }) => {
+    const createdStage = await createStage(store, await drainJson(req));
+    res.statusCode = 201;
+    res.setHeader('Access-Control-Expose-Headers', 'Location');
+    res.setHeader('Location', `${DEAL_STAGES_URI}/${createdStage.id}`);
+    return createdStage;
+  }, { role: 'admin' })
+  .add('GET', `${DEAL_STAGES_URI}/:stageId`, ({ store, params }) => getStage(store, params.stageId))
+  .add('PATCH', `${DEAL_STAGES_URI}/:stageId`, async ({ req, store, params }) => (
+    updateStage(store, params.stageId, await drainJson(req))
+  ), { role: 'admin' })
+  .add('DELETE', `${DEAL_STAGES_URI}/:stageId`, ({ store, params }) => deleteStage(store, params.stageId), { role: 'admin' })
+  .add('GET', DEALS_URI, ({ store, query }) => getDealList(store, query))
+  .add('POST', DEALS_URI, async ({ req, res, store, actor }) => {
+    const createdDeal = await createDeal(store, await drainJson(req), actor);
+    res.statusCode = 201;
+    res.setHeader('Access-Control-Expose-Headers', 'Location');
+    res.setHeader('Location', `${DEALS_URI}/${createdDeal.id}`);
+    return createdDeal;
+  })
+  .add('GET', `${DEALS_URI}/:dealId`, ({ store, params }) => getDeal(store, params.dealId))
+  .add('PATCH', `${DEALS_URI}/:dealId`, async ({ req, store, params }) => updateDeal(store, params.dealId, await drainJson(req)))
+  .add('DELETE', `${DEALS_URI}/:dealId`, ({ store, params }) => deleteDeal(store, params.dealId))
+  .add('GET', `${DEALS_URI}/:dealId/transitions`, ({ store, params }) => getDealTransitions(store, params.dealId))
+  .add('POST', `${DEALS_URI}/:dealId/transitions`, async ({ req, store, params, actor }) => (
+    transitionDeal(store, params.dealId, await drainJson(req), actor)
+  ))
+  .add('GET', TASKS_URI, ({ store, query, user }) => getTaskList(store, query, user))
+  .add('POST', TASKS_URI, async ({ req, res, store, user }) => {
+    const createdTask = await createTask(store, await drainJson(req), user);
+    res.statusCode = 201;
+    res.setHeader('Access-Control-Expose-Headers', 'Location');
+    res.setHeader('Location', `${TASKS_URI}/${createdTask.id}`);
+    return createdTask;
+  })
+  .add('GET', `${TASKS_URI}/:taskId`, ({ store, params }) => getTask(store, params.taskId))
+  .add('PATCH', `${TASKS_URI}/:taskId`, async ({ req, store, params }) => updateTask(store, params.taskId, await drainJson(req)))
+  .add('DELETE', `${TASKS_URI}/:taskId`, ({ store, params }) => deleteTask(store, params.taskId))
+  .add('GET', URI_PREFIX, async (ctx) => {
+    const list = await getClientList(ctx.store, ctx.query);
+    return sendPage(ctx, URI_PREFIX, list, list.clients);
+  })
+  .add('POST', URI_PREFIX, async ({ req, res, store, actor }) => {
+    const createdItem = sendClient({ req, res }, await createClient(store, await drainJson(req), actor));
+    res.statusCode = 201;
+    res.setHeader('Access-Control-Expose-Headers', 'Location, ETag');
+    res.setHeader('Location', `${URI_PREFIX}/${createdItem.id}`);
+    return createdItem;
+  })
+  .add('GET', `${URI_PREFIX}/duplicates`, async (ctx) => {
+    const list = await findDuplicates(ctx.store, ctx.query);
+    return sendPage(ctx, `${URI_PREFIX}/duplicates`, list, list.pairs);
+  })
+  .add('POST', `${URI_PREFIX}/duplicates/check`, async ({ req, store, query }) => checkDuplicates(store, await drainJson(req), query))
+  // Объединение удаляет дубликаты, поэтому доступно только тем, кому можно удалять клиентов
+  .add('POST', `${URI_PREFIX}/merge`, async ({ req, res, store, actor }) => (
+    sendClient({ req, res }, await mergeClients(store, await drainJson(req), actor))
+  ), { permission: 'DELETE' })
+  // Права на каждое действие пакета проверяет bulkClients
+  .add('POST', `${URI_PREFIX}/bulk`, async ({ req, store, user }) => bulkClients(store, await drainJson(req), user))
+  .add('GET', `${URI_PREFIX}/export`, ({ res, store, query }) => exportClients(store, res, query))
+  .add('POST', `${URI_PREFIX}/import`, async ({ req, store, query, actor }) => (
+    importClients(store, await drainText(req, CSV_MEDIA_TYPES), query, actor)
+  ))
+  .add('POST', `${URI_PREFIX}/import/preview`, async ({ req, query }) => previewImport(await drainText(req, CSV_MEDIA_TYPES), query))
+  .add('POST', `${URI_PREFIX}/import/vcard`, async ({ req, store, actor }) => importVCards(store, await drainJson(req), actor))
+  .add('POST', `${URI_PREFIX}/import/vcard/preview`, async ({ req, store }) => (
+    previewVCardImport(store, await drainText(req, VCARD_MEDIA_TYPES))
+  ))
+  .add('GET', `${URI_PREFIX}/trash`, async (ctx) => {
+    const list = await getClientList(ctx.store, ctx.query, { trash: true });
+    return sendPage(ctx, `${URI_PREFIX}/trash`, list, list.clients);
+  })
+  // Изменяющие запросы с заголовком If-Match выполняются, только если клиент не изменился
+  // с версии из заголовка, иначе сервер отвечает 412 с текущей версией клиента
+  .add('GET', `${URI_PREFIX}/:id`, async ({ req, res, store, params }) => sendClient({ req, res }, await getClient(store, params.id)))
+  .add('PUT', `${URI_PREFIX}/:id`, async ({ req, res, store, params, actor }) => (
+    sendClient({ req, res }, await updateClient(store, params.id, await drainJson(req), actor, req.headers['if-match']))
+  ))
+  .add('PATCH', `${URI_PREFIX}/:id`, async ({ req, res, store, params, actor }) => (
+    sendClient({ req, res }, await patchClient(store, params.id, await drainJson(req), actor, req.headers['if-match']))
+  ))
+  .add('DELETE', `${URI_PREFIX}/:id`, ({ req, store, params, actor }) => deleteClient(store, params.id, actor, req.headers['if-match']))
+  .add('POST', `${URI_PREFIX}/:id/restore`, async ({ req, res, store, params, actor }) => (
+    sendClient({ req, res }, await restoreClient(store, params.id, actor))
+  ))
+  // Изменение контактов — это изменение клиента, поэтому оно доступно тем, кому можно изменять клиентов
+  .add('POST', `${URI_PREFIX}/:id/contacts`, async ({ req, res, store, params, actor }) => {
+    const contact = await addClientContact(store, params.id, await drainJson(req), actor, req.headers['if-match']);
+    res.statusCode = 201;
+    return contact;
+  }, { permission: 'PATCH' })
+  .add('DELETE', `${URI_PREFIX}/:id/contacts/:contactId`, ({ req, store, params, actor }) => (
+    removeClientContact(store, params.id, params.contactId, actor, req.headers['if-match'])
+  ), { permission: 'PATCH' })
+  .add('GET', `${URI_PREFIX}/:id/interactions`, ({ store, params }) => getClientInteractions(store, params.id))
+  .add('POST', `${URI_PREFIX}/:id/interactions`, async ({ req, res, store, params, actor }) => {
+    const interaction = await addClientInteraction(store, params.id, await drainJson(req), actor);
+    res.statusCode = 201;
+    res.setHeader('Access-Control-Expose-Headers', 'Location');
+    res.setHeader('Location', `${URI_PREFIX}/${params.id}/interactions/${interaction.id}`);
+    return interaction;
+  })
+  .add('GET', `${URI_PREFIX}/:id/interactions/:interactionId`, ({ store, params }) => getInteraction(store, params.id, params.interactionId))
+  .add('PATCH', `${URI_PREFIX}/:id/interactions/:interactionId`, async ({ req, store, params }) => (
+    updateClientInteraction(store, params.id, params.interactionId, await drainJson(req))
+  ))
+  .add('DELETE', `${URI_PREFIX}/:id/interactions/:interactionId`, ({ store, params }) => (
+    deleteClientInteraction(store, params.id, params.interactionId)
+  ))
+  .add('GET', `${URI_PREFIX}/:id/history`, ({ store, params }) => getClientHistory(store, params.id))
+  .add('POST', `${URI_PREFIX}/:id/history/:entryId/revert`, async ({ req, res, store, params, actor }) => (
+    sendClient({ req, res }, await revertClient(store, params.id, params.entryId, actor, req.headers['if-match']))
+  ));
+
+/**
+ * Обрабатывает запрос к API: находит маршрут в {@link router}, проверяет права пользователя
+ * и отправляет результат обработчика. На путь без маршрута сервер отвечает 404, на метод,
+ * которого у маршрута нет, — 405 с заголовком `Allow`.
+ * @async
+ * @function handleRequest
+ * @param {Object} app - Приложение из {@link createApp}.
+ * @param {module:storage.Store} app.store - Хранилище.
+ * @param {Promise<void>} app.ready - Промис готовности хранилища; запрос дожидается его перед обращением к данным.
+ * @param {Object} app.logger - Журнал.
  * @param {Object} req - Объект запроса.
  * @param {Object} res - Объект ответа.
+ * @returns {Promise<void>}
  */
-module.exports = createServer(async (req, res) => {
+async function handleRequest({ store, ready, logger }, req, res) {
   res.setHeader('Content-Type', 'application/json');
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PATCH, DELETE, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  setCorsHeaders(req, res);
 
   if (req.method === 'OPTIONS') {
     res.end();
     return;
   }
 
-  if (!req.url || !req.url.startsWith(URI_PREFIX)) {
-    res.statusCode = 404;
-    res.end(JSON.stringify({ message: 'Not Found' }));
-    return;
-  }
-
-  const [uri, query] = req.url.substr(URI_PREFIX.length).split('?');
-  const queryParams = {};
+  try {
+    const url = new URL(req.url || '/', 'http://localhost');
+    const route = router.match(req.method, url.pathname);
+    if (!route) throw new ApiError(404, { message: 'Not Found' });
+    if (route.allowed) {
+      res.setHeader('Allow', route.allowed.join(', '));
+      throw new ApiError(405, { message: `Method Not Allowed: expected ${route.allowed.join(', ')}` });
+    }
 
-  if (query) {
-    for (const piece of query.split('&')) {
-      const [key, value] = piece.split('=');
-      queryParams[key] = value ? decodeURIComponent(value) : '';
+    await ready;
+    const user = await authenticate(store, req);
+    if (!route.options.public) {
+      authorize(user, route.options.permission || req.method);
+      if (route.options.role && user.role !== route.options.role) throw new ApiError(403, { message: 'Forbidden' });
     }
-  }
 
-  try {
-    const body = await (async () => {
-      if (uri === '' || uri === '/') {
-        if (req.method === 'GET') return getClientList(queryParams);
-        if (req.method === 'POST') {
-          const createdItem = await createClient(await drainJson(req));
-          res.statusCode = 201;
-          res.setHeader('Access-Control-Expose-Headers', 'Location');
-          res.setHeader('Location', `${URI_PREFIX}/${createdItem.id}`);
-          return createdItem;
-        }
-      } else {
-        const itemId = uri.substr(1);
-        if (req.method === 'GET') return getClient(itemId);
-        if (req.method === 'PATCH') return updateClient(itemId, await drainJson(req));
-        if (req.method === 'DELETE') return deleteClient(itemId);
-      }
-      return null;
-    })();
-    res.end(JSON.stringify(body));
+    const body = await route.handler({
+      req,
+      res,
+      store,
+      user,
+      actor: user && user.login,
+      params: route.params,
+      query: Object.fromEntries(url.searchParams),
+      searchParams: url.searchParams,
+    });
+    if (!res.headersSent) res.end(JSON.stringify(body));
   } catch (err) {
-    if (err instanceof ApiError) {
+    if (res.headersSent) {
+      // Ошибка посреди потокового ответа: статус уже отправлен, остаётся оборвать соединение
+      res.destroy();
+      logger.error(err);
+    } else if (err instanceof ApiError) {
+      if (err.statusCode === 401) res.setHeader('WWW-Authenticate', 'Bearer');
       res.writeHead(err.statusCode);
       res.end(JSON.stringify(err.data));
     } else {
       res.statusCode = 500;
       res.end(JSON.stringify({ message: 'Server Error' }));
-      console.error(err);
+      logger.error(err);
     }
   }
-})
+}
 
 /**
- * Слушает событие 'listening' и выводит сообщение о запуске сервера.
- * @event
+ * Сколько миллисекунд сервер при остановке ждёт завершения начатых запросов,
+ * прежде чем оборвать соединения.
+ * @constant {number}
  */
-  .on('listening', () => {
-    if (process.env.NODE_ENV !== 'test') {
-      console.log(`Сервер CRM запущен. Вы можете использовать его по адресу http://localhost:${PORT}`);
-    }
-  })
-  .listen(PORT);
+const SHUTDOWN_TIMEOUT = 10 * 1000;
 
 /**
- * Закрывает подключение к базе данных при завершении процесса.
- * @event
+ * Создаёт сервер CRM, не запуская его. Хранилище начинает готовиться к работе сразу:
+ * SQLite применяет новые миграции, создаётся администратор.
+ *
+ * Сервер — обычный `http.Server` с дополнительными методами: `start()` дожидается готовности
+ * хранилища и начинает принимать запросы на порту `port` (0 — любой свободный порт), `stop()`
+ * перестаёт принимать новые соединения, дожидается завершения начатых запросов и закрывает хранилище.
+ * Пока сервер запущен, раз в час очищается корзина и удаляются просроченные сессии, а раз
+ * в {@link TASK_CHECK_INTERVAL_SECONDS} секунд проверяются сроки задач ({@link checkTasks}): сервер
+ * отправляет события `taskReminder` и `taskOverdue` и записывает напоминания в журнал. `checkTasks(now)` проверяет сроки сразу.
+ * @function createApp
+ * @param {Object} [options] - Параметры.
+ * @param {string} [options.storage='sqlite'] - Тип хранилища из {@link module:storage.STORES}.
+ * @param {string} [options.dbPath] - Путь к файлу базы данных SQLite.
+ * @param {number} [options.port=0] - Порт, который слушает сервер после `start()`.
+ * @param {Object} [options.logger=console] - Журнал с методами `info` и `error`.
+ * @param {string} [options.adminLogin='admin'] - Логин администратора.
+ * @param {string} [options.adminPassword] - Пароль администратора; если не задан и пользователей ещё нет, он создаётся
+ *   случайным, и сервер один раз отправляет событие `adminCreated` с логином и паролем `{login, password}`.
+ * @param {number} [options.shutdownTimeout] - Сколько `stop()` ждёт завершения запросов, в миллисекундах.
+ * @returns {Object} Сервер с хранилищем `store` и методами `start`, `stop` и `checkTasks`.
  */
-process.on('exit', () => {
-  db.close();
-});
+function createApp({
+  storage = 'sqlite',
+  dbPath,
+  port = 0,
+  logger = console,
+  adminLogin = 'admin',
+  adminPassword,
+  shutdownTimeout = SHUTDOWN_TIMEOUT,
+} = {}) {
+  const store = createStore({
+    type: storage,
+    dbPath,
+    phoneTypes: CONTACT_TYPES.filter(({ kind }) => kind === 'phone').map(({ type }) => type),
+    emailTypes: CONTACT_TYPES.filter(({ kind }) => kind === 'email').map(({ type }) => type),
+  });
+  const ready = (async () => {
+    await store.init();
+    const generatedPassword = await ensureAdmin(store, { login: adminLogin, password: adminPassword });
+    if (generatedPassword) server.emit('adminCreated', { login: adminLogin, password: generatedPassword });
+    await ensureDealStages(store);
+  })();
+  ready.catch(err => logger.error('Ошибка при инициализации базы данных:', err));
+
+  // Ответы, которые ещё не отправлены: при остановке им запрещается держать соединение открытым
+  const pending = new Set();
+  let stopping = null;
+  let purgeTimer = null;
+  let taskTimer = null;
+
+  const server = createServer((req, res) => {
+    if (stopping) res.setHeader('Connection', 'close');
+    pending.add(res);
+    res.on('close', () => pending.delete(res));
+    handleRequest({ store, ready, logger }, req, res);
+  });
+
+  server.on('listening', () => {
+    const purge = () => Promise.all([
+      purgeTrash(store).catch(err => logger.error('Ошибка при очистке корзины:', err)),
+      store.transaction(() => store.sessions.removeExpired(new Date()))
+        .catch(err => logger.error('Ошибка при удалении просроченных сессий:', err)),
+    ]);
+    ready.then(purge, () => {});
+    purgeTimer = setInterval(purge, 60 * 60 * 1000);
+    purgeTimer.unref();
+
+    const check = () => server.checkTasks().catch(err => logger.error('Ошибка при проверке сроков задач:', err));
+    ready.then(check, () => {});
+    taskTimer = setInterval(check, TASK_CHECK_INTERVAL_SECONDS * 1000);
+    taskTimer.unref();
+  });
+  server.on('close', () => {
+    clearInterval(purgeTimer);
+    clearInterval(taskTimer);
+  });
+  server.on('taskReminder', task => logger.info(`Напоминание: ${task.title} (задача ${task.id}, срок ${task.dueAt})`));
+
+  server.store = store;
+
+  server.checkTasks = async (now = new Date()) => {
+    await ready;
+    return checkTasks(store, server, now);
+  };
+
+  server.start = async () => {
+    await ready;
+    await new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(port, () => {
+        server.off('error', reject);
+        resolve();
+      });
+    });
+    return server;
+  };
+
+  server.stop = () => {
+    if (!stopping) {
+      stopping = (async () => {
+        const closed = new Promise(resolve => server.close(() => resolve()));
+        for (const res of pending) {
+          if (!res.headersSent) res.setHeader('Connection', 'close');
+        }
+        server.closeIdleConnections();
+        const timer = setTimeout(() => server.closeAllConnections(), shutdownTimeout);
+        await closed;
+        clearTimeout(timer);
+        await ready.catch(() => {});
+        await store.close();
+      })();
+    }
+    return stopping;
+  };
+
+  return server;
+}
+
+module.exports = { createApp };
@@ -1,129 +1,1383 @@
-const sqlite3 = require('sqlite3').verbose();
+/**
+ * @jest-environment node
+ */
 const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+// Jest 26 не понимает поле "exports" в package.json, поэтому подключаем CommonJS-сборку axios напрямую
+const axios = require('axios/dist/node/axios.cjs');
 
-// Путь к базе данных
-const dbFilePath = './database.db';
+const { createApp } = require('./index');
 
-afterEach((done) => {
-  const db = new sqlite3.Database(dbFilePath, (err) => {
-    if (err) {
-      console.error('Ошибка подключения к базе данных:', err);
-      return done(err);
+// Сервер хранит данные в памяти и слушает свободный порт, поэтому тесты не трогают
+// файл базы данных и могут идти параллельно с другими серверами
+const server = createApp({ storage: 'memory', adminPassword: 'test-password', logger: { info() {}, error: console.error } });
+
+// Состояние хранилища после входа администратора
+let initialState;
+
+// Базовый адрес API запущенного сервера
+let apiUrl;
+
+// Запускаем сервер и входим администратором: токен сессии подставляется во все запросы к API
+beforeAll(async () => {
+  await server.start();
+  apiUrl = `http://localhost:${server.address().port}/api/clients`;
+  const { data } = await axios.post(apiUrl.replace('/clients', '/auth/login'), {
+    login: 'admin',
+    password: 'test-password',
+  });
+  axios.defaults.headers.common.Authorization = `Bearer ${data.token}`;
+  initialState = server.store.dump();
+});
+
+afterAll(() => server.stop());
+
+// Каждая проверка начинается с того состояния хранилища, которое было сразу после входа
+afterEach(() => {
+  server.store.load(initialState);
+});
+
+describe('GET /api/clients', () => {
+  const surnames = ['Орлов', 'Андреев', 'Белов', 'Васильев', 'Андреев'];
+
+  beforeEach(async () => {
+    for (const [i, surname] of surnames.entries()) {
+      await axios.post(apiUrl, { name: `Имя${i}`, surname, contacts: [] });
     }
+  });
+
+  test('should paginate clients and report total count', async () => {
+    const response = await axios.get(`${apiUrl}?page=2&limit=2`);
+
+    expect(response.data).toHaveLength(2);
+    expect(response.headers['x-total-count']).toBe('5');
+    expect(response.headers.link).toContain('rel="prev"');
+    expect(response.headers.link).toContain('page=3>; rel="next"');
+  });
+
+  test('should sort clients by several columns', async () => {
+    const response = await axios.get(`${apiUrl}?sort=surname,-name`);
+
+    expect(response.data.map(client => client.surname)).toEqual(['Андреев', 'Андреев', 'Белов', 'Васильев', 'Орлов']);
+    expect(response.data[0].name).toBe('Имя4');
+  });
+
+  test('should reject sorting by a field that is not whitelisted', async () => {
+    const response = await axios.get(`${apiUrl}?sort=contacts`, { validateStatus: () => true });
+
+    expect(response.status).toBe(400);
+    expect(response.data.errors[0].field).toBe('sort');
+  });
+});
+
+describe('routing', () => {
+  test('should answer 405 with the allowed methods to an unsupported method', async () => {
+    const response = await axios.post(`${apiUrl}/1`, {}, { validateStatus: () => true });
+
+    expect(response.status).toBe(405);
+    expect(response.headers.allow).toBe('GET, PUT, PATCH, DELETE');
+  });
+
+  test('should answer 400 to an id that is not a positive integer and 404 to an unknown path', async () => {
+    for (const id of ['abc', '0', '1.5', '99999999999999999999']) {
+      const response = await axios.get(`${apiUrl}/${id}`, { validateStatus: () => true });
+      expect(response.status).toBe(400);
+      expect(response.data.errors[0].field).toBe('id');
+    }
+    expect((await axios.get(`${apiUrl}/1/unknown`, { validateStatus: () => true })).status).toBe(404);
+  });
+
+  test('should decode the query string and keep repeated keys in pagination links', async () => {
+    await axios.post(apiUrl, { name: 'Анна', surname: 'Смирнова', contacts: [] });
+    await axios.post(apiUrl, { name: 'Анна', surname: 'Смирнова', contacts: [] });
+    const response = await axios.get(`${apiUrl}?search=%D0%A1%D0%BC%D0%B8%D1%80%D0%BD%D0%BE%D0%B2%D0%B0+%D0%B0%D0%BD%D0%BD%D0%B0&limit=1&x=1&x=2`);
+
+    expect(response.data).toHaveLength(1);
+    expect(response.headers['x-total-count']).toBe('2');
+    expect(response.headers.link).toContain('x=1&x=2');
+  });
+});
+
+describe('contacts', () => {
+  test('should store contacts in a separate table and return them with the client', async () => {
+    const contacts = [
+      { type: 'Телефон', value: '+7 (912) 345-67-89' },
+      { type: 'Email', value: 'ivanov@example.com' },
+      { type: 'Vk', value: 'https://vk.com/ivanov' },
+    ];
+    const { data: created } = await axios.post(apiUrl, { name: 'Иван', surname: 'Иванов', contacts });
+    const { data: client } = await axios.get(`${apiUrl}/${created.id}`);
+
+    expect(client.contacts).toMatchObject(contacts);
+  });
+
+  test('should point at the invalid contact in a 422 response', async () => {
+    const response = await axios.post(apiUrl, {
+      name: 'Иван',
+      surname: 'Иванов',
+      contacts: [
+        { type: 'Email', value: 'ivanov@example.com' },
+        { type: 'Телефон', value: '12-34' },
+        { type: 'Facebook', value: 'facebook.com/ivanov' },
+        { type: 'Telegram', value: '@ivanov' },
+      ],
+    }, { validateStatus: () => true });
+
+    expect(response.status).toBe(422);
+    expect(response.data.errors.map(error => error.field)).toEqual([
+      'contacts[1].value',
+      'contacts[2].value',
+      'contacts[3].type',
+    ]);
+  });
+
+  test('should publish the list of supported contact types', async () => {
+    const { data } = await axios.get(apiUrl.replace('/api/clients', '/api/contact-types'));
+
+    expect(data.map(item => item.type)).toEqual(['Телефон', 'Доп. телефон', 'Email', 'Vk', 'Facebook', 'Другое']);
+  });
+});
+
+describe('search', () => {
+  beforeEach(async () => {
+    await axios.post(apiUrl, {
+      name: 'Пётр', surname: 'Иванов', lastName: 'Сергеевич',
+      contacts: [{ type: 'Телефон', value: '+7 (912) 345-67-89' }],
+    });
+    await axios.post(apiUrl, {
+      name: 'Иван', surname: 'Петров', lastName: 'Иванович',
+      contacts: [{ type: 'Email', value: 'Petrov@Example.com' }],
+    });
+    await axios.post(apiUrl, { name: 'Анна', surname: 'Смирнова', contacts: [] });
+  });
+
+  const search = async (query) => {
+    const { data } = await axios.get(apiUrl, { params: { search: query } });
+    return data.map(client => client.surname);
+  };
+
+  test('should match every word of a combined ФИО query', async () => {
+    expect(await search('Иванов Петр')).toEqual(['Иванов']);
+    expect(await search('петров иван')).toEqual(['Петров']);
+  });
+
+  test('should find clients by phone digits and by e-mail case-insensitively', async () => {
+    expect(await search('9123456789')).toEqual(['Иванов']);
+    expect(await search('345-67-89')).toEqual(['Иванов']);
+    expect(await search('petrov@example.COM')).toEqual(['Петров']);
+  });
+
+  test('should rank clients matching more name parts higher', async () => {
+    expect(await search('Иван')).toEqual(['Петров', 'Иванов']);
+  });
+});
+
+describe('client serialization', () => {
+  test('should return clients in the same shape from every endpoint', async () => {
+    const data = { name: 'Иван', surname: 'Иванов', contacts: [{ type: 'Email', value: 'ivanov@example.com' }] };
+    const { data: created } = await axios.post(apiUrl, data);
+    const { data: fetched } = await axios.get(`${apiUrl}/${created.id}`);
+    const { data: [listed] } = await axios.get(apiUrl);
+    const { data: updated } = await axios.patch(`${apiUrl}/${created.id}`, { lastName: 'Иванович' });
+
+    expect(typeof created.id).toBe('number');
+    expect(created.createdAt).toMatch(/^\d{4}-\d\d-\d\dT\d\d:\d\d:\d\d\.\d{3}Z$/);
+    expect(fetched).toEqual(created);
+    expect(listed).toEqual(created);
+    expect(updated).toEqual({ ...created, lastName: 'Иванович', updatedAt: updated.updatedAt, version: created.version + 1 });
+  });
+
+  test('should publish the JSON Schema of a client', async () => {
+    const response = await axios.get(apiUrl.replace('/api/clients', '/api/schema/client'));
+
+    expect(response.headers['content-type']).toBe('application/schema+json');
+    expect(response.data.required).toEqual([
+      'id', 'name', 'surname', 'lastName', 'contacts', 'tags', 'organization', 'jobTitle',
+      'customFields', 'createdAt', 'updatedAt', 'deletedAt', 'lastContactedAt', 'openTasks', 'version',
+    ]);
+  });
+});
+
+describe('updates', () => {
+  const data = {
+    name: 'Иван',
+    surname: 'Иванов',
+    lastName: 'Иванович',
+    contacts: [{ type: 'Телефон', value: '+79001234567' }, { type: 'Email', value: 'ivanov@example.com' }],
+  };
+
+  test('should change only the fields in a merge patch', async () => {
+    const { data: created } = await axios.post(apiUrl, data);
+    const { data: patched } = await axios.patch(`${apiUrl}/${created.id}`, { name: 'Пётр', lastName: null }, {
+      headers: { 'Content-Type': 'application/merge-patch+json' },
+    });
+    const invalid = await axios.patch(`${apiUrl}/${created.id}`, { surname: null }, { validateStatus: () => true });
+
+    expect(patched).toMatchObject({ name: 'Пётр', surname: 'Иванов', lastName: '', contacts: created.contacts });
+    expect(invalid.status).toBe(422);
+    expect(invalid.data.errors).toEqual([{ field: 'surname', message: 'Не указана фамилия' }]);
+  });
+
+  test('should patch a client whose contacts were migrated without validation', async () => {
+    // Миграция 002 переносит контакты из прежней колонки как есть, например ссылку Vk без схемы
+    const id = await server.store.clients.insert({
+      name: 'Иван', surname: 'Иванов', lastName: '', contacts: [{ type: 'Vk', value: 'vk.com/ivanov' }],
+    });
+    const { data: patched } = await axios.patch(`${apiUrl}/${id}`, { name: 'Пётр' });
+    const invalid = await axios.patch(`${apiUrl}/${id}`, { contacts: [{ type: 'Vk', value: 'vk.com/ivanov' }] }, { validateStatus: () => true });
+
+    expect(patched).toMatchObject({ name: 'Пётр', contacts: [{ type: 'Vk', value: 'vk.com/ivanov' }] });
+    expect(invalid.status).toBe(422);
+  });
+
+  test('should replace the whole client on PUT', async () => {
+    const { data: created } = await axios.post(apiUrl, data);
+    const { data: replaced } = await axios.put(`${apiUrl}/${created.id}`, { name: 'Пётр', surname: 'Петров' });
+    const incomplete = await axios.put(`${apiUrl}/${created.id}`, { name: 'Пётр' }, { validateStatus: () => true });
+
+    expect(replaced).toMatchObject({ name: 'Пётр', surname: 'Петров', lastName: '', contacts: [] });
+    expect(incomplete.status).toBe(422);
+  });
+
+  test('should add and remove single contacts', async () => {
+    const { data: created } = await axios.post(apiUrl, data);
+    const [phone, email] = created.contacts;
+    const added = await axios.post(`${apiUrl}/${created.id}/contacts`, { type: 'Vk', value: 'https://vk.com/ivanov' });
+    const invalid = await axios.post(`${apiUrl}/${created.id}/contacts`, { type: 'Email', value: 'ivanov' }, { validateStatus: () => true });
+    await axios.delete(`${apiUrl}/${created.id}/contacts/${phone.id}`);
+    const missing = await axios.delete(`${apiUrl}/${created.id}/contacts/${phone.id}`, { validateStatus: () => true });
+    const { data: client } = await axios.get(`${apiUrl}/${created.id}`);
+    const { data: history } = await axios.get(`${apiUrl}/${created.id}/history`);
+
+    expect(added.status).toBe(201);
+    expect(added.data).toMatchObject({ type: 'Vk', value: 'https://vk.com/ivanov' });
+    expect(invalid.status).toBe(422);
+    expect(invalid.data.errors[0].field).toBe('value');
+    expect(missing.status).toBe(404);
+    expect(client.contacts).toEqual([email, added.data]);
+    expect(history.map(entry => entry.action)).toEqual(['update', 'update', 'create']);
+  });
+});
+
+describe('tags', () => {
+  const tagsUrl = () => apiUrl.replace('/clients', '/tags');
 
-    db.run('DELETE FROM clients', [], (err) => {
-      if (err) {
-        console.error('Ошибка очистки таблицы clients:', err);
-        return done(err);
-      }
-      db.close(done); // Закрываем базу данных после очистки
+  test('should create, rename and delete tags', async () => {
+    const created = await axios.post(tagsUrl(), { name: 'VIP', color: '#FF0000' });
+    const duplicate = await axios.post(tagsUrl(), { name: 'vip' }, { validateStatus: () => true });
+    const invalid = await axios.post(tagsUrl(), { name: ' ', color: 'red' }, { validateStatus: () => true });
+    const { data: renamed } = await axios.patch(`${tagsUrl()}/${created.data.id}`, { name: 'Ключевой' });
+    const { data: client } = await axios.post(apiUrl, { name: 'Иван', surname: 'Иванов', tags: [created.data.id] });
+    const { data: tags } = await axios.get(tagsUrl());
+    await axios.delete(`${tagsUrl()}/${created.data.id}`);
+    const missing = await axios.get(`${tagsUrl()}/${created.data.id}`, { validateStatus: () => true });
+
+    expect(created.status).toBe(201);
+    expect(created.headers.location).toBe(`/api/tags/${created.data.id}`);
+    expect(created.data).toEqual({ id: created.data.id, name: 'VIP', color: '#ff0000' });
+    expect(duplicate.status).toBe(422);
+    expect(invalid.data.errors.map(error => error.field)).toEqual(['name', 'color']);
+    expect(renamed).toEqual({ ...created.data, name: 'Ключевой' });
+    expect(client.tags).toEqual([renamed]);
+    expect(tags).toEqual([{ ...renamed, clients: 1 }]);
+    expect((await axios.get(`${apiUrl}/${client.id}`)).data.tags).toEqual([]);
+    expect(missing.status).toBe(404);
+  });
+
+  test('should set tags on clients and keep them unless the patch changes them', async () => {
+    const { data: vip } = await axios.post(tagsUrl(), { name: 'VIP' });
+    const { data: partner } = await axios.post(tagsUrl(), { name: 'Партнёр' });
+    const { data: created } = await axios.post(apiUrl, { name: 'Иван', surname: 'Иванов', tags: [vip.id] });
+    const { data: patched } = await axios.patch(`${apiUrl}/${created.id}`, { lastName: 'Иванович' });
+    const { data: tagged } = await axios.patch(`${apiUrl}/${created.id}`, { tags: [vip.id, partner.id, vip.id] });
+    const { data: cleared } = await axios.patch(`${apiUrl}/${created.id}`, { tags: null });
+    const unknown = await axios.patch(`${apiUrl}/${created.id}`, { tags: [999999] }, { validateStatus: () => true });
+
+    expect(patched.tags).toEqual([vip]);
+    expect(tagged.tags).toEqual([vip, partner]);
+    expect(tagged.version).toBe(created.version + 2);
+    expect(cleared.tags).toEqual([]);
+    expect(unknown.status).toBe(422);
+    expect(unknown.data.errors).toEqual([{ field: 'tags', message: 'Метка 999999 не найдена' }]);
+  });
+
+  test('should record the removal of a deleted tag in the history of its clients', async () => {
+    const { data: vip } = await axios.post(tagsUrl(), { name: 'VIP' });
+    const { data: created } = await axios.post(apiUrl, { name: 'Иван', surname: 'Иванов', tags: [vip.id] });
+    const { headers } = await axios.get(`${apiUrl}/${created.id}`);
+    await axios.delete(`${tagsUrl()}/${vip.id}`);
+    const stale = await axios.patch(`${apiUrl}/${created.id}`, { name: 'Пётр' }, { headers: { 'If-Match': headers.etag }, validateStatus: () => true });
+    const { data: [entry] } = await axios.get(`${apiUrl}/${created.id}/history`);
+
+    expect(stale.status).toBe(412);
+    expect(stale.data.client).toMatchObject({ tags: [], version: created.version + 1 });
+    expect(entry).toMatchObject({ action: 'update', actor: 'admin', changes: [{ field: 'tags', before: [{ id: vip.id, name: 'VIP' }], after: [] }] });
+  });
+
+  test('should filter clients by any or all of the tags', async () => {
+    const { data: vip } = await axios.post(tagsUrl(), { name: 'VIP' });
+    const { data: partner } = await axios.post(tagsUrl(), { name: 'Партнёр' });
+    await axios.post(apiUrl, { name: 'Иван', surname: 'Иванов', tags: [vip.id] });
+    await axios.post(apiUrl, { name: 'Пётр', surname: 'Петров', tags: [vip.id, partner.id] });
+    await axios.post(apiUrl, { name: 'Анна', surname: 'Смирнова' });
+    const surnames = async query => (await axios.get(`${apiUrl}?${query}`)).data.map(client => client.surname);
+    const invalid = await axios.get(`${apiUrl}?tags=vip&tagsMatch=some`, { validateStatus: () => true });
+
+    expect(await surnames(`tags=${vip.id},${partner.id}`)).toEqual(['Иванов', 'Петров']);
+    expect(await surnames(`tags=${vip.id},${partner.id}&tagsMatch=all`)).toEqual(['Петров']);
+    expect((await axios.get(`${apiUrl}?tags=${partner.id}`)).headers['x-total-count']).toBe('1');
+    expect(invalid.status).toBe(400);
+    expect(invalid.data.errors.map(error => error.field)).toEqual(['tags', 'tagsMatch']);
+  });
+});
+
+describe('organizations', () => {
+  const organizationsUrl = () => apiUrl.replace('/clients', '/organizations');
+  const sber = { name: 'ПАО Сбербанк', inn: '7707083893', kpp: '773601001', address: 'Москва, ул. Вавилова, 19', website: 'sberbank.ru' };
+
+  test('should create, change and delete organizations', async () => {
+    const created = await axios.post(organizationsUrl(), sber);
+    const invalid = await axios.post(organizationsUrl(), { name: ' ', inn: '7707083894', kpp: '77360', website: 'ftp://example.com' }, {
+      validateStatus: () => true,
     });
+    const { data: changed } = await axios.patch(`${organizationsUrl()}/${created.data.id}`, { address: '' });
+    const { data: list } = await axios.get(organizationsUrl());
+    await axios.delete(`${organizationsUrl()}/${created.data.id}`);
+    const missing = await axios.get(`${organizationsUrl()}/${created.data.id}`, { validateStatus: () => true });
+
+    expect(created.status).toBe(201);
+    expect(created.headers.location).toBe(`/api/organizations/${created.data.id}`);
+    expect(created.data).toMatchObject({ ...sber, website: 'https://sberbank.ru', employeeCount: 0, employees: [] });
+    expect(invalid.status).toBe(422);
+    expect(invalid.data.errors.map(error => error.field)).toEqual(['name', 'inn', 'kpp', 'website']);
+    expect(changed).toEqual({ ...created.data, address: '', updatedAt: changed.updatedAt });
+    const { employees, ...summary } = changed;
+    expect(list).toEqual([summary]);
+    expect(missing.status).toBe(404);
+  });
+
+  test('should link clients to an organization with a job title and list them as its employees', async () => {
+    const { data: organization } = await axios.post(organizationsUrl(), { name: 'ООО Ромашка' });
+    const { data: petrov } = await axios.post(apiUrl, { name: 'Пётр', surname: 'Петров', organizationId: organization.id, jobTitle: 'Директор' });
+    const { data: ivanov } = await axios.post(apiUrl, { name: 'Иван', surname: 'Иванов', organizationId: organization.id });
+    await axios.post(apiUrl, { name: 'Анна', surname: 'Смирнова' });
+    const { data: patched } = await axios.patch(`${apiUrl}/${ivanov.id}`, { jobTitle: 'Бухгалтер' });
+    const unknown = await axios.post(apiUrl, { name: 'Олег', surname: 'Олегов', organizationId: 999999 }, { validateStatus: () => true });
+    const { data: detail } = await axios.get(`${organizationsUrl()}/${organization.id}`);
+    const { data: filtered } = await axios.get(`${apiUrl}?organization=${organization.id}`);
+    const invalid = await axios.get(`${apiUrl}?organization=abc`, { validateStatus: () => true });
+
+    expect(petrov.organization).toEqual({ id: organization.id, name: 'ООО Ромашка' });
+    expect(petrov.jobTitle).toBe('Директор');
+    expect(patched.jobTitle).toBe('Бухгалтер');
+    expect(unknown.status).toBe(422);
+    expect(unknown.data.errors).toEqual([{ field: 'organizationId', message: 'Организация 999999 не найдена' }]);
+    expect(detail.employeeCount).toBe(2);
+    expect(detail.employees).toEqual([
+      { id: ivanov.id, surname: 'Иванов', name: 'Иван', lastName: '', jobTitle: 'Бухгалтер' },
+      { id: petrov.id, surname: 'Петров', name: 'Пётр', lastName: '', jobTitle: 'Директор' },
+    ]);
+    expect(filtered.map(client => client.surname)).toEqual(['Петров', 'Иванов']);
+    expect(invalid.status).toBe(400);
+
+    const { data: unlinked } = await axios.patch(`${apiUrl}/${petrov.id}`, { organizationId: null });
+    await axios.delete(`${organizationsUrl()}/${organization.id}`);
+
+    expect(unlinked).toMatchObject({ organization: null, jobTitle: '' });
+    expect((await axios.get(`${apiUrl}/${ivanov.id}`)).data.organization).toBeNull();
+  });
+
+  test('should record the loss of workplace in the history of employees of a deleted organization', async () => {
+    const { data: organization } = await axios.post(organizationsUrl(), { name: 'ООО Ромашка' });
+    const { data: created } = await axios.post(apiUrl, { name: 'Иван', surname: 'Иванов', organizationId: organization.id, jobTitle: 'Директор' });
+    const { headers } = await axios.get(`${apiUrl}/${created.id}`);
+    await axios.delete(`${organizationsUrl()}/${organization.id}`);
+    const stale = await axios.patch(`${apiUrl}/${created.id}`, { name: 'Пётр' }, { headers: { 'If-Match': headers.etag }, validateStatus: () => true });
+    const { data: [entry] } = await axios.get(`${apiUrl}/${created.id}/history`);
+
+    expect(stale.status).toBe(412);
+    expect(stale.data.client).toMatchObject({ organization: null, jobTitle: '', version: created.version + 1 });
+    expect(entry).toMatchObject({ action: 'update', actor: 'admin' });
+    expect(entry.changes).toEqual([
+      { field: 'organization', before: { id: organization.id, name: 'ООО Ромашка' }, after: null },
+      { field: 'jobTitle', before: 'Директор', after: '' },
+    ]);
+  });
+
+  test('should give the surviving client the workplace of a duplicate when it has none', async () => {
+    const { data: organization } = await axios.post(organizationsUrl(), { name: 'ООО Ромашка' });
+    const { data: target } = await axios.post(apiUrl, { name: 'Иван', surname: 'Иванов' });
+    const { data: source } = await axios.post(apiUrl, { name: 'Иван', surname: 'Иванов', organizationId: organization.id, jobTitle: 'Директор' });
+    const { data: merged } = await axios.post(`${apiUrl}/merge`, { targetId: target.id, sourceIds: [source.id] });
+
+    expect(merged).toMatchObject({ organization: { id: organization.id, name: 'ООО Ромашка' }, jobTitle: 'Директор' });
   });
 });
 
+describe('custom fields', () => {
+  const fieldsUrl = () => apiUrl.replace('/clients', '/custom-fields');
+
+  test('should create, change and delete custom fields', async () => {
+    const created = await axios.post(fieldsUrl(), { key: 'source', label: 'Источник', type: 'select', options: ['Сайт', 'Звонок'] });
+    const { data: city } = await axios.post(fieldsUrl(), { key: 'city', label: 'Город', type: 'text' });
+    const invalid = await axios.post(fieldsUrl(), { key: 'City', label: ' ', type: 'color' }, { validateStatus: () => true });
+    const duplicate = await axios.post(fieldsUrl(), { key: 'city', label: 'Город', type: 'text', options: ['Москва'] }, {
+      validateStatus: () => true,
+    });
+    const retyped = await axios.patch(`${fieldsUrl()}/${city.id}`, { type: 'number' }, { validateStatus: () => true });
+    const { data: changed } = await axios.patch(`${fieldsUrl()}/${created.data.id}`, { options: ['Сайт', 'Звонок', 'Выставка'] });
+    const { data: list } = await axios.get(fieldsUrl());
+    await axios.delete(`${fieldsUrl()}/${city.id}`);
+    const missing = await axios.get(`${fieldsUrl()}/${city.id}`, { validateStatus: () => true });
+
+    expect(created.status).toBe(201);
+    expect(created.headers.location).toBe(`/api/custom-fields/${created.data.id}`);
+    expect(created.data).toEqual({ id: created.data.id, key: 'source', label: 'Источник', type: 'select', options: ['Сайт', 'Звонок'], position: 1 });
+    expect(city.position).toBe(2);
+    expect(invalid.status).toBe(422);
+    expect(invalid.data.errors.map(error => error.field)).toEqual(['key', 'label', 'type']);
+    expect(duplicate.data.errors.map(error => error.field)).toEqual(['key', 'options']);
+    expect(retyped.data.errors).toEqual([{ field: 'type', message: 'Тип поля нельзя изменить' }]);
+    expect(changed.options).toEqual(['Сайт', 'Звонок', 'Выставка']);
+    expect(list.map(field => field.key)).toEqual(['source', 'city']);
+    expect(missing.status).toBe(404);
+  });
+
+  test('should fill empty custom fields of the surviving client from its duplicates', async () => {
+    await axios.post(fieldsUrl(), { key: 'city', label: 'Город', type: 'text' });
+    await axios.post(fieldsUrl(), { key: 'budget', label: 'Бюджет', type: 'number' });
+    const { data: target } = await axios.post(apiUrl, { name: 'Иван', surname: 'Иванов', customFields: { city: 'Москва' } });
+    const { data: source } = await axios.post(apiUrl, { name: 'Иван', surname: 'Иванов', customFields: { city: 'Тверь', budget: 300 } });
+    const { data: merged } = await axios.post(`${apiUrl}/merge`, { targetId: target.id, sourceIds: [source.id] });
+
+    expect(merged.customFields).toEqual({ city: 'Москва', budget: 300 });
+  });
+
+  test('should clear values of a removed select option so that clients stay editable', async () => {
+    const { data: field } = await axios.post(fieldsUrl(), { key: 'source', label: 'Источник', type: 'select', options: ['Сайт', 'Звонок'] });
+    const { data: ivanov } = await axios.post(apiUrl, { name: 'Иван', surname: 'Иванов', customFields: { source: 'Звонок' } });
+    const { data: petrov } = await axios.post(apiUrl, { name: 'Пётр', surname: 'Петров', customFields: { source: 'Сайт' } });
+    await axios.patch(`${fieldsUrl()}/${field.id}`, { options: ['Сайт', 'Выставка'] });
+    const { data: renamed } = await axios.patch(`${apiUrl}/${ivanov.id}`, { name: 'Иоанн' });
+
+    expect(renamed).toMatchObject({ name: 'Иоанн', customFields: {} });
+    expect((await axios.get(`${apiUrl}/${petrov.id}`)).data.customFields).toEqual({ source: 'Сайт' });
+  });
+
+  test('should record cleared values of a removed field or option in the history of clients', async () => {
+    const { data: source } = await axios.post(fieldsUrl(), { key: 'source', label: 'Источник', type: 'select', options: ['Сайт', 'Звонок'] });
+    const { data: city } = await axios.post(fieldsUrl(), { key: 'city', label: 'Город', type: 'text' });
+    const { data: ivanov } = await axios.post(apiUrl, { name: 'Иван', surname: 'Иванов', customFields: { source: 'Звонок', city: 'Москва' } });
+    const { data: petrov } = await axios.post(apiUrl, { name: 'Пётр', surname: 'Петров', customFields: { source: 'Сайт' } });
+    const { headers } = await axios.get(`${apiUrl}/${ivanov.id}`);
+    await axios.patch(`${fieldsUrl()}/${source.id}`, { options: ['Сайт'] });
+    await axios.delete(`${fieldsUrl()}/${city.id}`);
+    const stale = await axios.patch(`${apiUrl}/${ivanov.id}`, { name: 'Иоанн' }, { headers: { 'If-Match': headers.etag }, validateStatus: () => true });
+    const { data: history } = await axios.get(`${apiUrl}/${ivanov.id}/history`);
+    const { data: untouched } = await axios.get(`${apiUrl}/${petrov.id}`);
+
+    expect(stale.status).toBe(412);
+    expect(stale.data.client).toMatchObject({ customFields: {}, version: ivanov.version + 2 });
+    expect(history.slice(0, 2).map(entry => entry.changes)).toEqual([
+      [{ field: 'customFields', before: { city: 'Москва' }, after: {} }],
+      [{ field: 'customFields', before: { source: 'Звонок', city: 'Москва' }, after: { city: 'Москва' } }],
+    ]);
+    expect(untouched.version).toBe(petrov.version);
+  });
 
-test('should insert a new client into the database', (done) => {
-  // Подключаемся к базе данных
-  const db = new sqlite3.Database(dbFilePath, (err) => {
-    if (err) {
-      console.error('Ошибка подключения к базе данных:', err);
+  test('should validate, return, filter and sort custom field values of clients', async () => {
+    const fields = [
+      { key: 'city', label: 'Город', type: 'text' },
+      { key: 'budget', label: 'Бюджет', type: 'number' },
+      { key: 'birthday', label: 'День рождения', type: 'date' },
+      { key: 'source', label: 'Источник', type: 'select', options: ['Сайт', 'Звонок'] },
+      { key: 'vip', label: 'VIP', type: 'boolean' },
+    ];
+    const ids = [];
+    for (const field of fields) ids.push((await axios.post(fieldsUrl(), field)).data.id);
+    const { data: ivanov } = await axios.post(apiUrl, {
+      name: 'Иван', surname: 'Иванов', customFields: { city: 'Москва', budget: 500, birthday: '1990-05-17', source: 'Сайт', vip: true },
+    });
+    const { data: petrov } = await axios.post(apiUrl, { name: 'Пётр', surname: 'Петров', customFields: { budget: 1200, source: 'Сайт', vip: false } });
+    await axios.post(apiUrl, { name: 'Анна', surname: 'Смирнова', customFields: { source: 'Звонок', city: '' } });
+    const invalid = await axios.post(apiUrl, {
+      name: 'Олег', surname: 'Олегов', customFields: { budget: '10', birthday: '1990-02-30', source: 'Выставка', vip: 'да', color: 'red' },
+    }, { validateStatus: () => true });
+    const { data: bySource } = await axios.get(`${apiUrl}?cf.source=${encodeURIComponent('Сайт')}&sort=-cf.budget`);
+    const { data: vips } = await axios.get(`${apiUrl}?cf.vip=true`);
+    const unknown = await axios.get(`${apiUrl}?cf.color=red`, { validateStatus: () => true });
+    const notNumber = await axios.get(`${apiUrl}?cf.budget=abc`, { validateStatus: () => true });
+    const { data: patched } = await axios.patch(`${apiUrl}/${ivanov.id}`, { customFields: { city: null, budget: 700 } });
+
+    expect(ivanov.customFields).toEqual({ city: 'Москва', budget: 500, birthday: '1990-05-17', source: 'Сайт', vip: true });
+    expect(petrov.customFields).toEqual({ budget: 1200, source: 'Сайт', vip: false });
+    expect(invalid.status).toBe(422);
+    expect(invalid.data.errors.map(error => error.field)).toEqual([
+      'customFields.budget', 'customFields.birthday', 'customFields.source', 'customFields.vip', 'customFields.color',
+    ]);
+    expect(bySource.map(client => client.surname)).toEqual(['Петров', 'Иванов']);
+    expect(vips.map(client => client.surname)).toEqual(['Иванов']);
+    expect(unknown.status).toBe(400);
+    expect(unknown.data.errors).toEqual([{ field: 'cf.color', message: 'Неизвестное дополнительное поле' }]);
+    expect(notNumber.status).toBe(400);
+    expect(patched.customFields).toEqual({ budget: 700, birthday: '1990-05-17', source: 'Сайт', vip: true });
+
+    await axios.delete(`${fieldsUrl()}/${ids[0]}`);
+    const { data: afterDelete } = await axios.get(`${apiUrl}?sort=cf.city`, { validateStatus: () => true });
+    expect(afterDelete.errors).toEqual([{ field: 'sort', message: 'Сортировка по полю «cf.city» не поддерживается' }]);
+  });
+});
+
+describe('interactions', () => {
+  const interactionsUrl = id => `${apiUrl}/${id}/interactions`;
+
+  test('should log interactions with the author and list them from the latest', async () => {
+    const { data: client } = await axios.post(apiUrl, { name: 'Иван', surname: 'Иванов' });
+    const call = await axios.post(interactionsUrl(client.id), { type: 'call', date: '2024-03-01T10:00:00Z', text: 'Обсудили договор' });
+    await axios.post(interactionsUrl(client.id), { type: 'meeting', date: '2024-03-05T12:30:00+03:00', text: 'Встреча в офисе' });
+    const invalid = await axios.post(interactionsUrl(client.id), { type: 'sms', date: 'вчера' }, { validateStatus: () => true });
+    const { data: edited } = await axios.patch(`${interactionsUrl(client.id)}/${call.data.id}`, { text: 'Подписали договор' });
+    const { data: list } = await axios.get(interactionsUrl(client.id));
+
+    expect(call.status).toBe(201);
+    expect(call.headers.location).toBe(`/api/clients/${client.id}/interactions/${call.data.id}`);
+    expect(call.data).toMatchObject({ type: 'call', date: '2024-03-01T10:00:00.000Z', text: 'Обсудили договор', author: 'admin' });
+    expect(invalid.status).toBe(422);
+    expect(invalid.data.errors.map(error => error.field)).toEqual(['type', 'date', 'text']);
+    expect(edited).toEqual({ ...call.data, text: 'Подписали договор' });
+    expect(list.map(item => item.type)).toEqual(['meeting', 'call']);
+
+    await axios.delete(`${interactionsUrl(client.id)}/${call.data.id}`);
+    const missing = await axios.delete(`${interactionsUrl(client.id)}/${call.data.id}`, { validateStatus: () => true });
+    expect(missing.status).toBe(404);
+    expect((await axios.get(interactionsUrl(client.id))).data).toHaveLength(1);
+  });
+
+  test('should sort clients by the last contact, not counting notes', async () => {
+    const { data: ivanov } = await axios.post(apiUrl, { name: 'Иван', surname: 'Иванов' });
+    const { data: petrov } = await axios.post(apiUrl, { name: 'Пётр', surname: 'Петров' });
+    await axios.post(apiUrl, { name: 'Анна', surname: 'Смирнова' });
+    await axios.post(interactionsUrl(ivanov.id), { type: 'email', date: '2024-01-10T09:00:00Z', text: 'Отправили счёт' });
+    await axios.post(interactionsUrl(petrov.id), { type: 'call', date: '2024-02-01T09:00:00Z', text: 'Звонок' });
+    await axios.post(interactionsUrl(ivanov.id), { type: 'note', date: '2024-03-01T09:00:00Z', text: 'Любит звонки по утрам' });
+    const { data: clients } = await axios.get(`${apiUrl}?sort=-lastContactedAt`);
+
+    expect(clients.map(client => client.surname)).toEqual(['Петров', 'Иванов', 'Смирнова']);
+    expect(clients.map(client => client.lastContactedAt)).toEqual(['2024-02-01T09:00:00.000Z', '2024-01-10T09:00:00.000Z', null]);
+  });
+});
+
+describe('deals', () => {
+  const dealsUrl = () => apiUrl.replace('/clients', '/deals');
+  const stagesUrl = () => apiUrl.replace('/clients', '/deal-stages');
+
+  test('should create, change and delete deals', async () => {
+    const { data: client } = await axios.post(apiUrl, { name: 'Иван', surname: 'Иванов' });
+    const { data: [first] } = await axios.get(stagesUrl());
+    const created = await axios.post(dealsUrl(), {
+      title: 'Поставка', clientId: client.id, amount: 1500.5, expectedCloseDate: '2024-06-30',
+    });
+    const { data: changed } = await axios.patch(`${dealsUrl()}/${created.data.id}`, { amount: 2000, currency: 'USD' });
+    const invalid = await axios.post(dealsUrl(), {
+      title: '', clientId: 999999, amount: 1.005, currency: 'GBP', expectedCloseDate: '2024-02-30',
+    }, { validateStatus: () => true });
+    const moved = await axios.patch(`${dealsUrl()}/${created.data.id}`, { stageId: first.id + 1 }, { validateStatus: () => true });
+    const { data: byClient } = await axios.get(`${dealsUrl()}?clientId=${client.id}`);
+    const badFilter = await axios.get(`${dealsUrl()}?stageId=first`, { validateStatus: () => true });
+    await axios.delete(`${dealsUrl()}/${created.data.id}`);
+    const missing = await axios.get(`${dealsUrl()}/${created.data.id}`, { validateStatus: () => true });
+
+    expect(created.status).toBe(201);
+    expect(created.headers.location).toBe(`/api/deals/${created.data.id}`);
+    expect(created.data).toMatchObject({
+      title: 'Поставка',
+      clientId: client.id,
+      client: { id: client.id, surname: 'Иванов', name: 'Иван', lastName: '' },
+      stageId: first.id,
+      amount: 1500.5,
+      currency: 'RUB',
+      expectedCloseDate: '2024-06-30',
+      probability: first.probability,
+    });
+    expect(changed).toMatchObject({ amount: 2000, currency: 'USD', stageId: first.id });
+    expect(invalid.status).toBe(422);
+    expect(invalid.data.errors.map(error => error.field)).toEqual(['title', 'clientId', 'amount', 'currency', 'expectedCloseDate']);
+    expect(moved.status).toBe(422);
+    expect(moved.data.errors[0].field).toBe('stageId');
+    expect(byClient.map(deal => deal.id)).toEqual([created.data.id]);
+    expect(badFilter.status).toBe(400);
+    expect(missing.status).toBe(404);
+  });
+
+  test('should move deals between stages and keep the history of transitions', async () => {
+    const { data: client } = await axios.post(apiUrl, { name: 'Иван', surname: 'Иванов' });
+    const { data: stages } = await axios.get(stagesUrl());
+    const won = stages.find(stage => stage.kind === 'won');
+    const { data: deal } = await axios.post(dealsUrl(), { title: 'Поставка', clientId: client.id, probability: 40 });
+    const { data: moved } = await axios.post(`${dealsUrl()}/${deal.id}/transitions`, { stageId: won.id });
+    const unknown = await axios.post(`${dealsUrl()}/${deal.id}/transitions`, { stageId: 999999 }, { validateStatus: () => true });
+    const { data: transitions } = await axios.get(`${dealsUrl()}/${deal.id}/transitions`);
+    await axios.delete(`${apiUrl}/${client.id}`);
+
+    expect(deal.probability).toBe(40);
+    expect(moved).toMatchObject({ stageId: won.id, probability: 100 });
+    expect(unknown.status).toBe(422);
+    expect(transitions.map(({ from, to, actor }) => ({ from, to, actor }))).toEqual([
+      { from: { id: stages[0].id, name: stages[0].name }, to: { id: won.id, name: won.name }, actor: 'admin' },
+      { from: null, to: { id: stages[0].id, name: stages[0].name }, actor: 'admin' },
+    ]);
+    expect((await axios.get(dealsUrl())).data).toEqual([]);
+  });
+
+  test('should let only administrators configure stages', async () => {
+    const { data: client } = await axios.post(apiUrl, { name: 'Иван', surname: 'Иванов' });
+    const created = await axios.post(stagesUrl(), { name: 'Договор', probability: 90 });
+    const { data: stage } = await axios.patch(`${stagesUrl()}/${created.data.id}`, { position: 0 });
+    const { data: deal } = await axios.post(dealsUrl(), { title: 'Поставка', clientId: client.id });
+    const busy = await axios.delete(`${stagesUrl()}/${stage.id}`, { validateStatus: () => true });
+    await axios.post(apiUrl.replace('/clients', '/users'), { login: 'manager', password: 'manager-password', role: 'manager' });
+    const { data: session } = await axios.post(apiUrl.replace('/clients', '/auth/login'), { login: 'manager', password: 'manager-password' });
+    const forbidden = await axios.post(stagesUrl(), { name: 'Пауза' }, {
+      headers: { Authorization: `Bearer ${session.token}` },
+      validateStatus: () => true,
+    });
+    await axios.delete(`${dealsUrl()}/${deal.id}`);
+    await axios.delete(`${stagesUrl()}/${stage.id}`);
+
+    expect(created.status).toBe(201);
+    expect(created.data).toMatchObject({ name: 'Договор', position: 7, probability: 90, kind: 'open', deals: 0 });
+    expect(deal).toMatchObject({ stageId: stage.id, probability: 90 });
+    expect(busy.status).toBe(409);
+    expect(forbidden.status).toBe(403);
+    expect((await axios.get(stagesUrl())).data.map(item => item.name)).toEqual([
+      'Новая', 'Квалификация', 'Предложение', 'Переговоры', 'Выиграна', 'Проиграна',
+    ]);
+  });
+});
+
+describe('tasks', () => {
+  const tasksUrl = () => apiUrl.replace('/clients', '/tasks');
+  const hour = 60 * 60 * 1000;
+
+  test('should create, change and delete tasks on a client', async () => {
+    const { data: client } = await axios.post(apiUrl, { name: 'Иван', surname: 'Иванов' });
+    // Хранилище записывает сроки с точностью до секунды
+    const dueAt = new Date(Math.floor(Date.now() / 1000) * 1000 + 24 * hour).toISOString();
+    const created = await axios.post(tasksUrl(), { title: 'Перезвонить', clientId: client.id, dueAt });
+    const { data: withTask } = await axios.get(`${apiUrl}/${client.id}`);
+    const { data: late } = await axios.patch(`${tasksUrl()}/${created.data.id}`, { dueAt: new Date(Date.now() - hour).toISOString() });
+    const { data: done } = await axios.patch(`${tasksUrl()}/${created.data.id}`, { status: 'done', assigneeId: null });
+    const invalid = await axios.post(tasksUrl(), {
+      title: ' ', clientId: 999999, dueAt: 'завтра', assigneeId: 999999, status: 'later',
+    }, { validateStatus: () => true });
+    await axios.delete(`${tasksUrl()}/${created.data.id}`);
+    const missing = await axios.get(`${tasksUrl()}/${created.data.id}`, { validateStatus: () => true });
+
+    expect(created.status).toBe(201);
+    expect(created.headers.location).toBe(`/api/tasks/${created.data.id}`);
+    expect(created.data).toMatchObject({
+      title: 'Перезвонить',
+      clientId: client.id,
+      client: { id: client.id, surname: 'Иванов', name: 'Иван', lastName: '' },
+      dueAt,
+      assignee: { login: 'admin' },
+      status: 'open',
+    });
+    expect(client.openTasks).toBe(0);
+    expect(withTask.openTasks).toBe(1);
+    expect(late.status).toBe('overdue');
+    expect(done).toMatchObject({ status: 'done', assignee: null });
+    expect((await axios.get(`${apiUrl}/${client.id}`)).data.openTasks).toBe(0);
+    expect(invalid.status).toBe(422);
+    expect(invalid.data.errors.map(error => error.field)).toEqual(['title', 'clientId', 'dueAt', 'assigneeId', 'status']);
+    expect(missing.status).toBe(404);
+  });
+
+  test('should find tasks due today, overdue tasks and the user\'s own tasks', async () => {
+    const { data: client } = await axios.post(apiUrl, { name: 'Иван', surname: 'Иванов' });
+    const { data: manager } = await axios.post(apiUrl.replace('/clients', '/users'), { login: 'manager', password: 'manager-password', role: 'manager' });
+    const midnight = new Date();
+    midnight.setHours(0, 0, 0, 0);
+    const addTask = async (title, dueAt, assigneeId) => (
+      (await axios.post(tasksUrl(), { title, clientId: client.id, dueAt: dueAt.toISOString(), assigneeId })).data.id
+    );
+    const today = await addTask('Сегодня', new Date(midnight.getTime() + 12 * hour));
+    const yesterday = await addTask('Вчера', new Date(midnight.getTime() - 12 * hour), manager.id);
+    const tomorrow = await addTask('Завтра', new Date(midnight.getTime() + 36 * hour));
+    await axios.patch(`${tasksUrl()}/${today}`, { status: 'done' });
+    const ids = async query => (await axios.get(`${tasksUrl()}?${query}`)).data.map(task => task.id);
+    const invalid = await axios.get(`${tasksUrl()}?due=week&assignee=someone`, { validateStatus: () => true });
+
+    expect(await ids('due=today')).toEqual([]);
+    expect(await ids('due=today&status=done')).toEqual([today]);
+    expect(await ids('due=overdue')).toEqual([yesterday]);
+    expect(await ids('assignee=me')).toEqual([today, tomorrow]);
+    expect(await ids(`assignee=${manager.id}&status=open,overdue`)).toEqual([yesterday]);
+    expect(invalid.status).toBe(400);
+    expect(invalid.data.errors.map(error => error.field)).toEqual(['assignee', 'due']);
+  });
+
+  test('should remind about tasks once and mark them overdue when the time comes', async () => {
+    const { data: client } = await axios.post(apiUrl, { name: 'Иван', surname: 'Иванов' });
+    const { data: task } = await axios.post(tasksUrl(), {
+      title: 'Перезвонить', clientId: client.id, dueAt: new Date(Date.now() + 10 * 60 * 1000).toISOString(),
+    });
+    const reminders = [];
+    const overdue = [];
+    const remind = reminded => reminders.push(reminded.id);
+    const expire = expired => overdue.push(expired);
+    server.on('taskReminder', remind);
+    server.on('taskOverdue', expire);
+    try {
+      expect(await server.checkTasks()).toEqual({ reminded: 1, overdue: 0 });
+      expect(await server.checkTasks()).toEqual({ reminded: 0, overdue: 0 });
+      expect(await server.checkTasks(new Date(Date.now() + hour))).toEqual({ reminded: 0, overdue: 1 });
+    } finally {
+      server.off('taskReminder', remind);
+      server.off('taskOverdue', expire);
     }
 
-    // Вставляем данные в таблицу clients
-    const insertQuery = `INSERT INTO clients (name, surname, lastName, contacts) VALUES (?, ?, ?, ?)`;
-    const clientData = ['John', 'Doe', 'Smith', 'john@example.com'];
+    expect(reminders).toEqual([task.id]);
+    expect(overdue).toEqual([{ ...task, status: 'overdue' }]);
+    expect((await axios.get(`${tasksUrl()}/${task.id}`)).data.status).toBe('overdue');
+  });
+});
+
+describe('concurrent edits', () => {
+  const data = { name: 'Иван', surname: 'Иванов', contacts: [] };
+
+  test('should answer 304 to If-None-Match with the current ETag', async () => {
+    const created = await axios.post(apiUrl, data);
+    const fetched = await axios.get(`${apiUrl}/${created.data.id}`);
+    const cached = await axios.get(`${apiUrl}/${created.data.id}`, {
+      headers: { 'If-None-Match': `W/${fetched.headers.etag}` },
+      validateStatus: () => true,
+    });
+
+    expect(created.headers.etag).toBe('"1"');
+    expect(fetched.headers.etag).toBe(created.headers.etag);
+    expect(cached.status).toBe(304);
+    expect(cached.data).toBe('');
+  });
+
+  test('should answer 412 with the current client when it changed since the ETag', async () => {
+    const { data: created, headers } = await axios.post(apiUrl, data);
+    const saved = await axios.patch(`${apiUrl}/${created.id}`, { name: 'Пётр' }, { headers: { 'If-Match': headers.etag } });
+    const stale = { headers: { 'If-Match': headers.etag }, validateStatus: () => true };
+    const conflicts = [
+      await axios.patch(`${apiUrl}/${created.id}`, { name: 'Павел' }, stale),
+      await axios.put(`${apiUrl}/${created.id}`, { ...data, name: 'Павел' }, stale),
+      await axios.delete(`${apiUrl}/${created.id}`, stale),
+      await axios.post(`${apiUrl}/${created.id}/contacts`, { type: 'Email', value: 'ivanov@example.com' }, stale),
+    ];
+    const { data: client } = await axios.get(`${apiUrl}/${created.id}`);
+
+    expect(saved.headers.etag).toBe('"2"');
+    expect(conflicts.map(response => response.status)).toEqual([412, 412, 412, 412]);
+    expect(conflicts[0].data.client).toMatchObject({ name: 'Пётр', version: 2 });
+    expect(client).toMatchObject({ name: 'Пётр', contacts: [], deletedAt: null, version: 2 });
+  });
+});
+
+describe('bulk operations', () => {
+  const bulkUrl = () => `${apiUrl}/bulk`;
+
+  test('should run every operation or none of them', async () => {
+    const { data: ivanov } = await axios.post(apiUrl, { name: 'Иван', surname: 'Иванов', contacts: [] });
+    const { data: petrov } = await axios.post(apiUrl, { name: 'Пётр', surname: 'Петров', contacts: [] });
+    const operations = [
+      { action: 'create', data: { name: 'Анна', surname: 'Смирнова' } },
+      { action: 'update', id: ivanov.id, version: ivanov.version, data: { lastName: 'Иванович' } },
+      { action: 'delete', id: petrov.id },
+    ];
+
+    const failed = await axios.post(bulkUrl(), {
+      operations: [...operations, { action: 'update', id: ivanov.id, data: { name: null } }],
+    }, { validateStatus: () => true });
+    expect(failed.status).toBe(422);
+    expect(failed.data.errors).toEqual([{ field: 'operations[3].data.name', message: 'Не указано имя' }]);
+    expect((await axios.get(apiUrl)).data.map(client => client.surname)).toEqual(['Иванов', 'Петров']);
+
+    const { data: report } = await axios.post(bulkUrl(), { operations });
+    const { data: clients } = await axios.get(apiUrl);
+    expect(report.summary).toEqual({ total: 3, created: 1, updated: 1, deleted: 1, failed: 0 });
+    expect(clients.map(client => `${client.surname} ${client.lastName}`.trim())).toEqual(['Иванов Иванович', 'Смирнова']);
+  });
+
+  test('should report each failed operation and run the rest in per-item mode', async () => {
+    const { data: ivanov } = await axios.post(apiUrl, { name: 'Иван', surname: 'Иванов', contacts: [] });
+    await axios.patch(`${apiUrl}/${ivanov.id}`, { lastName: 'Иванович' });
 
-    db.run(insertQuery, clientData, function(err) {
-      if (err) {
-        console.error('Ошибка вставки клиента:', err);
-        return done(err);
-      }
+    const { data: report } = await axios.post(bulkUrl(), {
+      atomic: false,
+      operations: [
+        { action: 'update', id: ivanov.id, version: ivanov.version, data: { name: 'Пётр' } },
+        { action: 'delete', id: 999999 },
+        { action: 'create', data: { name: 'Анна', surname: 'Смирнова' } },
+      ],
+    });
 
-      // Проверяем, что клиент был добавлен
-      expect(this.lastID).toBeGreaterThan(0);
+    expect(report.summary).toMatchObject({ total: 3, created: 1, failed: 2 });
+    expect(report.results[0]).toEqual({
+      index: 0, status: 'failed', id: ivanov.id, errors: [{ field: 'operations[0]', message: 'Precondition Failed' }],
+    });
+    expect(report.results[1].errors[0].message).toBe('Client Not Found');
+    expect((await axios.get(`${apiUrl}/${ivanov.id}`)).data.name).toBe('Иван');
+  });
 
-      // Закрываем базу данных
-      db.close((err) => {
-        if (err) {
-          console.error('Ошибка закрытия базы данных:', err);
-        }
+  test('should reject malformed operations before running any', async () => {
+    const response = await axios.post(bulkUrl(), {
+      atomic: 'yes',
+      operations: [{ action: 'merge' }, { action: 'delete', id: 'abc' }],
+    }, { validateStatus: () => true });
+
+    expect(response.status).toBe(422);
+    expect(response.data.errors.map(error => error.field)).toEqual(['atomic', 'operations[0].action', 'operations[1].id']);
+  });
+});
+
+describe('request body parsing', () => {
+  const post = (data, headers) => axios.post(apiUrl, data, {
+    headers,
+    validateStatus: () => true,
+    transformRequest: [body => body],
+    maxBodyLength: Infinity,
+  });
+
+  test('should answer 400 to malformed JSON', async () => {
+    const response = await post('{"name": "Иван",', { 'Content-Type': 'application/json' });
+
+    expect(response.status).toBe(400);
+    expect(response.data.message).toMatch(/^Invalid JSON/);
+  });
+
+  test('should answer 413 to a body over the size limit', async () => {
+    const body = JSON.stringify({ name: 'x'.repeat(1024 * 1024), surname: 'Иванов' });
+    const response = await post(body, { 'Content-Type': 'application/json' });
+
+    expect(response.status).toBe(413);
+  });
+
+  test('should answer 415 to a body that is not JSON', async () => {
+    const response = await post('name=Иван&surname=Иванов', { 'Content-Type': 'application/x-www-form-urlencoded' });
+
+    expect(response.status).toBe(415);
+  });
+
+  test('should decode the body in the charset from Content-Type', async () => {
+    // «Иван» и «Иванов» в Windows-1251: буквы А-я идут подряд начиная с 0xC0
+    const cp1251 = str => [...str].map(char => char.charCodeAt(0) - 0x410 + 0xC0);
+    const body = Buffer.from([
+      ...Buffer.from('{"name":"'), ...cp1251('Иван'),
+      ...Buffer.from('","surname":"'), ...cp1251('Иванов'),
+      ...Buffer.from('"}'),
+    ]);
+    const response = await post(body, { 'Content-Type': 'application/json; charset=windows-1251' });
+
+    expect(response.status).toBe(201);
+    expect(response.data.surname).toBe('Иванов');
+  });
+
+  test('should read a chunked body with multibyte characters split between chunks', (done) => {
+    const body = Buffer.from(JSON.stringify({ name: 'Иван', surname: 'Иванов' }));
+    const req = http.request(apiUrl, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: axios.defaults.headers.common.Authorization,
+      },
+    }, (res) => {
+      let data = '';
+      res.on('data', (chunk) => { data += chunk; });
+      res.on('end', () => {
+        expect(res.statusCode).toBe(201);
+        expect(JSON.parse(data).name).toBe('Иван');
         done();
       });
     });
+    // Разрезаем тело посреди двухбайтовой буквы «И»
+    req.write(body.subarray(0, 10));
+    req.write(body.subarray(10));
+    req.end();
   });
 });
 
-test('should read clients from the database', (done) => {
-  // Подключаемся к базе данных
-  const db = new sqlite3.Database(dbFilePath, (err) => {
-    if (err) {
-      console.error('Ошибка подключения к базе данных:', err);
-    }
+describe('trash', () => {
+  test('should move a deleted client to the trash and restore it', async () => {
+    const { data: created } = await axios.post(apiUrl, { name: 'Иван', surname: 'Иванов', contacts: [] });
 
-    // Вставляем тестовые данные
-    const insertQuery = `INSERT INTO clients (name, surname, lastName, contacts) VALUES (?, ?, ?, ?)`;
-    const clientData = ['Jane', 'Doe', 'Brown', 'jane@example.com'];
-
-    db.run(insertQuery, clientData, function(err) {
-      if (err) {
-        console.error('Ошибка вставки клиента:', err);
-        return done(err);
-      }
-
-      // Читаем данные из таблицы clients
-      db.all('SELECT * FROM clients', [], (err, rows) => {
-        if (err) {
-          console.error('Ошибка чтения из базы данных:', err);
-          return done(err);
-        }
-
-        // Проверяем, что данные были добавлены и прочитаны
-        expect(rows.length).toBeGreaterThan(0);
-        expect(rows[0].name).toBe('Jane');
-
-        // Закрываем базу данных
-        db.close((err) => {
-          if (err) {
-            console.error('Ошибка закрытия базы данных:', err);
-          }
-          done();
-        });
-      });
+    await axios.delete(`${apiUrl}/${created.id}`);
+    const { data: list } = await axios.get(apiUrl);
+    const { data: trash } = await axios.get(`${apiUrl}/trash`);
+    const deleted = await axios.get(`${apiUrl}/${created.id}`, { validateStatus: () => true });
+
+    expect(list).toEqual([]);
+    expect(trash.map(client => client.id)).toEqual([created.id]);
+    expect(trash[0].deletedAt).not.toBeNull();
+    expect(deleted.status).toBe(404);
+
+    const { data: restored } = await axios.post(`${apiUrl}/${created.id}/restore`);
+    const { data: trashAfterRestore } = await axios.get(`${apiUrl}/trash`);
+
+    expect(restored.deletedAt).toBeNull();
+    expect(trashAfterRestore).toEqual([]);
+  });
+
+  test('should answer 404 when restoring a client that is not in the trash', async () => {
+    const { data: created } = await axios.post(apiUrl, { name: 'Иван', surname: 'Иванов', contacts: [] });
+    const response = await axios.post(`${apiUrl}/${created.id}/restore`, null, { validateStatus: () => true });
+
+    expect(response.status).toBe(404);
+  });
+});
+
+describe('history', () => {
+  test('should record every change with a diff and the actor', async () => {
+    const { data: created } = await axios.post(apiUrl, { name: 'Иван', surname: 'Иванов', contacts: [] });
+    await axios.patch(`${apiUrl}/${created.id}`, {
+      name: 'Иван',
+      surname: 'Петров',
+      contacts: [{ type: 'Email', value: 'petrov@example.com' }],
+    });
+    await axios.delete(`${apiUrl}/${created.id}`);
+
+    const { data: history } = await axios.get(`${apiUrl}/${created.id}/history`);
+
+    expect(history.map(entry => entry.action)).toEqual(['delete', 'update', 'create']);
+    expect(history[1].actor).toBe('admin');
+    expect(history[1].changes).toEqual([
+      { field: 'surname', before: 'Иванов', after: 'Петров' },
+      { field: 'contacts', before: [], after: [{ type: 'Email', value: 'petrov@example.com' }] },
+    ]);
+    expect(history[0].changes).toEqual([]);
+  });
+
+  test('should record and revert changes of tags, workplace and custom fields', async () => {
+    const { data: tag } = await axios.post(apiUrl.replace('/clients', '/tags'), { name: 'VIP', color: '#FF0000' });
+    const { data: organization } = await axios.post(apiUrl.replace('/clients', '/organizations'), { name: 'ООО Ромашка' });
+    await axios.post(apiUrl.replace('/clients', '/custom-fields'), { key: 'city', label: 'Город', type: 'text' });
+    const { data: created } = await axios.post(apiUrl, { name: 'Иван', surname: 'Иванов', tags: [tag.id], customFields: { city: 'Москва' } });
+    await axios.patch(`${apiUrl}/${created.id}`, { tags: [], organizationId: organization.id, jobTitle: 'Директор', customFields: { city: 'Тверь' } });
+    const { data: history } = await axios.get(`${apiUrl}/${created.id}/history`);
+
+    expect(history[0].changes).toEqual([
+      { field: 'tags', before: [{ id: tag.id, name: 'VIP' }], after: [] },
+      { field: 'organization', before: null, after: { id: organization.id, name: 'ООО Ромашка' } },
+      { field: 'jobTitle', before: '', after: 'Директор' },
+      { field: 'customFields', before: { city: 'Москва' }, after: { city: 'Тверь' } },
+    ]);
+
+    const { data: reverted } = await axios.post(`${apiUrl}/${created.id}/history/${history[1].id}/revert`);
+    expect(reverted).toMatchObject({ tags: [{ id: tag.id }], organization: null, jobTitle: '', customFields: { city: 'Москва' } });
+  });
+
+  test('should revert a client to a prior version', async () => {
+    const { data: created } = await axios.post(apiUrl, { name: 'Иван', surname: 'Иванов', contacts: [] });
+    const { headers: staleHeaders } = await axios.get(`${apiUrl}/${created.id}`);
+    await axios.patch(`${apiUrl}/${created.id}`, { name: 'Пётр', surname: 'Петров', contacts: [] });
+    const { data: [, createEntry] } = await axios.get(`${apiUrl}/${created.id}/history`);
+    const { headers } = await axios.get(`${apiUrl}/${created.id}`);
+    const revertUrl = `${apiUrl}/${created.id}/history/${createEntry.id}/revert`;
+
+    const stale = await axios.post(revertUrl, null, { headers: { 'If-Match': staleHeaders.etag }, validateStatus: () => true });
+    const { data: reverted } = await axios.post(revertUrl, null, { headers: { 'If-Match': headers.etag } });
+    const { data: [revertEntry] } = await axios.get(`${apiUrl}/${created.id}/history`);
+
+    expect(stale.status).toBe(412);
+    expect(stale.data.client.surname).toBe('Петров');
+    expect(reverted.surname).toBe('Иванов');
+    expect(revertEntry.action).toBe('revert');
+  });
+});
+
+describe('import', () => {
+  const postCsv = (uri, data, params) => axios.post(`${apiUrl}/${uri}`, data, {
+    params,
+    headers: { 'Content-Type': 'text/csv' },
+    transformRequest: [body => body],
+    validateStatus: () => true,
+  });
+
+  test('should read a Windows-1251 file from Excel and suggest a column mapping', async () => {
+    // Кириллица в Windows-1251 идёт подряд начиная с 0xC0, латиница и цифры совпадают с ASCII
+    const cp1251 = str => Buffer.from([...str].map(char => (
+      char.charCodeAt(0) < 0x80 ? char.charCodeAt(0) : char.charCodeAt(0) - 0x410 + 0xC0
+    )));
+    const file = cp1251('sep=;\r\nФамилия;Имя;Отчество;Телефон;E-mail\r\nИванов;Иван;Иванович;+79001234567;ivan@example.com\r\n');
+
+    const { data: preview } = await postCsv('import/preview', file);
+
+    expect(preview.encoding).toBe('windows-1251');
+    expect(preview.delimiter).toBe(';');
+    expect(preview.mapping).toEqual({
+      surname: 'Фамилия',
+      name: 'Имя',
+      lastName: 'Отчество',
+      contacts: [{ type: 'Телефон', column: 'Телефон' }, { type: 'Email', column: 'E-mail' }],
     });
+    expect(preview.rows).toEqual([['Иванов', 'Иван', 'Иванович', '+79001234567', 'ivan@example.com']]);
+  });
+
+  test('should report every row and write nothing in dry-run mode', async () => {
+    await axios.post(apiUrl, { name: 'Пётр', surname: 'Петров', contacts: [{ type: 'Email', value: 'petrov@example.com' }] });
+    const file = [
+      'Last,First,Mail',
+      'Иванов,Иван,ivan@example.com',
+      'Петров,Петр,PETROV@example.com',
+      ',Безфамильный,',
+      ',,',
+      'Иванов,Иван,ivan@example.com',
+    ].join('\n');
+    const mapping = JSON.stringify({ surname: 'Last', name: 'First', contacts: [{ type: 'Email', column: 2 }] });
+
+    const { data: report } = await postCsv('import', file, { mapping, dryRun: true });
+    const { data: list } = await axios.get(apiUrl);
+
+    expect(report.summary).toEqual({ total: 5, created: 1, skipped: 3, failed: 1 });
+    expect(report.rows.map(row => row.status)).toEqual(['created', 'skipped', 'failed', 'skipped', 'skipped']);
+    expect(report.rows[1].reason).toBe('Клиент уже есть в базе');
+    expect(report.rows[2].errors).toEqual([{ field: 'surname', message: 'Не указана фамилия' }]);
+    expect(report.rows[4].reason).toBe('Повторяет строку 2');
+    expect(list).toHaveLength(1);
+  });
+
+  test('should create clients and reject a mapping without required columns', async () => {
+    const file = 'Фамилия,Имя\nИванов,Иван\nСидоров,Сидор\n';
+
+    const { data: report } = await postCsv('import', file);
+    const { data: list } = await axios.get(apiUrl, { params: { sort: 'surname' } });
+    const invalid = await postCsv('import', file, { mapping: JSON.stringify({ surname: 'Фамилия' }) });
+
+    expect(report.summary.created).toBe(2);
+    expect(list.map(client => client.id)).toEqual(report.rows.map(row => row.id));
+    expect(invalid.status).toBe(400);
+    expect(invalid.data.errors).toEqual([{ field: 'mapping.name', message: 'Не выбрана колонка с именем' }]);
   });
 });
 
-test('should delete all clients from the database', (done) => {
-  // Подключаемся к базе данных
-  const db = new sqlite3.Database(dbFilePath, (err) => {
-    if (err) {
-      console.error('Ошибка подключения к базе данных:', err);
+describe('vCard import', () => {
+  const vcf = [
+    'BEGIN:VCARD',
+    'VERSION:2.1',
+    'N;CHARSET=UTF-8;ENCODING=QUOTED-PRINTABLE:=D0=98=D0=B2=D0=B0=D0=BD=D0=BE=D0=B2;=D0=98=D0=B2=D0=B0=D0=BD;;;',
+    'TEL;CELL:+79001234567',
+    'TEL;WORK:+74951234567',
+    'END:VCARD',
+    'BEGIN:VCARD',
+    'VERSION:4.0',
+    'FN:Петров Пётр',
+    'N:Петров;Пётр;;;',
+    'EMAIL:petrov@exam',
+    ' ple.com',
+    'END:VCARD',
+    'BEGIN:VCARD',
+    'VERSION:3.0',
+    'N:Сидоров;Сидор;;;',
+    'TEL;TYPE=CELL:+7 (900) 000-00-00',
+    'END:VCARD',
+  ].join('\r\n');
+  const preview = () => axios.post(`${apiUrl}/import/vcard/preview`, vcf, { headers: { 'Content-Type': 'text/vcard' } });
+
+  test('should parse every card and suggest an action by matching existing clients', async () => {
+    const { data: ivanov } = await axios.post(apiUrl, { name: 'Иван', surname: 'Иванов', contacts: [{ type: 'Телефон', value: '+79001234567' }] });
+    const { data: petrov } = await axios.post(apiUrl, { name: 'Пётр', surname: 'Петров', contacts: [{ type: 'Email', value: 'PETROV@example.com' }] });
+
+    const { data } = await preview();
+
+    expect(data.cards.map(card => card.client)).toEqual([
+      {
+        surname: 'Иванов',
+        name: 'Иван',
+        lastName: '',
+        contacts: [{ type: 'Телефон', value: '+79001234567' }, { type: 'Доп. телефон', value: '+74951234567' }],
+      },
+      { surname: 'Петров', name: 'Пётр', lastName: '', contacts: [{ type: 'Email', value: 'petrov@example.com' }] },
+      { surname: 'Сидоров', name: 'Сидор', lastName: '', contacts: [{ type: 'Телефон', value: '+7 (900) 000-00-00' }] },
+    ]);
+    expect(data.cards.map(card => [card.action, card.targetId])).toEqual([
+      ['merge', ivanov.id],
+      ['skip', petrov.id],
+      ['create', null],
+    ]);
+  });
+
+  test('should create, merge and skip cards as chosen', async () => {
+    const { data: ivanov } = await axios.post(apiUrl, { name: 'Иван', surname: 'Иванов', contacts: [{ type: 'Телефон', value: '+7 900 123-45-67' }] });
+    const { data: { cards } } = await preview();
+
+    const { data: report } = await axios.post(`${apiUrl}/import/vcard`, {
+      cards: [cards[0], { ...cards[1], action: 'skip' }, cards[2], { action: 'merge', client: cards[2].client, targetId: 999999 }],
+    });
+    const { data: merged } = await axios.get(`${apiUrl}/${ivanov.id}`);
+    const { data: history } = await axios.get(`${apiUrl}/${ivanov.id}/history`);
+
+    expect(report.summary).toEqual({ total: 4, created: 1, merged: 1, skipped: 1, failed: 1 });
+    expect(report.cards[3]).toMatchObject({ status: 'failed', reason: 'Client Not Found' });
+    expect(merged.contacts).toMatchObject([
+      { id: ivanov.contacts[0].id, type: 'Телефон', value: '+7 900 123-45-67' },
+      { type: 'Доп. телефон', value: '+74951234567' },
+    ]);
+    expect(history[0].action).toBe('update');
+  });
+
+  test('should not merge cards into an invalid or trashed client', async () => {
+    const { data: ivanov } = await axios.post(apiUrl, { name: 'Иван', surname: 'Иванов', contacts: [{ type: 'Телефон', value: '+7 900 123-45-67' }] });
+    const { data: { cards } } = await preview();
+    await axios.delete(`${apiUrl}/${ivanov.id}`);
+
+    const invalid = await axios.post(`${apiUrl}/import/vcard`, { cards: [{ ...cards[0], targetId: 'abc' }] }, { validateStatus: () => true });
+    const { data: report } = await axios.post(`${apiUrl}/import/vcard`, { cards: [cards[0]] });
+    const { data: [trashed] } = await axios.get(`${apiUrl}/trash`);
+
+    expect(invalid.status).toBe(422);
+    expect(invalid.data.errors).toEqual([{ field: 'cards[0].targetId', message: 'Не указан клиент, с которым объединяется карточка' }]);
+    expect(report.cards[0]).toMatchObject({ status: 'failed', reason: 'Client Not Found' });
+    expect(trashed.contacts).toHaveLength(1);
+  });
+});
+
+describe('duplicates', () => {
+  test('should report likely duplicates by ФИО and shared contacts', async () => {
+    const { data: ivanov } = await axios.post(apiUrl, { name: 'Иван', surname: 'Семёнов', contacts: [] });
+    const { data: translit } = await axios.post(apiUrl, { name: 'Ivan', surname: 'Semenov', contacts: [] });
+    const { data: petrov } = await axios.post(apiUrl, { name: 'Пётр', surname: 'Петров', contacts: [{ type: 'Телефон', value: '+79001234567' }] });
+    const { data: petrova } = await axios.post(apiUrl, { name: 'Анна', surname: 'Петрова', contacts: [{ type: 'Телефон', value: '8 (900) 123-45-67' }] });
+    await axios.post(apiUrl, { name: 'Сидор', surname: 'Сидоров', contacts: [] });
+
+    const response = await axios.get(`${apiUrl}/duplicates`, { params: { threshold: 0.6 } });
+
+    expect(response.headers['x-total-count']).toBe('2');
+    expect(response.data.map(pair => pair.clients.map(client => client.id))).toEqual([
+      [ivanov.id, translit.id],
+      [petrov.id, petrova.id],
+    ]);
+    expect(response.data[0]).toMatchObject({ score: 1, reasons: ['Совпадает ФИО'] });
+    expect(response.data[1].reasons).toContain('Общий контакт +79001234567');
+  });
+
+  test('should warn about a likely duplicate before creating a client', async () => {
+    const { data: created } = await axios.post(apiUrl, { name: 'Иван', surname: 'Иванов', contacts: [] });
+
+    const { data: matches } = await axios.post(`${apiUrl}/duplicates/check`, { name: 'Иван', surname: 'Иваонв' });
+    const { data: none } = await axios.post(`${apiUrl}/duplicates/check`, { name: 'Пётр', surname: 'Петров' });
+
+    expect(matches.map(match => match.client.id)).toEqual([created.id]);
+    expect(none).toEqual([]);
+  });
+
+  test('should merge contacts and history into the surviving client', async () => {
+    const { data: target } = await axios.post(apiUrl, { name: 'Иван', surname: 'Иванов', contacts: [{ type: 'Телефон', value: '+79001234567' }] });
+    const { data: source } = await axios.post(apiUrl, {
+      name: 'Иван',
+      surname: 'Иванов',
+      lastName: 'Иванович',
+      contacts: [{ type: 'Телефон', value: '89001234567' }, { type: 'Email', value: 'ivan@example.com' }],
+    });
+
+    const { data: merged } = await axios.post(`${apiUrl}/merge`, { targetId: target.id, sourceIds: [source.id] });
+    const { data: history } = await axios.get(`${apiUrl}/${target.id}/history`);
+    const gone = await axios.get(`${apiUrl}/${source.id}`, { validateStatus: () => true });
+    const { data: trash } = await axios.get(`${apiUrl}/trash`);
+
+    expect(merged.lastName).toBe('Иванович');
+    expect(merged.contacts).toMatchObject([
+      { id: target.contacts[0].id, type: 'Телефон', value: '+79001234567' },
+      { type: 'Email', value: 'ivan@example.com' },
+    ]);
+    expect(history.map(entry => entry.action)).toEqual(['merge', 'create', 'create']);
+    expect(gone.status).toBe(404);
+    expect(trash).toEqual([]);
+  });
+});
+
+describe('export', () => {
+  beforeEach(async () => {
+    await axios.post(apiUrl, {
+      name: 'Иван',
+      surname: 'Иванов',
+      contacts: [
+        { type: 'Телефон', value: '+79001234567' },
+        { type: 'Телефон', value: '+79007654321' },
+        { type: 'Email', value: 'ivan@example.com' },
+      ],
+    });
+    await axios.post(apiUrl, {
+      name: 'Пётр',
+      surname: 'Петров',
+      lastName: 'Петрович',
+      contacts: [{ type: 'Vk', value: 'https://vk.com/petrov' }, { type: 'Другое', value: 'Звонить; после 18:00' }],
+    });
+  });
+
+  test('should export filtered clients to CSV with a column per contact', async () => {
+    const response = await axios.get(`${apiUrl}/export`, { params: { format: 'csv', search: 'иванов' } });
+    const [header, row, end] = response.data.replace(/^\uFEFF/, '').split('\r\n');
+
+    expect(response.headers['content-type']).toBe('text/csv; charset=utf-8');
+    expect(response.headers['content-disposition']).toMatch(/^attachment; filename="clients-\d{4}-\d{2}-\d{2}\.csv"$/);
+    expect(header).toBe('ID;Фамилия;Имя;Отчество;Телефон;Телефон 2;Email;Создан;Изменён');
+    expect(row).toMatch(/^\d+;Иванов;Иван;;\+79001234567;\+79007654321;ivan@example\.com;/);
+    expect(end).toBe('');
+  });
+
+  test('should export clients to JSON in the same shape as the list', async () => {
+    const { data: list } = await axios.get(apiUrl, { params: { sort: '-id' } });
+    const { data: exported } = await axios.get(`${apiUrl}/export`, { params: { format: 'json', sort: '-id' } });
+
+    expect(exported).toEqual(list);
+  });
+
+  test('should export clients to vCard 3.0 and 4.0', async () => {
+    const params = { format: 'vcf', search: 'петров' };
+    const { data: v3 } = await axios.get(`${apiUrl}/export`, { params });
+    const { data: v4 } = await axios.get(`${apiUrl}/export`, { params: { ...params, version: '4.0' } });
+    const invalid = await axios.get(`${apiUrl}/export`, { params: { format: 'xls' }, validateStatus: () => true });
+
+    expect(v3).toMatch(/^BEGIN:VCARD\r\nVERSION:3\.0\r\nFN:Петров Пётр Петрович\r\nN:Петров;Пётр;Петрович;;\r\n/);
+    expect(v3).toContain('\r\nURL:https://vk.com/petrov\r\nNOTE:Звонить\\; после 18:00\r\n');
+    expect(v4).toContain('VERSION:4.0\r\n');
+    expect(v4).toMatch(/END:VCARD\r\n$/);
+    expect(invalid.status).toBe(400);
+  });
+});
+
+describe('authentication', () => {
+  const authUrl = () => apiUrl.replace('/clients', '/auth');
+  const usersUrl = () => apiUrl.replace('/clients', '/users');
+
+  const loginAs = async (role) => {
+    const credentials = { login: `${role}-user`, password: 'secret-password' };
+    await axios.post(usersUrl(), { ...credentials, role });
+    const { data } = await axios.post(`${authUrl()}/login`, credentials);
+    return { headers: { Authorization: `Bearer ${data.token}` }, validateStatus: () => true };
+  };
+
+  test('should answer 401 to requests without a session', async () => {
+    const response = await axios.get(apiUrl, { headers: { Authorization: '' }, validateStatus: () => true });
+
+    expect(response.status).toBe(401);
+  });
+
+  test('should answer 401 to a wrong password', async () => {
+    const response = await axios.post(`${authUrl()}/login`, { login: 'admin', password: 'wrong' }, { validateStatus: () => true });
+
+    expect(response.status).toBe(401);
+  });
+
+  test('should answer 401 when the stored password hash is malformed', async () => {
+    await server.store.users.insert({ login: 'legacy', passwordHash: 'not-a-hash', role: 'manager' });
+    await server.store.users.insert({ login: 'truncated', passwordHash: 'scrypt$0011$abcd', role: 'manager' });
+
+    for (const login of ['legacy', 'truncated']) {
+      const response = await axios.post(`${authUrl()}/login`, { login, password: 'secret' }, { validateStatus: () => true });
+      expect(response.status).toBe(401);
+    }
+  });
+
+  test('should enforce roles per method', async () => {
+    const { data: client } = await axios.post(apiUrl, { name: 'Иван', surname: 'Иванов', contacts: [] });
+    const manager = await loginAs('manager');
+    const readonly = await loginAs('readonly');
+
+    expect((await axios.get(apiUrl, readonly)).status).toBe(200);
+    expect((await axios.post(apiUrl, { name: 'Пётр', surname: 'Петров' }, readonly)).status).toBe(403);
+    expect((await axios.patch(`${apiUrl}/${client.id}`, { name: 'Иван', surname: 'Сидоров' }, manager)).status).toBe(200);
+    expect((await axios.delete(`${apiUrl}/${client.id}`, manager)).status).toBe(403);
+    expect((await axios.post(`${apiUrl}/bulk`, { operations: [{ action: 'delete', id: client.id }] }, manager)).status).toBe(403);
+    expect((await axios.get(usersUrl(), manager)).status).toBe(403);
+  });
+
+  test('should end the session on logout', async () => {
+    const manager = await loginAs('manager');
+
+    await axios.post(`${authUrl()}/logout`, null, manager);
+
+    expect((await axios.get(`${authUrl()}/me`, manager)).status).toBe(401);
+  });
+
+  test('should allow cross-origin requests only from the allow-list', async () => {
+    const allowed = await axios.get(apiUrl, { headers: { Origin: 'http://localhost:5500' } });
+    const denied = await axios.get(apiUrl, { headers: { Origin: 'http://evil.example' } });
+
+    expect(allowed.headers['access-control-allow-origin']).toBe('http://localhost:5500');
+    expect(denied.headers['access-control-allow-origin']).toBeUndefined();
+  });
+});
+
+describe('server lifecycle', () => {
+  const silent = { info() {}, error() {} };
+
+  test('should not listen until started', async () => {
+    const app = createApp({ storage: 'memory', adminPassword: 'test-password', logger: silent });
+
+    expect(app.listening).toBe(false);
+    await app.stop();
+  });
+
+  test('should hand a generated admin password to the caller and keep it out of the log', async () => {
+    const logged = [];
+    const app = createApp({ storage: 'memory', logger: { info: (...args) => logged.push(args.join(' ')), error() {} } });
+    const created = new Promise(resolve => app.once('adminCreated', resolve));
+    await app.start();
+    const { login, password } = await created;
+    const response = await axios.post(`http://localhost:${app.address().port}/api/auth/login`, { login, password });
+
+    expect(login).toBe('admin');
+    expect(response.status).toBe(200);
+    expect(logged.join('\n')).not.toContain(password);
+    await app.stop();
+  });
+
+  test('should run parallel servers with separate data on ephemeral ports', async () => {
+    const apps = [0, 1].map(() => createApp({ storage: 'memory', adminPassword: 'test-password', logger: silent }));
+    await Promise.all(apps.map(app => app.start()));
+    const urls = apps.map(app => `http://localhost:${app.address().port}/api`);
+    const tokens = [];
+    for (const url of urls) {
+      const { data } = await axios.post(`${url}/auth/login`, { login: 'admin', password: 'test-password' });
+      tokens.push({ headers: { Authorization: `Bearer ${data.token}` } });
     }
 
-    // Удаляем все записи из таблицы clients
-    db.run('DELETE FROM clients;', (err) => {
-      if (err) {
-        console.error('Ошибка удаления клиентов:', err);
-        return done(err);
-      }
-
-      // Проверяем, что записи были удалены
-      db.all('SELECT * FROM clients', [], (err, rows) => {
-        if (err) {
-          console.error('Ошибка чтения из базы данных:', err);
-          return done(err);
-        }
-
-        expect(rows.length).toBe(0);
-
-        // Закрываем базу данных
-        db.close((err) => {
-          if (err) {
-            console.error('Ошибка закрытия базы данных:', err);
-          }
-          done();
-        });
+    await axios.post(`${urls[0]}/clients`, { name: 'Иван', surname: 'Иванов', contacts: [] }, tokens[0]);
+
+    expect(urls[0]).not.toBe(urls[1]);
+    expect((await axios.get(`${urls[0]}/clients`, tokens[0])).data).toHaveLength(1);
+    expect((await axios.get(`${urls[1]}/clients`, tokens[1])).data).toHaveLength(0);
+    await Promise.all(apps.map(app => app.stop()));
+  });
+
+  test('should finish started requests and close the database on stop', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'crm-app-'));
+    const app = createApp({ dbPath: path.join(dir, 'database.db'), adminPassword: 'test-password', logger: silent });
+    await app.start();
+    const { port } = app.address();
+    const { data } = await axios.post(`http://localhost:${port}/api/auth/login`, { login: 'admin', password: 'test-password' });
+
+    // Тело запроса отправляется уже после начала остановки
+    const body = JSON.stringify({ name: 'Иван', surname: 'Иванов', contacts: [] });
+    const response = new Promise((resolve, reject) => {
+      const req = http.request(`http://localhost:${port}/api/clients`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${data.token}` },
+      }, (res) => {
+        res.resume();
+        res.on('end', () => resolve(res));
       });
+      req.on('error', reject);
+      req.flushHeaders();
+      setTimeout(() => req.end(body), 100);
     });
+    await new Promise(resolve => setTimeout(resolve, 50));
+    const stopped = app.stop();
+    const res = await response;
+    await stopped;
+
+    expect(res.statusCode).toBe(201);
+    expect(res.headers.connection).toBe('close');
+    expect(app.listening).toBe(false);
+    await expect(app.store.clients.count({})).rejects.toThrow();
+    fs.rmSync(dir, { recursive: true, force: true });
   });
 });
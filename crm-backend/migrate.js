@@ -0,0 +1,156 @@
+/**
+ * Версионные миграции схемы базы данных. Миграции лежат в каталоге `migrations`
+ * в файлах `<версия>-<название>.js` и экспортируют функции `up` и `down`.
+ * Применённые версии записываются в таблицу `schema_migrations`.
+ *
+ * Запуск из командной строки: `npm run migrate` применяет все новые миграции,
+ * `npm run migrate -- <версия>` переводит базу на указанную версию, откатывая
+ * более новые миграции; `npm run migrate -- 0` откатывает все.
+ * @module migrate
+ */
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Каталог с файлами миграций.
+ * @constant {string}
+ */
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+/**
+ * Создаёт промисифицированные функции запросов к базе данных, которые получают миграции.
+ * @function createHelpers
+ * @param {Object} db - Подключение sqlite3.
+ * @returns {{run: Function, get: Function, all: Function}} Функции запросов.
+ */
+function createHelpers(db) {
+  return {
+    run: (query, values = []) => new Promise((resolve, reject) => {
+      db.run(query, values, function (err) {
+        if (err) reject(err);
+        else resolve({ lastID: this.lastID, changes: this.changes });
+      });
+    }),
+    get: (query, values = []) => new Promise((resolve, reject) => {
+      db.get(query, values, (err, row) => (err ? reject(err) : resolve(row)));
+    }),
+    all: (query, values = []) => new Promise((resolve, reject) => {
+      db.all(query, values, (err, rows) => (err ? reject(err) : resolve(rows)));
+    }),
+  };
+}
+
+/**
+ * Загружает миграции из каталога и упорядочивает их по версии.
+ * @function loadMigrations
+ * @param {string} [dir] - Каталог с миграциями.
+ * @returns {Array<{version: number, name: string, up: Function, down: Function}>} Миграции.
+ * @throws {Error} Две миграции с одной версией.
+ */
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = fs.readdirSync(dir)
+    .map(file => /^(\d+)-(.+)\.js$/.exec(file))
+    .filter(Boolean)
+    .map(([file, version, name]) => ({ version: Number(version), name, ...require(path.join(dir, file)) }))
+    .sort((a, b) => a.version - b.version);
+
+  migrations.forEach((migration, index) => {
+    if (index && migration.version === migrations[index - 1].version) {
+      throw new Error(`Две миграции с версией ${migration.version}`);
+    }
+  });
+  return migrations;
+}
+
+/**
+ * Возвращает версии применённых миграций.
+ * @async
+ * @function getAppliedVersions
+ * @param {Object} db - Подключение sqlite3.
+ * @returns {Promise<Array<number>>} Версии по возрастанию.
+ */
+async function getAppliedVersions(db) {
+  const { run, all } = createHelpers(db);
+  await run(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      appliedAt TEXT DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  const rows = await all('SELECT version FROM schema_migrations ORDER BY version');
+  return rows.map(row => row.version);
+}
+
+/**
+ * Переводит базу данных на указанную версию схемы: применяет недостающие миграции
+ * по возрастанию версий или откатывает лишние по убыванию. Каждая миграция выполняется
+ * в своей транзакции вместе с записью в `schema_migrations`, поэтому ошибка в миграции
+ * оставляет базу на предыдущей версии.
+ * @async
+ * @function migrate
+ * @param {Object} db - Подключение sqlite3.
+ * @param {Object} [options] - Параметры.
+ * @param {number} [options.to] - Целевая версия. По умолчанию — последняя.
+ * @param {Array<Object>} [options.migrations] - Миграции. По умолчанию загружаются из {@link MIGRATIONS_DIR}.
+ * @returns {Promise<Array<{version: number, name: string, direction: string}>>} Выполненные шаги.
+ */
+async function migrate(db, { to = Infinity, migrations = loadMigrations() } = {}) {
+  const helpers = createHelpers(db);
+  const applied = new Set(await getAppliedVersions(db));
+  const steps = [
+    ...migrations
+      .filter(migration => migration.version <= to && !applied.has(migration.version))
+      .map(migration => ({ migration, direction: 'up' })),
+    ...migrations
+      .filter(migration => migration.version > to && applied.has(migration.version))
+      .reverse()
+      .map(migration => ({ migration, direction: 'down' })),
+  ];
+
+  const done = [];
+  for (const { migration, direction } of steps) {
+    await helpers.run('BEGIN');
+    try {
+      await migration[direction](helpers);
+      if (direction === 'up') {
+        await helpers.run('INSERT INTO schema_migrations (version, name) VALUES (?, ?)', [migration.version, migration.name]);
+      } else {
+        await helpers.run('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+      }
+      await helpers.run('COMMIT');
+    } catch (err) {
+      await helpers.run('ROLLBACK');
+      err.message = `Миграция ${migration.version}-${migration.name} (${direction}): ${err.message}`;
+      throw err;
+    }
+    done.push({ version: migration.version, name: migration.name, direction });
+  }
+  return done;
+}
+
+module.exports = { MIGRATIONS_DIR, createHelpers, loadMigrations, getAppliedVersions, migrate };
+
+if (require.main === module) {
+  const sqlite3 = require('sqlite3');
+  const db = new sqlite3.Database(path.resolve(process.cwd(), './database.db'));
+  const to = process.argv[2] === undefined ? Infinity : Number(process.argv[2]);
+
+  if (!(to >= 0)) {
+    console.error('Версия должна быть неотрицательным числом');
+    process.exit(1);
+  }
+
+  migrate(db, { to })
+    .then((steps) => {
+      for (const step of steps) {
+        console.log(`${step.direction === 'up' ? 'Применена' : 'Откачена'} миграция ${step.version}-${step.name}`);
+      }
+      if (!steps.length) console.log('База данных уже на нужной версии');
+    })
+    .catch((err) => {
+      console.error(err.message);
+      process.exitCode = 1;
+    })
+    .finally(() => db.close());
+}
@@ -0,0 +1,125 @@
+/**
+ * @jest-environment node
+ */
+const sqlite3 = require('sqlite3');
+const { loadMigrations, getAppliedVersions, migrate } = require('./migrate');
+
+const migrations = loadMigrations();
+const latest = migrations[migrations.length - 1].version;
+
+// Промисифицированный запрос к тестовой базе
+const query = (db, sql, values = []) => new Promise((resolve, reject) => {
+  db.all(sql, values, (err, rows) => (err ? reject(err) : resolve(rows)));
+});
+
+// Таблицы и их колонки без служебных таблиц SQLite и FTS5
+async function describeSchema(db) {
+  const tables = await query(db, `
+    SELECT name FROM sqlite_master
+    WHERE type = 'table' AND name NOT LIKE 'sqlite_%' AND name NOT LIKE 'clients_search_%' AND name != 'schema_migrations'
+    ORDER BY name`);
+  const schema = {};
+  for (const { name } of tables) {
+    schema[name] = (await query(db, `PRAGMA table_info(${name})`)).map(column => column.name).sort();
+  }
+  return schema;
+}
+
+let db;
+
+beforeEach(async () => {
+  db = new sqlite3.Database(':memory:');
+  await query(db, 'PRAGMA foreign_keys = ON');
+});
+
+afterEach((done) => {
+  db.close(done);
+});
+
+describe('migrations on a fresh database', () => {
+  test('should apply every migration and record its version', async () => {
+    const steps = await migrate(db);
+
+    expect(steps.map(step => step.version)).toEqual(migrations.map(migration => migration.version));
+    expect(await getAppliedVersions(db)).toEqual(migrations.map(migration => migration.version));
+    expect(await migrate(db)).toEqual([]);
+  });
+
+  test('should roll every migration back to the previous schema and apply it again', async () => {
+    const schemas = [await describeSchema(db)];
+    for (const { version } of migrations) {
+      await migrate(db, { to: version });
+      schemas.push(await describeSchema(db));
+    }
+
+    for (let index = migrations.length - 1; index >= 0; index--) {
+      await migrate(db, { to: index ? migrations[index - 1].version : 0 });
+      expect(await describeSchema(db)).toEqual(schemas[index]);
+    }
+    await migrate(db);
+    expect(await describeSchema(db)).toEqual(schemas[schemas.length - 1]);
+  });
+
+  test('should leave the database on the previous version when a migration fails', async () => {
+    const broken = [...migrations, {
+      version: latest + 1,
+      name: 'broken',
+      up: async ({ run }) => {
+        await run('CREATE TABLE broken (id INTEGER)');
+        await run('SELECT * FROM missing_table');
+      },
+      down: async () => {},
+    }];
+
+    await expect(migrate(db, { migrations: broken })).rejects.toThrow(`Миграция ${latest + 1}-broken (up)`);
+    expect(await getAppliedVersions(db)).toEqual(migrations.map(migration => migration.version));
+    expect(await describeSchema(db)).not.toHaveProperty('broken');
+  });
+});
+
+describe('migrations on a populated database', () => {
+  // База в том виде, в каком её создавал сервер до появления миграций
+  beforeEach(async () => {
+    await query(db, `
+      CREATE TABLE clients (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        surname TEXT NOT NULL,
+        lastName TEXT,
+        contacts TEXT,
+        createdAt TEXT DEFAULT CURRENT_TIMESTAMP,
+        updatedAt TEXT DEFAULT CURRENT_TIMESTAMP
+      )`);
+    await query(db, `
+      INSERT INTO clients (name, surname, lastName, contacts) VALUES
+        ('Иван', 'Иванов', 'Иванович', '[{"type":"Телефон","value":"+79001234567"},{"type":"Email","value":"ivan@example.com"}]'),
+        ('Пётр', 'Петров', '', 'petrov@example.com'),
+        ('Сидор', 'Сидоров', NULL, NULL)`);
+  });
+
+  test('should move contacts from the legacy column into their own table', async () => {
+    await migrate(db);
+
+    expect(await query(db, 'SELECT client_id, type, value FROM contacts ORDER BY id')).toEqual([
+      { client_id: 1, type: 'Телефон', value: '+79001234567' },
+      { client_id: 1, type: 'Email', value: 'ivan@example.com' },
+      { client_id: 2, type: 'Email', value: 'petrov@example.com' },
+    ]);
+    expect((await describeSchema(db)).clients).not.toContain('contacts');
+  });
+
+  test('should keep clients and contacts through rolling every migration back and forth', async () => {
+    await migrate(db);
+    const clients = await query(db, 'SELECT id, name, surname, lastName FROM clients ORDER BY id');
+    const contacts = await query(db, 'SELECT client_id, type, value FROM contacts ORDER BY id');
+
+    for (let index = migrations.length - 1; index > 0; index--) {
+      await migrate(db, { to: migrations[index - 1].version });
+      await migrate(db);
+
+      expect(await query(db, 'SELECT id, name, surname, lastName FROM clients ORDER BY id')).toEqual(clients);
+      expect(await query(db, 'SELECT client_id, type, value FROM contacts ORDER BY id')).toEqual(contacts);
+      expect(await query(db, 'PRAGMA foreign_key_check')).toEqual([]);
+    }
+  });
+});
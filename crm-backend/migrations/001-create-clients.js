@@ -0,0 +1,24 @@
+/**
+ * Таблица клиентов в первоначальном виде: контакты хранятся строкой в колонке `contacts`.
+ * Базы, созданные до появления миграций, уже содержат эту таблицу, поэтому она
+ * создаётся только при отсутствии.
+ */
+module.exports = {
+  async up({ run }) {
+    await run(`
+      CREATE TABLE IF NOT EXISTS clients (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        surname TEXT NOT NULL,
+        lastName TEXT,
+        contacts TEXT,
+        createdAt TEXT DEFAULT CURRENT_TIMESTAMP,
+        updatedAt TEXT DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+  },
+
+  async down({ run }) {
+    await run('DROP TABLE clients');
+  },
+};
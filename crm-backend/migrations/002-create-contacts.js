@@ -0,0 +1,76 @@
+/**
+ * Отдельная таблица контактов. Контакты из устаревшей колонки `clients.contacts`
+ * (JSON-массив или одиночное значение) переносятся в неё, а колонка удаляется.
+ */
+
+/**
+ * Определяет тип одиночного значения контакта по его виду.
+ * @function guessContactType
+ * @param {string} value - Значение контакта.
+ * @returns {string} Тип контакта.
+ */
+function guessContactType(value) {
+  if (/^\+?\d{7,15}$/.test(value.replace(/[\s()-]/g, ''))) return 'Телефон';
+  if (/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value)) return 'Email';
+  if (/^https?:\/\//i.test(value)) return 'Vk';
+  return 'Другое';
+}
+
+/**
+ * Разбирает контакты из устаревшей колонки `clients.contacts`.
+ * @function parseLegacyContacts
+ * @param {string} raw - Содержимое колонки.
+ * @returns {Array<{type: string, value: string}>} Контакты.
+ */
+function parseLegacyContacts(raw) {
+  try {
+    const parsed = JSON.parse(raw);
+    if (Array.isArray(parsed)) {
+      return parsed
+        .filter(contact => contact && contact.type && contact.value)
+        .map(contact => ({ type: String(contact.type), value: String(contact.value) }));
+    }
+  } catch (err) {
+    // Не JSON — значит, в колонке одиночное значение контакта.
+  }
+  const value = String(raw).trim();
+  return [{ type: guessContactType(value), value }];
+}
+
+module.exports = {
+  async up({ run, all }) {
+    await run(`
+      CREATE TABLE IF NOT EXISTS contacts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        client_id INTEGER NOT NULL,
+        type TEXT NOT NULL,
+        value TEXT NOT NULL,
+        FOREIGN KEY (client_id) REFERENCES clients(id) ON DELETE CASCADE
+      )
+    `);
+    await run('CREATE INDEX IF NOT EXISTS contacts_client_id ON contacts (client_id)');
+
+    const columns = await all('PRAGMA table_info(clients)');
+    if (!columns.some(column => column.name === 'contacts')) return;
+
+    const rows = await all("SELECT id, contacts FROM clients WHERE contacts IS NOT NULL AND contacts != ''");
+    for (const row of rows) {
+      for (const contact of parseLegacyContacts(row.contacts)) {
+        await run('INSERT INTO contacts (client_id, type, value) VALUES (?, ?, ?)', [row.id, contact.type, contact.value]);
+      }
+    }
+    await run('ALTER TABLE clients DROP COLUMN contacts');
+  },
+
+  async down({ run }) {
+    await run('ALTER TABLE clients ADD COLUMN contacts TEXT');
+    await run(`
+      UPDATE clients SET contacts = (
+        SELECT json_group_array(json_object('type', type, 'value', value))
+        FROM (SELECT type, value FROM contacts WHERE client_id = clients.id ORDER BY id)
+      )
+      WHERE id IN (SELECT client_id FROM contacts)
+    `);
+    await run('DROP TABLE contacts');
+  },
+};
@@ -0,0 +1,19 @@
+/**
+ * Полнотекстовый индекс для поиска клиентов по ФИО и контактам. Индекс заполняет
+ * сервер: при запуске он добавляет в индекс всех клиентов, которых там нет.
+ */
+module.exports = {
+  async up({ run }) {
+    await run(`
+      CREATE VIRTUAL TABLE IF NOT EXISTS clients_search USING fts5(
+        fio,
+        contacts,
+        tokenize = 'unicode61 remove_diacritics 2'
+      )
+    `);
+  },
+
+  async down({ run }) {
+    await run('DROP TABLE clients_search');
+  },
+};
@@ -0,0 +1,15 @@
+/**
+ * Время удаления клиента в корзину. При откате клиенты из корзины возвращаются в список.
+ */
+module.exports = {
+  async up({ run, all }) {
+    const columns = await all('PRAGMA table_info(clients)');
+    if (!columns.some(column => column.name === 'deletedAt')) {
+      await run('ALTER TABLE clients ADD COLUMN deletedAt TEXT');
+    }
+  },
+
+  async down({ run }) {
+    await run('ALTER TABLE clients DROP COLUMN deletedAt');
+  },
+};
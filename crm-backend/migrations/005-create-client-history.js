@@ -0,0 +1,24 @@
+/**
+ * История изменений клиентов.
+ */
+module.exports = {
+  async up({ run }) {
+    await run(`
+      CREATE TABLE IF NOT EXISTS client_history (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        client_id INTEGER NOT NULL,
+        action TEXT NOT NULL,
+        actor TEXT,
+        beforeData TEXT,
+        afterData TEXT,
+        createdAt TEXT DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (client_id) REFERENCES clients(id) ON DELETE CASCADE
+      )
+    `);
+    await run('CREATE INDEX IF NOT EXISTS client_history_client_id ON client_history (client_id)');
+  },
+
+  async down({ run }) {
+    await run('DROP TABLE client_history');
+  },
+};
@@ -0,0 +1,29 @@
+/**
+ * Пользователи и их сессии.
+ */
+module.exports = {
+  async up({ run }) {
+    await run(`
+      CREATE TABLE IF NOT EXISTS users (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        login TEXT NOT NULL UNIQUE,
+        passwordHash TEXT NOT NULL,
+        role TEXT NOT NULL,
+        createdAt TEXT DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await run(`
+      CREATE TABLE IF NOT EXISTS sessions (
+        tokenHash TEXT PRIMARY KEY,
+        user_id INTEGER NOT NULL,
+        expiresAt TEXT NOT NULL,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+  },
+
+  async down({ run }) {
+    await run('DROP TABLE sessions');
+    await run('DROP TABLE users');
+  },
+};
@@ -0,0 +1,16 @@
+/**
+ * Номер версии клиента, который увеличивается при каждом изменении. По нему API выдаёт ETag
+ * и проверяет заголовок If-Match, чтобы одновременные правки не затирали друг друга.
+ */
+module.exports = {
+  async up({ run, all }) {
+    const columns = await all('PRAGMA table_info(clients)');
+    if (!columns.some(column => column.name === 'version')) {
+      await run('ALTER TABLE clients ADD COLUMN version INTEGER NOT NULL DEFAULT 1');
+    }
+  },
+
+  async down({ run }) {
+    await run('ALTER TABLE clients DROP COLUMN version');
+  },
+};
@@ -0,0 +1,30 @@
+/**
+ * Метки клиентов и их связь с клиентами «многие ко многим».
+ */
+module.exports = {
+  async up({ run }) {
+    await run(`
+      CREATE TABLE IF NOT EXISTS tags (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL UNIQUE,
+        color TEXT NOT NULL,
+        createdAt TEXT DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await run(`
+      CREATE TABLE IF NOT EXISTS client_tags (
+        client_id INTEGER NOT NULL,
+        tag_id INTEGER NOT NULL,
+        PRIMARY KEY (client_id, tag_id),
+        FOREIGN KEY (client_id) REFERENCES clients(id) ON DELETE CASCADE,
+        FOREIGN KEY (tag_id) REFERENCES tags(id) ON DELETE CASCADE
+      )
+    `);
+    await run('CREATE INDEX IF NOT EXISTS client_tags_tag_id ON client_tags (tag_id)');
+  },
+
+  async down({ run }) {
+    await run('DROP TABLE client_tags');
+    await run('DROP TABLE tags');
+  },
+};
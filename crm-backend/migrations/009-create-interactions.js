@@ -0,0 +1,24 @@
+/**
+ * Журнал взаимодействий с клиентами: звонки, встречи, письма и заметки.
+ */
+module.exports = {
+  async up({ run }) {
+    await run(`
+      CREATE TABLE IF NOT EXISTS interactions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        client_id INTEGER NOT NULL,
+        type TEXT NOT NULL,
+        date TEXT NOT NULL,
+        text TEXT NOT NULL,
+        author TEXT,
+        createdAt TEXT DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (client_id) REFERENCES clients(id) ON DELETE CASCADE
+      )
+    `);
+    await run('CREATE INDEX IF NOT EXISTS interactions_client_id_date ON interactions (client_id, date)');
+  },
+
+  async down({ run }) {
+    await run('DROP TABLE interactions');
+  },
+};
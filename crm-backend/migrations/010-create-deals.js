@@ -0,0 +1,57 @@
+/**
+ * Сделки с клиентами, стадии воронки продаж и история переходов сделок между стадиями.
+ * Переходы хранят и названия стадий: история остаётся понятной, даже если стадию
+ * переименуют или удалят.
+ */
+module.exports = {
+  async up({ run }) {
+    await run(`
+      CREATE TABLE IF NOT EXISTS deal_stages (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL UNIQUE,
+        position INTEGER NOT NULL DEFAULT 0,
+        probability INTEGER NOT NULL DEFAULT 0,
+        kind TEXT NOT NULL DEFAULT 'open',
+        createdAt TEXT DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await run(`
+      CREATE TABLE IF NOT EXISTS deals (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        client_id INTEGER NOT NULL,
+        stage_id INTEGER NOT NULL,
+        title TEXT NOT NULL,
+        amount INTEGER NOT NULL DEFAULT 0,
+        currency TEXT NOT NULL,
+        expectedCloseDate TEXT,
+        probability INTEGER NOT NULL DEFAULT 0,
+        createdAt TEXT DEFAULT CURRENT_TIMESTAMP,
+        updatedAt TEXT DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (client_id) REFERENCES clients(id) ON DELETE CASCADE,
+        FOREIGN KEY (stage_id) REFERENCES deal_stages(id)
+      )
+    `);
+    await run('CREATE INDEX IF NOT EXISTS deals_client_id ON deals (client_id)');
+    await run('CREATE INDEX IF NOT EXISTS deals_stage_id ON deals (stage_id)');
+    await run(`
+      CREATE TABLE IF NOT EXISTS deal_transitions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        deal_id INTEGER NOT NULL,
+        fromStageId INTEGER,
+        fromStageName TEXT,
+        toStageId INTEGER NOT NULL,
+        toStageName TEXT NOT NULL,
+        actor TEXT,
+        createdAt TEXT DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (deal_id) REFERENCES deals(id) ON DELETE CASCADE
+      )
+    `);
+    await run('CREATE INDEX IF NOT EXISTS deal_transitions_deal_id ON deal_transitions (deal_id)');
+  },
+
+  async down({ run }) {
+    await run('DROP TABLE deal_transitions');
+    await run('DROP TABLE deals');
+    await run('DROP TABLE deal_stages');
+  },
+};
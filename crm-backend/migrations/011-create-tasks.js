@@ -0,0 +1,30 @@
+/**
+ * Задачи по клиентам: срок, исполнитель и статус. `remindedAt` отмечает, что напоминание
+ * о задаче уже отправлено, чтобы планировщик не повторял его.
+ */
+module.exports = {
+  async up({ run }) {
+    await run(`
+      CREATE TABLE IF NOT EXISTS tasks (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        client_id INTEGER NOT NULL,
+        assignee_id INTEGER,
+        title TEXT NOT NULL,
+        dueAt TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'open',
+        remindedAt TEXT,
+        createdAt TEXT DEFAULT CURRENT_TIMESTAMP,
+        updatedAt TEXT DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (client_id) REFERENCES clients(id) ON DELETE CASCADE,
+        FOREIGN KEY (assignee_id) REFERENCES users(id) ON DELETE SET NULL
+      )
+    `);
+    await run('CREATE INDEX IF NOT EXISTS tasks_client_id ON tasks (client_id)');
+    await run('CREATE INDEX IF NOT EXISTS tasks_assignee_id ON tasks (assignee_id)');
+    await run('CREATE INDEX IF NOT EXISTS tasks_status_due ON tasks (status, dueAt)');
+  },
+
+  async down({ run }) {
+    await run('DROP TABLE tasks');
+  },
+};
@@ -0,0 +1,35 @@
+/**
+ * Организации и место работы клиентов. У клиента одно место работы: организация и должность в ней.
+ * При удалении организации клиенты остаются без места работы.
+ */
+module.exports = {
+  async up({ run }) {
+    await run(`
+      CREATE TABLE IF NOT EXISTS organizations (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        inn TEXT NOT NULL DEFAULT '',
+        kpp TEXT NOT NULL DEFAULT '',
+        address TEXT NOT NULL DEFAULT '',
+        website TEXT NOT NULL DEFAULT '',
+        createdAt TEXT DEFAULT CURRENT_TIMESTAMP,
+        updatedAt TEXT DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await run(`
+      CREATE TABLE IF NOT EXISTS client_organizations (
+        client_id INTEGER PRIMARY KEY,
+        organization_id INTEGER NOT NULL,
+        jobTitle TEXT NOT NULL DEFAULT '',
+        FOREIGN KEY (client_id) REFERENCES clients(id) ON DELETE CASCADE,
+        FOREIGN KEY (organization_id) REFERENCES organizations(id) ON DELETE CASCADE
+      )
+    `);
+    await run('CREATE INDEX IF NOT EXISTS client_organizations_organization_id ON client_organizations (organization_id)');
+  },
+
+  async down({ run }) {
+    await run('DROP TABLE client_organizations');
+    await run('DROP TABLE organizations');
+  },
+};
@@ -0,0 +1,36 @@
+/**
+ * Дополнительные поля клиентов, которые заводит администратор, и их значения.
+ * У столбца `value` нет типа, поэтому числа хранятся числами и сортируются как числа,
+ * а даты `YYYY-MM-DD` и строки — строками.
+ */
+module.exports = {
+  async up({ run }) {
+    await run(`
+      CREATE TABLE IF NOT EXISTS custom_fields (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        key TEXT NOT NULL UNIQUE,
+        label TEXT NOT NULL,
+        type TEXT NOT NULL,
+        options TEXT NOT NULL DEFAULT '[]',
+        position INTEGER NOT NULL DEFAULT 0,
+        createdAt TEXT DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await run(`
+      CREATE TABLE IF NOT EXISTS client_field_values (
+        client_id INTEGER NOT NULL,
+        field_id INTEGER NOT NULL,
+        value,
+        PRIMARY KEY (client_id, field_id),
+        FOREIGN KEY (client_id) REFERENCES clients(id) ON DELETE CASCADE,
+        FOREIGN KEY (field_id) REFERENCES custom_fields(id) ON DELETE CASCADE
+      )
+    `);
+    await run('CREATE INDEX IF NOT EXISTS client_field_values_field_value ON client_field_values (field_id, value)');
+  },
+
+  async down({ run }) {
+    await run('DROP TABLE client_field_values');
+    await run('DROP TABLE custom_fields');
+  },
+};
@@ -0,0 +1,22 @@
+/**
+ * Ключи для отбора кандидатов в дубликаты: клиенты с общим ключом сравниваются между собой.
+ * Ключи, как и поисковый индекс, заполняет сервер: при запуске он добавляет ключи клиентов,
+ * у которых их нет.
+ */
+module.exports = {
+  async up({ run }) {
+    await run(`
+      CREATE TABLE IF NOT EXISTS client_match_keys (
+        client_id INTEGER NOT NULL,
+        key TEXT NOT NULL,
+        PRIMARY KEY (key, client_id),
+        FOREIGN KEY (client_id) REFERENCES clients(id) ON DELETE CASCADE
+      )
+    `);
+    await run('CREATE INDEX IF NOT EXISTS client_match_keys_client_id ON client_match_keys (client_id)');
+  },
+
+  async down({ run }) {
+    await run('DROP TABLE client_match_keys');
+  },
+};
@@ -0,0 +1,112 @@
+/**
+ * Маршрутизация запросов к API: сопоставление пути с шаблонами вида `/api/clients/:id`
+ * и выбор обработчика по HTTP-методу.
+ * @module router
+ */
+
+/**
+ * Разбивает путь на части, не учитывая завершающую косую черту.
+ * @function splitPath
+ * @param {string} pathname - Путь.
+ * @returns {Array<string>} Части пути.
+ */
+function splitPath(pathname) {
+  return pathname.split('/').filter((part, index, parts) => index === 0 || part !== '' || index < parts.length - 1);
+}
+
+/**
+ * Декодирует часть пути. Часть с некорректной percent-кодировкой возвращается как есть:
+ * её отклонит проверка параметра.
+ * @function decodePart
+ * @param {string} part - Часть пути.
+ * @returns {string} Декодированная часть.
+ */
+function decodePart(part) {
+  try {
+    return decodeURIComponent(part);
+  } catch (err) {
+    return part;
+  }
+}
+
+/**
+ * Создаёт маршрутизатор. Маршруты проверяются в порядке добавления, поэтому маршруты
+ * с постоянными частями пути (`/api/clients/trash`) добавляются раньше маршрутов
+ * с параметрами (`/api/clients/:id`).
+ * @function createRouter
+ * @returns {Object} Маршрутизатор с методами `add`, `param` и `match`.
+ */
+function createRouter() {
+  const patterns = [];
+  const parsers = {};
+
+  return {
+    /**
+     * Добавляет маршрут.
+     * @param {string} method - HTTP-метод.
+     * @param {string} pattern - Шаблон пути; части вида `:name` — параметры.
+     * @param {Function} handler - Обработчик запроса.
+     * @param {Object} [options] - Дополнительные сведения о маршруте, которые возвращает {@link match}.
+     * @returns {Object} Этот же маршрутизатор.
+     * @throws {Error} Маршрут с таким методом и шаблоном уже добавлен.
+     */
+    add(method, pattern, handler, options = {}) {
+      let entry = patterns.find(item => item.pattern === pattern);
+      if (!entry) {
+        entry = { pattern, parts: splitPath(pattern), methods: new Map() };
+        patterns.push(entry);
+      }
+      if (entry.methods.has(method)) throw new Error(`Маршрут ${method} ${pattern} уже добавлен`);
+      entry.methods.set(method, { handler, options });
+      return this;
+    },
+
+    /**
+     * Задаёт разбор параметра пути: функция получает значение и имя параметра и возвращает
+     * разобранное значение или выбрасывает ошибку, если значение некорректно.
+     * @param {string} name - Имя параметра.
+     * @param {Function} parse - Функция разбора.
+     * @returns {Object} Этот же маршрутизатор.
+     */
+    param(name, parse) {
+      parsers[name] = parse;
+      return this;
+    },
+
+    /**
+     * Находит маршрут для запроса. Путь сопоставляется с шаблонами по порядку добавления;
+     * первый подходящий шаблон определяет и параметры, и допустимые методы.
+     * @param {string} method - HTTP-метод запроса.
+     * @param {string} pathname - Путь запроса.
+     * @returns {({handler: Function, options: Object, params: Object}|{allowed: Array<string>}|null)}
+     *   Обработчик с разобранными параметрами; список допустимых методов, если путь найден,
+     *   а метод не поддерживается; null, если путь не найден.
+     */
+    match(method, pathname) {
+      const parts = splitPath(pathname);
+      for (const entry of patterns) {
+        if (entry.parts.length !== parts.length) continue;
+        const values = {};
+        const matched = entry.parts.every((part, index) => {
+          if (part.startsWith(':')) {
+            values[part.substr(1)] = decodePart(parts[index]);
+            return parts[index] !== '';
+          }
+          return part === parts[index];
+        });
+        if (!matched) continue;
+
+        const route = entry.methods.get(method);
+        if (!route) return { allowed: [...entry.methods.keys()] };
+        const params = {};
+        for (const [name, value] of Object.entries(values)) {
+          params[name] = parsers[name] ? parsers[name](value, name) : value;
+        }
+        return { handler: route.handler, options: route.options, params };
+      }
+      return null;
+    },
+  };
+}
+
+module.exports = { createRouter };
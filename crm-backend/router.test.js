@@ -0,0 +1,29 @@
+/**
+ * @jest-environment node
+ */
+const { createRouter } = require('./router');
+
+describe('router', () => {
+  const list = () => 'list';
+  const show = () => 'show';
+  const router = createRouter()
+    .param('id', Number)
+    .add('GET', '/api/clients/trash', list)
+    .add('GET', '/api/clients/:id', show, { public: true })
+    .add('DELETE', '/api/clients/:id', show);
+
+  test('should match constant parts before parameters and parse parameters', () => {
+    expect(router.match('GET', '/api/clients/trash')).toMatchObject({ handler: list, params: {} });
+    expect(router.match('GET', '/api/clients/42/')).toEqual({ handler: show, options: { public: true }, params: { id: 42 } });
+  });
+
+  test('should list allowed methods for a known path and return null for an unknown one', () => {
+    expect(router.match('PUT', '/api/clients/42')).toEqual({ allowed: ['GET', 'DELETE'] });
+    expect(router.match('GET', '/api/clients/42/notes')).toBeNull();
+    expect(router.match('GET', '/api/clients/')).toBeNull();
+  });
+
+  test('should refuse to add the same route twice', () => {
+    expect(() => router.add('GET', '/api/clients/:id', show)).toThrow('Маршрут GET /api/clients/:id уже добавлен');
+  });
+});
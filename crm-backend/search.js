@@ -0,0 +1,78 @@
+/**
+ * Подготовка текста для поиска клиентов по ФИО и контактам. Общая для всех хранилищ,
+ * чтобы поиск находил одних и тех же клиентов независимо от того, где они хранятся.
+ * @module search
+ */
+
+/**
+ * Приводит текст к виду, в котором он хранится в поисковом индексе:
+ * нижний регистр и «ё», заменённая на «е».
+ * @function normalizeSearchText
+ * @param {string} text - Исходный текст.
+ * @returns {string} Нормализованный текст.
+ */
+function normalizeSearchText(text) {
+  return String(text).toLowerCase().replace(/ё/g, 'е');
+}
+
+/**
+ * Возвращает варианты номера телефона для поискового индекса: номер как есть,
+ * все его цифры подряд, а также последние 10 и 7 цифр, чтобы номер находился
+ * и без кода страны, и без кода города.
+ * @function phoneSearchVariants
+ * @param {string} value - Номер телефона.
+ * @returns {Array<string>} Варианты номера.
+ */
+function phoneSearchVariants(value) {
+  const digits = value.replace(/\D/g, '');
+  return [...new Set([value, digits, digits.slice(-10), digits.slice(-7)])];
+}
+
+/**
+ * Составляет поисковый документ клиента: нормализованные ФИО и контакты.
+ * Телефоны записываются всеми вариантами из {@link phoneSearchVariants}.
+ * @function makeSearchDocument
+ * @param {{surname: string, name: string, lastName: string, contacts: Array<{type: string, value: string}>}} client - Клиент.
+ * @param {Array<string>} phoneTypes - Типы контактов, которые являются телефонами.
+ * @returns {{fio: string, contacts: string}} Поисковый документ.
+ */
+function makeSearchDocument({ surname, name, lastName, contacts }, phoneTypes) {
+  const fio = [surname, name, lastName].filter(Boolean).join(' ');
+  const contactsText = contacts.map(({ type, value }) => (
+    phoneTypes.includes(type) ? phoneSearchVariants(value).join(' ') : value
+  )).join(' ');
+  return { fio: normalizeSearchText(fio), contacts: normalizeSearchText(contactsText) };
+}
+
+/**
+ * Разбивает поисковую строку на искомые слова, все слова должны найтись в ФИО или контактах.
+ * По префиксу ищется последнее слово — его пользователь, скорее всего, ещё набирает, — а также
+ * слова, похожие на номер телефона: они сводятся к цифрам. Остальные слова должны совпасть
+ * целиком, иначе «Иванов Петр» нашёл бы и Петрова Ивана Ивановича.
+ * @function parseSearchQuery
+ * @param {string} search - Поисковая строка.
+ * @returns {Array<{text: string, prefix: boolean}>} Нормализованные слова и признак поиска по префиксу;
+ *   пустой массив, если искать нечего.
+ */
+function parseSearchQuery(search) {
+  const tokens = normalizeSearchText(search || '')
+    .split(/\s+/)
+    .filter(token => /[\p{L}\p{N}]/u.test(token));
+  return tokens.map((token, index) => {
+    const isPhone = /^[\d()+-]+$/.test(token) && token.replace(/\D/g, '').length >= 3;
+    return { text: isPhone ? token.replace(/\D/g, '') : token, prefix: isPhone || index === tokens.length - 1 };
+  });
+}
+
+/**
+ * Разбивает текст на слова так же, как токенизатор unicode61 полнотекстового индекса SQLite:
+ * словом считается непрерывная последовательность букв и цифр.
+ * @function tokenize
+ * @param {string} text - Нормализованный текст.
+ * @returns {Array<string>} Слова.
+ */
+function tokenize(text) {
+  return text.split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+}
+
+module.exports = { normalizeSearchText, phoneSearchVariants, makeSearchDocument, parseSearchQuery, tokenize };
@@ -0,0 +1,17 @@
+/**
+ * Формат дат в записях хранилищ. Все хранилища отдают даты так же, как их хранит SQLite,
+ * поэтому код сервера не зависит от того, из какого хранилища пришла запись.
+ * @module storage/dates
+ */
+
+/**
+ * Переводит дату в формат SQLite: `YYYY-MM-DD HH:MM:SS` в UTC.
+ * @function toStoreDate
+ * @param {Date} date - Дата.
+ * @returns {string} Дата в формате хранилища.
+ */
+function toStoreDate(date) {
+  return date.toISOString().replace('T', ' ').slice(0, 19);
+}
+
+module.exports = { toStoreDate };
@@ -0,0 +1,230 @@
+/**
+ * Хранилища данных CRM. Сервер работает с данными только через интерфейс {@link Store},
+ * поэтому хранилище выбирается настройкой, а новое хранилище добавляется в {@link STORES}
+ * без изменения маршрутов API.
+ * @module storage
+ */
+const { createSqliteStore } = require('./sqlite');
+const { createMemoryStore } = require('./memory');
+
+/**
+ * Клиент в хранилище. Даты записываются в формате `YYYY-MM-DD HH:MM:SS` в UTC.
+ * @typedef {Object} ClientRecord
+ * @property {number} id - Идентификатор.
+ * @property {string} name - Имя.
+ * @property {string} surname - Фамилия.
+ * @property {string} lastName - Отчество или пустая строка.
+ * @property {Array<{id: number, type: string, value: string}>} contacts - Контакты по возрастанию идентификатора.
+ * @property {Array<{id: number, name: string, color: string}>} tags - Метки по названию.
+ * @property {{id: number, name: string, jobTitle: string}|null} organization - Место работы: организация
+ *   и должность в ней.
+ * @property {Object<string, (string|number|boolean)>} customFields - Значения дополнительных полей по ключу поля.
+ * @property {string} createdAt - Время создания.
+ * @property {string} updatedAt - Время последнего изменения.
+ * @property {string|null} deletedAt - Время перемещения в корзину.
+ * @property {string|null} lastContactedAt - Время последнего взаимодействия с клиентом, кроме заметок.
+ * @property {number} openTasks - Число задач по клиенту, которые ещё не выполнены.
+ * @property {number} version - Номер версии: 1 у нового клиента, увеличивается при каждом изменении,
+ *   перемещении в корзину и восстановлении.
+ */
+
+/**
+ * Параметры выборки клиентов.
+ * @typedef {Object} ClientQuery
+ * @property {string} [search] - Поисковая строка; найденные клиенты без явной сортировки упорядочены по релевантности.
+ * @property {boolean} [trash=false] - Выбрать клиентов из корзины вместо действующих;
+ *   без явной сортировки корзина упорядочена от недавно удалённых к давно удалённым.
+ * @property {Array<number>} [tags] - Идентификаторы меток, по которым отбираются клиенты.
+ * @property {string} [tagsMatch=any] - `any` — у клиента есть хотя бы одна из меток, `all` — все метки.
+ * @property {number} [organizationId] - Идентификатор организации, в которой работают клиенты.
+ * @property {Array<{fieldId: number, value: (string|number|boolean|undefined)}>} [customFields] - Значения дополнительных полей,
+ *   которые должны быть у клиентов; без `value` отбираются клиенты, у которых поле заполнено.
+ * @property {Array<{field: string, desc: boolean, fieldId: (number|undefined)}>} [sort] - Поля сортировки;
+ *   для дополнительного поля указывается его идентификатор `fieldId`.
+ * @property {number} [offset=0] - Сколько клиентов пропустить.
+ * @property {number} [limit] - Сколько клиентов выбрать; по умолчанию все.
+ */
+
+/**
+ * Событие истории изменений клиента.
+ * @typedef {Object} HistoryEntry
+ * @property {number} id - Идентификатор.
+ * @property {string} action - Событие: create, update, delete, restore, revert или merge.
+ * @property {string|null} actor - Кто выполнил действие.
+ * @property {Object|null} before - Снимок данных до события.
+ * @property {Object|null} after - Снимок данных после события.
+ * @property {string} createdAt - Время события.
+ */
+
+/**
+ * Взаимодействие с клиентом: звонок, встреча, письмо или заметка.
+ * @typedef {Object} Interaction
+ * @property {number} id - Идентификатор.
+ * @property {string} type - Тип: call, meeting, email или note.
+ * @property {string} date - Когда взаимодействие состоялось.
+ * @property {string} text - Описание.
+ * @property {string|null} author - Кто записал взаимодействие.
+ * @property {string} createdAt - Время записи.
+ */
+
+/**
+ * Организация, в которой работают клиенты.
+ * @typedef {Object} Organization
+ * @property {number} id - Идентификатор.
+ * @property {string} name - Название.
+ * @property {string} inn - ИНН или пустая строка.
+ * @property {string} kpp - КПП или пустая строка.
+ * @property {string} address - Адрес или пустая строка.
+ * @property {string} website - Сайт или пустая строка.
+ * @property {number} employees - Сколько действующих клиентов работает в организации.
+ * @property {string} createdAt - Время создания.
+ * @property {string} updatedAt - Время последнего изменения.
+ */
+
+/**
+ * Дополнительное поле клиентов, которое заводит администратор.
+ * @typedef {Object} CustomField
+ * @property {number} id - Идентификатор.
+ * @property {string} key - Ключ поля в данных клиента.
+ * @property {string} label - Название для форм.
+ * @property {string} type - Тип значения: text, number, date, select или boolean.
+ * @property {Array<string>} options - Варианты значения поля типа select.
+ * @property {number} position - Порядок поля в формах.
+ * @property {string} createdAt - Время создания.
+ */
+
+/**
+ * Стадия воронки сделок.
+ * @typedef {Object} DealStage
+ * @property {number} id - Идентификатор.
+ * @property {string} name - Название.
+ * @property {number} position - Порядок стадии в воронке.
+ * @property {number} probability - Вероятность успеха сделки на этой стадии в процентах.
+ * @property {string} kind - `open` — сделка в работе, `won` — выиграна, `lost` — проиграна.
+ * @property {number} deals - Сколько сделок на стадии, включая сделки клиентов из корзины.
+ * @property {string} createdAt - Время создания.
+ */
+
+/**
+ * Сделка с клиентом. Сумма хранится целым числом в копейках (центах).
+ * @typedef {Object} DealRecord
+ * @property {number} id - Идентификатор.
+ * @property {number} clientId - Идентификатор клиента.
+ * @property {{id: number, surname: string, name: string, lastName: string}} client - ФИО клиента.
+ * @property {number} stageId - Идентификатор стадии.
+ * @property {string} title - Название.
+ * @property {number} amount - Сумма в минимальных единицах валюты.
+ * @property {string} currency - Код валюты.
+ * @property {string|null} expectedCloseDate - Ожидаемая дата закрытия в формате `YYYY-MM-DD`.
+ * @property {number} probability - Вероятность успеха в процентах.
+ * @property {string} createdAt - Время создания.
+ * @property {string} updatedAt - Время последнего изменения.
+ */
+
+/**
+ * Задача по клиенту.
+ * @typedef {Object} TaskRecord
+ * @property {number} id - Идентификатор.
+ * @property {number} clientId - Идентификатор клиента.
+ * @property {{id: number, surname: string, name: string, lastName: string}} client - ФИО клиента.
+ * @property {number|null} assigneeId - Идентификатор исполнителя.
+ * @property {string|null} assigneeLogin - Логин исполнителя.
+ * @property {string} title - Что нужно сделать.
+ * @property {string} dueAt - Срок.
+ * @property {string} status - `open` — в работе, `overdue` — срок прошёл, `done` — выполнена.
+ * @property {string|null} remindedAt - Когда отправлено напоминание о задаче.
+ * @property {string} createdAt - Время создания.
+ * @property {string} updatedAt - Время последнего изменения.
+ */
+
+/**
+ * Интерфейс хранилища. Все методы асинхронные.
+ * @typedef {Object} Store
+ * @property {Function} init - Готовит хранилище к работе.
+ * @property {Function} transaction - Выполняет функцию в транзакции: при ошибке все изменения отменяются.
+ *   Транзакции выполняются по одной и не могут быть вложенными. Вызовы методов хранилища вне транзакции
+ *   ждут завершения открытой транзакции, поэтому не попадают в неё и не видят её несохранённых изменений.
+ * @property {Function} close - Освобождает ресурсы хранилища.
+ * @property {Object} clients - Клиенты: `list(query)`, `listIds(query)` (идентификаторы всех подходящих клиентов
+ *   в порядке выборки, без `offset` и `limit`), `count(query)`, `countContactTypes(query)`
+ *   (наибольшее число контактов каждого типа у одного клиента), `listActive()`, `findMatches(clients)`,
+ *   `listMatchGroups()`, `get(id)`, `getMany(ids)`,
+ *   `insert(client)`, `update(id, client)`, `setTags(id, tagIds)`, `setOrganization(id, organization)`,
+ *   `setCustomFields(id, values)`, `bumpVersion(ids)`, `markDeleted(id)`, `restore(id)`, `remove(ids)`, `purgeDeleted(before)`.
+ *   `get` и `getMany` находят и клиентов из корзины; `update`, `markDeleted` и `restore` возвращают false,
+ *   если подходящего клиента нет. `update` заменяет контакты клиента; контакт, переданный с идентификатором
+ *   одного из прежних контактов клиента, сохраняет этот идентификатор. `setTags` заменяет метки клиента
+ *   и не меняет его версию: метки записываются вместе с остальными данными клиента.
+ *   `setOrganization` так же заменяет место работы клиента `{id, jobTitle}` или убирает его, если передан null,
+ *   а `setCustomFields` — все значения дополнительных полей клиента на значения `[{fieldId, value}]`.
+ *   `bumpVersion` увеличивает версию клиентов и время их изменения, в том числе клиентов из корзины:
+ *   так отмечаются изменения, которые вносят справочники, например удаление метки.
+ *   `findMatches` возвращает по возрастанию идентификаторы действующих клиентов, у которых есть общий ключ
+ *   {@link module:duplicates.makeMatchKeys} хотя бы с одним из переданных клиентов `{surname, name, contacts}`,
+ *   а `listMatchGroups` — группы идентификаторов действующих клиентов с общим ключом, если в группе больше одного клиента.
+ * @property {Object} history - История изменений: `add(clientId, entry)`, `list(clientId)`, `get(clientId, entryId)`,
+ *   `reassign(fromIds, toId)`. Окончательное удаление клиента удаляет и его историю.
+ * @property {Object} interactions - Взаимодействия с клиентами ({@link Interaction}): `list(clientId)` от последних
+ *   к первым, `get(clientId, id)`, `insert(clientId, {type, date, text, author})`, `update(clientId, id, {type, date, text})`,
+ *   `remove(clientId, id)`, `reassign(fromIds, toId)`. Дата передаётся объектом Date. `update` и `remove` возвращают
+ *   false, если взаимодействия у клиента нет. Окончательное удаление клиента удаляет и его взаимодействия.
+ * @property {Object} tags - Метки клиентов: `list()` (с числом действующих клиентов у каждой метки в поле `clients`),
+ *   `get(id)`, `insert({name, color})`, `update(id, {name, color})`, `remove(id)`. `update` и `remove` возвращают
+ *   false, если метки нет; удаление метки снимает её со всех клиентов.
+ * @property {Object} organizations - Организации ({@link Organization}): `list()` по названию, `get(id)`,
+ *   `insert({name, inn, kpp, address, website})`, `update(id, {name, inn, kpp, address, website})`, `remove(id)`.
+ *   `update` и `remove` возвращают false, если организации нет; после удаления организации её сотрудники
+ *   остаются без места работы.
+ * @property {Object} customFields - Дополнительные поля клиентов ({@link CustomField}): `list()` по порядку, `get(id)`,
+ *   `insert({key, label, type, options, position})`, `update(id, {key, label, options, position})`, `remove(id)`.
+ *   Тип поля после создания не меняется. `update` и `remove` возвращают false, если поля нет; удаление поля
+ *   удаляет и его значения у всех клиентов, а `update` поля типа select — значения, которых больше нет среди вариантов.
+ * @property {Object} stages - Стадии воронки сделок ({@link DealStage}): `list()` по порядку, `get(id)`,
+ *   `insert({name, position, probability, kind})`, `update(id, {name, position, probability, kind})`, `remove(id)`.
+ *   `update` и `remove` возвращают false, если стадии нет; стадию, на которой есть сделки, удалить нельзя.
+ * @property {Object} deals - Сделки ({@link DealRecord}): `list({clientId, stageId})` без сделок клиентов из корзины,
+ *   `get(id)`, `insert(deal)`, `update(id, deal)`, `remove(id)`, `reassign(fromClientIds, toClientId)`,
+ *   `addTransition(dealId, {from, to, actor})` и `listTransitions(dealId)` — история переходов между стадиями
+ *   от последних к первым; `from` и `to` — стадии `{id, name}`, `from` у новой сделки равна null. `update` и `remove`
+ *   возвращают false, если сделки нет. Окончательное удаление клиента удаляет и его сделки.
+ * @property {Object} tasks - Задачи ({@link TaskRecord}): `list({clientId, assigneeId, statuses, dueFrom, dueBefore, unreminded})`
+ *   по сроку без задач клиентов из корзины, `get(id)`, `insert({clientId, assigneeId, title, dueAt, status})`,
+ *   `update(id, {clientId, assigneeId, title, dueAt, status})`, `setStatus(id, status)`, `setReminded(id, date)`,
+ *   `remove(id)`, `reassign(fromClientIds, toClientId)`. Сроки передаются объектами Date; `dueFrom` входит
+ *   в отбор, `dueBefore` — нет. `update` и `remove` возвращают false, если задачи нет. Окончательное удаление
+ *   клиента удаляет и его задачи.
+ * @property {Object} users - Пользователи: `count()`, `list()`, `get(id)`, `findByLogin(login)`,
+ *   `insert(user)`, `update(id, {passwordHash, role})`.
+ * @property {Object} sessions - Сессии: `create({tokenHash, userId, expiresAt})`, `findUser(tokenHash, now)`,
+ *   `remove(tokenHash)`, `removeExpired(now)`. `findUser` не находит сессию, истёкшую к моменту `now`,
+ *   даже если она ещё не удалена.
+ */
+
+/**
+ * Доступные хранилища по названию.
+ * @constant {Object<string, Function>}
+ */
+const STORES = {
+  sqlite: createSqliteStore,
+  memory: createMemoryStore,
+};
+
+/**
+ * Создаёт хранилище указанного типа.
+ * @function createStore
+ * @param {Object} options - Параметры хранилища.
+ * @param {string} options.type - Тип хранилища из {@link STORES}.
+ * @param {string} [options.dbPath] - Путь к файлу базы данных SQLite.
+ * @param {Array<string>} options.phoneTypes - Типы контактов, которые являются телефонами.
+ * @param {Array<string>} [options.emailTypes] - Типы контактов, которые являются адресами e-mail.
+ * @returns {Store} Хранилище.
+ * @throws {Error} Неизвестный тип хранилища.
+ */
+function createStore({ type, ...options }) {
+  if (!Object.prototype.hasOwnProperty.call(STORES, type)) {
+    throw new Error(`Неизвестное хранилище «${type}», ожидается ${Object.keys(STORES).join(', ')}`);
+  }
+  return STORES[type](options);
+}
+
+module.exports = { STORES, createStore };
@@ -0,0 +1,347 @@
+/**
+ * @jest-environment node
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { STORES, createStore } = require('./index');
+
+const phoneTypes = ['Телефон', 'Доп. телефон'];
+
+// Все хранилища проверяются одними и теми же тестами, чтобы сервер работал с ними одинаково
+describe.each(Object.keys(STORES))('%s store', (type) => {
+  let dir;
+  let store;
+
+  beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'crm-store-'));
+    store = createStore({ type, dbPath: path.join(dir, 'database.db'), phoneTypes, emailTypes: ['Email'] });
+    await store.init();
+  });
+
+  afterEach(async () => {
+    await store.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const addClient = (surname, name, contacts = [], lastName = '') => (
+    store.clients.insert({ surname, name, lastName, contacts })
+  );
+
+  test('should insert a client with contacts and read it back', async () => {
+    const contacts = [{ type: 'Email', value: 'john@example.com' }, { type: 'Телефон', value: '+7 912 345-67-89' }];
+    const id = await addClient('Doe', 'John', contacts, 'Smith');
+    const client = await store.clients.get(id);
+
+    expect(id).toBeGreaterThan(0);
+    expect(client).toMatchObject({ id, surname: 'Doe', name: 'John', lastName: 'Smith', contacts, deletedAt: null, version: 1 });
+    expect(client.contacts[0].id).toBeLessThan(client.contacts[1].id);
+    expect(client.createdAt).toMatch(/^\d{4}-\d\d-\d\d \d\d:\d\d:\d\d$/);
+    expect(await store.clients.get(id + 1)).toBeNull();
+  });
+
+  test('should keep ids of the client\'s own contacts on update', async () => {
+    const id = await addClient('Doe', 'John', [{ type: 'Email', value: 'john@example.com' }, { type: 'Vk', value: 'https://vk.com/john' }]);
+    const otherId = await addClient('Doe', 'Jane', [{ type: 'Email', value: 'jane@example.com' }]);
+    const [email, vk] = (await store.clients.get(id)).contacts;
+    const [foreign] = (await store.clients.get(otherId)).contacts;
+    await store.clients.update(id, {
+      surname: 'Doe', name: 'John', lastName: '', contacts: [vk, { ...foreign, value: 'john@example.org' }, { type: 'Другое', value: 'Звонить вечером' }],
+    });
+    const { contacts } = await store.clients.get(id);
+
+    expect(contacts.map(contact => contact.value)).toEqual(['https://vk.com/john', 'john@example.org', 'Звонить вечером']);
+    expect(contacts[0].id).toBe(vk.id);
+    expect((await store.clients.get(id)).version).toBe(2);
+    expect(contacts.map(contact => contact.id)).not.toContain(email.id);
+    expect(contacts.map(contact => contact.id)).not.toContain(foreign.id);
+    expect((await store.clients.get(otherId)).contacts).toEqual([foreign]);
+  });
+
+  test('should search, sort and page clients the same way', async () => {
+    await addClient('Иванов', 'Пётр', [{ type: 'Телефон', value: '+7 (912) 345-67-89' }], 'Сергеевич');
+    await addClient('Петров', 'Иван', [{ type: 'Email', value: 'petrov@example.com' }], 'Иванович');
+    await addClient('Смирнова', 'Анна');
+    const surnames = async query => (await store.clients.list(query)).map(client => client.surname);
+
+    expect(await surnames({ search: 'иван' })).toEqual(['Петров', 'Иванов']);
+    expect(await surnames({ search: 'смирнова анна' })).toEqual(['Смирнова']);
+    expect(await surnames({ search: '345-67-89' })).toEqual(['Иванов']);
+    expect(await surnames({ search: 'petrov@example.com' })).toEqual(['Петров']);
+    expect(await surnames({ sort: [{ field: 'surname', desc: true }], offset: 1, limit: 1 })).toEqual(['Петров']);
+    expect(await store.clients.count({ search: 'ан' })).toBe(1);
+    expect(await store.clients.listIds({ sort: [{ field: 'surname', desc: true }], offset: 1, limit: 1 }))
+      .toEqual((await store.clients.list({ sort: [{ field: 'surname', desc: true }] })).map(client => client.id));
+  });
+
+  test('should tag clients and filter them by any or all tags', async () => {
+    const vip = await store.tags.insert({ name: 'VIP', color: '#ff0000' });
+    const partner = await store.tags.insert({ name: 'Партнёр', color: '#00ff00' });
+    const ivanov = await addClient('Иванов', 'Иван');
+    const petrov = await addClient('Петров', 'Пётр');
+    await store.clients.setTags(ivanov, [vip]);
+    await store.clients.setTags(petrov, [partner, vip]);
+    const ids = async query => (await store.clients.list(query)).map(client => client.id);
+
+    expect((await store.clients.get(petrov)).tags).toEqual([
+      { id: vip, name: 'VIP', color: '#ff0000' },
+      { id: partner, name: 'Партнёр', color: '#00ff00' },
+    ]);
+    expect(await ids({ tags: [vip, partner] })).toEqual([ivanov, petrov]);
+    expect(await ids({ tags: [vip, partner], tagsMatch: 'all' })).toEqual([petrov]);
+    expect(await store.clients.count({ tags: [partner] })).toBe(1);
+    expect((await store.tags.list()).map(tag => tag.clients)).toEqual([2, 1]);
+
+    expect(await store.tags.remove(vip)).toBe(true);
+    expect(await store.tags.remove(vip)).toBe(false);
+    expect((await store.clients.get(petrov)).tags.map(tag => tag.id)).toEqual([partner]);
+
+    await store.clients.bumpVersion([petrov]);
+    expect((await store.clients.getMany([ivanov, petrov])).map(client => client.version)).toEqual([1, 2]);
+  });
+
+  test('should link clients to organizations and filter them by organization', async () => {
+    const data = { name: 'ООО Ромашка', inn: '', kpp: '', address: '', website: '' };
+    const romashka = await store.organizations.insert(data);
+    const lutik = await store.organizations.insert({ ...data, name: 'ООО Лютик' });
+    const ivanov = await addClient('Иванов', 'Иван');
+    const petrov = await addClient('Петров', 'Пётр');
+    await store.clients.setOrganization(ivanov, { id: romashka, jobTitle: 'Директор' });
+    await store.clients.setOrganization(petrov, { id: lutik, jobTitle: '' });
+    await store.clients.markDeleted(petrov);
+
+    expect((await store.clients.get(ivanov)).organization).toEqual({ id: romashka, name: 'ООО Ромашка', jobTitle: 'Директор' });
+    expect((await store.clients.list({ organizationId: romashka })).map(client => client.id)).toEqual([ivanov]);
+    expect((await store.organizations.list()).map(item => [item.name, item.employees])).toEqual([['ООО Лютик', 0], ['ООО Ромашка', 1]]);
+    expect(await store.organizations.update(lutik, { ...data, name: 'ООО Василёк' })).toBe(true);
+    expect((await store.clients.get(petrov)).organization.name).toBe('ООО Василёк');
+
+    expect(await store.organizations.remove(romashka)).toBe(true);
+    expect(await store.organizations.remove(romashka)).toBe(false);
+    expect((await store.clients.get(ivanov)).organization).toBeNull();
+  });
+
+  test('should store custom field values of clients and filter and sort by them', async () => {
+    const city = await store.customFields.insert({ key: 'city', label: 'Город', type: 'text', options: [], position: 2 });
+    const budget = await store.customFields.insert({ key: 'budget', label: 'Бюджет', type: 'number', options: [], position: 1 });
+    const vip = await store.customFields.insert({ key: 'vip', label: 'VIP', type: 'boolean', options: [], position: 3 });
+    const ivanov = await addClient('Иванов', 'Иван');
+    const petrov = await addClient('Петров', 'Пётр');
+    await addClient('Сидоров', 'Сидор');
+    await store.clients.setCustomFields(ivanov, [{ fieldId: city, value: 'Москва' }, { fieldId: budget, value: 900 }, { fieldId: vip, value: true }]);
+    await store.clients.setCustomFields(petrov, [{ fieldId: budget, value: 1200 }, { fieldId: vip, value: false }]);
+    const ids = async query => (await store.clients.list(query)).map(client => client.id);
+
+    expect((await store.customFields.list()).map(field => field.key)).toEqual(['budget', 'city', 'vip']);
+    expect((await store.customFields.get(city)).options).toEqual([]);
+    expect((await store.clients.get(ivanov)).customFields).toEqual({ budget: 900, city: 'Москва', vip: true });
+    expect((await store.clients.get(petrov)).customFields).toEqual({ budget: 1200, vip: false });
+    expect(await ids({ customFields: [{ fieldId: vip, value: false }] })).toEqual([petrov]);
+    expect(await ids({ customFields: [{ fieldId: city, value: 'Москва' }, { fieldId: budget, value: 900 }] })).toEqual([ivanov]);
+    expect(await ids({ customFields: [{ fieldId: budget }] })).toEqual([ivanov, petrov]);
+    expect(await ids({ sort: [{ field: 'cf.budget', fieldId: budget, desc: true }], limit: 2 })).toEqual([petrov, ivanov]);
+
+    expect(await store.customFields.update(city, { key: 'town', label: 'Город', options: [], position: 2 })).toBe(true);
+    expect((await store.clients.get(ivanov)).customFields.town).toBe('Москва');
+    const source = await store.customFields.insert({ key: 'source', label: 'Источник', type: 'select', options: ['Сайт', 'Звонок'], position: 4 });
+    await store.clients.setCustomFields(petrov, [{ fieldId: source, value: 'Звонок' }]);
+    await store.customFields.update(source, { key: 'source', label: 'Источник', options: ['Сайт'], position: 4 });
+    expect((await store.clients.get(petrov)).customFields).toEqual({});
+    expect(await store.customFields.remove(city)).toBe(true);
+    expect(await store.customFields.remove(city)).toBe(false);
+    expect((await store.clients.get(ivanov)).customFields).toEqual({ budget: 900, vip: true });
+  });
+
+  test('should log interactions and sort clients by the last contact', async () => {
+    const ivanov = await addClient('Иванов', 'Иван');
+    const petrov = await addClient('Петров', 'Пётр');
+    const call = await store.interactions.insert(ivanov, { type: 'call', date: new Date('2024-01-10T09:00:00Z'), text: 'Звонок', author: 'admin' });
+    await store.interactions.insert(ivanov, { type: 'note', date: new Date('2024-03-01T09:00:00Z'), text: 'Заметка' });
+    await store.interactions.insert(petrov, { type: 'meeting', date: new Date('2024-02-01T09:00:00Z'), text: 'Встреча' });
+    const ids = async sort => (await store.clients.list({ sort })).map(client => client.id);
+
+    expect((await store.interactions.list(ivanov)).map(item => item.type)).toEqual(['note', 'call']);
+    expect(await store.interactions.get(ivanov, call)).toMatchObject({ id: call, date: '2024-01-10 09:00:00', author: 'admin' });
+    expect(await store.interactions.get(petrov, call)).toBeNull();
+    expect((await store.clients.get(ivanov)).lastContactedAt).toBe('2024-01-10 09:00:00');
+    expect(await ids([{ field: 'lastContactedAt', desc: true }])).toEqual([petrov, ivanov]);
+
+    await store.interactions.reassign([petrov], ivanov);
+    await store.clients.remove([petrov]);
+    expect(await store.interactions.list(ivanov)).toHaveLength(3);
+    expect(await store.interactions.remove(ivanov, call)).toBe(true);
+    expect((await store.clients.get(ivanov)).lastContactedAt).toBe('2024-02-01 09:00:00');
+  });
+
+  test('should keep deals on stages with the history of transitions', async () => {
+    const ivanov = await addClient('Иванов', 'Иван');
+    const petrov = await addClient('Петров', 'Пётр');
+    const open = await store.stages.insert({ name: 'Новая', position: 1, probability: 10, kind: 'open' });
+    const won = await store.stages.insert({ name: 'Выиграна', position: 2, probability: 100, kind: 'won' });
+    const deal = {
+      clientId: petrov, stageId: open, title: 'Поставка', amount: 150050, currency: 'RUB', expectedCloseDate: '2024-06-30', probability: 10,
+    };
+    const id = await store.deals.insert(deal);
+    await store.deals.addTransition(id, { from: null, to: { id: open, name: 'Новая' }, actor: 'admin' });
+    await store.deals.update(id, { ...deal, stageId: won, probability: 100 });
+    await store.deals.addTransition(id, { from: { id: open, name: 'Новая' }, to: { id: won, name: 'Выиграна' } });
+
+    expect(await store.deals.get(id)).toMatchObject({
+      ...deal, id, stageId: won, probability: 100, client: { id: petrov, surname: 'Петров', name: 'Пётр', lastName: '' },
+    });
+    expect((await store.deals.listTransitions(id)).map(item => [item.fromStageName, item.toStageName, item.actor])).toEqual([
+      ['Новая', 'Выиграна', null],
+      [null, 'Новая', 'admin'],
+    ]);
+    expect((await store.stages.list()).map(stage => stage.deals)).toEqual([0, 1]);
+    expect(await store.deals.list({ stageId: open })).toEqual([]);
+
+    await store.deals.reassign([petrov], ivanov);
+    await store.clients.remove([petrov]);
+    expect((await store.deals.list({ clientId: ivanov })).map(item => item.id)).toEqual([id]);
+    await store.clients.markDeleted(ivanov);
+    expect(await store.deals.list()).toEqual([]);
+    await store.clients.remove([ivanov]);
+    expect(await store.deals.get(id)).toBeNull();
+    expect(await store.stages.remove(won)).toBe(true);
+  });
+
+  test('should select tasks by due date, status and reminder', async () => {
+    const ivanov = await addClient('Иванов', 'Иван');
+    const petrov = await addClient('Петров', 'Пётр');
+    const userId = await store.users.insert({ login: 'manager', passwordHash: 'hash', role: 'manager' });
+    const call = await store.tasks.insert({
+      clientId: petrov, assigneeId: userId, title: 'Перезвонить', dueAt: new Date('2024-10-25T09:00:00Z'), status: 'open',
+    });
+    const send = await store.tasks.insert({
+      clientId: ivanov, assigneeId: null, title: 'Отправить договор', dueAt: new Date('2024-10-24T09:00:00Z'), status: 'open',
+    });
+    const ids = async query => (await store.tasks.list(query)).map(task => task.id);
+
+    expect(await store.tasks.get(call)).toMatchObject({
+      id: call, clientId: petrov, assigneeId: userId, assigneeLogin: 'manager', dueAt: '2024-10-25 09:00:00', remindedAt: null,
+      client: { id: petrov, surname: 'Петров', name: 'Пётр', lastName: '' },
+    });
+    expect(await ids({})).toEqual([send, call]);
+    expect(await ids({ dueFrom: new Date('2024-10-25T00:00:00Z'), dueBefore: new Date('2024-10-26T00:00:00Z') })).toEqual([call]);
+    expect(await ids({ assigneeId: userId })).toEqual([call]);
+    expect((await store.clients.get(petrov)).openTasks).toBe(1);
+
+    await store.tasks.setReminded(send, new Date('2024-10-24T08:30:00Z'));
+    await store.tasks.setStatus(send, 'overdue');
+    expect(await ids({ unreminded: true })).toEqual([call]);
+    expect(await ids({ statuses: ['open'] })).toEqual([call]);
+    expect(await store.tasks.update(call, {
+      clientId: petrov, assigneeId: null, title: 'Перезвонить', dueAt: new Date('2024-10-25T09:00:00Z'), status: 'done',
+    })).toBe(true);
+    expect((await store.clients.get(petrov)).openTasks).toBe(0);
+
+    await store.tasks.reassign([petrov], ivanov);
+    await store.clients.remove([petrov]);
+    expect(await ids({ clientId: ivanov })).toEqual([send, call]);
+    await store.clients.markDeleted(ivanov);
+    expect(await ids({})).toEqual([]);
+    expect(await store.tasks.remove(call)).toBe(true);
+    expect(await store.tasks.remove(call)).toBe(false);
+  });
+
+  test('should move clients to the trash and back', async () => {
+    const id = await addClient('Doe', 'Jane');
+
+    expect(await store.clients.markDeleted(id)).toBe(true);
+    expect(await store.clients.markDeleted(id)).toBe(false);
+    expect((await store.clients.get(id)).version).toBe(2);
+    expect(await store.clients.update(id, { surname: 'Doe', name: 'Joan', lastName: '', contacts: [] })).toBe(false);
+    expect(await store.clients.count({})).toBe(0);
+    expect((await store.clients.list({ trash: true })).map(client => client.id)).toEqual([id]);
+    expect(await store.clients.restore(id)).toBe(true);
+    expect(await store.clients.count({ trash: true })).toBe(0);
+    expect((await store.clients.get(id)).version).toBe(3);
+  });
+
+  test('should delete clients permanently together with their history', async () => {
+    const id = await addClient('Doe', 'Jane');
+    const otherId = await addClient('Doe', 'John');
+    await store.history.add(id, { action: 'create', actor: 'admin', before: null, after: { name: 'Jane' } });
+    await store.history.add(otherId, { action: 'create', actor: null, before: null, after: { name: 'John' } });
+    await store.history.reassign([otherId], id);
+    await store.clients.remove([otherId]);
+
+    expect(await store.clients.listActive()).toHaveLength(1);
+    expect((await store.history.list(id)).map(entry => entry.after.name)).toEqual(['John', 'Jane']);
+
+    await store.clients.markDeleted(id);
+    expect(await store.clients.purgeDeleted(new Date(Date.now() + 1000))).toBe(1);
+    expect(await store.history.list(id)).toEqual([]);
+  });
+
+  test('should read more clients than one query can list', async () => {
+    await store.transaction(async () => {
+      for (let i = 0; i < 1200; i += 1) await addClient(`Client${i}`, 'Test', [{ type: 'Email', value: `client${i}@example.com` }]);
+    });
+    const clients = await store.clients.listActive();
+    const many = await store.clients.getMany(clients.map(client => client.id).reverse());
+
+    expect(clients).toHaveLength(1200);
+    expect(clients[1199].contacts).toEqual([expect.objectContaining({ value: 'client1199@example.com' })]);
+    expect(many.map(client => client.id)).toEqual(clients.map(client => client.id));
+  });
+
+  test('should select duplicate candidates by shared match keys', async () => {
+    const ivanov = await addClient('Иванов', 'Иван', [{ type: 'Email', value: 'ivan@example.com' }]);
+    const typo = await addClient('Иваонв', 'Иван');
+    const sameEmail = await addClient('Сидоров', 'Пётр', [{ type: 'Email', value: 'IVAN@example.com' }]);
+    const deleted = await addClient('Иванова', 'Анна');
+    await addClient('Петров', 'Пётр');
+    await store.clients.markDeleted(deleted);
+
+    expect(await store.clients.listMatchGroups()).toEqual([[ivanov, sameEmail], [ivanov, typo]]);
+    expect(await store.clients.findMatches([{ surname: 'Иванова', name: 'Мария', contacts: [] }])).toEqual([ivanov, typo]);
+    expect(await store.clients.findMatches([{ surname: 'Смирнов', name: 'Олег', contacts: [{ type: 'Email', value: 'ivan@example.com' }] }]))
+      .toEqual([ivanov, sameEmail]);
+  });
+
+  test('should roll back every change made in a failed transaction', async () => {
+    const id = await addClient('Doe', 'Jane');
+    const failed = store.transaction(async () => {
+      await addClient('Doe', 'John');
+      await store.clients.markDeleted(id);
+      throw new Error('Сбой');
+    });
+
+    await expect(failed).rejects.toThrow('Сбой');
+    expect((await store.clients.listActive()).map(client => client.name)).toEqual(['Jane']);
+  });
+
+  test('should keep calls made outside a transaction out of it', async () => {
+    const userId = await store.users.insert({ login: 'manager', passwordHash: 'hash', role: 'manager' });
+    const failed = store.transaction(async () => {
+      await addClient('Doe', 'John');
+      await new Promise(resolve => setTimeout(resolve, 20));
+      throw new Error('Сбой');
+    });
+    // Вызовы сделаны, пока транзакция открыта: они ждут её отката и не попадают в неё
+    const created = store.sessions.create({ tokenHash: 'token', userId, expiresAt: new Date(Date.now() + 60 * 1000) });
+    const count = store.clients.count({});
+
+    await expect(failed).rejects.toThrow('Сбой');
+    await created;
+    expect(await count).toBe(0);
+    expect(await store.sessions.findUser('token', new Date())).toMatchObject({ id: userId });
+    await expect(store.transaction(() => store.transaction(async () => {}))).rejects.toThrow('не могут быть вложенными');
+  });
+
+  test('should find a user by session until the session expires', async () => {
+    const userId = await store.users.insert({ login: 'manager', passwordHash: 'hash', role: 'manager' });
+    await store.sessions.create({ tokenHash: 'token', userId, expiresAt: new Date(Date.now() + 60 * 1000) });
+
+    expect(await store.sessions.findUser('token', new Date())).toMatchObject({ id: userId, login: 'manager', role: 'manager' });
+    expect(await store.sessions.findUser('token', new Date(Date.now() + 2 * 60 * 1000))).toBeNull();
+    await store.sessions.removeExpired(new Date(Date.now() + 2 * 60 * 1000));
+    expect(await store.sessions.findUser('token', new Date())).toBeNull();
+  });
+});
+
+test('should reject an unknown store type', () => {
+  expect(() => createStore({ type: 'redis', phoneTypes })).toThrow('Неизвестное хранилище «redis»');
+});
@@ -0,0 +1,922 @@
+/**
+ * Хранилище в памяти процесса. Данные пропадают при остановке сервера, поэтому хранилище
+ * подходит для тестов и демонстрации. Поиск и сортировка повторяют поведение SQLite.
+ * @module storage/memory
+ */
+const { makeSearchDocument, parseSearchQuery, tokenize } = require('../search');
+const { makeMatchKeys } = require('../duplicates');
+const { toStoreDate } = require('./dates');
+const { createQueue } = require('./queue');
+
+/**
+ * Создаёт пустое состояние хранилища.
+ * @function createState
+ * @returns {Object} Состояние: записи и счётчики идентификаторов.
+ */
+function createState() {
+  return {
+    clients: [],
+    history: [],
+    interactions: [],
+    tags: [],
+    organizations: [],
+    customFields: [],
+    stages: [],
+    deals: [],
+    transitions: [],
+    tasks: [],
+    users: [],
+    sessions: [],
+    nextId: { clients: 1, contacts: 1, history: 1, interactions: 1, tags: 1, organizations: 1, customFields: 1, stages: 1, deals: 1, transitions: 1, tasks: 1, users: 1 },
+  };
+}
+
+/**
+ * Копирует запись, чтобы изменения полученного объекта не меняли хранилище.
+ * @function copy
+ * @param {*} value - Запись или список записей.
+ * @returns {*} Копия.
+ */
+function copy(value) {
+  return value === null || value === undefined ? null : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Сравнивает значения поля для сортировки так же, как SQLite: NULL меньше любого значения.
+ * @function compareValues
+ * @param {*} a - Первое значение.
+ * @param {*} b - Второе значение.
+ * @returns {number} Отрицательное число, ноль или положительное число.
+ */
+function compareValues(a, b) {
+  if (a === b) return 0;
+  if (a === null || a === undefined) return -1;
+  if (b === null || b === undefined) return 1;
+  return a < b ? -1 : 1;
+}
+
+/**
+ * Считает, сколько раз фраза встречается в словах документа. Все слова фразы, кроме
+ * последнего, должны совпасть целиком, последнее при поиске по префиксу может быть
+ * началом слова документа — как в FTS5.
+ * @function countPhrase
+ * @param {Array<string>} words - Слова документа.
+ * @param {Array<string>} phrase - Слова фразы.
+ * @param {boolean} prefix - Искать последнее слово по префиксу.
+ * @returns {number} Число вхождений.
+ */
+function countPhrase(words, phrase, prefix) {
+  const last = phrase.length - 1;
+  let count = 0;
+  for (let i = 0; i + last < words.length; i++) {
+    if (phrase.every((word, k) => (k === last && prefix ? words[i + k].startsWith(word) : words[i + k] === word))) count++;
+  }
+  return count;
+}
+
+/**
+ * Создаёт хранилище в памяти процесса.
+ * @function createMemoryStore
+ * @param {Object} options - Параметры.
+ * @param {Array<string>} options.phoneTypes - Типы контактов, которые являются телефонами.
+ * @param {Array<string>} [options.emailTypes] - Типы контактов, которые являются адресами e-mail.
+ * @returns {module:storage.Store} Хранилище с дополнительными методами `dump` и `load`.
+ */
+function createMemoryStore({ phoneTypes, emailTypes = [] }) {
+  let state = createState();
+
+  /**
+   * Очередь обращений, как у SQLite: транзакции выполняются строго по одной, а обращения вне
+   * транзакции ждут её завершения.
+   */
+  const queue = createQueue();
+
+  /**
+   * Копии таблиц, которые изменила текущая транзакция, до их первого изменения: при откате
+   * восстанавливаются только они. Вне транзакции — null.
+   * @type {Object|null}
+   */
+  let undo = null;
+
+  /**
+   * Сохраняет копии таблиц перед их первым изменением в транзакции.
+   * @param {...string} tables - Изменяемые таблицы состояния.
+   */
+  function touch(...tables) {
+    if (!undo) return;
+    for (const table of tables) {
+      if (!(table in undo)) undo[table] = copy(state[table]);
+    }
+  }
+
+  const now = () => toStoreDate(new Date());
+  const nextId = table => state.nextId[table]++;
+  const findClient = id => state.clients.find(client => String(client.id) === String(id));
+
+  /**
+   * Присваивает контактам идентификаторы так же, как SQLite: контакт с идентификатором одного
+   * из прежних контактов клиента сохраняет его, остальные получают новые.
+   * @param {Array<{id: number, type: string, value: string}>} contacts - Контакты.
+   * @param {Array<{id: number}>} [previous] - Прежние контакты клиента.
+   * @returns {Array<{id: number, type: string, value: string}>} Контакты по возрастанию идентификатора.
+   */
+  function numberContacts(contacts, previous = []) {
+    const kept = new Set(previous.map(contact => contact.id));
+    return contacts
+      .map(({ id, type, value }) => ({ id: kept.delete(id) ? id : nextId('contacts'), type, value }))
+      .sort((a, b) => a.id - b.id);
+  }
+
+  /**
+   * Возвращает время последнего взаимодействия с клиентом, кроме заметок.
+   * @param {number} clientId - Идентификатор клиента.
+   * @returns {string|null} Время или null, если взаимодействий не было.
+   */
+  function lastContactedAt(clientId) {
+    return state.interactions
+      .filter(item => item.clientId === clientId && item.type !== 'note')
+      .reduce((latest, item) => (latest === null || item.date > latest ? item.date : latest), null);
+  }
+
+  /**
+   * Возвращает значение поля клиента для сортировки.
+   * @param {Object} client - Клиент из состояния хранилища.
+   * @param {{field: string, fieldId: (number|undefined)}} item - Поле сортировки.
+   * @returns {*} Значение.
+   */
+  function sortValue(client, { field, fieldId }) {
+    if (fieldId !== undefined) return fieldId in client.fieldValues ? client.fieldValues[fieldId] : null;
+    return field === 'lastContactedAt' ? lastContactedAt(client.id) : client[field];
+  }
+
+  /**
+   * Копирует клиентов для выдачи, заменяя идентификаторы меток самими метками, идентификатор
+   * организации — её названием, а идентификаторы дополнительных полей — их ключами, как SQLite,
+   * и добавляя время последнего взаимодействия и число незавершённых задач.
+   * @param {Array<Object>} list - Клиенты из состояния хранилища.
+   * @returns {Array<module:storage.ClientRecord>} Копии клиентов.
+   */
+  function toRecords(list) {
+    const fields = [...state.customFields].sort((a, b) => a.position - b.position || a.id - b.id);
+    return copy(list.map(({ tagIds, organization, fieldValues, ...client }) => ({
+      ...client,
+      customFields: Object.fromEntries(fields.filter(field => field.id in fieldValues).map(field => [field.key, fieldValues[field.id]])),
+      organization: organization && {
+        id: organization.id,
+        name: state.organizations.find(item => item.id === organization.id).name,
+        jobTitle: organization.jobTitle,
+      },
+      lastContactedAt: lastContactedAt(client.id),
+      openTasks: state.tasks.filter(task => task.clientId === client.id && task.status !== 'done').length,
+      tags: state.tags
+        .filter(tag => tagIds.includes(tag.id))
+        .sort((a, b) => compareValues(a.name, b.name) || a.id - b.id)
+        .map(({ id, name, color }) => ({ id, name, color })),
+    })));
+  }
+
+  /**
+   * Проверяет, подходит ли клиент под отбор по меткам.
+   * @param {Object} client - Клиент из состояния хранилища.
+   * @param {Array<number>} tags - Идентификаторы меток.
+   * @param {string} tagsMatch - `any` — есть хотя бы одна метка, `all` — есть все метки.
+   * @returns {boolean} Клиент подходит.
+   */
+  function hasTags(client, tags, tagsMatch) {
+    if (!tags.length) return true;
+    const wanted = [...new Set(tags.map(Number))];
+    return tagsMatch === 'all' ? wanted.every(id => client.tagIds.includes(id)) : wanted.some(id => client.tagIds.includes(id));
+  }
+
+  /**
+   * Отбирает клиентов по поиску, меткам, организации, дополнительным полям и корзине и оценивает релевантность найденных:
+   * совпадение в ФИО весит в 10 раз больше совпадения в контактах.
+   * @param {module:storage.ClientQuery} query - Параметры выборки.
+   * @returns {Array<{client: Object, rank: number}>} Подходящие клиенты.
+   */
+  function select({ search, trash = false, tags = [], tagsMatch = 'any', organizationId, customFields = [] }) {
+    const terms = parseSearchQuery(search).map(({ text, prefix }) => ({ phrase: tokenize(text), prefix }));
+    return state.clients
+      .filter(client => (trash ? client.deletedAt !== null : client.deletedAt === null))
+      .filter(client => hasTags(client, tags, tagsMatch))
+      .filter(client => organizationId === undefined || (client.organization && client.organization.id === Number(organizationId)))
+      .filter(client => customFields.every(({ fieldId, value }) => (
+        value === undefined ? fieldId in client.fieldValues : client.fieldValues[fieldId] === value
+      )))
+      .map((client) => {
+        if (!terms.length) return { client, rank: 0 };
+        const document = makeSearchDocument(client, phoneTypes);
+        const fio = tokenize(document.fio);
+        const contacts = tokenize(document.contacts);
+        let rank = 0;
+        for (const { phrase, prefix } of terms) {
+          const fioHits = countPhrase(fio, phrase, prefix);
+          const contactHits = countPhrase(contacts, phrase, prefix);
+          if (!fioHits && !contactHits) return null;
+          rank += 10 * fioHits + contactHits;
+        }
+        return { client, rank };
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Отбирает клиентов, как {@link select}, и упорядочивает их так же, как SQLite.
+   * @param {module:storage.ClientQuery} query - Параметры выборки.
+   * @returns {Array<Object>} Клиенты из состояния хранилища.
+   */
+  function selectSorted(query) {
+    const { sort = [], trash = false } = query;
+    const byRank = parseSearchQuery(query.search).length && !sort.length;
+    const order = [
+      ...sort.map(item => (a, b) => compareValues(sortValue(a.client, item), sortValue(b.client, item)) * (item.desc ? -1 : 1)),
+      ...(byRank ? [(a, b) => b.rank - a.rank] : []),
+      ...(trash && !sort.length ? [(a, b) => compareValues(b.client.deletedAt, a.client.deletedAt)] : []),
+      (a, b) => a.client.id - b.client.id,
+    ];
+    return select(query)
+      .sort((a, b) => order.reduce((result, compare) => result || compare(a, b), 0))
+      .map(row => row.client);
+  }
+
+  const clients = {
+    async list(query) {
+      const { offset = 0, limit } = query;
+      return toRecords(selectSorted(query).slice(offset, limit === undefined ? undefined : offset + limit));
+    },
+
+    async listIds(query) {
+      return selectSorted(query).map(client => client.id);
+    },
+
+    async count(query) {
+      return select(query).length;
+    },
+
+    async countContactTypes(query) {
+      const counts = {};
+      for (const { client } of select(query)) {
+        const perClient = {};
+        for (const { type } of client.contacts) perClient[type] = (perClient[type] || 0) + 1;
+        for (const [type, count] of Object.entries(perClient)) counts[type] = Math.max(counts[type] || 0, count);
+      }
+      return counts;
+    },
+
+    async listActive() {
+      return toRecords(state.clients.filter(client => client.deletedAt === null));
+    },
+
+    async findMatches(list) {
+      const keys = new Set(list.flatMap(client => makeMatchKeys(client, { phoneTypes, emailTypes })));
+      return state.clients
+        .filter(client => client.deletedAt === null)
+        .filter(client => makeMatchKeys(client, { phoneTypes, emailTypes }).some(key => keys.has(key)))
+        .map(client => client.id);
+    },
+
+    async listMatchGroups() {
+      const groups = new Map();
+      for (const client of state.clients.filter(item => item.deletedAt === null)) {
+        for (const key of makeMatchKeys(client, { phoneTypes, emailTypes })) {
+          const group = groups.get(key);
+          if (group) group.push(client.id);
+          else groups.set(key, [client.id]);
+        }
+      }
+      // Группы упорядочены по ключу и не повторяются, как в SQLite
+      const sorted = [...groups.entries()]
+        .filter(([, ids]) => ids.length > 1)
+        .sort(([a], [b]) => compareValues(a, b))
+        .map(([, ids]) => ids);
+      return [...new Map(sorted.map(ids => [ids.join(), ids])).values()];
+    },
+
+    async get(id) {
+      const client = findClient(id);
+      return client ? toRecords([client])[0] : null;
+    },
+
+    async getMany(ids) {
+      const wanted = new Set(ids.map(String));
+      return toRecords(state.clients.filter(client => wanted.has(String(client.id))));
+    },
+
+    async insert({ name, surname, lastName, contacts }) {
+      touch('clients');
+      const id = nextId('clients');
+      const date = now();
+      state.clients.push({
+        id, name, surname, lastName: lastName || '', contacts: numberContacts(contacts), createdAt: date, updatedAt: date, deletedAt: null,
+        version: 1, tagIds: [], organization: null, fieldValues: {},
+      });
+      return id;
+    },
+
+    async update(id, { name, surname, lastName, contacts }) {
+      touch('clients');
+      const client = findClient(id);
+      if (!client || client.deletedAt !== null) return false;
+      Object.assign(client, { name, surname, lastName: lastName || '', contacts: numberContacts(contacts, client.contacts), updatedAt: now() });
+      client.version++;
+      return true;
+    },
+
+    async setTags(id, tagIds) {
+      touch('clients');
+      const client = findClient(id);
+      if (client) client.tagIds = [...new Set(tagIds.map(Number))];
+    },
+
+    async setCustomFields(id, values) {
+      touch('clients');
+      const client = findClient(id);
+      if (client) client.fieldValues = Object.fromEntries(values.map(({ fieldId, value }) => [Number(fieldId), value]));
+    },
+
+    async setOrganization(id, organization) {
+      touch('clients');
+      const client = findClient(id);
+      if (client) client.organization = organization && { id: Number(organization.id), jobTitle: organization.jobTitle };
+    },
+
+    async bumpVersion(ids) {
+      touch('clients');
+      const bumped = new Set(ids.map(String));
+      const date = now();
+      for (const client of state.clients.filter(item => bumped.has(String(item.id)))) {
+        client.version++;
+        client.updatedAt = date;
+      }
+    },
+
+    async markDeleted(id) {
+      touch('clients');
+      const client = findClient(id);
+      if (!client || client.deletedAt !== null) return false;
+      client.deletedAt = now();
+      client.version++;
+      return true;
+    },
+
+    async restore(id) {
+      touch('clients');
+      const client = findClient(id);
+      if (!client || client.deletedAt === null) return false;
+      client.deletedAt = null;
+      client.version++;
+      return true;
+    },
+
+    async remove(ids) {
+      touch('clients', 'history', 'interactions', 'deals', 'transitions', 'tasks');
+      const removed = new Set(ids.map(String));
+      state.clients = state.clients.filter(client => !removed.has(String(client.id)));
+      state.history = state.history.filter(entry => !removed.has(String(entry.clientId)));
+      state.interactions = state.interactions.filter(item => !removed.has(String(item.clientId)));
+      const dealIds = new Set(state.deals.filter(deal => removed.has(String(deal.clientId))).map(deal => deal.id));
+      state.deals = state.deals.filter(deal => !dealIds.has(deal.id));
+      state.transitions = state.transitions.filter(item => !dealIds.has(item.dealId));
+      state.tasks = state.tasks.filter(task => !removed.has(String(task.clientId)));
+    },
+
+    async purgeDeleted(before) {
+      const date = toStoreDate(before);
+      const expired = state.clients.filter(client => client.deletedAt !== null && client.deletedAt <= date);
+      await clients.remove(expired.map(client => client.id));
+      return expired.length;
+    },
+  };
+
+  const history = {
+    async add(clientId, { action, actor, before, after }) {
+      touch('history');
+      state.history.push({
+        id: nextId('history'), clientId: Number(clientId), action, actor: actor || null, before: copy(before), after: copy(after), createdAt: now(),
+      });
+    },
+
+    async list(clientId) {
+      return copy(state.history
+        .filter(entry => String(entry.clientId) === String(clientId))
+        .sort((a, b) => b.id - a.id)
+        .map(({ id, action, actor, before, after, createdAt }) => ({ id, action, actor, before, after, createdAt })));
+    },
+
+    async get(clientId, entryId) {
+      const entries = await history.list(clientId);
+      return entries.find(entry => String(entry.id) === String(entryId)) || null;
+    },
+
+    async reassign(fromIds, toId) {
+      touch('history');
+      const from = new Set(fromIds.map(String));
+      for (const entry of state.history) {
+        if (from.has(String(entry.clientId))) entry.clientId = Number(toId);
+      }
+    },
+  };
+
+  const findInteraction = (clientId, id) => state.interactions.find(item => (
+    String(item.clientId) === String(clientId) && String(item.id) === String(id)
+  ));
+
+  const interactions = {
+    async list(clientId) {
+      return copy(state.interactions
+        .filter(item => String(item.clientId) === String(clientId))
+        .sort((a, b) => compareValues(b.date, a.date) || b.id - a.id)
+        .map(({ id, type, date, text, author, createdAt }) => ({ id, type, date, text, author, createdAt })));
+    },
+
+    async get(clientId, id) {
+      const entries = await interactions.list(clientId);
+      return entries.find(item => String(item.id) === String(id)) || null;
+    },
+
+    async insert(clientId, { type, date, text, author }) {
+      touch('interactions');
+      const id = nextId('interactions');
+      state.interactions.push({ id, clientId: Number(clientId), type, date: toStoreDate(date), text, author: author || null, createdAt: now() });
+      return id;
+    },
+
+    async update(clientId, id, { type, date, text }) {
+      touch('interactions');
+      const item = findInteraction(clientId, id);
+      if (!item) return false;
+      Object.assign(item, { type, date: toStoreDate(date), text });
+      return true;
+    },
+
+    async remove(clientId, id) {
+      touch('interactions');
+      const item = findInteraction(clientId, id);
+      if (!item) return false;
+      state.interactions = state.interactions.filter(entry => entry !== item);
+      return true;
+    },
+
+    async reassign(fromIds, toId) {
+      touch('interactions');
+      const from = new Set(fromIds.map(String));
+      for (const item of state.interactions) {
+        if (from.has(String(item.clientId))) item.clientId = Number(toId);
+      }
+    },
+  };
+
+  const tags = {
+    async list() {
+      return copy(state.tags
+        .map(tag => ({ ...tag, clients: state.clients.filter(client => client.deletedAt === null && client.tagIds.includes(tag.id)).length }))
+        .sort((a, b) => compareValues(a.name, b.name) || a.id - b.id));
+    },
+
+    async get(id) {
+      return copy(state.tags.find(tag => String(tag.id) === String(id)) || null);
+    },
+
+    async insert({ name, color }) {
+      touch('tags');
+      if (state.tags.some(tag => tag.name === name)) throw new Error(`Метка ${name} уже существует`);
+      const id = nextId('tags');
+      state.tags.push({ id, name, color, createdAt: now() });
+      return id;
+    },
+
+    async update(id, { name, color }) {
+      touch('tags');
+      const tag = state.tags.find(item => String(item.id) === String(id));
+      if (!tag) return false;
+      if (state.tags.some(item => item !== tag && item.name === name)) throw new Error(`Метка ${name} уже существует`);
+      Object.assign(tag, { name, color });
+      return true;
+    },
+
+    async remove(id) {
+      touch('tags', 'clients');
+      const tag = state.tags.find(item => String(item.id) === String(id));
+      if (!tag) return false;
+      state.tags = state.tags.filter(item => item !== tag);
+      for (const client of state.clients) client.tagIds = client.tagIds.filter(tagId => tagId !== tag.id);
+      return true;
+    },
+  };
+
+  const findOrganization = id => state.organizations.find(organization => String(organization.id) === String(id));
+
+  /**
+   * Считает действующих клиентов, которые работают в организации.
+   * @param {number} organizationId - Идентификатор организации.
+   * @returns {number} Число сотрудников.
+   */
+  function countEmployees(organizationId) {
+    return state.clients
+      .filter(client => client.deletedAt === null && client.organization && client.organization.id === organizationId)
+      .length;
+  }
+
+  const organizations = {
+    async list() {
+      return copy(state.organizations
+        .map(organization => ({ ...organization, employees: countEmployees(organization.id) }))
+        .sort((a, b) => compareValues(a.name, b.name) || a.id - b.id));
+    },
+
+    async get(id) {
+      const organization = findOrganization(id);
+      return organization ? copy({ ...organization, employees: countEmployees(organization.id) }) : null;
+    },
+
+    async insert({ name, inn, kpp, address, website }) {
+      touch('organizations');
+      const id = nextId('organizations');
+      const date = now();
+      state.organizations.push({ id, name, inn, kpp, address, website, createdAt: date, updatedAt: date });
+      return id;
+    },
+
+    async update(id, { name, inn, kpp, address, website }) {
+      touch('organizations');
+      const organization = findOrganization(id);
+      if (!organization) return false;
+      Object.assign(organization, { name, inn, kpp, address, website, updatedAt: now() });
+      return true;
+    },
+
+    async remove(id) {
+      touch('organizations', 'clients');
+      const organization = findOrganization(id);
+      if (!organization) return false;
+      state.organizations = state.organizations.filter(item => item !== organization);
+      for (const client of state.clients) {
+        if (client.organization && client.organization.id === organization.id) client.organization = null;
+      }
+      return true;
+    },
+  };
+
+  const findCustomField = id => state.customFields.find(field => String(field.id) === String(id));
+
+  const customFields = {
+    async list() {
+      return copy([...state.customFields].sort((a, b) => a.position - b.position || a.id - b.id));
+    },
+
+    async get(id) {
+      return copy(findCustomField(id) || null);
+    },
+
+    async insert({ key, label, type, options, position }) {
+      touch('customFields');
+      if (state.customFields.some(field => field.key === key)) throw new Error(`Поле ${key} уже существует`);
+      const id = nextId('customFields');
+      state.customFields.push({ id, key, label, type, options: [...options], position, createdAt: now() });
+      return id;
+    },
+
+    async update(id, { key, label, options, position }) {
+      touch('customFields', 'clients');
+      const field = findCustomField(id);
+      if (!field) return false;
+      if (state.customFields.some(item => item !== field && item.key === key)) throw new Error(`Поле ${key} уже существует`);
+      Object.assign(field, { key, label, options: [...options], position });
+      if (field.type === 'select') {
+        for (const client of state.clients) {
+          if (field.id in client.fieldValues && !options.includes(client.fieldValues[field.id])) delete client.fieldValues[field.id];
+        }
+      }
+      return true;
+    },
+
+    async remove(id) {
+      touch('customFields', 'clients');
+      const field = findCustomField(id);
+      if (!field) return false;
+      state.customFields = state.customFields.filter(item => item !== field);
+      for (const client of state.clients) delete client.fieldValues[field.id];
+      return true;
+    },
+  };
+
+  const findStage = id => state.stages.find(stage => String(stage.id) === String(id));
+  const findDeal = id => state.deals.find(deal => String(deal.id) === String(id));
+
+  /**
+   * Копирует сделку для выдачи, добавляя ФИО клиента, как SQLite.
+   * @param {Object} deal - Сделка из состояния хранилища.
+   * @returns {module:storage.DealRecord} Копия сделки.
+   */
+  function toDeal(deal) {
+    const { id, surname, name, lastName } = findClient(deal.clientId);
+    return copy({ ...deal, client: { id, surname, name, lastName } });
+  }
+
+  const stages = {
+    async list() {
+      return copy(state.stages
+        .map(stage => ({ ...stage, deals: state.deals.filter(deal => deal.stageId === stage.id).length }))
+        .sort((a, b) => a.position - b.position || a.id - b.id));
+    },
+
+    async get(id) {
+      const stage = findStage(id);
+      return stage ? copy({ ...stage, deals: state.deals.filter(deal => deal.stageId === stage.id).length }) : null;
+    },
+
+    async insert({ name, position, probability, kind }) {
+      touch('stages');
+      if (state.stages.some(stage => stage.name === name)) throw new Error(`Стадия ${name} уже существует`);
+      const id = nextId('stages');
+      state.stages.push({ id, name, position, probability, kind, createdAt: now() });
+      return id;
+    },
+
+    async update(id, { name, position, probability, kind }) {
+      touch('stages');
+      const stage = findStage(id);
+      if (!stage) return false;
+      if (state.stages.some(item => item !== stage && item.name === name)) throw new Error(`Стадия ${name} уже существует`);
+      Object.assign(stage, { name, position, probability, kind });
+      return true;
+    },
+
+    async remove(id) {
+      touch('stages');
+      const stage = findStage(id);
+      if (!stage) return false;
+      if (state.deals.some(deal => deal.stageId === stage.id)) throw new Error(`На стадии ${stage.name} есть сделки`);
+      state.stages = state.stages.filter(item => item !== stage);
+      return true;
+    },
+  };
+
+  const deals = {
+    async list({ clientId, stageId } = {}) {
+      return state.deals
+        .filter(deal => findClient(deal.clientId).deletedAt === null)
+        .filter(deal => clientId === undefined || String(deal.clientId) === String(clientId))
+        .filter(deal => stageId === undefined || String(deal.stageId) === String(stageId))
+        .sort((a, b) => a.id - b.id)
+        .map(toDeal);
+    },
+
+    async get(id) {
+      const deal = findDeal(id);
+      return deal ? toDeal(deal) : null;
+    },
+
+    async insert({ clientId, stageId, title, amount, currency, expectedCloseDate, probability }) {
+      touch('deals');
+      const id = nextId('deals');
+      const date = now();
+      state.deals.push({
+        id, clientId: Number(clientId), stageId: Number(stageId), title, amount, currency, expectedCloseDate, probability,
+        createdAt: date, updatedAt: date,
+      });
+      return id;
+    },
+
+    async update(id, { clientId, stageId, title, amount, currency, expectedCloseDate, probability }) {
+      touch('deals');
+      const deal = findDeal(id);
+      if (!deal) return false;
+      Object.assign(deal, {
+        clientId: Number(clientId), stageId: Number(stageId), title, amount, currency, expectedCloseDate, probability, updatedAt: now(),
+      });
+      return true;
+    },
+
+    async remove(id) {
+      touch('deals', 'transitions');
+      const deal = findDeal(id);
+      if (!deal) return false;
+      state.deals = state.deals.filter(item => item !== deal);
+      state.transitions = state.transitions.filter(item => item.dealId !== deal.id);
+      return true;
+    },
+
+    async reassign(fromIds, toId) {
+      touch('deals');
+      const from = new Set(fromIds.map(String));
+      for (const deal of state.deals) {
+        if (from.has(String(deal.clientId))) deal.clientId = Number(toId);
+      }
+    },
+
+    async addTransition(dealId, { from, to, actor }) {
+      touch('transitions');
+      state.transitions.push({
+        id: nextId('transitions'),
+        dealId: Number(dealId),
+        fromStageId: from ? from.id : null,
+        fromStageName: from ? from.name : null,
+        toStageId: to.id,
+        toStageName: to.name,
+        actor: actor || null,
+        createdAt: now(),
+      });
+    },
+
+    async listTransitions(dealId) {
+      return copy(state.transitions
+        .filter(item => String(item.dealId) === String(dealId))
+        .sort((a, b) => b.id - a.id)
+        .map(({ id, fromStageId, fromStageName, toStageId, toStageName, actor, createdAt }) => ({
+          id, fromStageId, fromStageName, toStageId, toStageName, actor, createdAt,
+        })));
+    },
+  };
+
+  const findTask = id => state.tasks.find(task => String(task.id) === String(id));
+
+  /**
+   * Копирует задачу для выдачи, добавляя ФИО клиента и логин исполнителя, как SQLite.
+   * @param {Object} task - Задача из состояния хранилища.
+   * @returns {module:storage.TaskRecord} Копия задачи.
+   */
+  function toTask(task) {
+    const { id, surname, name, lastName } = findClient(task.clientId);
+    const assignee = state.users.find(user => user.id === task.assigneeId);
+    return copy({ ...task, assigneeLogin: assignee ? assignee.login : null, client: { id, surname, name, lastName } });
+  }
+
+  const tasks = {
+    async list({ clientId, assigneeId, statuses, dueFrom, dueBefore, unreminded = false } = {}) {
+      const from = dueFrom && toStoreDate(dueFrom);
+      const before = dueBefore && toStoreDate(dueBefore);
+      return state.tasks
+        .filter(task => findClient(task.clientId).deletedAt === null)
+        .filter(task => clientId === undefined || String(task.clientId) === String(clientId))
+        .filter(task => assigneeId === undefined || String(task.assigneeId) === String(assigneeId))
+        .filter(task => !statuses || statuses.includes(task.status))
+        .filter(task => (!from || task.dueAt >= from) && (!before || task.dueAt < before))
+        .filter(task => !unreminded || task.remindedAt === null)
+        .sort((a, b) => compareValues(a.dueAt, b.dueAt) || a.id - b.id)
+        .map(toTask);
+    },
+
+    async get(id) {
+      const task = findTask(id);
+      return task ? toTask(task) : null;
+    },
+
+    async insert({ clientId, assigneeId, title, dueAt, status }) {
+      touch('tasks');
+      const id = nextId('tasks');
+      const date = now();
+      state.tasks.push({
+        id, clientId: Number(clientId), assigneeId: assigneeId === null ? null : Number(assigneeId), title, dueAt: toStoreDate(dueAt), status,
+        remindedAt: null, createdAt: date, updatedAt: date,
+      });
+      return id;
+    },
+
+    async update(id, { clientId, assigneeId, title, dueAt, status }) {
+      touch('tasks');
+      const task = findTask(id);
+      if (!task) return false;
+      Object.assign(task, {
+        clientId: Number(clientId), assigneeId: assigneeId === null ? null : Number(assigneeId), title, dueAt: toStoreDate(dueAt), status,
+        updatedAt: now(),
+      });
+      return true;
+    },
+
+    async setStatus(id, status) {
+      touch('tasks');
+      const task = findTask(id);
+      if (task) task.status = status;
+    },
+
+    async setReminded(id, date) {
+      touch('tasks');
+      const task = findTask(id);
+      if (task) task.remindedAt = date && toStoreDate(date);
+    },
+
+    async remove(id) {
+      touch('tasks');
+      const task = findTask(id);
+      if (!task) return false;
+      state.tasks = state.tasks.filter(item => item !== task);
+      return true;
+    },
+
+    async reassign(fromIds, toId) {
+      touch('tasks');
+      const from = new Set(fromIds.map(String));
+      for (const task of state.tasks) {
+        if (from.has(String(task.clientId))) task.clientId = Number(toId);
+      }
+    },
+  };
+
+  const users = {
+    async count() {
+      return state.users.length;
+    },
+
+    async list() {
+      return copy(state.users);
+    },
+
+    async get(id) {
+      return copy(state.users.find(user => String(user.id) === String(id)) || null);
+    },
+
+    async findByLogin(login) {
+      return copy(state.users.find(user => user.login === login) || null);
+    },
+
+    async insert({ login, passwordHash, role }) {
+      touch('users');
+      if (state.users.some(user => user.login === login)) throw new Error(`Пользователь ${login} уже существует`);
+      const id = nextId('users');
+      state.users.push({ id, login, passwordHash, role, createdAt: now() });
+      return id;
+    },
+
+    async update(id, { passwordHash, role }) {
+      touch('users');
+      const user = state.users.find(item => String(item.id) === String(id));
+      if (user) Object.assign(user, { passwordHash, role });
+    },
+  };
+
+  const sessions = {
+    async create({ tokenHash, userId, expiresAt }) {
+      touch('sessions');
+      state.sessions.push({ tokenHash, userId, expiresAt: toStoreDate(expiresAt) });
+    },
+
+    async findUser(tokenHash, now) {
+      const date = toStoreDate(now);
+      const session = state.sessions.find(item => item.tokenHash === tokenHash && item.expiresAt > date);
+      return session ? users.get(session.userId) : null;
+    },
+
+    async remove(tokenHash) {
+      touch('sessions');
+      state.sessions = state.sessions.filter(session => session.tokenHash !== tokenHash);
+    },
+
+    async removeExpired(date) {
+      touch('sessions');
+      const expired = toStoreDate(date);
+      state.sessions = state.sessions.filter(session => session.expiresAt > expired);
+    },
+  };
+
+  return {
+    clients: queue.wrap(clients),
+    history: queue.wrap(history),
+    interactions: queue.wrap(interactions),
+    tags: queue.wrap(tags),
+    organizations: queue.wrap(organizations),
+    customFields: queue.wrap(customFields),
+    stages: queue.wrap(stages),
+    deals: queue.wrap(deals),
+    tasks: queue.wrap(tasks),
+    users: queue.wrap(users),
+    sessions: queue.wrap(sessions),
+
+    async init() {},
+
+    transaction(fn) {
+      return queue.transaction(async () => {
+        undo = { nextId: { ...state.nextId } };
+        try {
+          return await fn();
+        } catch (err) {
+          Object.assign(state, undo);
+          throw err;
+        } finally {
+          undo = null;
+        }
+      });
+    },
+
+    async close() {},
+
+    /**
+     * Возвращает копию всех данных хранилища.
+     * @returns {Object} Состояние хранилища.
+     */
+    dump() {
+      return copy(state);
+    },
+
+    /**
+     * Заменяет данные хранилища копией, полученной из {@link dump}. Тесты восстанавливают
+     * так исходное состояние между проверками.
+     * @param {Object} saved - Состояние хранилища.
+     */
+    load(saved) {
+      state = copy(saved);
+    },
+  };
+}
+
+module.exports = { createMemoryStore };
@@ -0,0 +1,50 @@
+/**
+ * Очередь обращений к хранилищу. Транзакция и обращение вне транзакции не выполняются
+ * одновременно: иначе запись вне транзакции попала бы в открытую транзакцию и пропала бы
+ * при её откате, а чтение увидело бы ещё не сохранённые изменения.
+ * @module storage/queue
+ */
+const { AsyncLocalStorage } = require('async_hooks');
+
+/**
+ * Создаёт очередь обращений к хранилищу.
+ * @function createQueue
+ * @returns {{transaction: Function, wrap: Function}} Очередь: `transaction(fn)` выполняет функцию
+ *   в очереди, `wrap(methods)` ставит в очередь каждый вызов методов объекта.
+ */
+function createQueue() {
+  /**
+   * Отмечает вызовы, которые уже выполняются в очереди: вызовы методов хранилища
+   * внутри транзакции выполняются сразу, без ожидания.
+   * @type {AsyncLocalStorage}
+   */
+  const context = new AsyncLocalStorage();
+  let tail = Promise.resolve();
+
+  /**
+   * Выполняет функцию после всех ранее поставленных в очередь.
+   * @param {Function} fn - Асинхронная функция.
+   * @returns {Promise<*>} Результат функции.
+   */
+  function enqueue(fn) {
+    const result = tail.then(() => context.run(true, fn));
+    tail = result.catch(() => {});
+    return result;
+  }
+
+  return {
+    transaction(fn) {
+      if (context.getStore()) return Promise.reject(new Error('Транзакции хранилища не могут быть вложенными'));
+      return enqueue(fn);
+    },
+
+    wrap(methods) {
+      return Object.fromEntries(Object.entries(methods).map(([name, method]) => [
+        name,
+        (...args) => (context.getStore() ? method(...args) : enqueue(() => method(...args))),
+      ]));
+    },
+  };
+}
+
+module.exports = { createQueue };
@@ -0,0 +1,944 @@
+/**
+ * Хранилище в базе данных SQLite. Схема базы создаётся и обновляется миграциями
+ * из модуля {@link module:migrate}, поиск выполняется по полнотекстовому индексу FTS5.
+ * @module storage/sqlite
+ */
+const sqlite3 = require('sqlite3');
+const { migrate, createHelpers } = require('../migrate');
+const { makeSearchDocument, parseSearchQuery } = require('../search');
+const { makeMatchKeys } = require('../duplicates');
+const { toStoreDate } = require('./dates');
+const { createQueue } = require('./queue');
+
+/**
+ * Наибольшее число идентификаторов в одном условии `IN (...)`: SQLite ограничивает
+ * число параметров запроса, поэтому длинные списки клиентов загружаются частями.
+ * @constant {number}
+ */
+const ID_BATCH_SIZE = 500;
+
+/**
+ * Разбивает список на части не длиннее заданной.
+ * @function chunk
+ * @param {Array} items - Список.
+ * @param {number} size - Наибольшая длина части.
+ * @returns {Array<Array>} Части списка.
+ */
+function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) chunks.push(items.slice(i, i + size));
+  return chunks;
+}
+
+/**
+ * Группирует строки по идентификатору клиента `client_id`.
+ * @function groupByClient
+ * @param {Array<Object>} rows - Строки с полем `client_id`.
+ * @returns {Map<number, Array<Object>>} Строки каждого клиента в прежнем порядке.
+ */
+function groupByClient(rows) {
+  const groups = new Map();
+  for (const row of rows) {
+    const group = groups.get(row.client_id);
+    if (group) group.push(row);
+    else groups.set(row.client_id, [row]);
+  }
+  return groups;
+}
+
+/**
+ * Строит выражение FTS5 MATCH из поисковой строки: все слова должны найтись, по префиксу
+ * ищутся только слова, отмеченные {@link module:search.parseSearchQuery}.
+ * @function makeMatchQuery
+ * @param {string} search - Поисковая строка.
+ * @returns {string} Выражение MATCH или пустая строка, если искать нечего.
+ */
+function makeMatchQuery(search) {
+  return parseSearchQuery(search)
+    .map(({ text, prefix }) => `"${text.replace(/"/g, '""')}"${prefix ? '*' : ''}`)
+    .join(' AND ');
+}
+
+/**
+ * Выражение SQL со временем последнего взаимодействия с клиентом `clients.id`, кроме заметок.
+ * @constant {string}
+ */
+const LAST_CONTACTED_AT = "(SELECT MAX(date) FROM interactions WHERE interactions.client_id = clients.id AND type != 'note')";
+
+/**
+ * Возвращает выражение SQL со значением дополнительного поля клиента `clients.id`.
+ * @function customFieldValue
+ * @param {number} fieldId - Идентификатор поля; проверенное целое число, поэтому подставляется в запрос.
+ * @returns {string} Выражение SQL.
+ */
+function customFieldValue(fieldId) {
+  return `(SELECT value FROM client_field_values WHERE client_id = clients.id AND field_id = ${Number(fieldId)})`;
+}
+
+/**
+ * Приводит строку таблицы дополнительных полей к описанию поля хранилища.
+ * @function toCustomField
+ * @param {Object} row - Строка таблицы `custom_fields`.
+ * @returns {module:storage.CustomField} Поле.
+ */
+function toCustomField(row) {
+  return { ...row, options: JSON.parse(row.options) };
+}
+
+/**
+ * Колонки таблицы взаимодействий, которые входят в запись взаимодействия.
+ * @constant {string}
+ */
+const INTERACTION_COLUMNS = 'id, type, date, text, author, createdAt';
+
+/**
+ * Выборка сделок вместе с ФИО их клиентов.
+ * @constant {string}
+ */
+const DEAL_SELECT = `
+  SELECT deals.id, deals.client_id AS clientId, deals.stage_id AS stageId, deals.title, deals.amount, deals.currency,
+    deals.expectedCloseDate, deals.probability, deals.createdAt, deals.updatedAt,
+    clients.surname, clients.name, clients.lastName
+  FROM deals JOIN clients ON clients.id = deals.client_id`;
+
+/**
+ * Колонки таблицы переходов сделок, которые входят в запись перехода.
+ * @constant {string}
+ */
+const TRANSITION_COLUMNS = 'id, fromStageId, fromStageName, toStageId, toStageName, actor, createdAt';
+
+/**
+ * Приводит строку таблицы истории к записи истории хранилища.
+ * @function toHistoryEntry
+ * @param {Object} row - Строка таблицы `client_history`.
+ * @returns {module:storage.HistoryEntry} Запись истории.
+ */
+function toHistoryEntry(row) {
+  return {
+    id: row.id,
+    action: row.action,
+    actor: row.actor,
+    before: row.beforeData ? JSON.parse(row.beforeData) : null,
+    after: row.afterData ? JSON.parse(row.afterData) : null,
+    createdAt: row.createdAt,
+  };
+}
+
+/**
+ * Выборка задач вместе с ФИО их клиентов и логинами исполнителей.
+ * @constant {string}
+ */
+const TASK_SELECT = `
+  SELECT tasks.id, tasks.client_id AS clientId, tasks.assignee_id AS assigneeId, users.login AS assigneeLogin,
+    tasks.title, tasks.dueAt, tasks.status, tasks.remindedAt, tasks.createdAt, tasks.updatedAt,
+    clients.surname, clients.name, clients.lastName
+  FROM tasks JOIN clients ON clients.id = tasks.client_id
+  LEFT JOIN users ON users.id = tasks.assignee_id`;
+
+/**
+ * Приводит строку выборки {@link DEAL_SELECT} к записи сделки хранилища.
+ * @function toDeal
+ * @param {Object} row - Строка выборки.
+ * @returns {module:storage.DealRecord} Сделка.
+ */
+function toDeal({ surname, name, lastName, ...deal }) {
+  return { ...deal, client: { id: deal.clientId, surname, name, lastName } };
+}
+
+/**
+ * Приводит строку выборки {@link TASK_SELECT} к записи задачи хранилища.
+ * @function toTask
+ * @param {Object} row - Строка выборки.
+ * @returns {module:storage.TaskRecord} Задача.
+ */
+function toTask({ surname, name, lastName, ...task }) {
+  return { ...task, client: { id: task.clientId, surname, name, lastName } };
+}
+
+/**
+ * Создаёт хранилище в базе данных SQLite.
+ * @function createSqliteStore
+ * @param {Object} options - Параметры.
+ * @param {string} options.dbPath - Путь к файлу базы данных.
+ * @param {Array<string>} options.phoneTypes - Типы контактов, которые являются телефонами.
+ * @param {Array<string>} [options.emailTypes] - Типы контактов, которые являются адресами e-mail.
+ * @returns {module:storage.Store} Хранилище.
+ * @throws {Error} Не указан путь к базе данных.
+ */
+function createSqliteStore({ dbPath, phoneTypes, emailTypes = [] }) {
+  if (!dbPath) throw new Error('Не указан путь к базе данных SQLite');
+  const db = new sqlite3.Database(dbPath);
+  const { run, get, all } = createHelpers(db);
+
+  /**
+   * Очередь обращений: у хранилища одно подключение к базе, поэтому транзакции выполняются строго
+   * по одной, а запросы вне транзакции ждут её завершения, чтобы не попасть в неё.
+   */
+  const queue = createQueue();
+
+  /**
+   * Обновляет запись клиента в поисковом индексе `clients_search` и его ключи для отбора
+   * кандидатов в дубликаты `client_match_keys`. Вызывается после каждого изменения имени или контактов клиента.
+   * @async
+   * @param {number} clientId - Идентификатор клиента.
+   * @returns {Promise<void>}
+   */
+  async function reindexClient(clientId) {
+    await run('DELETE FROM clients_search WHERE rowid = ?', [clientId]);
+    await run('DELETE FROM client_match_keys WHERE client_id = ?', [clientId]);
+    const client = await get('SELECT surname, name, lastName FROM clients WHERE id = ?', [clientId]);
+    if (!client) return;
+    const contacts = await all('SELECT type, value FROM contacts WHERE client_id = ?', [clientId]);
+    const document = makeSearchDocument({ ...client, contacts }, phoneTypes);
+    await run('INSERT INTO clients_search (rowid, fio, contacts) VALUES (?, ?, ?)', [clientId, document.fio, document.contacts]);
+    for (const key of makeMatchKeys({ ...client, contacts }, { phoneTypes, emailTypes })) {
+      await run('INSERT INTO client_match_keys (client_id, key) VALUES (?, ?)', [clientId, key]);
+    }
+  }
+
+  /**
+   * Сохраняет контакты клиента, заменяя ранее сохранённые. Контакт с идентификатором одного
+   * из прежних контактов клиента сохраняет этот идентификатор, остальные получают новые.
+   * @async
+   * @param {number} clientId - Идентификатор клиента.
+   * @param {Array<{id: number, type: string, value: string}>} contacts - Контакты.
+   * @returns {Promise<void>}
+   */
+  async function saveContacts(clientId, contacts) {
+    const kept = new Set((await all('SELECT id FROM contacts WHERE client_id = ?', [clientId])).map(row => row.id));
+    await run('DELETE FROM contacts WHERE client_id = ?', [clientId]);
+    for (const { id, type, value } of contacts) {
+      await run('INSERT INTO contacts (id, client_id, type, value) VALUES (?, ?, ?, ?)', [kept.delete(id) ? id : null, clientId, type, value]);
+    }
+  }
+
+  /**
+   * Загружает контакты, метки, место работы, дополнительные поля, время последнего взаимодействия
+   * и число незавершённых задач строк таблицы клиентов частями по {@link ID_BATCH_SIZE}.
+   * @async
+   * @param {Array<Object>} rows - Строки таблицы клиентов.
+   * @returns {Promise<Array<module:storage.ClientRecord>>} Клиенты с контактами и метками.
+   */
+  async function withContacts(rows) {
+    const records = [];
+    for (const batch of chunk(rows, ID_BATCH_SIZE)) records.push(...(await withContactsBatch(batch)));
+    return records;
+  }
+
+  /**
+   * Загружает связанные данные одной части строк для {@link withContacts}.
+   * @async
+   * @param {Array<Object>} rows - Не больше {@link ID_BATCH_SIZE} строк таблицы клиентов.
+   * @returns {Promise<Array<module:storage.ClientRecord>>} Клиенты с контактами и метками.
+   */
+  async function withContactsBatch(rows) {
+    const ids = rows.map(row => row.id);
+    const placeholders = ids.map(() => '?').join(', ');
+    const contacts = groupByClient(await all(`SELECT id, client_id, type, value FROM contacts WHERE client_id IN (${placeholders}) ORDER BY id`, ids));
+    const tags = groupByClient(await all(
+      `SELECT client_tags.client_id, tags.id, tags.name, tags.color FROM client_tags
+      JOIN tags ON tags.id = client_tags.tag_id
+      WHERE client_tags.client_id IN (${placeholders}) ORDER BY tags.name, tags.id`,
+      ids,
+    ));
+    const organizations = groupByClient(await all(
+      `SELECT client_organizations.client_id, organizations.id, organizations.name, client_organizations.jobTitle
+      FROM client_organizations JOIN organizations ON organizations.id = client_organizations.organization_id
+      WHERE client_organizations.client_id IN (${placeholders})`,
+      ids,
+    ));
+    const fieldValues = groupByClient(await all(
+      `SELECT client_field_values.client_id, custom_fields.key, custom_fields.type, client_field_values.value
+      FROM client_field_values JOIN custom_fields ON custom_fields.id = client_field_values.field_id
+      WHERE client_field_values.client_id IN (${placeholders}) ORDER BY custom_fields.position, custom_fields.id`,
+      ids,
+    ));
+    const contacted = groupByClient(await all(
+      `SELECT client_id, MAX(date) AS date FROM interactions
+      WHERE client_id IN (${placeholders}) AND type != 'note' GROUP BY client_id`,
+      ids,
+    ));
+    const openTasks = groupByClient(await all(
+      `SELECT client_id, COUNT(*) AS count FROM tasks
+      WHERE client_id IN (${placeholders}) AND status != 'done' GROUP BY client_id`,
+      ids,
+    ));
+    return rows.map((row) => {
+      const [organization] = organizations.get(row.id) || [];
+      const [lastContact] = contacted.get(row.id) || [];
+      const [tasks] = openTasks.get(row.id) || [];
+      return {
+        ...row,
+        lastName: row.lastName || '',
+        organization: organization ? { id: organization.id, name: organization.name, jobTitle: organization.jobTitle } : null,
+        lastContactedAt: lastContact ? lastContact.date : null,
+        openTasks: tasks ? tasks.count : 0,
+        contacts: (contacts.get(row.id) || []).map(({ id, type, value }) => ({ id, type, value })),
+        tags: (tags.get(row.id) || []).map(({ id, name, color }) => ({ id, name, color })),
+        // Логические значения SQLite хранит числами 1 и 0
+        customFields: Object.fromEntries((fieldValues.get(row.id) || [])
+          .map(({ key, type, value }) => [key, type === 'boolean' ? value === 1 : value])),
+      };
+    });
+  }
+
+  /**
+   * Составляет части SQL-запроса выборки клиентов.
+   * @param {module:storage.ClientQuery} query - Параметры выборки.
+   * @returns {{from: string, where: string, values: Array, orderBy: string}} Части запроса.
+   */
+  function makeListQuery({ search, trash = false, sort = [], tags = [], tagsMatch = 'any', organizationId, customFields = [] }) {
+    const match = search ? makeMatchQuery(search) : '';
+    const from = match ? 'clients JOIN clients_search ON clients_search.rowid = clients.id' : 'clients';
+    const conditions = [trash ? 'clients.deletedAt IS NOT NULL' : 'clients.deletedAt IS NULL'];
+    const values = [];
+    if (match) {
+      conditions.push('clients_search MATCH ?');
+      values.push(match);
+    }
+    if (tags.length) {
+      const having = tagsMatch === 'all' ? ` GROUP BY client_id HAVING COUNT(*) = ${tags.length}` : '';
+      conditions.push(`clients.id IN (SELECT client_id FROM client_tags WHERE tag_id IN (${tags.map(() => '?').join(', ')})${having})`);
+      values.push(...tags);
+    }
+    if (organizationId !== undefined) {
+      conditions.push('clients.id IN (SELECT client_id FROM client_organizations WHERE organization_id = ?)');
+      values.push(organizationId);
+    }
+    for (const { fieldId, value } of customFields) {
+      if (value === undefined) {
+        conditions.push('clients.id IN (SELECT client_id FROM client_field_values WHERE field_id = ?)');
+        values.push(fieldId);
+      } else {
+        conditions.push('clients.id IN (SELECT client_id FROM client_field_values WHERE field_id = ? AND value = ?)');
+        values.push(fieldId, typeof value === 'boolean' ? Number(value) : value);
+      }
+    }
+    const sortColumn = ({ field, fieldId }) => {
+      if (fieldId !== undefined) return customFieldValue(fieldId);
+      return field === 'lastContactedAt' ? LAST_CONTACTED_AT : `clients.${field}`;
+    };
+    const orderBy = sort
+      .map(item => `${sortColumn(item)} ${item.desc ? 'DESC' : 'ASC'}`)
+      .concat(match && !sort.length ? ['bm25(clients_search, 10.0, 1.0)'] : [])
+      .concat(trash && !sort.length ? ['clients.deletedAt DESC'] : [])
+      .concat(sort.some(({ field }) => field === 'id') ? [] : ['clients.id ASC'])
+      .join(', ');
+    return { from, where: `WHERE ${conditions.join(' AND ')}`, values, orderBy };
+  }
+
+  const clients = {
+    async list(query) {
+      const { from, where, values, orderBy } = makeListQuery(query);
+      const rows = await all(
+        `SELECT clients.* FROM ${from} ${where} ORDER BY ${orderBy} LIMIT ? OFFSET ?`,
+        [...values, query.limit === undefined ? -1 : query.limit, query.offset || 0],
+      );
+      return withContacts(rows);
+    },
+
+    async listIds(query) {
+      const { from, where, values, orderBy } = makeListQuery(query);
+      const rows = await all(`SELECT clients.id FROM ${from} ${where} ORDER BY ${orderBy}`, values);
+      return rows.map(row => row.id);
+    },
+
+    async count(query) {
+      const { from, where, values } = makeListQuery(query);
+      const { total } = await get(`SELECT COUNT(*) AS total FROM ${from} ${where}`, values);
+      return total;
+    },
+
+    async countContactTypes(query) {
+      const { from, where, values } = makeListQuery(query);
+      const rows = await all(`
+        SELECT type, MAX(count) AS count FROM (
+          SELECT contacts.type, COUNT(*) AS count FROM ${from}
+          JOIN contacts ON contacts.client_id = clients.id
+          ${where}
+          GROUP BY contacts.client_id, contacts.type
+        ) GROUP BY type`, values);
+      return Object.fromEntries(rows.map(row => [row.type, row.count]));
+    },
+
+    async listActive() {
+      return withContacts(await all('SELECT * FROM clients WHERE deletedAt IS NULL ORDER BY id'));
+    },
+
+    async findMatches(list) {
+      const keys = [...new Set(list.flatMap(client => makeMatchKeys(client, { phoneTypes, emailTypes })))];
+      const ids = new Set();
+      for (const batch of chunk(keys, ID_BATCH_SIZE)) {
+        const rows = await all(
+          `SELECT DISTINCT client_match_keys.client_id FROM client_match_keys
+          JOIN clients ON clients.id = client_match_keys.client_id AND clients.deletedAt IS NULL
+          WHERE client_match_keys.key IN (${batch.map(() => '?').join(', ')})`,
+          batch,
+        );
+        for (const row of rows) ids.add(row.client_id);
+      }
+      return [...ids].sort((a, b) => a - b);
+    },
+
+    async listMatchGroups() {
+      const rows = await all(`
+        SELECT client_match_keys.key, client_match_keys.client_id FROM client_match_keys
+        JOIN clients ON clients.id = client_match_keys.client_id AND clients.deletedAt IS NULL
+        WHERE client_match_keys.key IN (
+          SELECT client_match_keys.key FROM client_match_keys
+          JOIN clients ON clients.id = client_match_keys.client_id AND clients.deletedAt IS NULL
+          GROUP BY client_match_keys.key HAVING COUNT(*) > 1
+        )
+        ORDER BY client_match_keys.key, client_match_keys.client_id`);
+      const groups = new Map();
+      for (const { key, client_id: clientId } of rows) {
+        const group = groups.get(key);
+        if (group) group.push(clientId);
+        else groups.set(key, [clientId]);
+      }
+      // Клиенты с одной фамилией и одним именем делят оба ключа ФИО: одинаковые группы возвращаются один раз
+      return [...new Map([...groups.values()].map(ids => [ids.join(), ids])).values()];
+    },
+
+    async get(id) {
+      const row = await get('SELECT * FROM clients WHERE id = ?', [id]);
+      return row ? (await withContacts([row]))[0] : null;
+    },
+
+    async getMany(ids) {
+      const rows = [];
+      for (const batch of chunk(ids, ID_BATCH_SIZE)) {
+        rows.push(...(await all(`SELECT * FROM clients WHERE id IN (${batch.map(() => '?').join(', ')})`, batch)));
+      }
+      return withContacts(rows.sort((a, b) => a.id - b.id));
+    },
+
+    async insert({ name, surname, lastName, contacts }) {
+      const { lastID } = await run(
+        "INSERT INTO clients (name, surname, lastName, createdAt, updatedAt) VALUES (?, ?, ?, datetime('now'), datetime('now'))",
+        [name, surname, lastName],
+      );
+      await saveContacts(lastID, contacts);
+      await reindexClient(lastID);
+      return lastID;
+    },
+
+    async update(id, { name, surname, lastName, contacts }) {
+      const { changes } = await run(
+        "UPDATE clients SET name = ?, surname = ?, lastName = ?, updatedAt = datetime('now'), version = version + 1 WHERE id = ? AND deletedAt IS NULL",
+        [name, surname, lastName, id],
+      );
+      if (changes === 0) return false;
+      await saveContacts(id, contacts);
+      await reindexClient(id);
+      return true;
+    },
+
+    async setTags(id, tagIds) {
+      await run('DELETE FROM client_tags WHERE client_id = ?', [id]);
+      for (const tagId of new Set(tagIds)) {
+        await run('INSERT INTO client_tags (client_id, tag_id) VALUES (?, ?)', [id, tagId]);
+      }
+    },
+
+    async setCustomFields(id, values) {
+      await run('DELETE FROM client_field_values WHERE client_id = ?', [id]);
+      for (const { fieldId, value } of values) {
+        await run(
+          'INSERT INTO client_field_values (client_id, field_id, value) VALUES (?, ?, ?)',
+          [id, fieldId, typeof value === 'boolean' ? Number(value) : value],
+        );
+      }
+    },
+
+    async setOrganization(id, organization) {
+      await run('DELETE FROM client_organizations WHERE client_id = ?', [id]);
+      if (organization) {
+        await run(
+          'INSERT INTO client_organizations (client_id, organization_id, jobTitle) VALUES (?, ?, ?)',
+          [id, organization.id, organization.jobTitle],
+        );
+      }
+    },
+
+    async bumpVersion(ids) {
+      for (const batch of chunk(ids, ID_BATCH_SIZE)) {
+        await run(
+          `UPDATE clients SET updatedAt = datetime('now'), version = version + 1 WHERE id IN (${batch.map(() => '?').join(', ')})`,
+          batch,
+        );
+      }
+    },
+
+    async markDeleted(id) {
+      const { changes } = await run("UPDATE clients SET deletedAt = datetime('now'), version = version + 1 WHERE id = ? AND deletedAt IS NULL", [id]);
+      return changes > 0;
+    },
+
+    async restore(id) {
+      const { changes } = await run('UPDATE clients SET deletedAt = NULL, version = version + 1 WHERE id = ? AND deletedAt IS NOT NULL', [id]);
+      return changes > 0;
+    },
+
+    async remove(ids) {
+      if (!ids.length) return;
+      const placeholders = ids.map(() => '?').join(', ');
+      await run(`DELETE FROM clients_search WHERE rowid IN (${placeholders})`, ids);
+      await run(`DELETE FROM clients WHERE id IN (${placeholders})`, ids);
+    },
+
+    async purgeDeleted(before) {
+      const expired = 'deletedAt IS NOT NULL AND deletedAt <= ?';
+      const date = toStoreDate(before);
+      await run(`DELETE FROM clients_search WHERE rowid IN (SELECT id FROM clients WHERE ${expired})`, [date]);
+      const { changes } = await run(`DELETE FROM clients WHERE ${expired}`, [date]);
+      return changes;
+    },
+  };
+
+  const history = {
+    async add(clientId, { action, actor, before, after }) {
+      await run(
+        "INSERT INTO client_history (client_id, action, actor, beforeData, afterData, createdAt) VALUES (?, ?, ?, ?, ?, datetime('now'))",
+        [clientId, action, actor || null, before && JSON.stringify(before), after && JSON.stringify(after)],
+      );
+    },
+
+    async list(clientId) {
+      const rows = await all('SELECT * FROM client_history WHERE client_id = ? ORDER BY id DESC', [clientId]);
+      return rows.map(toHistoryEntry);
+    },
+
+    async get(clientId, entryId) {
+      const row = await get('SELECT * FROM client_history WHERE id = ? AND client_id = ?', [entryId, clientId]);
+      return row ? toHistoryEntry(row) : null;
+    },
+
+    async reassign(fromIds, toId) {
+      if (!fromIds.length) return;
+      await run(`UPDATE client_history SET client_id = ? WHERE client_id IN (${fromIds.map(() => '?').join(', ')})`, [toId, ...fromIds]);
+    },
+  };
+
+  const interactions = {
+    async list(clientId) {
+      return all(`SELECT ${INTERACTION_COLUMNS} FROM interactions WHERE client_id = ? ORDER BY date DESC, id DESC`, [clientId]);
+    },
+
+    async get(clientId, id) {
+      return (await get(`SELECT ${INTERACTION_COLUMNS} FROM interactions WHERE id = ? AND client_id = ?`, [id, clientId])) || null;
+    },
+
+    async insert(clientId, { type, date, text, author }) {
+      const { lastID } = await run(
+        "INSERT INTO interactions (client_id, type, date, text, author, createdAt) VALUES (?, ?, ?, ?, ?, datetime('now'))",
+        [clientId, type, toStoreDate(date), text, author || null],
+      );
+      return lastID;
+    },
+
+    async update(clientId, id, { type, date, text }) {
+      const { changes } = await run(
+        'UPDATE interactions SET type = ?, date = ?, text = ? WHERE id = ? AND client_id = ?',
+        [type, toStoreDate(date), text, id, clientId],
+      );
+      return changes > 0;
+    },
+
+    async remove(clientId, id) {
+      const { changes } = await run('DELETE FROM interactions WHERE id = ? AND client_id = ?', [id, clientId]);
+      return changes > 0;
+    },
+
+    async reassign(fromIds, toId) {
+      if (!fromIds.length) return;
+      await run(`UPDATE interactions SET client_id = ? WHERE client_id IN (${fromIds.map(() => '?').join(', ')})`, [toId, ...fromIds]);
+    },
+  };
+
+  const tags = {
+    async list() {
+      return all(`
+        SELECT tags.*, COUNT(clients.id) AS clients FROM tags
+        LEFT JOIN client_tags ON client_tags.tag_id = tags.id
+        LEFT JOIN clients ON clients.id = client_tags.client_id AND clients.deletedAt IS NULL
+        GROUP BY tags.id ORDER BY tags.name, tags.id`);
+    },
+
+    async get(id) {
+      return (await get('SELECT * FROM tags WHERE id = ?', [id])) || null;
+    },
+
+    async insert({ name, color }) {
+      const { lastID } = await run("INSERT INTO tags (name, color, createdAt) VALUES (?, ?, datetime('now'))", [name, color]);
+      return lastID;
+    },
+
+    async update(id, { name, color }) {
+      const { changes } = await run('UPDATE tags SET name = ?, color = ? WHERE id = ?', [name, color, id]);
+      return changes > 0;
+    },
+
+    async remove(id) {
+      const { changes } = await run('DELETE FROM tags WHERE id = ?', [id]);
+      return changes > 0;
+    },
+  };
+
+  const organizations = {
+    async list() {
+      return all(`
+        SELECT organizations.*, COUNT(clients.id) AS employees FROM organizations
+        LEFT JOIN client_organizations ON client_organizations.organization_id = organizations.id
+        LEFT JOIN clients ON clients.id = client_organizations.client_id AND clients.deletedAt IS NULL
+        GROUP BY organizations.id ORDER BY organizations.name, organizations.id`);
+    },
+
+    async get(id) {
+      const row = await get(`
+        SELECT organizations.*, (
+          SELECT COUNT(*) FROM client_organizations JOIN clients ON clients.id = client_organizations.client_id
+          WHERE client_organizations.organization_id = organizations.id AND clients.deletedAt IS NULL
+        ) AS employees
+        FROM organizations WHERE id = ?`, [id]);
+      return row || null;
+    },
+
+    async insert({ name, inn, kpp, address, website }) {
+      const { lastID } = await run(
+        `INSERT INTO organizations (name, inn, kpp, address, website, createdAt, updatedAt)
+        VALUES (?, ?, ?, ?, ?, datetime('now'), datetime('now'))`,
+        [name, inn, kpp, address, website],
+      );
+      return lastID;
+    },
+
+    async update(id, { name, inn, kpp, address, website }) {
+      const { changes } = await run(
+        "UPDATE organizations SET name = ?, inn = ?, kpp = ?, address = ?, website = ?, updatedAt = datetime('now') WHERE id = ?",
+        [name, inn, kpp, address, website, id],
+      );
+      return changes > 0;
+    },
+
+    async remove(id) {
+      const { changes } = await run('DELETE FROM organizations WHERE id = ?', [id]);
+      return changes > 0;
+    },
+  };
+
+  const customFields = {
+    async list() {
+      return (await all('SELECT * FROM custom_fields ORDER BY position, id')).map(toCustomField);
+    },
+
+    async get(id) {
+      const row = await get('SELECT * FROM custom_fields WHERE id = ?', [id]);
+      return row ? toCustomField(row) : null;
+    },
+
+    async insert({ key, label, type, options, position }) {
+      const { lastID } = await run(
+        "INSERT INTO custom_fields (key, label, type, options, position, createdAt) VALUES (?, ?, ?, ?, ?, datetime('now'))",
+        [key, label, type, JSON.stringify(options), position],
+      );
+      return lastID;
+    },
+
+    async update(id, { key, label, options, position }) {
+      const { changes } = await run(
+        'UPDATE custom_fields SET key = ?, label = ?, options = ?, position = ? WHERE id = ?',
+        [key, label, JSON.stringify(options), position, id],
+      );
+      if (changes && options.length) {
+        await run(`
+          DELETE FROM client_field_values
+          WHERE field_id = ? AND value NOT IN (${options.map(() => '?').join(', ')})
+            AND (SELECT type FROM custom_fields WHERE id = ?) = 'select'`, [id, ...options, id]);
+      }
+      return changes > 0;
+    },
+
+    async remove(id) {
+      const { changes } = await run('DELETE FROM custom_fields WHERE id = ?', [id]);
+      return changes > 0;
+    },
+  };
+
+  const stages = {
+    async list() {
+      return all(`
+        SELECT deal_stages.*, COUNT(deals.id) AS deals FROM deal_stages
+        LEFT JOIN deals ON deals.stage_id = deal_stages.id
+        GROUP BY deal_stages.id ORDER BY deal_stages.position, deal_stages.id`);
+    },
+
+    async get(id) {
+      const row = await get(`
+        SELECT deal_stages.*, (SELECT COUNT(*) FROM deals WHERE deals.stage_id = deal_stages.id) AS deals
+        FROM deal_stages WHERE id = ?`, [id]);
+      return row || null;
+    },
+
+    async insert({ name, position, probability, kind }) {
+      const { lastID } = await run(
+        "INSERT INTO deal_stages (name, position, probability, kind, createdAt) VALUES (?, ?, ?, ?, datetime('now'))",
+        [name, position, probability, kind],
+      );
+      return lastID;
+    },
+
+    async update(id, { name, position, probability, kind }) {
+      const { changes } = await run(
+        'UPDATE deal_stages SET name = ?, position = ?, probability = ?, kind = ? WHERE id = ?',
+        [name, position, probability, kind, id],
+      );
+      return changes > 0;
+    },
+
+    async remove(id) {
+      const { changes } = await run('DELETE FROM deal_stages WHERE id = ?', [id]);
+      return changes > 0;
+    },
+  };
+
+  const deals = {
+    async list({ clientId, stageId } = {}) {
+      const conditions = ['clients.deletedAt IS NULL'];
+      const values = [];
+      if (clientId !== undefined) {
+        conditions.push('deals.client_id = ?');
+        values.push(clientId);
+      }
+      if (stageId !== undefined) {
+        conditions.push('deals.stage_id = ?');
+        values.push(stageId);
+      }
+      const rows = await all(`${DEAL_SELECT} WHERE ${conditions.join(' AND ')} ORDER BY deals.id`, values);
+      return rows.map(toDeal);
+    },
+
+    async get(id) {
+      const row = await get(`${DEAL_SELECT} WHERE deals.id = ?`, [id]);
+      return row ? toDeal(row) : null;
+    },
+
+    async insert({ clientId, stageId, title, amount, currency, expectedCloseDate, probability }) {
+      const { lastID } = await run(
+        `INSERT INTO deals (client_id, stage_id, title, amount, currency, expectedCloseDate, probability, createdAt, updatedAt)
+        VALUES (?, ?, ?, ?, ?, ?, ?, datetime('now'), datetime('now'))`,
+        [clientId, stageId, title, amount, currency, expectedCloseDate, probability],
+      );
+      return lastID;
+    },
+
+    async update(id, { clientId, stageId, title, amount, currency, expectedCloseDate, probability }) {
+      const { changes } = await run(
+        `UPDATE deals SET client_id = ?, stage_id = ?, title = ?, amount = ?, currency = ?, expectedCloseDate = ?, probability = ?,
+        updatedAt = datetime('now') WHERE id = ?`,
+        [clientId, stageId, title, amount, currency, expectedCloseDate, probability, id],
+      );
+      return changes > 0;
+    },
+
+    async remove(id) {
+      const { changes } = await run('DELETE FROM deals WHERE id = ?', [id]);
+      return changes > 0;
+    },
+
+    async reassign(fromIds, toId) {
+      if (!fromIds.length) return;
+      await run(`UPDATE deals SET client_id = ? WHERE client_id IN (${fromIds.map(() => '?').join(', ')})`, [toId, ...fromIds]);
+    },
+
+    async addTransition(dealId, { from, to, actor }) {
+      await run(
+        `INSERT INTO deal_transitions (deal_id, fromStageId, fromStageName, toStageId, toStageName, actor, createdAt)
+        VALUES (?, ?, ?, ?, ?, ?, datetime('now'))`,
+        [dealId, from ? from.id : null, from ? from.name : null, to.id, to.name, actor || null],
+      );
+    },
+
+    async listTransitions(dealId) {
+      return all(`SELECT ${TRANSITION_COLUMNS} FROM deal_transitions WHERE deal_id = ? ORDER BY id DESC`, [dealId]);
+    },
+  };
+
+  const tasks = {
+    async list({ clientId, assigneeId, statuses, dueFrom, dueBefore, unreminded = false } = {}) {
+      const conditions = ['clients.deletedAt IS NULL'];
+      const values = [];
+      if (clientId !== undefined) {
+        conditions.push('tasks.client_id = ?');
+        values.push(clientId);
+      }
+      if (assigneeId !== undefined) {
+        conditions.push('tasks.assignee_id = ?');
+        values.push(assigneeId);
+      }
+      if (statuses) {
+        conditions.push(`tasks.status IN (${statuses.map(() => '?').join(', ')})`);
+        values.push(...statuses);
+      }
+      if (dueFrom) {
+        conditions.push('tasks.dueAt >= ?');
+        values.push(toStoreDate(dueFrom));
+      }
+      if (dueBefore) {
+        conditions.push('tasks.dueAt < ?');
+        values.push(toStoreDate(dueBefore));
+      }
+      if (unreminded) conditions.push('tasks.remindedAt IS NULL');
+      const rows = await all(`${TASK_SELECT} WHERE ${conditions.join(' AND ')} ORDER BY tasks.dueAt, tasks.id`, values);
+      return rows.map(toTask);
+    },
+
+    async get(id) {
+      const row = await get(`${TASK_SELECT} WHERE tasks.id = ?`, [id]);
+      return row ? toTask(row) : null;
+    },
+
+    async insert({ clientId, assigneeId, title, dueAt, status }) {
+      const { lastID } = await run(
+        `INSERT INTO tasks (client_id, assignee_id, title, dueAt, status, createdAt, updatedAt)
+        VALUES (?, ?, ?, ?, ?, datetime('now'), datetime('now'))`,
+        [clientId, assigneeId, title, toStoreDate(dueAt), status],
+      );
+      return lastID;
+    },
+
+    async update(id, { clientId, assigneeId, title, dueAt, status }) {
+      const { changes } = await run(
+        `UPDATE tasks SET client_id = ?, assignee_id = ?, title = ?, dueAt = ?, status = ?, updatedAt = datetime('now')
+        WHERE id = ?`,
+        [clientId, assigneeId, title, toStoreDate(dueAt), status, id],
+      );
+      return changes > 0;
+    },
+
+    async setStatus(id, status) {
+      await run('UPDATE tasks SET status = ? WHERE id = ?', [status, id]);
+    },
+
+    async setReminded(id, date) {
+      await run('UPDATE tasks SET remindedAt = ? WHERE id = ?', [date && toStoreDate(date), id]);
+    },
+
+    async remove(id) {
+      const { changes } = await run('DELETE FROM tasks WHERE id = ?', [id]);
+      return changes > 0;
+    },
+
+    async reassign(fromIds, toId) {
+      if (!fromIds.length) return;
+      await run(`UPDATE tasks SET client_id = ? WHERE client_id IN (${fromIds.map(() => '?').join(', ')})`, [toId, ...fromIds]);
+    },
+  };
+
+  const users = {
+    async count() {
+      const { count } = await get('SELECT COUNT(*) AS count FROM users');
+      return count;
+    },
+
+    async list() {
+      return all('SELECT * FROM users ORDER BY id');
+    },
+
+    async get(id) {
+      return (await get('SELECT * FROM users WHERE id = ?', [id])) || null;
+    },
+
+    async findByLogin(login) {
+      return (await get('SELECT * FROM users WHERE login = ?', [login])) || null;
+    },
+
+    async insert({ login, passwordHash, role }) {
+      const { lastID } = await run(
+        "INSERT INTO users (login, passwordHash, role, createdAt) VALUES (?, ?, ?, datetime('now'))",
+        [login, passwordHash, role],
+      );
+      return lastID;
+    },
+
+    async update(id, { passwordHash, role }) {
+      await run('UPDATE users SET passwordHash = ?, role = ? WHERE id = ?', [passwordHash, role, id]);
+    },
+  };
+
+  const sessions = {
+    async create({ tokenHash, userId, expiresAt }) {
+      await run('INSERT INTO sessions (tokenHash, user_id, expiresAt) VALUES (?, ?, ?)', [tokenHash, userId, toStoreDate(expiresAt)]);
+    },
+
+    async findUser(tokenHash, now) {
+      const user = await get(
+        'SELECT users.* FROM sessions JOIN users ON users.id = sessions.user_id WHERE sessions.tokenHash = ? AND sessions.expiresAt > ?',
+        [tokenHash, toStoreDate(now)],
+      );
+      return user || null;
+    },
+
+    async remove(tokenHash) {
+      await run('DELETE FROM sessions WHERE tokenHash = ?', [tokenHash]);
+    },
+
+    async removeExpired(now) {
+      await run('DELETE FROM sessions WHERE expiresAt <= ?', [toStoreDate(now)]);
+    },
+  };
+
+  return {
+    clients: queue.wrap(clients),
+    history: queue.wrap(history),
+    interactions: queue.wrap(interactions),
+    tags: queue.wrap(tags),
+    organizations: queue.wrap(organizations),
+    customFields: queue.wrap(customFields),
+    stages: queue.wrap(stages),
+    deals: queue.wrap(deals),
+    tasks: queue.wrap(tasks),
+    users: queue.wrap(users),
+    sessions: queue.wrap(sessions),
+
+    /**
+     * Применяет новые миграции и добавляет в поисковый индекс и ключи дубликатов клиентов, которых в них нет.
+     * @async
+     * @returns {Promise<void>}
+     */
+    async init() {
+      await run('PRAGMA foreign_keys = ON');
+      await migrate(db);
+      const unindexed = await all(`
+        SELECT id FROM clients
+        WHERE id NOT IN (SELECT rowid FROM clients_search) OR id NOT IN (SELECT client_id FROM client_match_keys)`);
+      if (unindexed.length) {
+        await this.transaction(async () => {
+          for (const { id } of unindexed) await reindexClient(id);
+        });
+      }
+    },
+
+    transaction(fn) {
+      return queue.transaction(async () => {
+        await run('BEGIN');
+        try {
+          const value = await fn();
+          await run('COMMIT');
+          return value;
+        } catch (err) {
+          await run('ROLLBACK');
+          throw err;
+        }
+      });
+    },
+
+    close() {
+      return new Promise((resolve, reject) => {
+        db.close(err => (err ? reject(err) : resolve()));
+      });
+    },
+  };
+}
+
+module.exports = { createSqliteStore };
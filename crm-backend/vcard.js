@@ -0,0 +1,276 @@
+/**
+ * Запись клиентов в формате vCard 3.0 (RFC 2426) и 4.0 (RFC 6350)
+ * и чтение карточек vCard 2.1, 3.0 и 4.0.
+ * @module vcard
+ */
+
+/**
+ * Поддерживаемые версии vCard.
+ * @constant {Array<string>}
+ */
+const VCARD_VERSIONS = ['3.0', '4.0'];
+
+/**
+ * Свойства vCard для типов контактов CRM. Контакты неизвестных типов записываются в NOTE.
+ * Параметр TYPE=INTERNET у EMAIL есть только в vCard 3.0, в 4.0 он отменён.
+ * @constant {Object<string, {name: string, type: (string|undefined)}>}
+ */
+const CONTACT_PROPERTIES = {
+  'Телефон': { name: 'TEL', type: 'cell' },
+  'Доп. телефон': { name: 'TEL', type: 'voice' },
+  'Email': { name: 'EMAIL', type: 'internet' },
+  'Vk': { name: 'URL' },
+  'Facebook': { name: 'URL' },
+  'Другое': { name: 'NOTE' },
+};
+
+/**
+ * Экранирует текстовое значение vCard: обратную косую черту, запятую, точку с запятой и перевод строки.
+ * @function escapeText
+ * @param {string} value - Значение.
+ * @returns {string} Экранированное значение.
+ */
+function escapeText(value) {
+  return String(value).replace(/[\\,;]/g, char => `\\${char}`).replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Сворачивает строку vCard длиннее 75 байт: продолжение переносится на новую строку,
+ * начинающуюся с пробела. Многобайтовые символы UTF-8 не разрываются.
+ * @function foldLine
+ * @param {string} line - Строка свойства.
+ * @returns {string} Свёрнутая строка.
+ */
+function foldLine(line) {
+  const parts = [];
+  let part = '';
+  let size = 0;
+  for (const char of line) {
+    const charSize = Buffer.byteLength(char);
+    // У строк продолжения первый байт занимает пробел
+    if (size + charSize > (parts.length ? 74 : 75)) {
+      parts.push(part);
+      part = '';
+      size = 0;
+    }
+    part += char;
+    size += charSize;
+  }
+  parts.push(part);
+  return parts.join('\r\n ');
+}
+
+/**
+ * Формирует карточку vCard клиента. Телефоны записываются в TEL, e-mail — в EMAIL,
+ * ссылки на соцсети — в URL, прочие контакты — в NOTE.
+ * @function formatVCard
+ * @param {Object} client - Клиент в том виде, в каком его возвращает API.
+ * @param {string} [version] - Версия vCard: 3.0 или 4.0.
+ * @returns {string} Карточка vCard, завершённая CRLF.
+ */
+function formatVCard(client, version = '3.0') {
+  const names = [client.surname, client.name, client.lastName].map(escapeText);
+  const lines = [
+    'BEGIN:VCARD',
+    `VERSION:${version}`,
+    `FN:${escapeText([client.surname, client.name, client.lastName].filter(Boolean).join(' '))}`,
+    `N:${names[0]};${names[1]};${names[2]};;`,
+  ];
+
+  for (const { type, value } of client.contacts) {
+    const property = CONTACT_PROPERTIES[type] || CONTACT_PROPERTIES['Другое'];
+    if (property.name === 'NOTE') {
+      lines.push(`NOTE:${escapeText(type === 'Другое' ? value : `${type}: ${value}`)}`);
+    } else if (property.type && version === '3.0') {
+      lines.push(`${property.name};TYPE=${property.type.toUpperCase()}:${escapeText(value)}`);
+    } else if (property.type && property.name === 'TEL') {
+      lines.push(`TEL;TYPE=${property.type}:${escapeText(value)}`);
+    } else {
+      lines.push(`${property.name}:${escapeText(value)}`);
+    }
+  }
+
+  lines.push(`REV:${client.updatedAt.replace(/[-:]|\.\d+/g, '')}`, 'END:VCARD');
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+}
+
+/**
+ * Снимает экранирование с текстового значения vCard.
+ * @function unescapeText
+ * @param {string} value - Экранированное значение.
+ * @returns {string} Значение.
+ */
+function unescapeText(value) {
+  return value.replace(/\\([\\,;nN])/g, (_, char) => (char === 'n' || char === 'N' ? '\n' : char));
+}
+
+/**
+ * Делит составное значение vCard (например, N) на части по неэкранированной точке с запятой.
+ * @function splitComponents
+ * @param {string} value - Значение.
+ * @returns {Array<string>} Части значения без экранирования.
+ */
+function splitComponents(value) {
+  return value.split(/(?<!\\);/).map(unescapeText);
+}
+
+/**
+ * Декодирует значение в кодировке quoted-printable из vCard 2.1.
+ * @function decodeQuotedPrintable
+ * @param {string} value - Закодированное значение.
+ * @param {string} [charset] - Кодировка байтов значения, по умолчанию UTF-8.
+ * @returns {string} Декодированное значение.
+ */
+function decodeQuotedPrintable(value, charset = 'utf-8') {
+  const bytes = [];
+  const source = value.replace(/=\r?\n/g, '');
+  for (let i = 0; i < source.length; i++) {
+    if (source[i] === '=' && /^[0-9A-F]{2}$/i.test(source.substr(i + 1, 2))) {
+      bytes.push(parseInt(source.substr(i + 1, 2), 16));
+      i += 2;
+    } else {
+      bytes.push(...Buffer.from(source[i]));
+    }
+  }
+  return new TextDecoder(charset).decode(Buffer.from(bytes));
+}
+
+/**
+ * Разбирает строку свойства vCard: `группа.ИМЯ;ПАРАМЕТРЫ:значение`.
+ * Параметры без имени из vCard 2.1 (`TEL;CELL;VOICE`) считаются значениями TYPE.
+ * @function parseProperty
+ * @param {string} line - Развёрнутая строка свойства.
+ * @returns {{name: string, params: Object<string, Array<string>>, value: string}|null} Свойство или null, если строка некорректна.
+ */
+function parseProperty(line) {
+  const match = /^(?:[\w-]+\.)?([\w-]+)((?:;[^:;]*(?:"[^"]*"[^:;]*)*)*):(.*)$/.exec(line);
+  if (!match) return null;
+
+  const params = {};
+  for (const param of match[2].split(';').slice(1)) {
+    const [key, raw] = param.includes('=') ? param.split(/=(.*)/) : ['TYPE', param];
+    const name = key.trim().toUpperCase();
+    const values = raw.replace(/"/g, '').split(',').map(item => item.trim().toLowerCase()).filter(Boolean);
+    params[name] = [...(params[name] || []), ...values];
+  }
+  return { name: match[1].toUpperCase(), params, value: match[3] };
+}
+
+/**
+ * Разбивает текст файла на карточки со свойствами. Свёрнутые строки (продолжение
+ * начинается с пробела или табуляции) и мягкие переносы quoted-printable склеиваются.
+ * @function readCards
+ * @param {string} text - Содержимое файла.
+ * @returns {Array<{version: string, properties: Array<Object>}>} Карточки.
+ */
+function readCards(text) {
+  const lines = [];
+  for (const line of text.replace(/^\uFEFF/, '').split(/\r\n|\r|\n/)) {
+    const previous = lines[lines.length - 1];
+    if (/^[ \t]/.test(line) && lines.length) {
+      lines[lines.length - 1] = previous + line.substr(1);
+    } else if (previous && /QUOTED-PRINTABLE/i.test(previous.split(':')[0]) && previous.endsWith('=')) {
+      lines[lines.length - 1] = previous.slice(0, -1) + line;
+    } else {
+      lines.push(line);
+    }
+  }
+
+  const cards = [];
+  let card = null;
+  for (const line of lines) {
+    const property = parseProperty(line);
+    if (!property) continue;
+    if (property.name === 'BEGIN' && property.value.toUpperCase() === 'VCARD') {
+      card = { version: '2.1', properties: [] };
+    } else if (property.name === 'END' && card) {
+      cards.push(card);
+      card = null;
+    } else if (property.name === 'VERSION' && card) {
+      card.version = property.value.trim();
+    } else if (card) {
+      card.properties.push(property);
+    }
+  }
+  return cards;
+}
+
+/**
+ * Возвращает текстовое значение свойства, декодируя quoted-printable и снимая экранирование.
+ * @function propertyText
+ * @param {{params: Object, value: string}} property - Свойство.
+ * @param {boolean} [components] - Вернуть части составного значения.
+ * @returns {string|Array<string>} Значение или его части.
+ */
+function propertyText({ params, value }, components = false) {
+  let text = value;
+  if ((params.ENCODING || []).includes('quoted-printable')) {
+    text = decodeQuotedPrintable(text, (params.CHARSET || [])[0]);
+  }
+  return components ? splitComponents(text) : unescapeText(text);
+}
+
+/**
+ * Определяет тип контакта CRM для ссылки: ВКонтакте, Facebook или другой.
+ * @function urlContactType
+ * @param {string} url - Ссылка.
+ * @returns {string} Тип контакта.
+ */
+function urlContactType(url) {
+  if (/^(https?:\/\/)?([\w-]+\.)*(vk\.com|vk\.ru)(\/|$)/i.test(url)) return 'Vk';
+  if (/^(https?:\/\/)?([\w-]+\.)*(facebook\.com|fb\.com)(\/|$)/i.test(url)) return 'Facebook';
+  return 'Другое';
+}
+
+/**
+ * Преобразует карточку в данные клиента для {@link makeClientFromData}. ФИО берётся из N,
+ * а если его нет — из FN в порядке «Фамилия Имя Отчество». Первый телефон (мобильные
+ * идут первыми) становится «Телефоном», остальные — «Доп. телефонами».
+ * @function cardToClient
+ * @param {{properties: Array<Object>}} card - Карточка.
+ * @returns {{name: string, surname: string, lastName: string, contacts: Array<{type: string, value: string}>}} Данные клиента.
+ */
+function cardToClient({ properties }) {
+  const find = name => properties.find(property => property.name === name);
+  const n = find('N');
+  const [surname = '', name = '', lastName = ''] = n
+    ? propertyText(n, true)
+    : (find('FN') ? propertyText(find('FN')).trim().split(/\s+/) : []);
+
+  const phones = properties
+    .filter(property => property.name === 'TEL')
+    .sort((a, b) => Number((b.params.TYPE || []).includes('cell')) - Number((a.params.TYPE || []).includes('cell')));
+  const contacts = phones.map((property, index) => ({
+    type: index ? 'Доп. телефон' : 'Телефон',
+    value: propertyText(property).replace(/^tel:/i, ''),
+  }));
+
+  for (const property of properties) {
+    if (property.name === 'EMAIL') contacts.push({ type: 'Email', value: propertyText(property) });
+    if (property.name === 'URL' || property.name === 'X-SOCIALPROFILE') {
+      const url = propertyText(property);
+      contacts.push({ type: urlContactType(url), value: url });
+    }
+    if (property.name === 'NOTE') contacts.push({ type: 'Другое', value: propertyText(property) });
+  }
+
+  return {
+    surname: surname.trim(),
+    name: name.trim(),
+    lastName: lastName.trim(),
+    contacts: contacts.filter(contact => contact.value.trim()),
+  };
+}
+
+/**
+ * Разбирает файл с одной или несколькими карточками vCard 2.1, 3.0 или 4.0
+ * в данные клиентов для {@link makeClientFromData}.
+ * @function parseVCards
+ * @param {string} text - Содержимое файла.
+ * @returns {Array<{name: string, surname: string, lastName: string, contacts: Array<{type: string, value: string}>}>} Данные клиентов.
+ */
+function parseVCards(text) {
+  return readCards(text).map(cardToClient);
+}
+
+module.exports = { VCARD_VERSIONS, formatVCard, parseVCards };
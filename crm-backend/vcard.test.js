@@ -0,0 +1,65 @@
+/**
+ * @jest-environment node
+ */
+const { formatVCard, parseVCards } = require('./vcard');
+
+describe('vcard', () => {
+  const client = {
+    surname: 'Иванов',
+    name: 'Иван',
+    lastName: '',
+    contacts: [
+      { type: 'Телефон', value: '+79001234567' },
+      { type: 'Email', value: 'ivan@example.com' },
+    ],
+    updatedAt: '2024-03-01T10:20:30.000Z',
+  };
+
+  test('should map contacts to vCard properties of each version', () => {
+    expect(formatVCard(client, '3.0')).toContain('TEL;TYPE=CELL:+79001234567\r\nEMAIL;TYPE=INTERNET:ivan@example.com\r\n');
+    expect(formatVCard(client, '4.0')).toContain('TEL;TYPE=cell:+79001234567\r\nEMAIL:ivan@example.com\r\nREV:20240301T102030Z\r\n');
+  });
+
+  test('should fold lines longer than 75 bytes without splitting characters', () => {
+    const card = formatVCard({ ...client, contacts: [{ type: 'Другое', value: 'Комментарий '.repeat(10) }] });
+    const lines = card.split('\r\n');
+
+    expect(lines.every(line => Buffer.byteLength(line) <= 75)).toBe(true);
+    expect(card).not.toContain('�');
+    expect(lines.filter(line => line.startsWith('NOTE:')).length).toBe(1);
+    expect(card.replace(/\r\n /g, '')).toContain(`NOTE:${'Комментарий '.repeat(10)}\r\n`);
+  });
+
+  test('should read quoted-printable Windows-1251 names split by soft line breaks', () => {
+    const text = [
+      'BEGIN:VCARD',
+      'VERSION:2.1',
+      'N;CHARSET=WINDOWS-1251;ENCODING=QUOTED-PRINTABLE:=C8=E2=E0=ED=EE=E2=',
+      '=E0;=C0=ED=ED=E0;;;',
+      'URL:https://www.facebook.com/ivanova',
+      'NOTE:Первая строка\\nвторая\\, с запятой',
+      'END:VCARD',
+    ].join('\r\n');
+
+    expect(parseVCards(text)).toEqual([{
+      surname: 'Иванова',
+      name: 'Анна',
+      lastName: '',
+      contacts: [
+        { type: 'Facebook', value: 'https://www.facebook.com/ivanova' },
+        { type: 'Другое', value: 'Первая строка\nвторая, с запятой' },
+      ],
+    }]);
+  });
+
+  test('should read back the cards it writes', () => {
+    const card = formatVCard({ ...client, lastName: 'Иванович', contacts: [...client.contacts, { type: 'Vk', value: 'https://vk.com/id1' }] }, '4.0');
+
+    expect(parseVCards(card + card)).toEqual(Array(2).fill({
+      surname: 'Иванов',
+      name: 'Иван',
+      lastName: 'Иванович',
+      contacts: [...client.contacts, { type: 'Vk', value: 'https://vk.com/id1' }],
+    }));
+  });
+});
@@ -12,6 +12,101 @@ import {addSvg} from "./svg.js";
  * @constant {string}
  */
   const SERVER_URL = 'http://localhost:3000';
+
+  /**
+ * Ключ localStorage, под которым хранится токен сессии.
+ * @constant {string}
+ */
+  const TOKEN_KEY = 'crm-token';
+
+  /**
+ * Выполняет запрос к API с токеном сессии. Если сессия истекла,
+ * токен удаляется и страница перезагружается, чтобы показать окно входа.
+ * @async
+ * @function apiFetch
+ * @param {string} url - Адрес запроса.
+ * @param {Object} [options] - Параметры fetch.
+ * @returns {Promise<Response>} Ответ сервера.
+ */
+  async function apiFetch(url, options = {}) {
+    const response = await fetch(url, {
+      ...options,
+      headers: { ...options.headers, Authorization: `Bearer ${localStorage.getItem(TOKEN_KEY)}` },
+    });
+
+    if (response.status === 401) {
+      localStorage.removeItem(TOKEN_KEY);
+      location.reload();
+    }
+
+    return response;
+  }
+
+  /**
+ * Проверяет сохранённую сессию, а если её нет — показывает окно входа
+ * и ждёт, пока пользователь войдёт.
+ * @async
+ * @function ensureLogin
+ * @returns {Promise<Object>} Вошедший пользователь.
+ */
+  async function ensureLogin() {
+    const token = localStorage.getItem(TOKEN_KEY);
+    if (token) {
+      const response = await fetch(SERVER_URL + '/api/auth/me', {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      if (response.ok) return response.json();
+      localStorage.removeItem(TOKEN_KEY);
+    }
+
+    const $loginModal = document.getElementById('modal__window-login');
+    const $loginForm = document.getElementById('form-login');
+    const $loginError = $loginForm.querySelector('.error-box');
+    $loginModal.classList.add('open');
+
+    return new Promise(resolve => {
+      $loginForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const response = await fetch(SERVER_URL + '/api/auth/login', {
+          method: "POST",
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            login: document.getElementById('login-input').value.trim(),
+            password: document.getElementById('password-input').value,
+          }),
+        });
+        const data = await response.json();
+
+        if (!response.ok) {
+          $loginError.textContent = data.message;
+          return;
+        }
+
+        localStorage.setItem(TOKEN_KEY, data.token);
+        $loginModal.classList.remove('open');
+        resolve(data.user);
+      });
+    });
+  }
+
+  /**
+ * Вошедший пользователь. Его роль определяет, какие действия доступны в интерфейсе.
+ * @type {Object}
+ */
+  const currentUser = await ensureLogin();
+  document.body.classList.add('role-' + currentUser.role);
+
+  /**
+ * Завершает сессию пользователя.
+ * @event
+ */
+  const $logoutBtn = document.getElementById('logout');
+  $logoutBtn.classList.remove('hide');
+  $logoutBtn.addEventListener('click', async function () {
+    await apiFetch(SERVER_URL + '/api/auth/logout', { method: "POST" });
+    localStorage.removeItem(TOKEN_KEY);
+    location.reload();
+  });
   
   /**
  * Кнопка добавления контакта на форме.
@@ -84,7 +179,7 @@ import {addSvg} from "./svg.js";
  * @returns {Promise<Object>} Ответ с данными добавленного клиента.
  */
   async function serverAddClient(obj) {
-    let response = await fetch(SERVER_URL + '/api/clients', { 
+    let response = await apiFetch(SERVER_URL + '/api/clients', { 
       method: "POST",                                
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify(obj), 
@@ -96,34 +191,66 @@ import {addSvg} from "./svg.js";
   }
 
   /**
- * Выполняет запрос на сервер для обновления клиента.
+ * Выполняет запрос на сервер для обновления клиента. Сервер меняет только переданные поля
+ * (JSON Merge Patch), поэтому достаточно отправить изменённые. Если клиента уже изменил
+ * кто-то другой, сервер ничего не меняет и возвращает его текущую версию.
  * @async
  * @function serverUpdateClient
- * @param {Object} obj - Обновленные данные клиента.
+ * @param {Object} obj - Изменённые поля клиента.
  * @param {string} id - Идентификатор клиента.
- * @returns {Promise<Object>} Обновленные данные клиента.
+ * @param {number} version - Версия клиента, которую изменял пользователь.
+ * @returns {Promise<Object>} Обновленные данные клиента или `{conflict}` с текущей версией клиента.
  */
-  async function serverUpdateClient(obj, id ) {
-    let response = await fetch(SERVER_URL + '/api/clients/' + id,  { 
+  async function serverUpdateClient(obj, id, version) {
+    let response = await apiFetch(SERVER_URL + '/api/clients/' + id,  { 
       method: "PATCH",        
-      headers: { 'Content-Type': 'application/json' },                        
+      headers: { 'Content-Type': 'application/merge-patch+json', 'If-Match': `"${version}"` },
       body: JSON.stringify(obj), 
     })
 
     let data = await response.json()
 
+    if (response.status === 412) return { conflict: data.client };
+
     return data
   }
 
 
   /**
- * Получает список клиентов с сервера.
+ * Получает страницу списка клиентов с сервера.
  * @async
  * @function serverGetClient
- * @returns {Promise<Array<Object>>} Список клиентов.
+ * @param {Object} [params] - Параметры запроса (page, limit, sort, search).
+ * @param {boolean} [trash] - Получить клиентов из корзины.
+ * @returns {Promise<{clients: Array<Object>, total: number}>} Клиенты текущей страницы и их общее количество.
  */
-  async function serverGetClient() {
-    let response = await fetch(SERVER_URL + '/api/clients', { 
+  async function serverGetClient(params = {}, trash = false) {
+    const query = new URLSearchParams();
+    for (const key in params) {
+      if (params[key]) query.set(key, params[key]);
+    }
+
+    let response = await apiFetch(SERVER_URL + '/api/clients' + (trash ? '/trash' : '') + '?' + query.toString(), { 
+      method: "GET",                                
+      headers: { 'Content-Type': 'application/json' },
+    })
+
+    let data = await response.json()
+
+    return {
+      clients: Array.isArray(data) ? data : [],
+      total: Number(response.headers.get('X-Total-Count')) || 0,
+    }
+  }
+
+  /**
+ * Получает с сервера список поддерживаемых типов контактов.
+ * @async
+ * @function serverGetContactTypes
+ * @returns {Promise<Array<{type: string, kind: string}>>} Типы контактов.
+ */
+  async function serverGetContactTypes() {
+    let response = await apiFetch(SERVER_URL + '/api/contact-types', { 
       method: "GET",                                
       headers: { 'Content-Type': 'application/json' },
     })
@@ -141,7 +268,7 @@ import {addSvg} from "./svg.js";
  * @returns {Promise<Object>} Данные клиента.
  */
   async function GetClientByID(id) {
-    let response = await fetch(SERVER_URL + '/api/clients' + id, { 
+    let response = await apiFetch(SERVER_URL + '/api/clients/' + id, { 
       method: "GET",                                
       headers: { 'Content-Type': 'application/json' },
     })
@@ -156,18 +283,20 @@ import {addSvg} from "./svg.js";
  * @async
  * @function findClient
  * @param {string} value - Значение для поиска.
- * @returns {Promise<Array<Object>>} Найденные клиенты.
+ * @returns {Promise<Array<Object>>} Найденные клиенты, упорядоченные по релевантности.
  */
   async function findClient(value){
     try {
-      let response = await fetch(`http://localhost:3000/api/clients?search=${value}`, { 
+      const query = new URLSearchParams({ search: value, limit: PAGE_SIZE });
+      let response = await apiFetch(SERVER_URL + '/api/clients?' + query.toString(), { 
         method: "GET",                                
        
       });
       let data = await response.json();
-      return data;
+      return Array.isArray(data) ? data : [];
     } catch (error) {
       console.log(error);
+      return [];
     }
 
   }
@@ -177,29 +306,625 @@ import {addSvg} from "./svg.js";
  * @async
  * @function serverDelete
  * @param {string} id - Идентификатор клиента.
- * @returns {Promise<Object>} Ответ сервера.
+ * @param {number} version - Версия клиента, которую видел пользователь.
+ * @returns {Promise<Object>} Ответ сервера или `{conflict}` с текущей версией клиента, если его уже изменили.
+ */
+  async function serverDelete(id, version) {
+    let response = await apiFetch(SERVER_URL + '/api/clients/' + id, { 
+      method: "DELETE",                                
+      headers: { 'If-Match': `"${version}"` },
+    })
+
+    let data = await response.json()
+
+    if (response.status === 412) return { conflict: data.client };
+
+    return data
+  }
+
+  /**
+ * Выполняет пакет операций над клиентами. Операции с ошибками пропускаются,
+ * результат каждой операции есть в отчёте.
+ * @async
+ * @function serverBulk
+ * @param {Array<Object>} operations - Операции: `{action, id, version, data}`.
+ * @returns {Promise<Object>} Отчёт со сводкой `summary` и результатами `results`.
+ */
+  async function serverBulk(operations) {
+    let response = await apiFetch(SERVER_URL + '/api/clients/bulk', { 
+      method: "POST",                                
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ atomic: false, operations }),
+    })
+
+    let data = await response.json()
+
+    return data
+  }
+
+  /**
+ * Получает взаимодействия с клиентом, начиная с последнего.
+ * @async
+ * @function serverGetInteractions
+ * @param {number} id - Идентификатор клиента.
+ * @returns {Promise<Array<Object>>} Взаимодействия.
+ */
+  async function serverGetInteractions(id) {
+    let response = await apiFetch(SERVER_URL + '/api/clients/' + id + '/interactions', { 
+      method: "GET",                                
+      headers: { 'Content-Type': 'application/json' },
+    })
+
+    let data = await response.json()
+
+    return Array.isArray(data) ? data : []
+  }
+
+  /**
+ * Записывает взаимодействие с клиентом.
+ * @async
+ * @function serverAddInteraction
+ * @param {number} id - Идентификатор клиента.
+ * @param {{type: string, date: string, text: string}} obj - Взаимодействие.
+ * @returns {Promise<Object>} Новое взаимодействие или `{errors}`.
+ */
+  async function serverAddInteraction(id, obj) {
+    let response = await apiFetch(SERVER_URL + '/api/clients/' + id + '/interactions', { 
+      method: "POST",                                
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(obj),
+    })
+
+    let data = await response.json()
+
+    return data
+  }
+
+  /**
+ * Удаляет взаимодействие с клиентом.
+ * @async
+ * @function serverDeleteInteraction
+ * @param {number} id - Идентификатор клиента.
+ * @param {number} interactionId - Идентификатор взаимодействия.
+ * @returns {Promise<Object>} Пустой объект.
+ */
+  async function serverDeleteInteraction(id, interactionId) {
+    let response = await apiFetch(SERVER_URL + '/api/clients/' + id + '/interactions/' + interactionId, { 
+      method: "DELETE",                                
+    })
+
+    let data = await response.json()
+
+    return data
+  }
+
+  /**
+ * Получает с сервера список меток клиентов.
+ * @async
+ * @function serverGetTags
+ * @returns {Promise<Array<{id: number, name: string, color: string, clients: number}>>} Метки по названию.
+ */
+  async function serverGetTags() {
+    let response = await apiFetch(SERVER_URL + '/api/tags', { 
+      method: "GET",                                
+      headers: { 'Content-Type': 'application/json' },
+    })
+
+    let data = await response.json()
+
+    return Array.isArray(data) ? data : []
+  }
+
+  /**
+ * Создаёт метку на сервере.
+ * @async
+ * @function serverAddTag
+ * @param {{name: string, color: string}} obj - Название и цвет метки.
+ * @returns {Promise<Object>} Новая метка или `{errors}`.
+ */
+  async function serverAddTag(obj) {
+    let response = await apiFetch(SERVER_URL + '/api/tags', { 
+      method: "POST",                                
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(obj),
+    })
+
+    let data = await response.json()
+
+    return data
+  }
+
+  /**
+ * Получает с сервера список организаций.
+ * @async
+ * @function serverGetOrganizations
+ * @returns {Promise<Array<{id: number, name: string, employeeCount: number}>>} Организации по названию.
+ */
+  async function serverGetOrganizations() {
+    let response = await apiFetch(SERVER_URL + '/api/organizations', { 
+      method: "GET",                                
+      headers: { 'Content-Type': 'application/json' },
+    })
+
+    let data = await response.json()
+
+    return Array.isArray(data) ? data : []
+  }
+
+  /**
+ * Создаёт организацию на сервере.
+ * @async
+ * @function serverAddOrganization
+ * @param {{name: string}} obj - Данные организации.
+ * @returns {Promise<Object>} Новая организация или `{errors}`.
+ */
+  async function serverAddOrganization(obj) {
+    let response = await apiFetch(SERVER_URL + '/api/organizations', { 
+      method: "POST",                                
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(obj),
+    })
+
+    let data = await response.json()
+
+    return data
+  }
+
+  /**
+ * Получает с сервера дополнительные поля клиентов, заведённые администратором.
+ * @async
+ * @function serverGetCustomFields
+ * @returns {Promise<Array<{id: number, key: string, label: string, type: string, options: Array<string>}>>} Поля по порядку.
+ */
+  async function serverGetCustomFields() {
+    let response = await apiFetch(SERVER_URL + '/api/custom-fields', { 
+      method: "GET",                                
+      headers: { 'Content-Type': 'application/json' },
+    })
+
+    let data = await response.json()
+
+    return Array.isArray(data) ? data : []
+  }
+
+  /**
+ * Восстанавливает клиента из корзины.
+ * @async
+ * @function serverRestore
+ * @param {string} id - Идентификатор клиента.
+ * @returns {Promise<Object>} Восстановленный клиент.
  */
-  async function serverDelete(id) {
-    let response = await fetch(SERVER_URL + '/api/clients/' + id, { 
-      method: "DELETE",                                е
+  async function serverRestore(id) {
+    let response = await apiFetch(SERVER_URL + '/api/clients/' + id + '/restore', { 
+      method: "POST",                                
+    })
+
+    let data = await response.json()
+
+    return data
+  }
 
+  /**
+ * Получает историю изменений клиента.
+ * @async
+ * @function serverGetHistory
+ * @param {string} id - Идентификатор клиента.
+ * @returns {Promise<Array<Object>>} События истории, начиная с последнего.
+ */
+  async function serverGetHistory(id) {
+    let response = await apiFetch(SERVER_URL + '/api/clients/' + id + '/history', { 
+      method: "GET",                                
+    })
+
+    let data = await response.json()
+
+    return Array.isArray(data) ? data : []
+  }
+
+  /**
+ * Возвращает клиента к версии из истории изменений.
+ * @async
+ * @function serverRevertClient
+ * @param {string} id - Идентификатор клиента.
+ * @param {number} entryId - Идентификатор события истории.
+ * @param {number} version - Версия клиента, которую видел пользователь.
+ * @returns {Promise<Object>} Обновлённый клиент или `{conflict}` с текущей версией клиента.
+ */
+  async function serverRevertClient(id, entryId, version) {
+    let response = await apiFetch(SERVER_URL + '/api/clients/' + id + '/history/' + entryId + '/revert', { 
+      method: "POST",                                
+      headers: { 'If-Match': `"${version}"` },
     })
 
     let data = await response.json()
 
+    if (response.status === 412) return { conflict: data.client };
+
     return data
   }
 
-  let serverData = await serverGetClient();
+  /**
+ * Отправляет CSV-файл на сервер для импорта клиентов.
+ * Значения параметров кодируются через encodeURIComponent, потому что сервер не понимает «+» вместо пробела.
+ * @async
+ * @function serverImport
+ * @param {File} file - CSV-файл.
+ * @param {Object} [params] - Параметры импорта (delimiter, mapping, dryRun).
+ * @param {boolean} [preview] - Только прочитать файл и предложить сопоставление колонок.
+ * @returns {Promise<Object>} Сведения о файле или отчёт об импорте.
+ */
+  async function serverImport(file, params = {}, preview = false) {
+    const query = Object.keys(params)
+      .filter(key => params[key])
+      .map(key => key + '=' + encodeURIComponent(params[key]))
+      .join('&');
+
+    let response = await apiFetch(SERVER_URL + '/api/clients/import' + (preview ? '/preview' : '') + '?' + query, { 
+      method: "POST",                                
+      headers: { 'Content-Type': 'text/csv' },
+      body: file,
+    })
+
+    let data = await response.json()
+
+    return data
+  }
+
+  /**
+ * Скачивает с сервера выгрузку клиентов и сохраняет её в файл.
+ * @async
+ * @function serverExport
+ * @param {Object} params - Параметры выгрузки: format и параметры списка из {@link getListParams}.
+ * @returns {Promise<Object|null>} Ошибка сервера или null, если файл сохранён.
+ */
+  async function serverExport(params) {
+    const query = new URLSearchParams();
+    for (const key in params) {
+      if (params[key]) query.set(key, params[key]);
+    }
+
+    let response = await apiFetch(SERVER_URL + '/api/clients/export?' + query.toString(), { 
+      method: "GET",                                
+    })
+
+    if (!response.ok) return response.json();
+
+    const fileName = (response.headers.get('Content-Disposition') || '').match(/filename="(.+)"/);
+    const $link = document.createElement('a');
+    $link.href = URL.createObjectURL(await response.blob());
+    $link.download = fileName ? fileName[1] : 'clients';
+    $link.click();
+    // Некоторые браузеры отменяют скачивание, если ссылку на файл отозвать сразу после клика
+    setTimeout(() => URL.revokeObjectURL($link.href), 0);
+
+    return null
+  }
+
+  /**
+ * Отправляет файл vCard на сервер и получает карточки с найденными совпадениями.
+ * @async
+ * @function serverPreviewVCard
+ * @param {File} file - Файл vCard.
+ * @returns {Promise<Object>} Карточки с предложенными действиями.
+ */
+  async function serverPreviewVCard(file) {
+    let response = await apiFetch(SERVER_URL + '/api/clients/import/vcard/preview', { 
+      method: "POST",                                
+      headers: { 'Content-Type': 'text/vcard' },
+      body: file,
+    })
+
+    let data = await response.json()
+
+    return data
+  }
+
+  /**
+ * Импортирует карточки vCard с выбранными действиями.
+ * @async
+ * @function serverImportVCard
+ * @param {Array<Object>} cards - Карточки с действиями create, merge или skip.
+ * @returns {Promise<Object>} Отчёт об импорте.
+ */
+  async function serverImportVCard(cards) {
+    let response = await apiFetch(SERVER_URL + '/api/clients/import/vcard', { 
+      method: "POST",                                
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ cards }),
+    })
+
+    let data = await response.json()
+
+    return data
+  }
+
+  /**
+ * Ищет на сервере клиентов, похожих на ещё не сохранённого.
+ * @async
+ * @function serverCheckDuplicates
+ * @param {Object} obj - ФИО и контакты нового клиента.
+ * @returns {Promise<Array<Object>>} Похожие клиенты с оценкой и её объяснением.
+ */
+  async function serverCheckDuplicates(obj) {
+    let response = await apiFetch(SERVER_URL + '/api/clients/duplicates/check', { 
+      method: "POST",                                
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(obj),
+    })
+
+    let data = await response.json()
+
+    return Array.isArray(data) ? data : []
+  }
+
+  /**
+ * Получает с сервера пары вероятных дубликатов.
+ * @async
+ * @function serverGetDuplicates
+ * @returns {Promise<Array<Object>>} Пары клиентов с оценкой.
+ */
+  async function serverGetDuplicates() {
+    let response = await apiFetch(SERVER_URL + '/api/clients/duplicates?limit=100', { 
+      method: "GET",                                
+    })
+
+    let data = await response.json()
+
+    return Array.isArray(data) ? data : []
+  }
+
+  /**
+ * Объединяет дубликаты в одного клиента.
+ * @async
+ * @function serverMergeClients
+ * @param {number} targetId - Клиент, который останется.
+ * @param {Array<number>} sourceIds - Дубликаты, которые будут удалены.
+ * @returns {Promise<Object>} Объединённый клиент.
+ */
+  async function serverMergeClients(targetId, sourceIds) {
+    let response = await apiFetch(SERVER_URL + '/api/clients/merge', { 
+      method: "POST",                                
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ targetId, sourceIds }),
+    })
+
+    let data = await response.json()
+
+    return data
+  }
+
+  /**
+ * Получает стадии воронки сделок по порядку.
+ * @async
+ * @function serverGetDealStages
+ * @returns {Promise<Array<Object>>} Стадии.
+ */
+  async function serverGetDealStages() {
+    let response = await apiFetch(SERVER_URL + '/api/deal-stages', { 
+      method: "GET",                                
+    })
+
+    let data = await response.json()
+
+    return Array.isArray(data) ? data : []
+  }
+
+  /**
+ * Получает сделки действующих клиентов.
+ * @async
+ * @function serverGetDeals
+ * @returns {Promise<Array<Object>>} Сделки.
+ */
+  async function serverGetDeals() {
+    let response = await apiFetch(SERVER_URL + '/api/deals', { 
+      method: "GET",                                
+    })
+
+    let data = await response.json()
+
+    return Array.isArray(data) ? data : []
+  }
+
+  /**
+ * Создаёт сделку на первой стадии воронки.
+ * @async
+ * @function serverAddDeal
+ * @param {Object} obj - Сделка: `title`, `clientId`, `amount`, `currency`, `expectedCloseDate`.
+ * @returns {Promise<Object>} Новая сделка или `{errors}`.
+ */
+  async function serverAddDeal(obj) {
+    let response = await apiFetch(SERVER_URL + '/api/deals', { 
+      method: "POST",                                
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(obj),
+    })
+
+    let data = await response.json()
+
+    return data
+  }
+
+  /**
+ * Переводит сделку на другую стадию.
+ * @async
+ * @function serverMoveDeal
+ * @param {number} id - Идентификатор сделки.
+ * @param {number} stageId - Идентификатор новой стадии.
+ * @returns {Promise<Object>} Сделка на новой стадии или `{errors}`.
+ */
+  async function serverMoveDeal(id, stageId) {
+    let response = await apiFetch(SERVER_URL + '/api/deals/' + id + '/transitions', { 
+      method: "POST",                                
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ stageId }),
+    })
+
+    let data = await response.json()
+
+    return data
+  }
+
+  /**
+ * Удаляет сделку.
+ * @async
+ * @function serverDeleteDeal
+ * @param {number} id - Идентификатор сделки.
+ * @returns {Promise<Object>} Пустой объект.
+ */
+  async function serverDeleteDeal(id) {
+    let response = await apiFetch(SERVER_URL + '/api/deals/' + id, { 
+      method: "DELETE",                                
+    })
+
+    let data = await response.json()
+
+    return data
+  }
+
+  /**
+ * Получает задачи.
+ * @async
+ * @function serverGetTasks
+ * @param {Object} params - Параметры отбора: `assignee`, `due`, `status`, `clientId`.
+ * @returns {Promise<Array<Object>>} Задачи по возрастанию срока.
+ */
+  async function serverGetTasks(params) {
+    const query = new URLSearchParams(params);
+    let response = await apiFetch(SERVER_URL + '/api/tasks?' + query.toString(), { 
+      method: "GET",                                
+    })
+
+    let data = await response.json()
+
+    return Array.isArray(data) ? data : []
+  }
+
+  /**
+ * Создаёт задачу по клиенту.
+ * @async
+ * @function serverAddTask
+ * @param {{title: string, clientId: number, dueAt: string}} obj - Задача.
+ * @returns {Promise<Object>} Новая задача или `{errors}`.
+ */
+  async function serverAddTask(obj) {
+    let response = await apiFetch(SERVER_URL + '/api/tasks', { 
+      method: "POST",                                
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(obj),
+    })
+
+    let data = await response.json()
+
+    return data
+  }
+
+  /**
+ * Изменяет задачу.
+ * @async
+ * @function serverUpdateTask
+ * @param {number} id - Идентификатор задачи.
+ * @param {Object} obj - Изменяемые поля.
+ * @returns {Promise<Object>} Изменённая задача или `{errors}`.
+ */
+  async function serverUpdateTask(id, obj) {
+    let response = await apiFetch(SERVER_URL + '/api/tasks/' + id, { 
+      method: "PATCH",                                
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(obj),
+    })
+
+    let data = await response.json()
+
+    return data
+  }
+
+  /**
+ * Удаляет задачу.
+ * @async
+ * @function serverDeleteTask
+ * @param {number} id - Идентификатор задачи.
+ * @returns {Promise<Object>} Пустой объект.
+ */
+  async function serverDeleteTask(id) {
+    let response = await apiFetch(SERVER_URL + '/api/tasks/' + id, { 
+      method: "DELETE",                                
+    })
+
+    let data = await response.json()
+
+    return data
+  }
+
+  /**
+ * Количество клиентов на одной странице таблицы.
+ * @constant {number}
+ */
+  const PAGE_SIZE = 20;
+
+  /**
+ * Текущая сортировка таблицы в формате параметра `sort` API.
+ * @type {string}
+ */
+  let sortFlag = "";
+
+  /**
+ * Номер текущей страницы таблицы.
+ * @type {number}
+ */
+  let currentPage = 1;
+
+  /**
+ * Общее количество клиентов на сервере.
+ * @type {number}
+ */
+  let totalClients = 0;
+
+  /**
+ * Показывается ли сейчас корзина вместо списка клиентов.
+ * @type {boolean}
+ */
+  let showTrash = false;
+
+  /**
+ * Типы контактов, которые принимает сервер.
+ * @type {Array<{type: string, kind: string}>}
+ */
+  const contactTypes = await serverGetContactTypes();
+
+  /**
+ * Метки клиентов, заведённые на сервере.
+ * @type {Array<{id: number, name: string, color: string}>}
+ */
+  let allTags = await serverGetTags();
+
+  /**
+ * Организации, в которых работают клиенты.
+ * @type {Array<{id: number, name: string}>}
+ */
+  let allOrganizations = await serverGetOrganizations();
+
+  /**
+ * Дополнительные поля клиентов: для каждого в формах выводится поле ввода по его типу.
+ * @type {Array<{key: string, label: string, type: string, options: Array<string>}>}
+ */
+  const allCustomFields = await serverGetCustomFields();
+
+  /**
+ * Метки, по которым отобраны клиенты в таблице, и правило отбора: `any` — хотя бы одна из меток, `all` — все.
+ * @type {{tags: Array<Object>, match: string}}
+ */
+  const tagFilter = { tags: [], match: 'any' };
+
+  let serverData = await serverGetClient({ page: currentPage, limit: PAGE_SIZE });
 
   let clientsList = [];
 
   if (serverData != null) {
-    clientsList = serverData; 
+    clientsList = serverData.clients; 
+    totalClients = serverData.total;
   }
 
-  let sortFlag = "";
-  searchClients(clientsList);
+  searchClients();
 
   
 
@@ -219,12 +944,55 @@ import {addSvg} from "./svg.js";
     $thID = document.getElementById('th-id'),
     $thCreate = document.getElementById('th-create'),
     $thChange = document.getElementById('th-change'),
+    $thContacted = document.getElementById('th-contacted'),
     $thContacts = document.getElementById('th-contacts'),
     $tableDelete = document.getElementById('th-action');
 
   $tableBody.classList.add('tbody');
   $table.append($tableBody);
 
+  /**
+ * Клиенты, отмеченные в таблице, по идентификатору.
+ * @type {Map<number, Object>}
+ */
+  const selectedClients = new Map();
+
+  const $selectAll = document.getElementById('select-all');
+  const $bulkBar = document.createElement('div');
+  const $bulkCount = document.createElement('span');
+  const $bulkDelete = document.createElement('button');
+  const $bulkClear = document.createElement('button');
+  $bulkBar.classList.add('clients__bulk', 'hide');
+  $bulkCount.classList.add('clients__bulk-count');
+  $bulkDelete.classList.add('btn', 'pagination__btn', 'clients__bulk-delete');
+  $bulkClear.classList.add('btn', 'pagination__btn');
+  $bulkDelete.textContent = 'Удалить выбранных';
+  $bulkClear.textContent = 'Снять выделение';
+  $bulkBar.append($bulkCount, $bulkDelete, $bulkClear);
+  $table.before($bulkBar);
+
+  const $organizationFilter = document.createElement('label');
+  const $organizationSelect = document.createElement('select');
+  $organizationFilter.classList.add('clients__organization-filter');
+  $organizationSelect.classList.add('clients__organization-select');
+  $organizationFilter.append('Организация: ', $organizationSelect);
+  $organizationSelect.addEventListener('change', () => loadClients(1));
+  $table.before($organizationFilter);
+  renderOrganizationOptions($organizationSelect, 'Все организации');
+
+  const $tagFilter = document.createElement('div');
+  $tagFilter.classList.add('clients__tag-filter', 'hide');
+  $table.before($tagFilter);
+
+  const $pagination = document.createElement('div');
+  $pagination.classList.add('clients__pagination');
+  document.querySelector('.clients__container').append($pagination);
+
+  const $addOrganizationEditor = createOrganizationEditor();
+  $inputLast.closest('.form-group').after($addOrganizationEditor.$editor);
+  const $addCustomFieldsEditor = createCustomFieldsEditor();
+  $addOrganizationEditor.$editor.after($addCustomFieldsEditor.$editor);
+
   $removeRormBtn.addEventListener('click', (e)=>{
     e.preventDefault;
     $addForm.querySelectorAll('input').forEach(input =>{
@@ -267,7 +1035,7 @@ import {addSvg} from "./svg.js";
     return Time;
   }
 
- /**
+/**
  * Создает элемент прелоадера.
  * @function Preloader
  * @returns {HTMLElement} Элемент прелоадера.
@@ -443,6 +1211,10 @@ import {addSvg} from "./svg.js";
     formGroup2.append($modalName, $labelName);
     formGroup3.append($modalLastname, $labelLastname);
      
+    const $tagsEditor = createTagsEditor(client.tags);
+    const $organizationEditor = createOrganizationEditor(client);
+    const $customFieldsEditor = createCustomFieldsEditor(client.customFields);
+
     const $editDiv = document.createElement('div');
     $editDiv.classList.add('form__add-contact');
     const $wrapper = document.createElement('div');
@@ -489,37 +1261,103 @@ import {addSvg} from "./svg.js";
     event.currentTarget.classList.remove('open');
   });
    });
-   $modalEditForm.append(formGroup1, formGroup2, formGroup3, $editDiv,  $buttonGroup);
+   $modalEditForm.append(formGroup1, formGroup2, formGroup3, $organizationEditor.$editor, $customFieldsEditor.$editor, $tagsEditor.$editor, $editDiv,  $buttonGroup);
+
+   const $tabs = document.createElement('div');
+   $tabs.classList.add('modal__tabs');
+   const $tabData = document.createElement('button');
+   const $tabHistory = document.createElement('button');
+   const $tabTimeline = document.createElement('button');
+   $tabData.classList.add('modal__tab', 'active');
+   $tabHistory.classList.add('modal__tab');
+   $tabTimeline.classList.add('modal__tab');
+   $tabData.textContent = 'Данные';
+   $tabHistory.textContent = 'История изменений';
+   $tabTimeline.textContent = 'Взаимодействия';
+   $tabs.append($tabData, $tabTimeline, $tabHistory);
+
+   const $historyPanel = document.createElement('div');
+   $historyPanel.classList.add('modal__history', 'hide');
+   const $timelinePanel = document.createElement('div');
+   $timelinePanel.classList.add('modal__history', 'modal__timeline', 'hide');
+
+   const $dataPanel = [$modalEditForm, $errorBlock, $wrapperRem];
+
+   // Переключает вкладку: показывает её панели и скрывает панели остальных вкладок
+   const showTab = ($tab, $panels) => {
+    [$tabData, $tabTimeline, $tabHistory].forEach($item => $item.classList.toggle('active', $item === $tab));
+    [...$dataPanel, $timelinePanel, $historyPanel].forEach($el => $el.classList.toggle('hide', !$panels.includes($el)));
+   };
+
+   $tabData.addEventListener('click', ()=>{
+    showTab($tabData, $dataPanel);
+   });
+   $tabTimeline.addEventListener('click', async ()=>{
+    showTab($tabTimeline, [$timelinePanel]);
+    renderTimeline($timelinePanel, client, await serverGetInteractions(client.id));
+   });
+   $tabHistory.addEventListener('click', async ()=>{
+    showTab($tabHistory, [$historyPanel]);
+    renderHistory($historyPanel, client, await serverGetHistory(client.id));
+   });
 
-   $modalBox.append($modalClose, $modalTitle, $modalEditForm,$errorBlock, $wrapperRem);
+   $modalBox.append($modalClose, $modalTitle, $tabs, $modalEditForm,$errorBlock, $wrapperRem, $timelinePanel, $historyPanel);
    $modalWindow.append($modalBox);
 
    $modalEditForm.addEventListener('submit', async (e)=>{
     e.preventDefault();
     // if( validation($modalEditForm) == true){
 
-    let contactsTypes = document.querySelectorAll('.add__select');
-    let contactsValues = document.querySelectorAll('.add__input');
-    
-    for (let i = 0; i < contactsValues.length; i++) {
-      contacts.push({
-        type: contactsTypes[i].value,
-        value: contactsValues[i].value,
-      })
+    const changes = {};
+    const fields = { surname: $modalSurname, name: $modalName, lastName: $modalLastname };
+    for (const field in fields) {
+      const value = fields[field].value.trim();
+      if (value !== client[field]) changes[field] = value;
+    }
 
+    const editedContacts = [...$modalEditForm.querySelectorAll('.add__group')].map($group => ({
+      ...($group.dataset.contactId ? { id: Number($group.dataset.contactId) } : {}),
+      type: $group.querySelector('.add__select').value,
+      value: $group.querySelector('.add__input').value,
+    }));
+    if (isContactsChanged(client.contacts, editedContacts)) changes.contacts = editedContacts;
+
+    const tagIds = $tagsEditor.getSelected();
+    const clientTagIds = client.tags.map(tag => tag.id);
+    if (tagIds.length !== clientTagIds.length || tagIds.some(id => !clientTagIds.includes(id))) changes.tags = tagIds;
+
+    const { organizationId, jobTitle } = $organizationEditor.getValue();
+    if (organizationId !== (client.organization && client.organization.id)) changes.organizationId = organizationId;
+    if (jobTitle !== client.jobTitle) changes.jobTitle = jobTitle;
+
+    // Отправляются только изменённые поля: null удаляет значение поля у клиента
+    const customFields = $customFieldsEditor.getValue();
+    const customChanges = {};
+    for (const field of allCustomFields) {
+      const current = field.key in client.customFields ? client.customFields[field.key] : getEmptyCustomValue(field);
+      if (customFields[field.key] !== current) customChanges[field.key] = customFields[field.key];
+    }
+    if (Object.keys(customChanges).length) changes.customFields = customChanges;
 
+    if (!Object.keys(changes).length) {
+      $modalWindow.classList.remove('open');
+      return;
     }
-    let newClient = {
 
-      name: $modalName.value.trim(),
-      surname: $modalSurname.value.trim(),
-      lastName: $modalLastname.value.trim(),
-      contacts: contacts,
+    let servDataObj = await serverUpdateClient(changes, client.id, client.version);
 
+    if (servDataObj.conflict) {
+      $modalWindow.classList.remove('open');
+      const $conflictModal = createConflictModal(client, servDataObj.conflict, changes);
+      document.body.append($conflictModal);
+      $conflictModal.classList.add('open');
+      return;
     }
-   
 
-     await serverUpdateClient(newClient, client.id);
+    if (servDataObj.errors) {
+      showServerErrors($errorBlock, servDataObj.errors);
+      return;
+    }
    
     renderClientsTable(clientsList);
     location.reload();
@@ -550,6 +1388,560 @@ import {addSvg} from "./svg.js";
   }
 }
 
+/**
+ * Заполняет список выбора организаций.
+ * @function renderOrganizationOptions
+ * @param {HTMLSelectElement} $select - Список выбора.
+ * @param {string} emptyLabel - Подпись пункта без организации.
+ */
+  function renderOrganizationOptions($select, emptyLabel) {
+    const value = $select.value;
+    $select.innerHTML = '';
+    const $empty = document.createElement('option');
+    $empty.value = '';
+    $empty.textContent = emptyLabel;
+    $select.append($empty);
+    for (const organization of allOrganizations) {
+      const $option = document.createElement('option');
+      $option.value = organization.id;
+      $option.textContent = organization.name;
+      $select.append($option);
+    }
+    $select.value = value;
+  }
+
+/**
+ * Создает редактор места работы клиента для формы: организация выбирается из списка,
+ * новую организацию можно завести прямо в форме.
+ * @function createOrganizationEditor
+ * @param {{organization: ({id: number}|null), jobTitle: string}} [client] - Текущее место работы клиента.
+ * @returns {{$editor: HTMLElement, getValue: Function}} Редактор и функция, возвращающая `{organizationId, jobTitle}`.
+ */
+  function createOrganizationEditor(client = { organization: null, jobTitle: '' }){
+    const $editor = document.createElement('div');
+    $editor.classList.add('form-group', 'form__organization');
+    const $title = document.createElement('p');
+    $title.classList.add('form__tags-title');
+    $title.textContent = 'Место работы';
+
+    const $row = document.createElement('div');
+    $row.classList.add('form__tags-new');
+    const $select = document.createElement('select');
+    $select.classList.add('form__organization-select');
+    renderOrganizationOptions($select, 'Не указана');
+    $select.value = client.organization ? client.organization.id : '';
+    const $jobTitle = document.createElement('input');
+    $jobTitle.classList.add('form__input', 'form__input--optional');
+    $jobTitle.placeholder = 'Должность';
+    $jobTitle.value = client.jobTitle;
+    $row.append($select, $jobTitle);
+
+    const $newOrganization = document.createElement('div');
+    $newOrganization.classList.add('form__tags-new');
+    const $newName = document.createElement('input');
+    $newName.classList.add('form__input', 'form__input--optional');
+    $newName.placeholder = 'Новая организация';
+    const $newBtn = document.createElement('button');
+    $newBtn.type = 'button';
+    $newBtn.classList.add('btn', 'pagination__btn');
+    $newBtn.textContent = 'Добавить';
+    const $newError = document.createElement('p');
+    $newError.classList.add('form__tags-error');
+    $newOrganization.append($newName, $newBtn);
+
+    $newBtn.addEventListener('click', async () => {
+      const name = $newName.value.trim();
+      if (!name) return;
+      const organization = await serverAddOrganization({ name });
+      if (organization.errors) {
+        $newError.textContent = organization.errors.map(error => error.message).join('. ');
+        return;
+      }
+      allOrganizations = [...allOrganizations, organization].sort((a, b) => a.name.localeCompare(b.name));
+      renderOrganizationOptions($select, 'Не указана');
+      renderOrganizationOptions($organizationSelect, 'Все организации');
+      $select.value = organization.id;
+      $newName.value = '';
+      $newError.textContent = '';
+    });
+
+    // Enter в поле новой организации добавляет её, а не отправляет форму клиента
+    $newName.addEventListener('keydown', (e) => {
+      if (e.key !== 'Enter') return;
+      e.preventDefault();
+      $newBtn.click();
+    });
+
+    $editor.append($title, $row, $newOrganization, $newError);
+
+    return {
+      $editor,
+      getValue: () => ({
+        organizationId: $select.value ? Number($select.value) : null,
+        jobTitle: $select.value ? $jobTitle.value.trim() : '',
+      }),
+    };
+  }
+
+/**
+ * Возвращает значение незаполненного дополнительного поля: false для флажка, null для остальных типов.
+ * @function getEmptyCustomValue
+ * @param {{type: string}} field - Дополнительное поле.
+ * @returns {(boolean|null)} Пустое значение.
+ */
+  function getEmptyCustomValue(field) {
+    return field.type === 'boolean' ? false : null;
+  }
+
+/**
+ * Создает поля ввода дополнительных полей клиента для формы, по одному на каждое поле
+ * из {@link allCustomFields}: текст, число, дата, список вариантов или флажок.
+ * @function createCustomFieldsEditor
+ * @param {Object<string, *>} [values] - Текущие значения полей клиента по ключу.
+ * @returns {{$editor: HTMLElement, getValue: Function}} Редактор и функция, возвращающая значения
+ *   по ключу поля; у незаполненного поля значение null.
+ */
+  function createCustomFieldsEditor(values = {}){
+    const $editor = document.createElement('div');
+    $editor.classList.add('form-group', 'form__custom-fields');
+    if (!allCustomFields.length) $editor.classList.add('hide');
+    const $title = document.createElement('p');
+    $title.classList.add('form__tags-title');
+    $title.textContent = 'Дополнительно';
+    $editor.append($title);
+
+    const $inputs = {};
+    for (const field of allCustomFields) {
+      const $label = document.createElement('label');
+      $label.classList.add('form__custom-field');
+      const value = field.key in values ? values[field.key] : getEmptyCustomValue(field);
+      let $input;
+      if (field.type === 'select') {
+        $input = document.createElement('select');
+        $input.classList.add('form__organization-select');
+        const $empty = document.createElement('option');
+        $empty.value = '';
+        $empty.textContent = 'Не указано';
+        $input.append($empty);
+        for (const option of field.options) {
+          const $option = document.createElement('option');
+          $option.value = option;
+          $option.textContent = option;
+          $input.append($option);
+        }
+        $input.value = value === null ? '' : value;
+      } else if (field.type === 'boolean') {
+        $input = document.createElement('input');
+        $input.type = 'checkbox';
+        $input.classList.add('form__input--optional');
+        $input.checked = value;
+      } else {
+        $input = document.createElement('input');
+        $input.type = field.type;
+        if (field.type === 'number') $input.step = 'any';
+        $input.classList.add('form__input', 'form__input--optional');
+        $input.value = value === null ? '' : value;
+      }
+      $label.append(field.label, $input);
+      $editor.append($label);
+      $inputs[field.key] = $input;
+    }
+
+    return {
+      $editor,
+      getValue: () => Object.fromEntries(allCustomFields.map((field) => {
+        const $input = $inputs[field.key];
+        if (field.type === 'boolean') return [field.key, $input.checked];
+        const value = $input.value.trim();
+        if (!value) return [field.key, null];
+        return [field.key, field.type === 'number' ? Number(value) : value];
+      })),
+    };
+  }
+
+/**
+ * Создает редактор меток клиента для формы: метки переключаются кликом,
+ * новую метку можно завести прямо в форме.
+ * @function createTagsEditor
+ * @param {Array<{id: number}>} tags - Текущие метки клиента.
+ * @returns {{$editor: HTMLElement, getSelected: Function}} Редактор и функция, возвращающая идентификаторы выбранных меток.
+ */
+  function createTagsEditor(tags){
+    const selected = new Set(tags.map(tag => tag.id));
+    const $editor = document.createElement('div');
+    $editor.classList.add('form-group', 'form__tags');
+    const $title = document.createElement('p');
+    $title.classList.add('form__tags-title');
+    $title.textContent = 'Метки';
+    const $list = document.createElement('div');
+    $list.classList.add('form__tags-list');
+
+    const $newTag = document.createElement('div');
+    $newTag.classList.add('form__tags-new');
+    const $newName = document.createElement('input');
+    $newName.classList.add('form__input');
+    $newName.placeholder = 'Новая метка';
+    const $newColor = document.createElement('input');
+    $newColor.type = 'color';
+    $newColor.value = '#9873ff';
+    $newColor.classList.add('form__tags-color');
+    const $newBtn = document.createElement('button');
+    $newBtn.type = 'button';
+    $newBtn.classList.add('btn', 'pagination__btn');
+    $newBtn.textContent = 'Добавить';
+    const $newError = document.createElement('p');
+    $newError.classList.add('form__tags-error');
+    $newTag.append($newName, $newColor, $newBtn);
+
+    const renderTags = () => {
+      $list.innerHTML = '';
+      for (const tag of allTags) {
+        const $chip = createTagChip(tag, 'button');
+        $chip.classList.add('tag-chip--toggle');
+        $chip.classList.toggle('selected', selected.has(tag.id));
+        $chip.setAttribute('aria-pressed', String(selected.has(tag.id)));
+        $chip.addEventListener('click', () => {
+          if (selected.has(tag.id)) selected.delete(tag.id);
+          else selected.add(tag.id);
+          renderTags();
+        });
+        $list.append($chip);
+      }
+    };
+
+    $newBtn.addEventListener('click', async () => {
+      const name = $newName.value.trim();
+      if (!name) return;
+      const tag = await serverAddTag({ name, color: $newColor.value });
+      if (tag.errors) {
+        $newError.textContent = tag.errors.map(error => error.message).join('. ');
+        return;
+      }
+      allTags = [...allTags, tag].sort((a, b) => a.name.localeCompare(b.name));
+      selected.add(tag.id);
+      $newName.value = '';
+      $newError.textContent = '';
+      renderTags();
+    });
+
+    // Enter в поле новой метки добавляет метку, а не отправляет форму клиента
+    $newName.addEventListener('keydown', (e) => {
+      if (e.key !== 'Enter') return;
+      e.preventDefault();
+      $newBtn.click();
+    });
+
+    renderTags();
+    $editor.append($title, $list, $newTag, $newError);
+
+    return {
+      $editor,
+      getSelected: () => [...selected],
+    };
+  }
+
+/**
+ * Проверяет, изменились ли контакты в форме редактирования: добавлен, удалён или изменён
+ * хотя бы один контакт.
+ * @function isContactsChanged
+ * @param {Array<{id: number, type: string, value: string}>} contacts - Контакты клиента.
+ * @param {Array<{id: number, type: string, value: string}>} edited - Контакты из формы; у новых нет id.
+ * @returns {boolean} Контакты изменились.
+ */
+  function isContactsChanged(contacts, edited) {
+    if (contacts.length !== edited.length) return true;
+    return edited.some((contact) => {
+      const original = contacts.find(item => item.id === contact.id);
+      return !original || original.type !== contact.type || original.value !== contact.value;
+    });
+  }
+
+/**
+ * Названия событий истории изменений.
+ * @constant {Object<string, string>}
+ */
+  const HISTORY_ACTIONS = {
+    create: 'Создан',
+    update: 'Изменён',
+    delete: 'Удалён',
+    restore: 'Восстановлен',
+    revert: 'Возвращена версия',
+    merge: 'Объединён с дубликатом',
+  };
+
+/**
+ * Названия полей клиента в истории изменений.
+ * @constant {Object<string, string>}
+ */
+  const HISTORY_FIELDS = {
+    surname: 'Фамилия',
+    name: 'Имя',
+    lastName: 'Отчество',
+    contacts: 'Контакты',
+    tags: 'Метки',
+    organization: 'Организация',
+    jobTitle: 'Должность',
+    customFields: 'Дополнительно',
+  };
+
+/**
+ * Преобразует значение поля из истории изменений в текст.
+ * @function formatHistoryValue
+ * @param {*} value - Значение поля.
+ * @param {string} field - Поле клиента из {@link HISTORY_FIELDS}.
+ * @returns {string} Текст для отображения.
+ */
+  function formatHistoryValue(value, field){
+    if (field === 'tags') {
+      return value && value.length ? value.map(tag => tag.name).join(', ') : '—';
+    }
+    if (field === 'organization') {
+      return value ? value.name : '—';
+    }
+    if (field === 'customFields') {
+      const entries = Object.entries(value || {});
+      return entries.length ? entries.map(([key, item]) => {
+        const customField = allCustomFields.find(definition => definition.key === key);
+        const text = typeof item === 'boolean' ? (item ? 'да' : 'нет') : item;
+        return `${customField ? customField.label : key}: ${text}`;
+      }).join(', ') : '—';
+    }
+    if (Array.isArray(value)) {
+      return value.length ? value.map(contact => `${contact.type}: ${contact.value}`).join(', ') : '—';
+    }
+    return value || '—';
+  }
+
+/**
+ * Названия типов взаимодействий с клиентом.
+ * @constant {Object<string, string>}
+ */
+  const INTERACTION_TYPES = {
+    call: 'Звонок',
+    meeting: 'Встреча',
+    email: 'Письмо',
+    note: 'Заметка',
+  };
+
+/**
+ * Переводит дату в значение поля `datetime-local` в часовом поясе браузера.
+ * @function toDateTimeLocal
+ * @param {Date} date - Дата.
+ * @returns {string} Значение вида `YYYY-MM-DDTHH:MM`.
+ */
+  function toDateTimeLocal(date) {
+    return new Date(date.getTime() - date.getTimezoneOffset() * 60 * 1000).toISOString().slice(0, 16);
+  }
+
+/**
+ * Рендерит ленту взаимодействий с клиентом и форму записи нового взаимодействия.
+ * @function renderTimeline
+ * @param {HTMLElement} $panel - Панель ленты.
+ * @param {Object} client - Данные клиента.
+ * @param {Array<Object>} interactions - Взаимодействия, начиная с последнего.
+ */
+  function renderTimeline($panel, client, interactions){
+    $panel.innerHTML = '';
+
+    const $form = document.createElement('form');
+    $form.classList.add('timeline__form');
+    const $type = document.createElement('select');
+    $type.classList.add('timeline__type');
+    for (const type in INTERACTION_TYPES) $type.append(new Option(INTERACTION_TYPES[type], type));
+    const $date = document.createElement('input');
+    $date.type = 'datetime-local';
+    $date.classList.add('timeline__date');
+    $date.value = toDateTimeLocal(new Date());
+    const $text = document.createElement('textarea');
+    $text.classList.add('timeline__text');
+    $text.placeholder = 'Что обсудили';
+    const $addBtn = document.createElement('button');
+    $addBtn.classList.add('btn', 'pagination__btn');
+    $addBtn.textContent = 'Записать';
+    const $error = document.createElement('p');
+    $error.classList.add('timeline__error');
+    $form.append($type, $date, $text, $addBtn, $error);
+
+    $form.addEventListener('submit', async (e)=>{
+      e.preventDefault();
+      const result = await serverAddInteraction(client.id, {
+        type: $type.value,
+        date: $date.value ? new Date($date.value).toISOString() : null,
+        text: $text.value,
+      });
+      if (result.errors) {
+        $error.textContent = result.errors.map(error => error.message).join('. ');
+        return;
+      }
+      renderTimeline($panel, client, await serverGetInteractions(client.id));
+    });
+
+    $panel.append($form);
+
+    if (!interactions.length) {
+      const $empty = document.createElement('p');
+      $empty.classList.add('timeline__empty');
+      $empty.textContent = 'Взаимодействий пока нет';
+      $panel.append($empty);
+      return;
+    }
+
+    for (const interaction of interactions) {
+      const $entry = document.createElement('div');
+      const $head = document.createElement('p');
+      const $body = document.createElement('p');
+      $entry.classList.add('history__entry', `timeline__entry--${interaction.type}`);
+      $head.classList.add('history__head');
+      $body.classList.add('timeline__entry-text');
+
+      $head.textContent = `${getDateAt(interaction.date)}${getTimeAt(interaction.date)} — ${INTERACTION_TYPES[interaction.type] || interaction.type}`
+        + (interaction.author ? ` (${interaction.author})` : '');
+      $body.textContent = interaction.text;
+
+      const $deleteBtn = document.createElement('button');
+      $deleteBtn.classList.add('btn', 'history__revert', 'timeline__delete');
+      $deleteBtn.textContent = 'Удалить';
+      $deleteBtn.addEventListener('click', async (e)=>{
+        e.preventDefault();
+        await serverDeleteInteraction(client.id, interaction.id);
+        renderTimeline($panel, client, await serverGetInteractions(client.id));
+      });
+
+      $entry.append($head, $body, $deleteBtn);
+      $panel.append($entry);
+    }
+  }
+
+/**
+ * Рендерит историю изменений клиента в панель модального окна.
+ * @function renderHistory
+ * @param {HTMLElement} $panel - Панель истории.
+ * @param {Object} client - Данные клиента.
+ * @param {Array<Object>} history - События истории, начиная с последнего.
+ */
+  function renderHistory($panel, client, history){
+    $panel.innerHTML = '';
+    if (!history.length) {
+      $panel.textContent = 'Изменений пока нет';
+      return;
+    }
+
+    history.forEach((entry, index) =>{
+      const $entry = document.createElement('div');
+      const $head = document.createElement('p');
+      const $changes = document.createElement('ul');
+      $entry.classList.add('history__entry');
+      $head.classList.add('history__head');
+      $changes.classList.add('history__changes', 'list-reset');
+
+      $head.textContent = `${getDateAt(entry.createdAt)}${getTimeAt(entry.createdAt)} — ${HISTORY_ACTIONS[entry.action] || entry.action}`
+        + (entry.actor ? ` (${entry.actor})` : '');
+
+      for (const change of entry.changes) {
+        const $change = document.createElement('li');
+        $change.classList.add('history__change');
+        $change.textContent = `${HISTORY_FIELDS[change.field] || change.field}: ${formatHistoryValue(change.before, change.field)} → ${formatHistoryValue(change.after, change.field)}`;
+        $changes.append($change);
+      }
+
+      $entry.append($head, $changes);
+
+      // Первое событие в списке — текущая версия, возвращаться к ней незачем
+      if (index > 0 && entry.data) {
+        const $revertBtn = document.createElement('button');
+        $revertBtn.classList.add('btn', 'history__revert');
+        $revertBtn.textContent = 'Вернуть эту версию';
+        $revertBtn.addEventListener('click', async (e)=>{
+          e.preventDefault();
+          const reverted = await serverRevertClient(client.id, entry.id, client.version);
+          if (reverted.conflict) {
+            $revertError.textContent = 'Клиента уже изменили. Обновите страницу, чтобы увидеть его текущую версию.';
+            return;
+          }
+          location.reload();
+        });
+        const $revertError = document.createElement('p');
+        $revertError.classList.add('error-label');
+        $entry.append($revertBtn, $revertError);
+      }
+
+      $panel.append($entry);
+    });
+  }
+
+/**
+ * Создает окно конфликта правок: пока пользователь редактировал клиента, его изменил кто-то другой.
+ * Окно показывает чужие изменения и предлагает либо сохранить свои поверх них, либо загрузить
+ * новую версию клиента.
+ * @function createConflictModal
+ * @param {Object} client - Версия клиента, которую редактировал пользователь.
+ * @param {Object} current - Текущая версия клиента на сервере.
+ * @param {Object} changes - Изменения пользователя.
+ * @returns {HTMLElement} Модальное окно конфликта.
+ */
+  function createConflictModal(client, current, changes){
+    const $modalWindow = document.createElement('div');
+    $modalWindow.classList.add('modal__window');
+    const $modalBox = document.createElement('div');
+    $modalBox.classList.add('modal__box-add', '--modal__del');
+    const $modalClose = document.createElement('button');
+    $modalClose.classList.add('modal__btn');
+    $modalClose.innerHTML = closeSvg;
+    const $modalTitle = document.createElement('h3');
+    $modalTitle.classList.add('modal__title', '--modal__title-del');
+    $modalTitle.textContent = 'Клиента уже изменили';
+    const $modalDescr = document.createElement('p');
+    $modalDescr.classList.add('modal__del-descr');
+    $modalDescr.textContent = 'Пока вы редактировали клиента, другой пользователь изменил:';
+
+    const $changes = document.createElement('ul');
+    $changes.classList.add('history__changes', 'modal__conflict', 'list-reset');
+    for (const field in HISTORY_FIELDS) {
+      if (formatHistoryValue(client[field], field) === formatHistoryValue(current[field], field)) continue;
+      const $change = document.createElement('li');
+      $change.classList.add('history__change');
+      $change.textContent = `${HISTORY_FIELDS[field]}: ${formatHistoryValue(client[field], field)} → ${formatHistoryValue(current[field], field)}`;
+      $changes.append($change);
+    }
+    if (!$changes.children.length) {
+      $modalDescr.textContent = 'Пока вы редактировали клиента, другой пользователь сохранил его без видимых изменений.';
+    }
+
+    const $buttonGroup = document.createElement('div');
+    $buttonGroup.classList.add('form__btn-group');
+    const $overwriteBtn = document.createElement('button');
+    $overwriteBtn.textContent = 'Сохранить мои изменения';
+    const $reloadBtn = document.createElement('button');
+    $reloadBtn.textContent = 'Загрузить новую версию';
+    $overwriteBtn.classList.add('form__btn-save');
+    $reloadBtn.classList.add('form__btn-remove');
+    $buttonGroup.append($overwriteBtn, $reloadBtn);
+
+    $modalBox.append($modalClose, $modalTitle, $modalDescr, $changes, $buttonGroup);
+    $modalWindow.append($modalBox);
+
+    $modalClose.addEventListener('click', function () {
+      $modalWindow.classList.remove('open');
+    });
+    $modalBox.addEventListener('click', event => {
+      event._isClickWithInModal = true;
+    });
+    $overwriteBtn.addEventListener('click', async function () {
+      const result = await serverUpdateClient(changes, current.id, current.version);
+      if (result.conflict || result.errors) {
+        $modalDescr.textContent = 'Не удалось сохранить изменения. Загрузите новую версию клиента и повторите правку.';
+        $overwriteBtn.remove();
+        return;
+      }
+      location.reload();
+    });
+    $reloadBtn.addEventListener('click', function () {
+      location.reload();
+    });
+
+    return $modalWindow;
+  }
+
 /**
  * Создает модальное окно для подтверждения удаления клиента.
  * @function createDeleteModal
@@ -570,7 +1962,7 @@ import {addSvg} from "./svg.js";
     $modalTitle.textContent = `Удалить клиента`;
     const $modalDescr = document.createElement('p');
     $modalDescr.classList.add('modal__del-descr');
-    $modalDescr.textContent = ` Вы действительно хотите удалить данного клиента?`;
+    $modalDescr.textContent = ` Вы действительно хотите удалить данного клиента? Он будет перемещён в корзину, откуда его можно восстановить.`;
 
    const $buttonGroup = document.createElement('div');
    $buttonGroup.classList.add('form__btn-group');
@@ -594,7 +1986,12 @@ import {addSvg} from "./svg.js";
     event._isClickWithInModal = true;
   });
   $delBtn.addEventListener('click', async function () {
-    await serverDelete(client.id)
+    const result = await serverDelete(client.id, client.version)
+    if (result.conflict) {
+      $modalDescr.textContent = 'Пока окно было открыто, клиента изменил другой пользователь. Обновите страницу и проверьте его данные перед удалением.';
+      $delBtn.remove();
+      return;
+    }
     $clientTR.remove()
     location.reload();
 
@@ -603,6 +2000,83 @@ import {addSvg} from "./svg.js";
    return $modalWindow;
   }
 
+/**
+ * Создает цветную метку клиента.
+ * @function createTagChip
+ * @param {{name: string, color: string}} tag - Метка.
+ * @param {string} [tagName] - Тег элемента: `button` для метки, по которой можно кликнуть.
+ * @returns {HTMLElement} Элемент метки.
+ */
+  function createTagChip(tag, tagName = 'span') {
+    const $chip = document.createElement(tagName);
+    $chip.classList.add('tag-chip');
+    $chip.style.setProperty('--tag-color', tag.color);
+    $chip.textContent = tag.name;
+    if (tagName === 'button') $chip.type = 'button';
+    return $chip;
+  }
+
+/**
+ * Рендерит панель отбора клиентов по меткам над таблицей.
+ * @function renderTagFilter
+ */
+  function renderTagFilter() {
+    $tagFilter.innerHTML = '';
+    $tagFilter.classList.toggle('hide', !tagFilter.tags.length);
+    if (!tagFilter.tags.length) return;
+
+    const $label = document.createElement('span');
+    $label.classList.add('clients__tag-filter-label');
+    $label.textContent = 'Метки:';
+    $tagFilter.append($label);
+
+    for (const tag of tagFilter.tags) {
+      const $chip = createTagChip(tag, 'button');
+      $chip.classList.add('tag-chip--removable');
+      $chip.title = 'Убрать из отбора';
+      $chip.addEventListener('click', () => {
+        tagFilter.tags = tagFilter.tags.filter(item => item.id !== tag.id);
+        renderTagFilter();
+        loadClients(1);
+      });
+      $tagFilter.append($chip);
+    }
+
+    if (tagFilter.tags.length > 1) {
+      const $match = document.createElement('select');
+      $match.classList.add('clients__tag-filter-match');
+      $match.innerHTML = '<option value="any">любая из меток</option><option value="all">все метки</option>';
+      $match.value = tagFilter.match;
+      $match.addEventListener('change', () => {
+        tagFilter.match = $match.value;
+        loadClients(1);
+      });
+      $tagFilter.append($match);
+    }
+
+    const $reset = document.createElement('button');
+    $reset.classList.add('btn', 'pagination__btn');
+    $reset.textContent = 'Сбросить';
+    $reset.addEventListener('click', () => {
+      tagFilter.tags = [];
+      renderTagFilter();
+      loadClients(1);
+    });
+    $tagFilter.append($reset);
+  }
+
+/**
+ * Добавляет метку в отбор клиентов таблицы.
+ * @function addTagToFilter
+ * @param {Object} tag - Метка.
+ */
+  function addTagToFilter(tag) {
+    if (tagFilter.tags.some(item => item.id === tag.id)) return;
+    tagFilter.tags.push(tag);
+    renderTagFilter();
+    loadClients(1);
+  }
+
 /**
  * Создает строку таблицы для клиента.
  * @function createClient
@@ -611,10 +2085,12 @@ import {addSvg} from "./svg.js";
  */
   function createClient(client) {
     const $clientTR = document.createElement('tr'),
+      $clientSelect = document.createElement('td'),
       $clientID = document.createElement('td'),
       $clientFIO = document.createElement('td'),
       $clientCreate = document.createElement('td'),
       $clientUpdate = document.createElement('td'),
+      $clientContacted = document.createElement('td'),
       $clientContacts = document.createElement('td'),
       $clientDelete = document.createElement('td'),
       $btnDelete = document.createElement('button'),
@@ -646,6 +2122,7 @@ import {addSvg} from "./svg.js";
        const editContact = createContact();
        editContact.element.textContent = contact.type;
        editContact.addContactInput.value = contact.value;
+       editContact.addContactDiv.dataset.contactId = contact.id;
       
         $editModal.$editDiv.prepend(editContact.addContactDiv);
         
@@ -697,6 +2174,7 @@ import {addSvg} from "./svg.js";
     $clientFIO.classList.add('clients__td', 'clients__td-fio');
     $clientCreate.classList.add('clients__td', 'clients__createAt');
     $clientUpdate.classList.add('clients__td','clients__udateAt');
+    $clientContacted.classList.add('clients__td', 'clients__contactedAt');
     $clientDelete.classList.add('clients__td', 'clients__action');
     $clientContacts.classList.add('clients__td', 'clients__td-contacts');
 
@@ -706,7 +2184,19 @@ import {addSvg} from "./svg.js";
     $btnDelete.textContent = 'Удалить';
     $clientsEdit.classList.add('btn', 'btn-edit')
     $clientsEdit.textContent = 'Изменить';
-    $clientDelete.append($clientsEdit, $btnDelete );
+
+    if (client.deletedAt) {
+      const $btnRestore = document.createElement('button');
+      $btnRestore.classList.add('btn', 'btn-restore');
+      $btnRestore.textContent = 'Восстановить';
+      $btnRestore.addEventListener('click', async function () {
+        await serverRestore(client.id);
+        loadClients();
+      });
+      $clientDelete.append($btnRestore);
+    } else {
+      $clientDelete.append($clientsEdit, $btnDelete );
+    }
 
     let timeSpan = document.createElement('span');
     timeSpan.classList.add('time-span');
@@ -725,20 +2215,78 @@ import {addSvg} from "./svg.js";
     dateSpanCreate.textContent = getDateAt(client.createdAt);
 
     $clientFIO.textContent = `${client.surname} ${client.name} ${client.lastName}`;
-    $clientID.textContent = client.id.substr(0, 6);
+    if (client.openTasks) {
+      const $tasksBadge = document.createElement('span');
+      $tasksBadge.classList.add('clients__tasks-badge');
+      $tasksBadge.textContent = client.openTasks;
+      $tasksBadge.title = `Невыполненных задач: ${client.openTasks}`;
+      $clientFIO.append(' ', $tasksBadge);
+    }
+    if (client.organization) {
+      const $clientOrganization = document.createElement('button');
+      $clientOrganization.type = 'button';
+      $clientOrganization.classList.add('clients__organization');
+      $clientOrganization.textContent = [client.jobTitle, client.organization.name].filter(Boolean).join(', ');
+      $clientOrganization.title = 'Показать сотрудников этой организации';
+      $clientOrganization.addEventListener('click', () => {
+        $organizationSelect.value = client.organization.id;
+        loadClients(1);
+      });
+      $clientFIO.append($clientOrganization);
+    }
+    if (client.tags.length) {
+      const $clientTags = document.createElement('div');
+      $clientTags.classList.add('clients__tags');
+      for (const tag of client.tags) {
+        const $chip = createTagChip(tag, 'button');
+        $chip.title = 'Показать клиентов с этой меткой';
+        $chip.addEventListener('click', () => addTagToFilter(tag));
+        $clientTags.append($chip);
+      }
+      $clientFIO.append($clientTags);
+    }
+    $clientID.textContent = String(client.id).padStart(6, '0');
     // $clientUpdate.textContent = getDateAt(client.updatedAt) + timeSpan ;
     $clientUpdate.append(dateSpan, timeSpan);
     $clientCreate.append(dateSpanCreate, timeSpanCreate);
 
+    if (client.lastContactedAt) {
+      const dateSpanContacted = document.createElement('span');
+      dateSpanContacted.classList.add('date-span');
+      dateSpanContacted.textContent = getDateAt(client.lastContactedAt);
+      const timeSpanContacted = document.createElement('span');
+      timeSpanContacted.classList.add('time-span');
+      timeSpanContacted.textContent = getTimeAt(client.lastContactedAt);
+      $clientContacted.append(dateSpanContacted, timeSpanContacted);
+    } else {
+      $clientContacted.textContent = '—';
+    }
+
     for (const contact of client.contacts){
       createContactIcon(contact.type, contact.value, $clientContacts );
     }
    // $clientContacts.textContent = `${client.contacts}`;
 
+    $clientSelect.classList.add('clients__td', 'clients__td-select');
+    if (!client.deletedAt) {
+      const $checkbox = document.createElement('input');
+      $checkbox.type = 'checkbox';
+      $checkbox.classList.add('clients__select');
+      $checkbox.setAttribute('aria-label', `Выбрать клиента ${client.surname} ${client.name}`);
+      $checkbox.addEventListener('change', () => {
+        if ($checkbox.checked) selectedClients.set(client.id, client);
+        else selectedClients.delete(client.id);
+        renderBulkBar();
+      });
+      $clientSelect.append($checkbox);
+    }
+
+    $clientTR.append($clientSelect);
     $clientTR.append($clientID);
     $clientTR.append($clientFIO);
     $clientTR.append($clientCreate);
     $clientTR.append($clientUpdate);
+    $clientTR.append($clientContacted);
     $clientTR.append($clientContacts);
     $clientTR.append($clientDelete);
 
@@ -754,114 +2302,238 @@ import {addSvg} from "./svg.js";
     // $tableBody.append(mask);
    
     /**
- * Скрывает прелоадер после загрузки страницы.
+ * Скрывает прелоадер после загрузки страницы. Пока пользователь входит в систему,
+ * страница успевает загрузиться, поэтому прелоадер скрывается и без события load.
  * @event
  */
-    window.addEventListener('load', ()=>{
+    const hideMask = ()=>{
       mask.classList.add('hide');
       setTimeout(() =>{
         mask.remove();
       },600);
   
-    });
+    };
+    if (document.readyState === 'complete') hideMask();
+    else window.addEventListener('load', hideMask);
       
 /**
- * Выполняет поиск клиентов и отображает результаты.
+ * Выполняет поиск клиентов на сервере и отображает найденных клиентов
+ * в таблице и в выпадающем списке под полем поиска.
  * @function searchClients
- * @param {Array<Object>} clientsList - Список клиентов.
  */
-    function searchClients(clientsList){
+    function searchClients(){
       const $searchClient = document.getElementById('search');
       const $inner = document.getElementById('inner');
       const $findList = document.createElement('ul');
       $findList.classList.add('header__find-list', 'hide');
       $inner.append($findList);
-      
-      clientsList.forEach(client => {
+
+      let searchTimer = null;
+      let searchRequest = 0;
+
+      const createFindItem = (client, tokens)=>{
         const findItem = document.createElement('li');
         const findLnk =  document.createElement('a');
 
         findItem.classList.add('find-item');
         findLnk.classList.add('find-link');
 
-        findLnk.textContent = `${client.surname} ${client.name} ${client.lastName}`;
+        findLnk.append(...insertMark(`${client.surname} ${client.name} ${client.lastName}`, tokens));
         findLnk.href = '#';
 
         findItem.append(findLnk);
-        $findList.append(findItem);
+        return findItem;
+      }
 
-        
-      });
       const rewriteTable = async (str)=>{
+        const request = ++searchRequest;
         const response = await findClient(str);
+        if (request !== searchRequest) return;
+
+        const tokens = str.toLowerCase().replace(/ё/g, 'е').split(/\s+/).filter(Boolean);
         $tableBody.innerHTML = '';
+        $findList.innerHTML = '';
         for(const client of response){ 
            $tableBody.append(createClient(client));
+           $findList.append(createFindItem(client, tokens));
         }
-  
+        $findList.classList.toggle('hide', response.length === 0);
+        $pagination.innerHTML = '';
+        selectedClients.clear();
+        renderBulkBar();
       }
-      $searchClient.addEventListener('input', async ()=>{
+
+      $searchClient.addEventListener('input', ()=>{
         const value = $searchClient.value.trim();
-        const foundItems = document.querySelectorAll('.find-link');
+        clearTimeout(searchTimer);
 
         if(value !==''){
-          rewriteTable(value);
-
-          foundItems.forEach(link =>{
-            if(link.textContent.search(value) ==-1){
-              link.classList.add('hide');
-              link.innerHTML = link.textContent;
-            } else{
-              link.classList.remove('hide');
-              $findList.classList.remove('hide');
-              const str = link.textContent;
-              link.innerHTML = insertMark(str, link.textContent.search(value), value.length);
-            }
-          });
+          searchTimer = setTimeout(() => rewriteTable(value), 300);
         }else{
-          foundItems.forEach(link =>{
-            $tableBody.innerHTML = '';
-
-            clientsList.forEach(client => $tableBody.append(createClient(client)));
-
-            link.classList.remove('hide');
-            $findList.classList.add('hide');
-            link.innerHTML = link.textContent;
-          });
+          searchRequest++;
+          $findList.innerHTML = '';
+          $findList.classList.add('hide');
+          loadClients(1);
         }
       });
-      const insertMark =(str, pos, len) =>str
-        .slice(0,pos) + '<mark class = "mark" >' + str
-        .slice(pos, pos + len) + '</mark>' + str
-        .slice(pos + len);
+
+      // Подсвечивает в строке начала слов, совпавшие с поисковыми словами
+      const insertMark =(str, tokens) =>str
+        .split(/(\s+)/)
+        .map(word =>{
+          const normalized = word.toLowerCase().replace(/ё/g, 'е');
+          const token = tokens.find(item => normalized.startsWith(item));
+          if (!token) return document.createTextNode(word);
+          const mark = document.createElement('mark');
+          mark.classList.add('mark');
+          mark.textContent = word.slice(0, token.length);
+          const fragment = document.createDocumentFragment();
+          fragment.append(mark, word.slice(token.length));
+          return fragment;
+        });
+    
+
+
+    };
+
+   
+
+/**
+ * Показывает панель действий с отмеченными клиентами, если отмечен хотя бы один.
+ * @function renderBulkBar
+ */
+  function renderBulkBar() {
+    const $checkboxes = $tableBody.querySelectorAll('.clients__select');
+    $bulkBar.classList.toggle('hide', !selectedClients.size);
+    $bulkCount.textContent = `Выбрано: ${selectedClients.size}`;
+    $selectAll.checked = $checkboxes.length > 0 && selectedClients.size === $checkboxes.length;
+    $selectAll.indeterminate = selectedClients.size > 0 && selectedClients.size < $checkboxes.length;
+  }
+
+/**
+ * Рендерит таблицу клиентов. Отметки клиентов при этом снимаются.
+ * @function renderClientsTable
+ * @param {Array<Object>} clientsList - Список клиентов.
+ */
+  function renderClientsTable(clientsList) {
     
+    $tableBody.innerHTML = '';
+    selectedClients.clear();
+    $selectAll.classList.toggle('hide', showTrash);
+    
+    for (const client of clientsList) {
+      const $NewTR = createClient(client);
+      $tableBody.append($NewTR);
+    }
+
+    renderBulkBar();
+    renderPagination();
+  };
+
+/**
+ * Отмечает всех клиентов на странице или снимает отметки.
+ * @event
+ */
+  $selectAll.addEventListener('change', () => {
+    $tableBody.querySelectorAll('.clients__select').forEach(($checkbox) => {
+      $checkbox.checked = $selectAll.checked;
+      $checkbox.dispatchEvent(new Event('change'));
+    });
+  });
+
+  $bulkClear.addEventListener('click', () => {
+    $tableBody.querySelectorAll('.clients__select').forEach($checkbox => { $checkbox.checked = false; });
+    selectedClients.clear();
+    renderBulkBar();
+  });
 
+/**
+ * Перемещает отмеченных клиентов в корзину одним запросом. Клиентов, которых изменили
+ * после загрузки страницы, сервер не удаляет — о них сообщается отдельно.
+ * @event
+ */
+  $bulkDelete.addEventListener('click', async () => {
+    const clients = [...selectedClients.values()];
+    const report = await serverBulk(clients.map(client => ({ action: 'delete', id: client.id, version: client.version })));
+    await loadClients();
+    if (report.summary && report.summary.failed) {
+      $bulkBar.classList.remove('hide');
+      $bulkCount.textContent = `Не удалось удалить: ${report.summary.failed}. Их изменили или удалили другие пользователи, проверьте их и повторите.`;
+    }
+  });
+
+/**
+ * Рендерит кнопки переключения страниц под таблицей.
+ * @function renderPagination
+ */
+  function renderPagination() {
+    const pagesCount = Math.max(1, Math.ceil(totalClients / PAGE_SIZE));
+    $pagination.innerHTML = '';
+    if (pagesCount === 1) return;
 
+    const $prevBtn = document.createElement('button');
+    const $pageInfo = document.createElement('span');
+    const $nextBtn = document.createElement('button');
+
+    $prevBtn.classList.add('btn', 'pagination__btn');
+    $nextBtn.classList.add('btn', 'pagination__btn');
+    $pageInfo.classList.add('pagination__info');
+
+    $prevBtn.textContent = 'Назад';
+    $nextBtn.textContent = 'Вперёд';
+    $pageInfo.textContent = `${currentPage} из ${pagesCount}`;
+    $prevBtn.disabled = currentPage <= 1;
+    $nextBtn.disabled = currentPage >= pagesCount;
+
+    $prevBtn.addEventListener('click', () => loadClients(currentPage - 1));
+    $nextBtn.addEventListener('click', () => loadClients(currentPage + 1));
+
+    $pagination.append($prevBtn, $pageInfo, $nextBtn);
+  };
+
+/**
+ * Возвращает текущую сортировку и отбор таблицы клиентов: по ним загружается таблица и выгружаются клиенты.
+ * @function getListParams
+ * @returns {{sort: string, tags: string, tagsMatch: string, organization: string}} Параметры списка клиентов.
+ */
+  function getListParams() {
+    return {
+      sort: sortFlag,
+      tags: tagFilter.tags.map(tag => tag.id).join(','),
+      tagsMatch: tagFilter.tags.length > 1 ? tagFilter.match : '',
+      organization: $organizationSelect.value,
     };
+  }
 
-   
+/**
+ * Загружает с сервера страницу клиентов с текущей сортировкой и перерисовывает таблицу.
+ * @async
+ * @function loadClients
+ * @param {number} [page] - Номер страницы.
+ */
+  async function loadClients(page = currentPage) {
+    const data = await serverGetClient({ page, limit: PAGE_SIZE, ...getListParams() }, showTrash);
+    currentPage = page;
+    clientsList = data.clients;
+    totalClients = data.total;
+    renderClientsTable(clientsList);
+  };
 
 /**
- * Рендерит таблицу клиентов.
- * @function renderClientsTable
- * @param {Array<Object>} clientsList - Список клиентов.
+ * Переключает сортировку таблицы по колонке: первый клик — по возрастанию, повторный — по убыванию.
+ * @function toggleSort
+ * @param {string} sort - Поля сортировки колонки через запятую.
+ * @param {HTMLElement} $th - Заголовок колонки.
  */
-  function renderClientsTable(clientsList) {
-    
-    $tableBody.innerHTML = '';
-    
-    clientsList = clientsList.sort(function(a, b){ //сортировка
-      if(a[sortFlag] < b[sortFlag])  return -1;
-    })
-   
+  function toggleSort(sort, $th) {
+    const desc = sort.split(',').map(field => '-' + field).join(',');
+    sortFlag = sortFlag === sort ? desc : sort;
 
-    
-    for (const client of clientsList) {
-      const $NewTR = createClient(client);
-      $tableBody.append($NewTR);
-    }
+    $thRow.querySelectorAll('.--thead__col-sort').forEach($col => $col.classList.remove('active', 'desc'));
+    $th.classList.add('active');
+    if (sortFlag === desc) $th.classList.add('desc');
 
-    
+    loadClients(1);
   };
 
 /**
@@ -919,12 +2591,9 @@ import {addSvg} from "./svg.js";
     });
 
     element.classList.add('add__select');
-    element.append(new Option("Телефон", "Телефон"));
-    element.append(new Option("Доп. телефон", "Доп. телефон"));
-    element.append(new Option("Email", "Email"));
-    element.append(new Option("Vk", "Vk"));
-    element.append(new Option("Facebook", "Facebook"));
-    element.append(new Option("Другое", "Другое"));
+    for (const { type } of contactTypes) {
+      element.append(new Option(type, type));
+    }
 
 
     addContactInput.classList.add('add__input');
@@ -1004,7 +2673,8 @@ import {addSvg} from "./svg.js";
 
 
     let result = true;
-    form.querySelectorAll('input').forEach(input =>{
+    // Необязательные поля, например должность, могут оставаться пустыми
+    form.querySelectorAll('input:not(.form__input--optional)').forEach(input =>{
       
       if(input.value ==""){
         removeError(input);
@@ -1022,6 +2692,28 @@ import {addSvg} from "./svg.js";
 
  
  
+/**
+ * Выводит ошибки валидации, которые вернул сервер (код 422).
+ * @function showServerErrors
+ * @param {HTMLElement} errorBox - Блок для вывода ошибок.
+ * @param {Array<{field: string, message: string}>} errors - Ошибки по полям.
+ */
+  function showServerErrors(errorBox, errors){
+    errorBox.innerHTML = '';
+    for (const error of errors) {
+      const errorLabel = document.createElement('p');
+      const contactIndex = error.field.match(/^contacts\[(\d+)\]/);
+      const customField = allCustomFields.find(field => error.field === `customFields.${field.key}`);
+
+      errorLabel.classList.add('error-label');
+      if (contactIndex) errorLabel.textContent = `Контакт ${Number(contactIndex[1]) + 1}: ${error.message}`;
+      else if (customField) errorLabel.textContent = `${customField.label}: ${error.message}`;
+      else errorLabel.textContent = error.message;
+
+      errorBox.append(errorLabel);
+    }
+  }
+
 /**
  * Обрабатывает отправку формы добавления клиента.
  * @event
@@ -1050,17 +2742,24 @@ import {addSvg} from "./svg.js";
       surname: $inputSurname.value.trim(),
       lastName: $inputLast.value.trim(),
       contacts: contacts,
+      ...$addOrganizationEditor.getValue(),
+      customFields: $addCustomFieldsEditor.getValue(),
 
     }
    
 
     let servDataObj = await serverAddClient(newClient);
+    contacts = [];
 
+    if (servDataObj.errors) {
+      showServerErrors(this.querySelector('.error-box'), servDataObj.errors);
+      return;
+    }
 
+    $formDuplicates.classList.add('hide');
 
   
-    clientsList.push(servDataObj);
-    renderClientsTable(clientsList);
+    await loadClients();
 
    }
     
@@ -1071,28 +2770,804 @@ import {addSvg} from "./svg.js";
 
   renderClientsTable(clientsList);
 
+  const $trashBtn = document.getElementById('open__trash'),
+    $openModalBtn = document.getElementById('open__modal'),
+    $clientsTitle = document.querySelector('.clients__title');
+
+  /**
+ * Переключает таблицу между списком клиентов и корзиной.
+ * @event
+ */
+  $trashBtn.addEventListener('click', function() {
+    showTrash = !showTrash;
+    $clientsTitle.textContent = showTrash ? 'Корзина' : 'Клиенты';
+    $trashBtn.textContent = showTrash ? 'Вернуться к клиентам' : 'Корзина';
+    $openModalBtn.classList.toggle('hide', showTrash);
+    $importBtn.classList.toggle('hide', showTrash);
+    $export.classList.toggle('hide', showTrash);
+    document.getElementById('open__duplicates').classList.toggle('hide', showTrash);
+    loadClients(1);
+  })
+
+  const $importModal = document.getElementById('modal__window-import'),
+    $importBtn = document.getElementById('open__import'),
+    $importForm = document.getElementById('form-import'),
+    $importFile = document.getElementById('import-file'),
+    $importDelimiter = document.getElementById('import-delimiter'),
+    $importMapping = document.getElementById('import-mapping'),
+    $importReport = document.getElementById('import-report'),
+    $importCheck = document.getElementById('import-check'),
+    $importSubmit = document.getElementById('import-submit'),
+    $importError = $importForm.querySelector('.error-box');
+
+  /**
+ * Поля клиента, которым можно сопоставить колонку файла.
+ * @constant {Array<{value: string, label: string}>}
+ */
+  const IMPORT_TARGETS = [
+    { value: 'surname', label: 'Фамилия' },
+    { value: 'name', label: 'Имя' },
+    { value: 'lastName', label: 'Отчество' },
+    ...contactTypes.map(({ type }) => ({ value: 'contact:' + type, label: 'Контакт: ' + type })),
+  ];
+
+  /**
+ * Показывает колонки файла с выпадающими списками полей клиента,
+ * заполненными по предложенному сервером сопоставлению.
+ * @function renderImportMapping
+ * @param {Object} preview - Сведения о файле от сервера.
+ */
+  function renderImportMapping(preview) {
+    const suggested = {};
+    for (const field of ['surname', 'name', 'lastName']) {
+      if (preview.mapping[field]) suggested[preview.mapping[field]] = field;
+    }
+    for (const { type, column } of preview.mapping.contacts) suggested[column] = 'contact:' + type;
+
+    $importMapping.innerHTML = '';
+    preview.columns.forEach((column, index) => {
+      const $row = document.createElement('div');
+      const $label = document.createElement('span');
+      const $sample = document.createElement('span');
+      const $select = document.createElement('select');
+
+      $row.classList.add('import__column');
+      $sample.classList.add('import__column-sample');
+      $select.classList.add('import__select');
+      $select.dataset.column = index;
+
+      $label.textContent = column || `Колонка ${index + 1}`;
+      $sample.textContent = preview.rows.map(row => row[index]).filter(Boolean).slice(0, 2).join(', ');
+      $select.append(new Option('Не импортировать', ''));
+      for (const target of IMPORT_TARGETS) $select.append(new Option(target.label, target.value));
+      $select.value = suggested[column] || '';
+
+      $label.append($sample);
+      $row.append($label, $select);
+      $importMapping.append($row);
+    });
+
+    const $total = document.createElement('p');
+    $total.classList.add('import__hint');
+    $total.textContent = `Кодировка: ${preview.encoding}, строк с данными: ${preview.total}`;
+    $importMapping.prepend($total);
+  }
+
+  /**
+ * Собирает сопоставление колонок из выпадающих списков. Колонки передаются номерами,
+ * чтобы не зависеть от повторяющихся названий.
+ * @function getImportMapping
+ * @returns {Object} Сопоставление колонок в формате параметра `mapping` API.
+ */
+  function getImportMapping() {
+    const mapping = { contacts: [] };
+    for (const $select of $importMapping.querySelectorAll('select')) {
+      const column = Number($select.dataset.column);
+      if ($select.value.startsWith('contact:')) {
+        mapping.contacts.push({ type: $select.value.substr('contact:'.length), column });
+      } else if ($select.value) {
+        mapping[$select.value] = column;
+      }
+    }
+    return mapping;
+  }
+
+  /**
+ * Показывает отчёт об импорте: сводку и строки, которые пропущены или не прошли проверку.
+ * @function renderImportReport
+ * @param {Object} report - Отчёт об импорте от сервера.
+ */
+  function renderImportReport(report) {
+    const STATUS_LABELS = { skipped: 'пропущена', failed: 'ошибка' };
+    $importReport.innerHTML = '';
+
+    const $summary = document.createElement('p');
+    $summary.classList.add('import__summary');
+    $summary.textContent = (report.dryRun ? 'Проверка: будет создано ' : 'Создано ') +
+      `${report.summary.created}` +
+      (report.summary.merged !== undefined ? `, дополнено ${report.summary.merged}` : '') +
+      `, пропущено ${report.summary.skipped}, с ошибками ${report.summary.failed}`;
+    $importReport.append($summary);
+
+    for (const row of report.rows || report.cards) {
+      if (!row.reason) continue;
+      const $row = document.createElement('p');
+      $row.classList.add('import__row', '--' + row.status);
+      $row.textContent = (row.row ? `Строка ${row.row}` : `Карточка ${row.index + 1}`) +
+        `, ${STATUS_LABELS[row.status]}: ${row.reason}`;
+      $importReport.append($row);
+    }
+  }
+
+  /**
+ * Карточки из загруженного файла vCard, если импортируется vCard, а не CSV.
+ * @type {Array<Object>|null}
+ */
+  let vCardCards = null;
+
+  /**
+ * Показывает карточки vCard с выпадающим списком действия для каждой:
+ * создать клиента, дополнить одного из совпавших клиентов или пропустить.
+ * @function renderVCardCards
+ * @param {Array<Object>} cards - Карточки от сервера.
+ */
+  function renderVCardCards(cards) {
+    $importMapping.innerHTML = '';
+    for (const card of cards) {
+      const $row = document.createElement('div');
+      const $label = document.createElement('span');
+      const $sample = document.createElement('span');
+      const $select = document.createElement('select');
+      const fio = client => [client.surname, client.name, client.lastName].filter(Boolean).join(' ');
+
+      $row.classList.add('import__column');
+      $sample.classList.add('import__column-sample');
+      $select.classList.add('import__select');
+
+      $label.textContent = fio(card.client) || `Карточка ${card.index + 1}`;
+      $sample.textContent = card.errors
+        ? card.errors.map(error => error.message).join('; ')
+        : card.client.contacts.map(contact => contact.value).join(', ');
+      if (!card.errors) $select.append(new Option('Создать клиента', 'create'));
+      for (const match of card.matches) {
+        $select.append(new Option('Дополнить: ' + fio(match), 'merge:' + match.id));
+      }
+      $select.append(new Option('Пропустить', 'skip'));
+      $select.value = card.action === 'merge' ? 'merge:' + card.targetId : card.action;
+      $select.addEventListener('change', () => {
+        const [action, targetId] = $select.value.split(':');
+        card.action = action;
+        card.targetId = targetId ? Number(targetId) : null;
+      });
+
+      $label.append($sample);
+      $row.append($label, $select);
+      $importMapping.append($row);
+    }
+  }
+
+  /**
+ * Сбрасывает мастер импорта в исходное состояние.
+ * @function resetImport
+ */
+  function resetImport() {
+    vCardCards = null;
+    $importForm.reset();
+    $importMapping.innerHTML = '';
+    $importReport.innerHTML = '';
+    $importError.innerHTML = '';
+    $importCheck.classList.add('hide');
+    $importSubmit.classList.add('hide');
+  }
+
+  /**
+ * Читает выбранный файл и предлагает сопоставление колонок.
+ * @async
+ * @function previewImportFile
+ */
+  async function previewImportFile() {
+    const file = $importFile.files[0];
+    $importMapping.innerHTML = '';
+    $importReport.innerHTML = '';
+    $importError.innerHTML = '';
+    vCardCards = null;
+    if (!file) return;
+
+    if (/\.vcf$/i.test(file.name)) {
+      const vCardPreview = await serverPreviewVCard(file);
+      if (!vCardPreview.cards) {
+        showServerErrors($importError, [{ field: '', message: vCardPreview.message }]);
+        return;
+      }
+      vCardCards = vCardPreview.cards;
+      renderVCardCards(vCardCards);
+      $importSubmit.classList.remove('hide');
+      return;
+    }
+
+    const preview = await serverImport(file, { delimiter: $importDelimiter.value }, true);
+    if (!preview.columns) {
+      showServerErrors($importError, preview.errors || [{ field: '', message: preview.message }]);
+      return;
+    }
+
+    $importDelimiter.value = preview.delimiter;
+    renderImportMapping(preview);
+    $importCheck.classList.remove('hide');
+    $importSubmit.classList.remove('hide');
+  }
+
+  /**
+ * Запускает импорт или его проверку без записи в базу.
+ * @async
+ * @function runImport
+ * @param {boolean} dryRun - Только проверить файл.
+ */
+  async function runImport(dryRun) {
+    $importError.innerHTML = '';
+    const report = vCardCards
+      ? await serverImportVCard(vCardCards)
+      : await serverImport($importFile.files[0], {
+        delimiter: $importDelimiter.value,
+        mapping: JSON.stringify(getImportMapping()),
+        dryRun: dryRun ? 'true' : '',
+      });
+
+    if (!report.summary) {
+      showServerErrors($importError, report.errors || [{ field: '', message: report.message }]);
+      return;
+    }
+
+    renderImportReport(report);
+    if (!dryRun) {
+      $importSubmit.classList.add('hide');
+      await loadClients(1);
+    }
+  }
+
+  $importBtn.addEventListener('click', function () {
+    resetImport();
+    $importModal.classList.add('open');
+  })
+  $importFile.addEventListener('change', previewImportFile);
+  $importDelimiter.addEventListener('change', previewImportFile);
+  $importCheck.addEventListener('click', () => runImport(true));
+  $importForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    runImport(false);
+  })
+  document.getElementById('modal__btn-import').addEventListener('click', function () {
+    $importModal.classList.remove('open');
+  })
+  $importModal.querySelector('.modal__box-add').addEventListener('click', event => {
+    event._isClickWithInModal = true;
+  });
+  $importModal.addEventListener('click', event => {
+    if (event._isClickWithInModal) return;
+    event.currentTarget.classList.remove('open');
+  });
+  window.addEventListener('keydown', (e) => {
+    if (e.key === "Escape") {
+      $importModal.classList.remove('open');
+    }
+  });
+
+  /**
+ * Формирует строку с ФИО и номером клиента для списков дубликатов.
+ * @function formatClientTitle
+ * @param {Object} client - Клиент.
+ * @returns {string} ФИО и ID клиента.
+ */
+  function formatClientTitle(client) {
+    return `${client.surname} ${client.name} ${client.lastName}`.trim() + ` (ID ${String(client.id).padStart(6, '0')})`;
+  }
+
+  const $formDuplicates = document.getElementById('form-duplicates');
+  let duplicatesTimer = null;
+
+  /**
+ * Предупреждает в форме «Новый клиент», что похожий клиент уже есть.
+ * Проверка запускается, когда пользователь перестаёт вводить ФИО или контакты.
+ * @event
+ */
+  $addForm.addEventListener('input', function () {
+    clearTimeout(duplicatesTimer);
+    duplicatesTimer = setTimeout(async () => {
+      const contactsTypes = document.querySelectorAll('.add__select');
+      const matches = await serverCheckDuplicates({
+        name: $inputName.value.trim(),
+        surname: $inputSurname.value.trim(),
+        lastName: $inputLast.value.trim(),
+        contacts: [...document.querySelectorAll('.add__input')].map(($input, i) => ({
+          type: contactsTypes[i].value,
+          value: $input.value,
+        })),
+      });
+
+      $formDuplicates.innerHTML = '';
+      $formDuplicates.classList.toggle('hide', !matches.length);
+      if (!matches.length) return;
+
+      const $title = document.createElement('p');
+      $title.textContent = 'Возможно, этот клиент уже есть:';
+      $formDuplicates.append($title);
+      for (const match of matches) {
+        const $match = document.createElement('p');
+        $match.textContent = `${formatClientTitle(match.client)} — ${match.reasons.join(', ')}`;
+        $formDuplicates.append($match);
+      }
+    }, 500);
+  })
+
+  const $duplicatesModal = document.getElementById('modal__window-duplicates'),
+    $duplicatesList = document.getElementById('duplicates-list');
+
+  /**
+ * Показывает пары вероятных дубликатов с кнопкой объединения второго клиента с первым.
+ * @async
+ * @function renderDuplicates
+ */
+  async function renderDuplicates() {
+    const pairs = await serverGetDuplicates();
+    $duplicatesList.innerHTML = '';
+
+    if (!pairs.length) {
+      $duplicatesList.textContent = 'Дубликатов не найдено';
+      return;
+    }
+
+    for (const pair of pairs) {
+      const [target, source] = pair.clients;
+      const $pair = document.createElement('div');
+      const $reasons = document.createElement('p');
+      const $mergeBtn = document.createElement('button');
+
+      $pair.classList.add('duplicates__pair');
+      $reasons.classList.add('duplicates__reasons');
+      $mergeBtn.classList.add('duplicates__merge');
+
+      for (const client of pair.clients) {
+        const $client = document.createElement('p');
+        $client.classList.add('duplicates__client');
+        $client.textContent = formatClientTitle(client) + ': ' + client.contacts.map(contact => contact.value).join(', ');
+        $pair.append($client);
+      }
+      $reasons.textContent = `Сходство ${Math.round(pair.score * 100)}%: ${pair.reasons.join(', ')}`;
+      $mergeBtn.textContent = `Объединить в ID ${String(target.id).padStart(6, '0')}`;
+
+      $mergeBtn.addEventListener('click', async () => {
+        await serverMergeClients(target.id, [source.id]);
+        await renderDuplicates();
+        await loadClients();
+      });
+
+      $pair.append($reasons, $mergeBtn);
+      $duplicatesList.append($pair);
+    }
+  }
+
+  document.getElementById('open__duplicates').addEventListener('click', function () {
+    $duplicatesModal.classList.add('open');
+    renderDuplicates();
+  })
+  document.getElementById('modal__btn-duplicates').addEventListener('click', function () {
+    $duplicatesModal.classList.remove('open');
+  })
+  $duplicatesModal.querySelector('.modal__box-add').addEventListener('click', event => {
+    event._isClickWithInModal = true;
+  });
+  $duplicatesModal.addEventListener('click', event => {
+    if (event._isClickWithInModal) return;
+    event.currentTarget.classList.remove('open');
+  });
+  window.addEventListener('keydown', (e) => {
+    if (e.key === "Escape") {
+      $duplicatesModal.classList.remove('open');
+    }
+  });
+
+  const $export = document.getElementById('export'),
+    $exportFormat = document.getElementById('export-format'),
+    $exportError = document.createElement('div');
+  $exportError.classList.add('error-box', 'clients__export-error');
+  $export.append($exportError);
+
+  /**
+ * Выгружает клиентов в выбранном формате: тех же, что отобраны в таблице, и в том же порядке.
+ * @event
+ */
+  document.getElementById('export-btn').addEventListener('click', async function () {
+    $exportError.innerHTML = '';
+    const error = await serverExport({ format: $exportFormat.value, ...getListParams() });
+    if (error) showServerErrors($exportError, error.errors || [{ field: '', message: error.message }]);
+  })
+
+  const $clientsSection = document.getElementById('clients'),
+    $dealsSection = document.getElementById('deals'),
+    $dealsBoard = document.getElementById('deals-board'),
+    $dealForm = document.getElementById('form-deal'),
+    $dealTitle = document.getElementById('deal-title'),
+    $dealClient = document.getElementById('deal-client'),
+    $dealAmount = document.getElementById('deal-amount'),
+    $dealCurrency = document.getElementById('deal-currency'),
+    $dealCloseDate = document.getElementById('deal-close-date'),
+    $dealError = $dealForm.querySelector('.error-box'),
+    $dealsBoardError = document.createElement('div');
+  $dealsBoardError.classList.add('error-box', 'deals__board-error');
+  $dealsBoard.before($dealsBoardError);
+
+  /**
+ * Подсказывает клиентов в поле «Клиент» по мере ввода ФИО: найденные клиенты попадают
+ * в список подсказок поля.
+ * @function createClientPicker
+ * @param {HTMLInputElement} $input - Поле «Клиент» со списком подсказок `list`.
+ * @returns {Function} Возвращает клиента, выбранного из подсказок, или undefined.
+ */
+  function createClientPicker($input) {
+    const options = new Map();
+    let timer = null;
+
+    $input.addEventListener('input', function () {
+      clearTimeout(timer);
+      if (options.has($input.value)) return;
+      timer = setTimeout(async () => {
+        const found = $input.value.trim() ? await findClient($input.value.trim()) : [];
+        options.clear();
+        $input.list.innerHTML = '';
+        for (const client of found) {
+          const $option = document.createElement('option');
+          $option.value = formatClientTitle(client);
+          options.set($option.value, client);
+          $input.list.append($option);
+        }
+      }, 300);
+    })
+
+    return () => options.get($input.value);
+  }
+
+  const getDealClient = createClientPicker($dealClient);
+
+  /**
+ * Форматирует сумму сделки в её валюте.
+ * @function formatDealAmount
+ * @param {Object} deal - Сделка.
+ * @returns {string} Сумма с символом валюты.
+ */
+  function formatDealAmount(deal) {
+    return new Intl.NumberFormat('ru-RU', { style: 'currency', currency: deal.currency, maximumFractionDigits: 2 }).format(deal.amount);
+  }
+
+  /**
+ * Создаёт карточку сделки. Карточку можно перетащить в колонку другой стадии,
+ * если роли пользователя разрешено менять сделки.
+ * @function createDealCard
+ * @param {Object} deal - Сделка.
+ * @returns {HTMLElement} Карточка сделки.
+ */
+  function createDealCard(deal) {
+    const $card = document.createElement('article');
+    const $title = document.createElement('h3');
+    const $client = document.createElement('p');
+    const $amount = document.createElement('p');
+    const $meta = document.createElement('p');
+    const $delete = document.createElement('button');
+
+    $card.classList.add('deals__card');
+    $title.classList.add('deals__card-title');
+    $client.classList.add('deals__card-client');
+    $amount.classList.add('deals__card-amount');
+    $meta.classList.add('deals__card-meta');
+    $delete.classList.add('deals__delete');
+
+    $card.draggable = currentUser.role !== 'readonly';
+    $card.dataset.id = deal.id;
+    $title.textContent = deal.title;
+    $client.textContent = `${deal.client.surname} ${deal.client.name} ${deal.client.lastName}`.trim();
+    $amount.textContent = formatDealAmount(deal);
+    $meta.textContent = [
+      `${deal.probability}%`,
+      deal.expectedCloseDate ? 'до ' + deal.expectedCloseDate.split('-').reverse().join('.') : '',
+    ].filter(Boolean).join(' · ');
+    $delete.innerHTML = closeSvg;
+    $delete.setAttribute('aria-label', 'Удалить сделку');
+
+    $card.addEventListener('dragstart', (e) => {
+      e.dataTransfer.setData('text/plain', String(deal.id));
+      e.dataTransfer.effectAllowed = 'move';
+      $card.classList.add('deals__card--dragging');
+    });
+    $card.addEventListener('dragend', () => {
+      $card.classList.remove('deals__card--dragging');
+    });
+    $delete.addEventListener('click', async () => {
+      if (!confirm(`Удалить сделку «${deal.title}»?`)) return;
+      await serverDeleteDeal(deal.id);
+      await renderDeals();
+    });
+
+    $card.append($delete, $title, $client, $amount, $meta);
+    return $card;
+  }
+
+  /**
+ * Рисует доску сделок: по колонке на каждую стадию воронки с числом сделок и суммой
+ * в каждой валюте. Перетаскивание карточки в другую колонку переводит сделку на эту стадию.
+ * @async
+ * @function renderDeals
+ */
+  async function renderDeals() {
+    const [stages, deals] = await Promise.all([serverGetDealStages(), serverGetDeals()]);
+    $dealsBoard.innerHTML = '';
+
+    for (const stage of stages) {
+      const stageDeals = deals.filter(deal => deal.stageId === stage.id);
+      const totals = {};
+      for (const deal of stageDeals) totals[deal.currency] = (totals[deal.currency] || 0) + deal.amount;
+
+      const $column = document.createElement('section');
+      const $head = document.createElement('header');
+      const $name = document.createElement('h2');
+      const $summary = document.createElement('p');
+      const $list = document.createElement('div');
+
+      $column.classList.add('deals__column', `deals__column--${stage.kind}`);
+      $head.classList.add('deals__column-head');
+      $name.classList.add('deals__column-name');
+      $summary.classList.add('deals__column-summary');
+      $list.classList.add('deals__column-list');
+
+      $name.textContent = `${stage.name} (${stageDeals.length})`;
+      $summary.textContent = Object.entries(totals)
+        .map(([currency, amount]) => formatDealAmount({ currency, amount }))
+        .join(' + ') || '—';
+
+      $column.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'move';
+        $column.classList.add('deals__column--over');
+      });
+      $column.addEventListener('dragleave', (e) => {
+        if (!$column.contains(e.relatedTarget)) $column.classList.remove('deals__column--over');
+      });
+      $column.addEventListener('drop', async (e) => {
+        e.preventDefault();
+        $column.classList.remove('deals__column--over');
+        const id = Number(e.dataTransfer.getData('text/plain'));
+        const deal = deals.find(item => item.id === id);
+        if (!deal || deal.stageId === stage.id) return;
+
+        $list.append($dealsBoard.querySelector(`.deals__card[data-id="${id}"]`));
+        $dealsBoardError.innerHTML = '';
+        const moved = await serverMoveDeal(id, stage.id);
+        // Сервер не дал перенести сделку: карточка вернётся на прежнюю стадию, а над доской появится причина
+        if (moved.errors) showServerErrors($dealsBoardError, moved.errors);
+        await renderDeals();
+      });
+
+      $head.append($name, $summary);
+      $list.append(...stageDeals.map(createDealCard));
+      $column.append($head, $list);
+      $dealsBoard.append($column);
+    }
+  }
+
+  /**
+ * Создаёт сделку из формы над доской.
+ * @event
+ * @param {Event} event - Событие отправки формы.
+ */
+  $dealForm.addEventListener('submit', async function (event) {
+    event.preventDefault();
+    const client = getDealClient();
+    if (!client) {
+      showServerErrors($dealError, [{ field: 'clientId', message: 'Выберите клиента из списка' }]);
+      return;
+    }
+
+    const deal = await serverAddDeal({
+      title: $dealTitle.value.trim(),
+      clientId: client.id,
+      amount: $dealAmount.value ? Number($dealAmount.value) : 0,
+      currency: $dealCurrency.value,
+      expectedCloseDate: $dealCloseDate.value || null,
+    });
+    if (deal.errors) {
+      showServerErrors($dealError, deal.errors);
+      return;
+    }
+
+    $dealError.innerHTML = '';
+    $dealForm.reset();
+    await renderDeals();
+  })
+
+  const $tasksSection = document.getElementById('tasks'),
+    $tasksList = document.getElementById('tasks-list'),
+    $tasksFilter = document.getElementById('tasks-filter'),
+    $tasksBadge = document.getElementById('tasks-badge'),
+    $taskForm = document.getElementById('form-task'),
+    $taskTitle = document.getElementById('task-title'),
+    $taskDue = document.getElementById('task-due'),
+    $taskError = $taskForm.querySelector('.error-box');
+
+  const getTaskClient = createClientPicker(document.getElementById('task-client'));
+
+  /**
+ * Параметры отбора задач для каждого пункта фильтра страницы «Мои задачи».
+ * @constant {Object<string, Object>}
+ */
+  const TASK_FILTERS = {
+    '': { status: 'open,overdue' },
+    today: { due: 'today' },
+    overdue: { due: 'overdue' },
+    done: { status: 'done' },
+  };
+
+  /**
+ * Показывает на кнопке «Мои задачи», сколько задач пользователя просрочено или должно быть
+ * выполнено сегодня. Сервер отмечает просроченные задачи сам, поэтому счётчик обновляется раз в минуту.
+ * @async
+ * @function updateTasksBadge
+ */
+  async function updateTasksBadge() {
+    const [today, overdue] = await Promise.all([
+      serverGetTasks({ assignee: 'me', due: 'today' }),
+      serverGetTasks({ assignee: 'me', due: 'overdue' }),
+    ]);
+    const count = new Set([...today, ...overdue].map(task => task.id)).size;
+    $tasksBadge.textContent = count;
+    $tasksBadge.classList.toggle('hide', !count);
+    $tasksBadge.classList.toggle('header__tasks-badge--overdue', overdue.length > 0);
+  }
+
+  /**
+ * Создаёт строку задачи: отметка о выполнении, что сделать, клиент и срок.
+ * @function createTaskItem
+ * @param {Object} task - Задача.
+ * @returns {HTMLElement} Строка задачи.
+ */
+  function createTaskItem(task) {
+    const $item = document.createElement('li');
+    const $done = document.createElement('input');
+    const $title = document.createElement('span');
+    const $client = document.createElement('span');
+    const $due = document.createElement('span');
+    const $delete = document.createElement('button');
+
+    $item.classList.add('tasks__item', `tasks__item--${task.status}`);
+    $done.classList.add('tasks__done');
+    $title.classList.add('tasks__title');
+    $client.classList.add('tasks__client');
+    $due.classList.add('tasks__due');
+    $delete.classList.add('tasks__delete');
+
+    $done.type = 'checkbox';
+    $done.checked = task.status === 'done';
+    $done.disabled = currentUser.role === 'readonly';
+    $done.setAttribute('aria-label', 'Выполнена');
+    $title.textContent = task.title;
+    $client.textContent = `${task.client.surname} ${task.client.name} ${task.client.lastName}`.trim();
+    $due.textContent = getDateAt(task.dueAt) + ' ' + getTimeAt(task.dueAt);
+    $delete.innerHTML = closeSvg;
+    $delete.setAttribute('aria-label', 'Удалить задачу');
+
+    $done.addEventListener('change', async () => {
+      await serverUpdateTask(task.id, { status: $done.checked ? 'done' : 'open' });
+      await renderTasks();
+    });
+    $delete.addEventListener('click', async () => {
+      if (!confirm(`Удалить задачу «${task.title}»?`)) return;
+      await serverDeleteTask(task.id);
+      await renderTasks();
+    });
+
+    $item.append($done, $title, $client, $due, $delete);
+    return $item;
+  }
+
+  /**
+ * Показывает задачи пользователя по выбранному фильтру.
+ * @async
+ * @function renderTasks
+ */
+  async function renderTasks() {
+    const tasks = await serverGetTasks({ assignee: 'me', ...TASK_FILTERS[$tasksFilter.value] });
+    $tasksList.innerHTML = '';
+    if (!tasks.length) $tasksList.textContent = 'Задач нет';
+    $tasksList.append(...tasks.map(createTaskItem));
+    updateTasksBadge();
+  }
+
+  $tasksFilter.addEventListener('change', renderTasks);
+
+  /**
+ * Создаёт задачу из формы над списком. Исполнителем становится сам пользователь.
+ * @event
+ * @param {Event} event - Событие отправки формы.
+ */
+  $taskForm.addEventListener('submit', async function (event) {
+    event.preventDefault();
+    const client = getTaskClient();
+    if (!client) {
+      showServerErrors($taskError, [{ field: 'clientId', message: 'Выберите клиента из списка' }]);
+      return;
+    }
+
+    const task = await serverAddTask({
+      title: $taskTitle.value.trim(),
+      clientId: client.id,
+      dueAt: new Date($taskDue.value).toISOString(),
+    });
+    if (task.errors) {
+      showServerErrors($taskError, task.errors);
+      return;
+    }
+
+    $taskError.innerHTML = '';
+    $taskForm.reset();
+    await renderTasks();
+  })
+
+  /**
+ * Страницы, которые открываются вместо таблицы клиентов по адресу с `#` и названием страницы,
+ * поэтому на них можно дать ссылку.
+ * @constant {Object<string, {$section: HTMLElement, render: Function}>}
+ */
+  const PAGES = {
+    '#deals': { $section: $dealsSection, render: renderDeals },
+    '#tasks': { $section: $tasksSection, render: renderTasks },
+  };
+
+  /**
+ * Показывает страницу, на которую указывает адрес, или таблицу клиентов.
+ * @function showPage
+ * @param {string} hash - Часть адреса после `#` вместе с `#`.
+ */
+  function showPage(hash) {
+    const page = PAGES[hash];
+    $clientsSection.classList.toggle('hide', Boolean(page));
+    for (const { $section } of Object.values(PAGES)) $section.classList.toggle('hide', $section !== (page && page.$section));
+    if (page) page.render();
+    else loadClients();
+  }
+
+  document.getElementById('open__deals').addEventListener('click', function () {
+    location.hash = 'deals';
+  })
+  document.getElementById('open__tasks').addEventListener('click', function () {
+    location.hash = 'tasks';
+  })
+  for (const id of ['close__deals', 'close__tasks']) {
+    document.getElementById(id).addEventListener('click', function () {
+      location.hash = '';
+    })
+  }
+  window.addEventListener('hashchange', () => showPage(location.hash));
+  if (PAGES[location.hash]) showPage(location.hash);
+
+  updateTasksBadge();
+  setInterval(updateTasksBadge, 60 * 1000);
+
   $thFIO.addEventListener('click', function() {
-    let arrow = document.querySelector('.arrow');
-    arrow.classList.add('active');
-    sortFlag = 'surname';
-    renderClientsTable(clientsList);
+    toggleSort('surname,name,lastName', $thFIO);
 
   })
   $thID.addEventListener('click', function() {
-    sortFlag = 'id';
-    renderClientsTable(clientsList);
+    toggleSort('id', $thID);
 
   })
   $thCreate.addEventListener('click', function() {
-    sortFlag = 'createdAt';
-    renderClientsTable(clientsList);
+    toggleSort('createdAt', $thCreate);
 
   })
   $thChange.addEventListener('click', function() {
-    sortFlag = 'updatedAt';
-    renderClientsTable(clientsList);
+    toggleSort('updatedAt', $thChange);
 
   })
+  $thContacted.addEventListener('click', function() {
+    toggleSort('lastContactedAt', $thContacted);
+  })
 
 
 